@@ -1,22 +1,34 @@
+import { SQLiteEmbeddingCache } from './src/embedding_cache.js';
+
 /**
  * EmbeddingSimilarity - A class for computing text similarity using AI embeddings
  */
-class EmbeddingSimilarity {
+export class EmbeddingSimilarity {
     /**
      * Creates a new EmbeddingSimilarity instance
      * @param {object} config - Configuration object
-     * @param {string} config.provider - Embedding provider ('openai', 'huggingface', 'cohere', 'local')
+     * @param {string} config.provider - Embedding provider ('openai', 'huggingface', 'cohere', 'local', 'hashed')
      * @param {string} config.apiKey - API key for the provider
      * @param {string} config.model - Model name (e.g., 'text-embedding-ada-002')
      * @param {string} config.baseUrl - Base URL for API calls
+     * @param {number} config.dimensions - Vector size for the offline 'hashed' provider
+     * @param {object|string} config.persistentCache - SQLiteEmbeddingCache instance or SQLite file path
+     * @param {object} config.persistentCacheOptions - { ttl, maxEntries } when a path is given
      */
     constructor(config = {}) {
         this.provider = config.provider || 'openai';
+        this.dimensions = config.dimensions || 384;
         this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
         this.model = config.model || this._getDefaultModel();
         this.baseUrl = config.baseUrl || this._getDefaultBaseUrl();
         this.cache = new Map(); // Cache for embeddings
         this.maxCacheSize = config.maxCacheSize || 1000;
+        this.cacheHits = 0;
+        this.cacheMisses = 0;
+        const persistentCache = config.persistentCache || process.env.EMBEDDING_CACHE_PATH || null;
+        this.persistentCache = typeof persistentCache === 'string'
+            ? new SQLiteEmbeddingCache({ ...config.persistentCacheOptions, filename: persistentCache })
+            : persistentCache;
     }
 
     /**
@@ -29,7 +41,8 @@ class EmbeddingSimilarity {
             'openai': 'text-embedding-ada-002',
             'huggingface': 'sentence-transformers/all-MiniLM-L6-v2',
             'cohere': 'embed-english-v2.0',
-            'local': 'all-MiniLM-L6-v2'
+            'local': 'all-MiniLM-L6-v2',
+            'hashed': 'hashed-ngram-v1'
         };
         return defaultModels[this.provider] || 'text-embedding-ada-002';
     }
@@ -44,7 +57,8 @@ class EmbeddingSimilarity {
             'openai': 'https://api.openai.com/v1',
             'huggingface': 'https://api-inference.huggingface.co',
             'cohere': 'https://api.cohere.ai/v1',
-            'local': 'http://localhost:8080'
+            'local': 'http://localhost:8080',
+            'hashed': null
         };
         return defaultUrls[this.provider] || 'https://api.openai.com/v1';
     }
@@ -65,10 +79,18 @@ class EmbeddingSimilarity {
         }
 
         // Check cache first
-        const cacheKey = `${this.provider}:${this.model}:${cleanText}`;
+        const cacheKey = `${this.provider}:${this._getCacheModel()}:${cleanText}`;
         if (this.cache.has(cacheKey)) {
+            this.cacheHits++;
             return this.cache.get(cacheKey);
         }
+        this.cacheMisses++;
+
+        const persisted = await this._readPersistentCache(cleanText);
+        if (persisted) {
+            this._addToCache(cacheKey, persisted);
+            return persisted;
+        }
 
         try {
             let embedding;
@@ -85,12 +107,16 @@ class EmbeddingSimilarity {
                 case 'local':
                     embedding = await this._getLocalEmbedding(cleanText);
                     break;
+                case 'hashed':
+                    embedding = this._getHashedEmbedding(cleanText);
+                    break;
                 default:
                     throw new Error(`Unsupported provider: ${this.provider}`);
             }
 
             // Cache the result
             this._addToCache(cacheKey, embedding);
+            await this._writePersistentCache(cleanText, embedding);
             return embedding;
 
         } catch (error) {
@@ -285,6 +311,55 @@ class EmbeddingSimilarity {
         return data.embedding || data.embeddings || data;
     }
 
+    /**
+     * Offline embedding implementation using the hashing trick.
+     * Word unigrams, word bigrams and character trigrams are hashed into a
+     * fixed-size signed vector, so identical input always yields the same
+     * embedding and no network or model download is needed.
+     * @private
+     */
+    _getHashedEmbedding(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+        const addFeature = (feature, weight) => {
+            const hash = this._fnv1a(feature);
+            const index = hash % this.dimensions;
+            // The top hash bit decides the sign to reduce collision bias
+            const sign = (hash >>> 31) === 1 ? -1 : 1;
+            vector[index] += sign * weight;
+        };
+
+        words.forEach((word, i) => {
+            addFeature(`w:${word}`, 1.0);
+            if (i > 0) {
+                addFeature(`b:${words[i - 1]} ${word}`, 0.5);
+            }
+
+            const padded = `<${word}>`;
+            for (let j = 0; j + 3 <= padded.length; j++) {
+                addFeature(`c:${padded.slice(j, j + 3)}`, 0.25);
+            }
+        });
+
+        // L2 normalize so cosine similarity reduces to a dot product
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm === 0 ? vector : vector.map(value => value / norm);
+    }
+
+    /**
+     * 32-bit FNV-1a hash
+     * @private
+     */
+    _fnv1a(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
     /**
      * Add embedding to cache with size management
      * @private
@@ -299,7 +374,44 @@ class EmbeddingSimilarity {
     }
 
     /**
-     * Clear the embedding cache
+     * Model part of cache keys; hashed vectors of different sizes must not be mixed
+     * @private
+     */
+    _getCacheModel() {
+        return this.provider === 'hashed' ? `${this.model}:${this.dimensions}` : this.model;
+    }
+
+    /**
+     * Look up an embedding in the persistent cache; failures count as a miss
+     * @private
+     */
+    async _readPersistentCache(text) {
+        if (!this.persistentCache) return null;
+
+        try {
+            return await this.persistentCache.get(this.provider, this._getCacheModel(), text);
+        } catch (error) {
+            console.warn('Persistent embedding cache read failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store an embedding in the persistent cache without failing the request
+     * @private
+     */
+    async _writePersistentCache(text, embedding) {
+        if (!this.persistentCache) return;
+
+        try {
+            await this.persistentCache.set(this.provider, this._getCacheModel(), text, embedding);
+        } catch (error) {
+            console.warn('Persistent embedding cache write failed:', error.message);
+        }
+    }
+
+    /**
+     * Clear the in-memory embedding cache (the persistent cache is kept)
      */
     clearCache() {
         this.cache.clear();
@@ -313,7 +425,8 @@ class EmbeddingSimilarity {
         return {
             size: this.cache.size,
             maxSize: this.maxCacheSize,
-            hitRate: this.cacheHits / (this.cacheHits + this.cacheMisses) || 0
+            hitRate: this.cacheHits / (this.cacheHits + this.cacheMisses) || 0,
+            persistent: this.persistentCache ? this.persistentCache.getStats() : null
         };
     }
 
@@ -343,4 +456,4 @@ class EmbeddingSimilarity {
     }
 }
 
-module.exports = EmbeddingSimilarity;
+export default EmbeddingSimilarity;
@@ -138,6 +138,41 @@ CREATE TABLE templates (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Comment threads anchored to a text range of one role contribution in one iteration
+CREATE TABLE comment_threads (
+    id VARCHAR(255) PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL, -- Collaboration session (room) ID
+    run_id VARCHAR(255), -- Solve session or job the contribution comes from
+    iteration_number INTEGER NOT NULL,
+    role_key VARCHAR(64) NOT NULL,
+    range_start INTEGER NOT NULL,
+    range_end INTEGER NOT NULL,
+    quote TEXT, -- Anchored text when the thread was opened
+    status VARCHAR(20) DEFAULT 'open', -- open, resolved
+    created_by VARCHAR(255) NOT NULL,
+    resolved_by VARCHAR(255),
+    resolved_at BIGINT,
+    created_at BIGINT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Comments of a thread, in posting order
+CREATE TABLE thread_comments (
+    id VARCHAR(255) PRIMARY KEY,
+    thread_id VARCHAR(255) REFERENCES comment_threads(id) ON DELETE CASCADE,
+    author_id VARCHAR(255),
+    author_name VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    created_at BIGINT NOT NULL
+);
+
+-- Participants mentioned (@name) in a comment
+CREATE TABLE comment_mentions (
+    comment_id VARCHAR(255) REFERENCES thread_comments(id) ON DELETE CASCADE,
+    mentioned_name VARCHAR(255) NOT NULL,
+    PRIMARY KEY (comment_id, mentioned_name)
+);
+
 -- Indexes for better performance
 CREATE INDEX idx_sessions_user_id ON sessions(user_id);
 CREATE INDEX idx_sessions_status ON sessions(status);
@@ -152,6 +187,10 @@ CREATE INDEX idx_kb_view_stats_user_id ON kb_view_stats(user_id);
 CREATE INDEX idx_real_time_metrics_session_id ON real_time_metrics(session_id);
 CREATE INDEX idx_real_time_metrics_timestamp ON real_time_metrics(timestamp);
 CREATE INDEX idx_templates_user_id ON templates(user_id);
+CREATE INDEX idx_comment_threads_session_id ON comment_threads(session_id);
+CREATE INDEX idx_comment_threads_anchor ON comment_threads(session_id, iteration_number, role_key);
+CREATE INDEX idx_thread_comments_thread_id ON thread_comments(thread_id);
+CREATE INDEX idx_comment_mentions_name ON comment_mentions(mentioned_name);
 
 -- Update triggers for updated_at columns
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -176,3 +215,6 @@ CREATE TRIGGER update_user_preferences_updated_at BEFORE UPDATE ON user_preferen
 
 CREATE TRIGGER update_templates_updated_at BEFORE UPDATE ON templates
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_comment_threads_updated_at BEFORE UPDATE ON comment_threads
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
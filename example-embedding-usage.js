@@ -1,4 +1,5 @@
-const EmbeddingSimilarity = require('./EmbeddingSimilarity');
+import { fileURLToPath } from 'url';
+import { EmbeddingSimilarity } from './EmbeddingSimilarity.js';
 
 /**
  * Example: Migration from TF-IDF to Embedding-based similarity
@@ -25,6 +26,12 @@ const configs = {
         provider: 'local',
         baseUrl: 'http://localhost:8080',
         model: 'all-MiniLM-L6-v2'
+    },
+
+    // In-process hashed n-grams (offline, deterministic, no API key)
+    hashed: {
+        provider: 'hashed',
+        dimensions: 384
     }
 };
 
@@ -223,7 +230,7 @@ async function runAll() {
 }
 
 // Export for use in other modules
-module.exports = {
+export {
     EmbeddingSimilarity,
     MigratedTextSimilarity,
     configs,
@@ -231,6 +238,6 @@ module.exports = {
 };
 
 // Run if called directly
-if (require.main === module) {
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
     runAll();
 }
@@ -3,66 +3,125 @@
  * Implementuje zaawansowane algorytmy do oceny jakości i konsensusu
  */
 
-import { computeTFIDF } from './utils.js';
+import { createConsensusScorer, TFIDFScorer } from './consensus_scorers.js';
+import { createQualityJudge, RubricJudge, DEFAULT_RUBRIC } from './quality_judges.js';
+import { loadRoles, buildRolePipeline, getFinalRoleKey } from './roles.js';
+import { createBreakthroughStrategies, selectBreakthroughStrategy, applyRoleOverrides } from './breakthrough_strategies.js';
 import { apiCircuitBreaker } from './circuit_breaker.js';
-import { callAPI, callAPIWithRetry, getAPIStatus } from './api.js';
+import { callAPI, callAPIWithRetry, getAPIStatus, getProviderConcurrency, getSystemPrompt } from './api.js';
+import { callEnsemble } from './ensemble.js';
+import { BudgetGuard, estimateCallCost } from './budget.js';
+import { countChatTokens } from './tokenizer.js';
+import { getModelPricing } from './pricing.js';
+import { providerRegistry } from './providers/index.js';
+import {
+    StructuredOutputError,
+    buildStructuredPrompt,
+    buildRepairPrompt,
+    parseStructuredContribution,
+    renderStructuredContribution,
+    assessStructuredQuality
+} from './structured_output.js';
 import { responseCache } from './cache.js';
 import { metricsCollector } from './metrics.js';
 
+/**
+ * Runs fn over items with at most `limit` calls in flight; results keep the input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    const worker = async () => {
+        while (next < items.length && !failure) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    if (failure) throw failure;
+    return results;
+}
+
 export class AdvancedAIEngine {
     constructor(options = {}) {
         this.minConsensusThreshold = options.minConsensus || 0.75;
         this.maxConsensusThreshold = options.maxConsensus || 0.90;
         this.qualityThreshold = options.qualityThreshold || 7.0;
         this.maxIterations = options.maxIterations || 10;
+        this.checkpointStore = options.checkpointStore || null;
+        this.streamContributions = options.streamContributions !== false;
+        this.structuredOutput = options.structuredOutput ?? process.env.STRUCTURED_OUTPUT === 'true';
+        this.structuredMaxRepairs = options.structuredMaxRepairs ?? 2;
+        this.consensusScorer = createConsensusScorer(options.consensusScorer, options.consensusScorerOptions);
+        this.fallbackScorer = new TFIDFScorer();
+        this.qualityJudge = createQualityJudge(options.qualityJudge, options.qualityJudgeOptions);
+        this.qualityRubric = this.qualityJudge.rubric || DEFAULT_RUBRIC;
+        this.fallbackJudge = new RubricJudge({ rubric: this.qualityRubric });
         
-        this.roles = {
-            architect: {
-                name: 'Idea Architect',
-                weight: 1.2,
-                prompt: 'Analyze the problem structure and create foundational solutions.',
-                expertise: ['analysis', 'structure', 'foundations']
-            },
-            catalyst: {
-                name: 'Innovation Catalyst', 
-                weight: 1.0,
-                prompt: 'Challenge assumptions and propose creative alternatives.',
-                expertise: ['creativity', 'alternatives', 'innovation']
-            },
-            synthesizer: {
-                name: 'Solution Synthesizer',
-                weight: 1.3,
-                prompt: 'Combine insights into coherent, actionable solutions.',
-                expertise: ['integration', 'synthesis', 'execution']
-            },
-            evaluator: {
-                name: 'Quality Evaluator',
-                weight: 1.1,
-                prompt: 'Assess feasibility, risks, and potential impact.',
-                expertise: ['evaluation', 'risks', 'feasibility']
-            }
-        };
+        // Role definitions (src/roles.js) and their DAG of stages
+        this.roles = loadRoles(options.roles);
+        this.pipeline = buildRolePipeline(this.roles);
+        this.maxParallelRoles = options.maxParallelRoles ?? (parseInt(process.env.MAX_PARALLEL_ROLES) || Infinity);
+        this.finalRoleKey = getFinalRoleKey(this.roles, this.pipeline);
+        this.breakthroughStrategies = createBreakthroughStrategies(options.breakthroughStrategies, options.breakthroughOptions);
+        this.breakthroughRandom = options.breakthroughRandom || Math.random;
+
+        // Budget limits per solve session (src/budget.js); `budget: false` disables enforcement
+        this.budgetOptions = options.budget ?? {};
+        this.budget = this.createBudgetGuard();
+
+        // Engine-wide ensemble (e.g. from the solve API) applies to the listed roles, by default the final one
+        if (options.ensemble) {
+            const { roles: ensembleRoles = [this.finalRoleKey], ...ensemble } = options.ensemble;
+            ensembleRoles.filter(key => this.roles[key]).forEach(key => {
+                this.roles[key].ensemble = ensemble;
+            });
+        }
 
         this.sessionState = {
             iteration: 0,
             consensusHistory: [],
             qualityHistory: [],
             breakthroughs: 0,
-            stagnationCounter: 0
+            stagnationCounter: 0,
+            pendingBreakthrough: null,
+            breakthroughHistory: [],
+            costSpent: 0,
+            pendingGuidance: [],
+            vetoes: []
         };
     }
 
     /**
      * Główny algorytm rozwiązywania problemów
+     * With a reviewGate the run pauses after every iteration until the gate resolves with a
+     * decision: {} approves, { edits: { [roleKey]: content } } rewrites contributions,
+     * { guidance } steers the next iteration, { veto } rules a direction out for the rest of
+     * the run (and keeps the vetoed iteration from ending it), { comments: [{ author, text }] }
+     * hands collaborator comments to the roles. { reviewer } is recorded with the review.
+     * @param {string} problemStatement - Problem do rozwiązania
+     * @param {Function} progressCallback - Callback postępu
+     * @param {Object} runOptions - { signal, sessionId, checkpoint, reviewGate: async (review, { signal }) => decision }
      */
-    async solveProblem(problemStatement, progressCallback = null) {
-        console.log(`🚀 Starting problem solving: "${problemStatement}"`);
+    async solveProblem(problemStatement, progressCallback = null, runOptions = {}) {
+        const { signal = null, checkpoint = null } = runOptions;
+        console.log(`🚀 ${checkpoint ? 'Resuming' : 'Starting'} problem solving: "${problemStatement}"`);
         
         const session = {
+            id: runOptions.sessionId || null,
             problem: problemStatement,
             startTime: Date.now(),
             iterations: [],
+            reviews: [],
             finalSolution: null,
+            resumedFrom: checkpoint ? checkpoint.iterations.length : null,
             metrics: {
                 totalTime: 0,
                 avgQuality: 0,
@@ -73,40 +132,286 @@ export class AdvancedAIEngine {
         };
 
         try {
-            // Reset session state
-            this.sessionState.iteration = 0;
-            this.sessionState.consensusHistory = [];
-            this.sessionState.qualityHistory = [];
-            this.sessionState.breakthroughs = 0;
-
-            while (this.sessionState.iteration < this.maxIterations) {
-                const iteration = await this.runIteration(problemStatement, progressCallback);
-                session.iterations.push(iteration);
+            this.throwIfAborted(signal);
 
-                // Check for convergence
-                if (this.hasConverged(iteration)) {
-                    console.log(`✅ Convergence achieved at iteration ${this.sessionState.iteration}`);
+            if (this.checkpointStore && !session.id) {
+                session.id = await this.checkpointStore.createSession(problemStatement, {
+                    maxIterations: this.maxIterations
+                });
+            }
+
+            let converged = false;
+
+            if (checkpoint) {
+                // Restore session state from the last persisted iteration
+                session.iterations = [...checkpoint.iterations];
+                this.restoreSessionState(checkpoint);
+                const lastIteration = session.iterations[session.iterations.length - 1];
+                converged = Boolean(lastIteration && this.hasConverged(lastIteration));
+            } else {
+                // Reset session state
+                this.sessionState.iteration = 0;
+                this.sessionState.consensusHistory = [];
+                this.sessionState.qualityHistory = [];
+                this.sessionState.breakthroughs = 0;
+                this.sessionState.pendingBreakthrough = null;
+                this.sessionState.breakthroughHistory = [];
+                this.sessionState.costSpent = 0;
+                this.sessionState.pendingGuidance = [];
+                this.sessionState.vetoes = [];
+            }
+
+            // Resumed sessions keep what they already spent
+            this.budget = this.createBudgetGuard(this.sessionState.costSpent);
+            let budgetError = null;
+
+            while (!converged && this.sessionState.iteration < this.maxIterations) {
+                this.throwIfAborted(signal);
+
+                let iteration;
+                try {
+                    iteration = await this.runIteration(problemStatement, progressCallback, signal);
+                } catch (error) {
+                    if (error.code !== 'budget_exceeded') throw error;
+
+                    // The unfinished iteration is dropped; the answer comes from completed ones
+                    console.warn(`💸 Stopping after ${session.iterations.length} iterations: ${error.message}`);
+                    budgetError = error;
                     break;
                 }
+                session.iterations.push(iteration);
+
+                if (runOptions.reviewGate) {
+                    session.reviews.push(await this.reviewIteration(iteration, problemStatement, runOptions.reviewGate, signal));
+                }
 
-                // Check for stagnation
-                if (this.detectStagnation()) {
+                // Check for convergence (a vetoed iteration cannot end the run)
+                if (this.hasConverged(iteration) && !iteration.review?.veto) {
+                    console.log(`✅ Convergence achieved at iteration ${this.sessionState.iteration}`);
+                    converged = true;
+                } else if (this.detectStagnation()) {
+                    // Check for stagnation
                     console.log(`🔄 Stagnation detected, applying breakthrough strategy`);
-                    await this.applyBreakthroughStrategy(problemStatement);
+                    await this.applyBreakthroughStrategy(problemStatement, iteration);
+                }
+
+                if (!converged) {
+                    this.sessionState.iteration++;
                 }
 
-                this.sessionState.iteration++;
+                await this.saveCheckpoint(session.id, iteration);
             }
 
             // Generate final solution
-            session.finalSolution = await this.generateFinalSolution(session.iterations);
+            session.finalSolution = {
+                ...(await this.generateFinalSolution(session.iterations)),
+                terminationReason: budgetError ? 'budget_exceeded' : (converged ? 'converged' : 'max_iterations'),
+                ...(budgetError ? { terminationDetails: { message: budgetError.message, ...budgetError.details } } : {}),
+                ...(this.budget ? { budget: this.budget.getSummary() } : {})
+            };
             session.metrics = this.calculateMetrics(session);
+            await this.updateCheckpointStatus(session.id, 'completed');
 
             console.log(`🎯 Problem solving completed:`, session.metrics);
             return session;
 
         } catch (error) {
-            console.error('❌ Problem solving failed:', error);
+            if (error.name === 'AbortError') {
+                console.log(`🛑 Problem solving aborted after ${session.iterations.length} iterations`);
+            } else {
+                console.error('❌ Problem solving failed:', error);
+            }
+
+            // Leave the session resumable from its last checkpoint
+            await this.updateCheckpointStatus(session.id, 'paused');
+            error.sessionId = session.id;
+            throw error;
+        }
+    }
+
+    /**
+     * Wznawia sesję od ostatniej zapisanej iteracji
+     * @param {string} sessionId - ID sesji w magazynie checkpointów
+     * @param {Function} progressCallback - Callback postępu
+     * @param {Object} runOptions - { signal }
+     */
+    async resumeProblem(sessionId, progressCallback = null, runOptions = {}) {
+        if (!this.checkpointStore) {
+            throw new Error('Cannot resume without a checkpoint store');
+        }
+
+        const checkpoint = await this.checkpointStore.loadCheckpoint(sessionId);
+        if (!checkpoint) {
+            throw new Error(`No checkpoint found for session ${sessionId}`);
+        }
+        if (checkpoint.status === 'completed') {
+            throw new Error(`Session ${sessionId} is already completed`);
+        }
+
+        await this.updateCheckpointStatus(sessionId, 'active');
+        return this.solveProblem(checkpoint.problem, progressCallback, {
+            ...runOptions,
+            sessionId,
+            checkpoint
+        });
+    }
+
+    /**
+     * Odtwarza stan sesji z checkpointu
+     */
+    restoreSessionState(checkpoint) {
+        const { iterations, sessionState } = checkpoint;
+
+        this.sessionState = {
+            iteration: sessionState?.iteration ?? iterations.length,
+            consensusHistory: iterations.map(iter => iter.metrics.consensus),
+            qualityHistory: iterations.map(iter => iter.metrics.quality),
+            breakthroughs: sessionState?.breakthroughs || 0,
+            stagnationCounter: sessionState?.stagnationCounter || 0,
+            pendingBreakthrough: sessionState?.pendingBreakthrough || null,
+            breakthroughHistory: sessionState?.breakthroughHistory || [],
+            costSpent: sessionState?.costSpent || 0,
+            pendingGuidance: sessionState?.pendingGuidance || [],
+            vetoes: sessionState?.vetoes || []
+        };
+    }
+
+    /**
+     * Zatrzymuje przebieg do decyzji recenzenta i stosuje ją do iteracji
+     * @returns {Object} Review record, also stored as iteration.review
+     */
+    async reviewIteration(iteration, problemStatement, reviewGate, signal = null) {
+        const review = {
+            iteration: iteration.number,
+            problem: problemStatement,
+            contributions: Object.fromEntries(Object.entries(iteration.contributions).map(([roleKey, contribution]) => [roleKey, {
+                role: this.roles[roleKey]?.name || roleKey,
+                content: contribution.content,
+                quality: contribution.quality
+            }])),
+            metrics: iteration.metrics,
+            wouldConverge: this.hasConverged(iteration),
+            vetoes: [...this.sessionState.vetoes]
+        };
+
+        console.log(`⏸️ Iteration ${iteration.number} is waiting for review`);
+        const decision = await this.untilAborted(Promise.resolve(reviewGate(review, { signal })), signal) || {};
+        return this.applyReview(iteration, decision, problemStatement, signal);
+    }
+
+    /**
+     * Stosuje decyzję recenzenta: poprawki wkładów, wskazówki i weto
+     */
+    async applyReview(iteration, decision, problemStatement, signal = null) {
+        const reviewer = decision.reviewer || 'reviewer';
+        const record = {
+            iteration: iteration.number,
+            reviewer,
+            actions: [],
+            reviewedAt: Date.now()
+        };
+
+        const edits = Object.entries(decision.edits || {}).filter(([roleKey]) => {
+            if (iteration.contributions[roleKey]) return true;
+            console.warn(`⚠️ Review edit for unknown role ${roleKey} in iteration ${iteration.number} ignored`);
+            return false;
+        });
+        if (edits.length > 0) {
+            for (const [roleKey, content] of edits) {
+                const contribution = iteration.contributions[roleKey];
+                contribution.originalContent ??= contribution.content;
+                contribution.content = content;
+                contribution.editedBy = reviewer;
+            }
+
+            // Edited contributions are scored again and replace the iteration's place in the history
+            iteration.metrics = await this.calculateIterationMetrics(iteration, problemStatement, signal);
+            this.sessionState.consensusHistory[this.sessionState.consensusHistory.length - 1] = iteration.metrics.consensus;
+            this.sessionState.qualityHistory[this.sessionState.qualityHistory.length - 1] = iteration.metrics.quality;
+            record.actions.push('edit');
+            record.editedRoles = edits.map(([roleKey]) => roleKey);
+        }
+
+        // Guidance and comments steer the next iteration only
+        const guidance = [
+            ...(decision.guidance ? [{ author: reviewer, text: decision.guidance }] : []),
+            ...(decision.comments || []).map(comment => ({ author: comment.author, text: comment.text, source: 'comment' }))
+        ].map(entry => ({ ...entry, iteration: iteration.number }));
+        if (guidance.length > 0) {
+            this.sessionState.pendingGuidance = guidance;
+            record.actions.push('guide');
+            record.guidance = guidance;
+        }
+
+        // Vetoes hold for the rest of the run
+        if (decision.veto) {
+            this.sessionState.vetoes.push({ author: reviewer, text: decision.veto, iteration: iteration.number });
+            record.actions.push('veto');
+            record.veto = decision.veto;
+        }
+
+        if (record.actions.length === 0) record.actions.push('approve');
+        iteration.review = record;
+        console.log(`▶️ Iteration ${iteration.number} reviewed by ${reviewer}: ${record.actions.join(', ')}`);
+        return record;
+    }
+
+    /**
+     * Czeka na obietnicę, ale kończy się błędem AbortError gdy sygnał zostanie anulowany
+     */
+    untilAborted(promise, signal = null) {
+        if (!signal) return promise;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                try {
+                    this.throwIfAborted(signal);
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            if (signal.aborted) return onAbort();
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(
+                (value) => { signal.removeEventListener('abort', onAbort); resolve(value); },
+                (error) => { signal.removeEventListener('abort', onAbort); reject(error); }
+            );
+        });
+    }
+
+    /**
+     * Zapisuje iterację w magazynie checkpointów
+     */
+    async saveCheckpoint(sessionId, iteration) {
+        if (!this.checkpointStore || !sessionId) return;
+
+        try {
+            await this.checkpointStore.saveIteration(sessionId, iteration, this.getSessionState());
+        } catch (error) {
+            // A lost checkpoint only costs a re-run of this iteration on resume
+            console.warn(`⚠️ Failed to checkpoint iteration ${iteration.number}:`, error.message);
+        }
+    }
+
+    async updateCheckpointStatus(sessionId, status) {
+        if (!this.checkpointStore || !sessionId) return;
+
+        try {
+            await this.checkpointStore.updateStatus(sessionId, status);
+        } catch (error) {
+            console.warn(`⚠️ Failed to update checkpoint status for ${sessionId}:`, error.message);
+        }
+    }
+
+    /**
+     * Przerywa działanie gdy sygnał został anulowany
+     */
+    throwIfAborted(signal) {
+        if (signal?.aborted) {
+            const error = new Error('Problem solving aborted');
+            error.name = 'AbortError';
+            error.reason = signal.reason;
             throw error;
         }
     }
@@ -114,7 +419,7 @@ export class AdvancedAIEngine {
     /**
      * Uruchamia pojedynczą iterację z wszystkimi rolami AI
      */
-    async runIteration(problemStatement, progressCallback) {
+    async runIteration(problemStatement, progressCallback, signal = null) {
         const iteration = {
             number: this.sessionState.iteration + 1,
             timestamp: Date.now(),
@@ -128,57 +433,136 @@ export class AdvancedAIEngine {
         };
 
         console.log(`🔄 Running iteration ${iteration.number}`);
+
+        // A breakthrough plan changes prompts and roles for this iteration only
+        const breakthrough = this.sessionState.pendingBreakthrough;
+        this.sessionState.pendingBreakthrough = null;
+
+        // So does the guidance of the last review
+        this.currentGuidance = this.sessionState.pendingGuidance || [];
+        this.sessionState.pendingGuidance = [];
+        if (this.currentGuidance.length > 0) {
+            iteration.guidance = this.currentGuidance;
+        }
+
+        const baseRoles = this.roles;
+        const rolePrompt = breakthrough?.problemSuffix
+            ? `${problemStatement}\n\n${breakthrough.problemSuffix}`
+            : problemStatement;
+
+        if (breakthrough) {
+            console.log(`💡 Iteration ${iteration.number} uses breakthrough strategy ${breakthrough.strategy}: ${breakthrough.description}`);
+            this.roles = applyRoleOverrides(baseRoles, breakthrough.roleOverrides);
+            iteration.breakthrough = { strategy: breakthrough.strategy, description: breakthrough.description };
+        }
         
-        const roleKeys = Object.keys(this.roles);
-        
-        for (let i = 0; i < roleKeys.length; i++) {
-            const roleKey = roleKeys[i];
-            const role = this.roles[roleKey];
-            
-            if (progressCallback) {
-                progressCallback({
-                    stage: role.name,
-                    progress: ((i + 1) / roleKeys.length) * 100,
-                    iteration: iteration.number
+        const totalRoles = this.pipeline.flat().length;
+        const maxParallel = Math.min(this.maxParallelRoles, getProviderConcurrency());
+        let started = 0;
+
+        try {
+            for (const stage of this.pipeline) {
+                this.throwIfAborted(signal);
+
+                // Roles in a stage only read earlier stages, so they can run side by side
+                const concurrency = apiCircuitBreaker.getConcurrencyLimit(maxParallel);
+                const results = await mapWithConcurrency(stage, concurrency, async (roleKey) => {
+                    this.throwIfAborted(signal);
+                    started++;
+
+                    if (progressCallback) {
+                        progressCallback({
+                            stage: this.roles[roleKey].name,
+                            progress: (started / totalRoles) * 100,
+                            iteration: iteration.number
+                        });
+                    }
+
+                    return await this.runRole(roleKey, rolePrompt, iteration, progressCallback, signal);
                 });
-            }
 
-            try {
-                const contribution = await this.getAIContribution(
-                    roleKey, 
-                    problemStatement, 
-                    iteration.contributions
-                );
-                
-                iteration.contributions[roleKey] = contribution;
-                
-                // Simulate processing delay
-                await this.delay(500 + Math.random() * 1000);
-                
-            } catch (error) {
-                console.warn(`⚠️ Failed to get contribution from ${roleKey}:`, error);
-                iteration.contributions[roleKey] = {
-                    content: `Fallback response for ${role.name}`,
-                    quality: 5.0,
-                    confidence: 0.5
-                };
+                // Merge in pipeline order so the result does not depend on completion order
+                stage.forEach((roleKey, index) => {
+                    iteration.contributions[roleKey] = results[index];
+                });
             }
+        } finally {
+            this.roles = baseRoles;
+            this.currentGuidance = [];
         }
 
         // Calculate iteration metrics
-        iteration.metrics = await this.calculateIterationMetrics(iteration);
+        iteration.metrics = await this.calculateIterationMetrics(iteration, problemStatement, signal);
         
         // Update session state
         this.sessionState.consensusHistory.push(iteration.metrics.consensus);
         this.sessionState.qualityHistory.push(iteration.metrics.quality);
+        this.sessionState.costSpent = this.budget?.spent ?? this.sessionState.costSpent;
+
+        if (breakthrough) {
+            this.recordBreakthroughEffect(iteration);
+        }
+
+        if (progressCallback) {
+            progressCallback({
+                stage: 'Iteration complete',
+                progress: 100,
+                iteration: iteration.number,
+                quality: iteration.metrics.quality,
+                consensus: iteration.metrics.consensus
+            });
+        }
 
         return iteration;
     }
 
+    /**
+     * Wykonuje jedną rolę iteracji; błędy inne niż przerwanie kończą się wkładem zastępczym
+     */
+    async runRole(roleKey, problemStatement, iteration, progressCallback, signal = null) {
+        const role = this.roles[roleKey];
+
+        // Relay partial provider output as it streams in; only the new text is sent, listeners accumulate it
+        const onDelta = progressCallback && this.streamContributions
+            ? ({ delta, provider }) => progressCallback({
+                type: 'contribution_delta',
+                role: roleKey,
+                stage: role.name,
+                iteration: iteration.number,
+                provider,
+                delta
+            })
+            : null;
+
+        try {
+            const contribution = await this.getAIContribution(
+                roleKey, 
+                problemStatement, 
+                this.getDependencyContributions(roleKey, iteration.contributions),
+                signal,
+                onDelta
+            );
+            
+            // Simulate processing delay
+            await this.delay(500 + Math.random() * 1000, signal);
+            return contribution;
+            
+        } catch (error) {
+            if (error.name === 'AbortError' || error.code === 'budget_exceeded') throw error;
+            console.warn(`⚠️ Failed to get contribution from ${roleKey}:`, error);
+            return {
+                content: `Fallback response for ${role.name}`,
+                quality: 5.0,
+                confidence: 0.5
+            };
+        }
+    }
+
     /**
      * Pobiera wkład od konkretnej roli AI z użyciem prawdziwego API
+     * @param {Function} onDelta - Opcjonalny callback dla strumieniowanych fragmentów odpowiedzi
      */
-    async getAIContribution(roleKey, problemStatement, existingContributions) {
+    async getAIContribution(roleKey, problemStatement, existingContributions, signal = null, onDelta = null) {
         const role = this.roles[roleKey];
         const contextualPrompt = this.buildContextualPrompt(
             role, 
@@ -187,14 +571,7 @@ export class AdvancedAIEngine {
         );
 
         const startTime = Date.now();
-        const builderMapping = {
-            'architect': 'builder1',
-            'catalyst': 'builder2', 
-            'synthesizer': 'synthesizer',
-            'evaluator': 'evaluator'
-        };
-        
-        const builderName = builderMapping[roleKey] || roleKey;
+        const builderName = role.builder || roleKey;
         
         try {
             console.log(`🎯 Getting AI contribution from ${role.name} (${builderName})...`);
@@ -211,17 +588,40 @@ export class AdvancedAIEngine {
                 maxTokens: this.getMaxTokensForRole(roleKey),
                 model: this.getModelForRole(roleKey),
                 retryDelay: 1000,
-                maxRetries: 2
+                maxRetries: 2,
+                signal
             };
+
+            if (role.provider) options.provider = role.provider;
+            if (role.systemPrompt) options.systemPrompt = role.systemPrompt;
+            if (role.semanticCacheThreshold !== undefined) options.semanticCacheThreshold = role.semanticCacheThreshold;
+
+            if (this.structuredOutput) {
+                options.responseFormat = 'json';
+            }
             
             console.log(`📋 Using options for ${roleKey}:`, options);
+
+            if (onDelta) {
+                options.onDelta = onDelta;
+            }
+
+            if (this.budget) {
+                options.budget = this.budget;
+            }
+            
+            const prompt = this.structuredOutput ? buildStructuredPrompt(contextualPrompt) : contextualPrompt;
+            const ensemble = this.getEnsembleForRole(roleKey, apiStatus);
             
             // Use circuit breaker with real API call
             const result = await apiCircuitBreaker.execute(async () => {
+                if (ensemble) {
+                    return await callEnsemble(builderName, problemStatement, prompt, ensemble, options);
+                }
                 return await callAPIWithRetry(
                     builderName,
                     problemStatement,
-                    contextualPrompt,
+                    prompt,
                     apiCircuitBreaker,
                     options
                 );
@@ -229,9 +629,17 @@ export class AdvancedAIEngine {
             
             const latency = Date.now() - startTime;
             console.log(`✅ Got contribution from ${role.name} in ${latency}ms`);
+
+            // Cached and mock responses arrive whole - relay them as a single delta
+            if (onDelta && !result.streamed && result.response) {
+                onDelta({ delta: result.response, text: result.response, provider: result.provider || 'mock' });
+            }
             
             // Validate and process the result
-            const processedResult = this.processAIResult(result, roleKey, latency);
+            const structured = this.structuredOutput
+                ? await this.resolveStructuredResult(builderName, problemStatement, contextualPrompt, result, options)
+                : null;
+            const processedResult = this.processAIResult(structured?.result || result, roleKey, latency, structured);
             
             // Record successful contribution metrics
             this.recordContributionMetrics(roleKey, processedResult, latency, null);
@@ -239,36 +647,81 @@ export class AdvancedAIEngine {
             return processedResult;
             
         } catch (error) {
+            if (error.name === 'AbortError' || signal?.aborted) {
+                this.throwIfAborted(signal);
+                throw error;
+            }
+
             const latency = Date.now() - startTime;
             console.error(`❌ Failed to get AI contribution from ${role.name}:`, error.message);
             
             // Record error metrics
             this.recordContributionMetrics(roleKey, null, latency, error);
+
+            // Over budget: no fallback, the session has to stop
+            if (error.code === 'budget_exceeded') {
+                throw error;
+            }
             
             // Try fallback strategies
             return await this.handleContributionError(roleKey, problemStatement, contextualPrompt, error);
         }
     }
     
+    /**
+     * Parsuje ustrukturyzowaną odpowiedź, ponawiając zapytanie z promptem naprawczym
+     * @returns {Object} { result, data, repairs, error } - data is null when every repair failed
+     */
+    async resolveStructuredResult(builderName, problemStatement, contextualPrompt, result, options) {
+        // Repairs are not streamed; their deltas would restart the role's text
+        const repairOptions = { ...options, onDelta: undefined };
+
+        for (let repairs = 0; ; repairs++) {
+            try {
+                return { result, data: parseStructuredContribution(result?.response), repairs, error: null };
+            } catch (error) {
+                if (!(error instanceof StructuredOutputError)) throw error;
+
+                if (repairs >= this.structuredMaxRepairs) {
+                    console.warn(`⚠️ Structured output for ${builderName} still invalid after ${repairs} repairs, keeping free text:`, error.message);
+                    return { result, data: null, repairs, error: error.message };
+                }
+
+                console.log(`🔧 Repairing structured output for ${builderName} (${repairs + 1}/${this.structuredMaxRepairs}): ${error.message}`);
+                result = await callAPIWithRetry(
+                    builderName,
+                    problemStatement,
+                    buildRepairPrompt(contextualPrompt, result?.response, error),
+                    apiCircuitBreaker,
+                    repairOptions
+                );
+            }
+        }
+    }
+
     /**
      * Przetwarza wynik z API AI
+     * @param {Object} structured - Wynik resolveStructuredResult w trybie strukturalnym
      */
-    processAIResult(result, roleKey, latency) {
+    processAIResult(result, roleKey, latency, structured = null) {
         if (!result || !result.response) {
             throw new Error(`Invalid AI response structure for ${roleKey}`);
         }
         
-        // Validate response quality
-        const content = result.response.trim();
+        // Structured contributions are rendered to text for consensus and later roles
+        const data = structured?.data || null;
+        const content = data ? renderStructuredContribution(data) : result.response.trim();
         if (content.length < 20) {
             console.warn(`⚠️ Short response from ${roleKey}: ${content.length} characters`);
         }
         
-        // Apply role-specific quality adjustments
-        const adjustedQuality = this.adjustQualityForRole(result.quality || 7.0, roleKey);
-        const adjustedConfidence = this.adjustConfidenceForRole(result.confidence || 0.7, roleKey);
+        // Apply role-specific quality adjustments; structured answers rate their own confidence
+        const adjustedQuality = this.adjustQualityForRole(data ? assessStructuredQuality(data) : (result.quality || 7.0), roleKey);
+        const adjustedConfidence = data
+            ? Math.min(1.0, Math.max(0.1, data.confidence))
+            : this.adjustConfidenceForRole(result.confidence || 0.7, roleKey);
         
-        return {
+        const processed = {
             content: content,
             quality: adjustedQuality,
             confidence: adjustedConfidence,
@@ -280,6 +733,22 @@ export class AdvancedAIEngine {
             cached: result.cached || false,
             fallback: result.fallback || false
         };
+
+        if (result.ensemble) {
+            processed.ensemble = result.ensemble;
+        }
+
+        if (result.semanticMatch) {
+            processed.semanticMatch = result.semanticMatch;
+        }
+
+        if (structured) {
+            processed.structured = data;
+            processed.structuredRepairs = structured.repairs;
+            if (structured.error) processed.structuredError = structured.error;
+        }
+
+        return processed;
     }
     
     /**
@@ -321,7 +790,7 @@ export class AdvancedAIEngine {
         // Strategy 2: Use cached response if available
         try {
             console.log(`💾 Checking cache for similar ${roleKey} contribution...`);
-            const cachedResult = responseCache.get(roleKey, problemStatement, contextualPrompt);
+            const cachedResult = await responseCache.get(roleKey, problemStatement, contextualPrompt);
             if (cachedResult && cachedResult.response) {
                 console.log(`✅ Using cached response for ${roleKey}`);
                 return {
@@ -407,35 +876,137 @@ export class AdvancedAIEngine {
      * Pobiera temperaturę odpowiednią dla roli
      */
     getTemperatureForRole(roleKey) {
-        const temperatures = {
-            architect: 0.4,    // Structured, analytical
-            catalyst: 0.8,     // Creative, innovative  
-            synthesizer: 0.6,  // Balanced integration
-            evaluator: 0.3     // Precise, critical
-        };
-        return temperatures[roleKey] || 0.6;
+        return this.roles[roleKey]?.temperature ?? 0.6;
     }
     
     /**
      * Pobiera maksymalną liczbę tokenów dla roli
      */
     getMaxTokensForRole(roleKey) {
-        const tokenLimits = {
-            architect: 400,     // Detailed analysis
-            catalyst: 350,      // Creative ideas
-            synthesizer: 450,   // Comprehensive synthesis
-            evaluator: 300      // Focused evaluation
-        };
-        return tokenLimits[roleKey] || 350;
+        return this.roles[roleKey]?.maxTokens ?? 350;
     }
     
     /**
-     * Pobiera preferowany model dla roli
+     * Pobiera preferowany model dla roli (null = domyślny model dostawcy)
      */
     getModelForRole(roleKey) {
-        // Could implement role-specific model preferences
-        // For now, use default from config
-        return null; // Will use default from API config
+        return this.roles[roleKey]?.model || null;
+    }
+
+    /**
+     * Tworzy strażnika budżetu sesji (null gdy egzekwowanie jest wyłączone)
+     * @param {number} spent - Cost already spent by a resumed session
+     */
+    createBudgetGuard(spent = 0) {
+        if (this.budgetOptions === false) return null;
+        return new BudgetGuard({ ...this.budgetOptions, spent });
+    }
+
+    /**
+     * Szacuje koszt pełnego rozwiązania problemu przed jego uruchomieniem
+     * Every role is assumed to use its whole maxTokens, and dependent roles to receive
+     * their dependencies' full answers, so the per-iteration figure is an upper bound.
+     * @param {string} problemStatement - Problem to solve
+     * @returns {Object} { roles, perIteration, iterations, cost, budget, notes }
+     */
+    estimateSolveCost(problemStatement) {
+        const apiStatus = getAPIStatus();
+        const defaultProvider = apiStatus.bestProvider !== 'mock' ? apiStatus.bestProvider : apiStatus.defaultProvider;
+
+        const estimateCall = (provider, model, promptTokens, completionTokens) => ({
+            provider,
+            model,
+            promptTokens,
+            completionTokens,
+            cost: estimateCallCost(getModelPricing(provider, model), promptTokens, completionTokens)
+        });
+
+        const roles = this.pipeline.flat().map(roleKey => {
+            const role = this.roles[roleKey];
+            const maxTokens = this.getMaxTokensForRole(roleKey);
+
+            // Dependencies enter the prompt as "- Name: <answer>"; answers are counted at their limit
+            const placeholders = Object.fromEntries(role.dependsOn.map(dependency => [dependency, { content: '' }]));
+            const contextualPrompt = this.buildContextualPrompt(role, problemStatement, placeholders);
+            const dependencyTokens = role.dependsOn.reduce((sum, dependency) => sum + this.getMaxTokensForRole(dependency), 0);
+            const messages = [
+                role.systemPrompt || getSystemPrompt(role.builder || roleKey),
+                `Temat: ${problemStatement}\n\nPrompt: ${this.structuredOutput ? buildStructuredPrompt(contextualPrompt) : contextualPrompt}`
+            ];
+
+            // Ensemble members use their own model or the provider default (see src/ensemble.js)
+            const members = role.ensemble
+                ? role.ensemble.members.map(member => typeof member === 'string' ? { provider: member } : member)
+                : [{ provider: role.provider || defaultProvider, model: role.model }];
+
+            const calls = members.map(({ provider, model }) => {
+                const resolvedModel = model || providerRegistry.get(provider)?.config.model || null;
+                return estimateCall(provider, resolvedModel, countChatTokens(messages, resolvedModel) + dependencyTokens, maxTokens);
+            });
+
+            if (role.ensemble?.strategy === 'merge') {
+                const mergeProvider = role.ensemble.strategyOptions?.provider || calls[0].provider;
+                const mergeModel = role.ensemble.strategyOptions?.model || providerRegistry.get(mergeProvider)?.config.model || null;
+                calls.push(estimateCall(mergeProvider, mergeModel, calls[0].promptTokens + calls.length * maxTokens, maxTokens));
+            }
+
+            return {
+                role: roleKey,
+                name: role.name,
+                calls,
+                promptTokens: calls.reduce((sum, call) => sum + call.promptTokens, 0),
+                completionTokens: calls.reduce((sum, call) => sum + call.completionTokens, 0),
+                cost: calls.reduce((sum, call) => sum + call.cost, 0)
+            };
+        });
+
+        const perIteration = {
+            promptTokens: roles.reduce((sum, role) => sum + role.promptTokens, 0),
+            completionTokens: roles.reduce((sum, role) => sum + role.completionTokens, 0),
+            cost: roles.reduce((sum, role) => sum + role.cost, 0)
+        };
+
+        return {
+            roles,
+            perIteration,
+            iterations: { min: 1, max: this.maxIterations },
+            cost: { min: perIteration.cost, max: perIteration.cost * this.maxIterations },
+            budget: this.budget
+                ? {
+                    mode: this.budget.mode,
+                    sessionLimit: this.budget.sessionLimit,
+                    dailyRemaining: Math.max(0, this.budget.getRemaining().daily),
+                    fitsSessionLimit: perIteration.cost * this.maxIterations <= this.budget.sessionLimit,
+                    affordableIterations: perIteration.cost > 0
+                        ? Math.min(this.maxIterations, Math.floor(this.budget.sessionLimit / perIteration.cost))
+                        : this.maxIterations
+                }
+                : null,
+            notes: ['Excludes LLM quality judge calls, structured output repairs and cache hits']
+        };
+    }
+
+    /**
+     * Zwraca konfigurację zespołu modeli dla roli
+     * Ensembles need real providers; in mock mode the role is called once as usual.
+     */
+    getEnsembleForRole(roleKey, apiStatus = getAPIStatus()) {
+        const ensemble = this.roles[roleKey]?.ensemble;
+        if (!ensemble || !apiStatus.realAIEnabled || apiStatus.mockMode) {
+            return null;
+        }
+        return ensemble;
+    }
+
+    /**
+     * Zwraca wkłady ról, od których zależy dana rola (w kolejności zależności)
+     */
+    getDependencyContributions(roleKey, contributions) {
+        return Object.fromEntries(
+            this.roles[roleKey].dependsOn
+                .filter(dependency => contributions[dependency])
+                .map(dependency => [dependency, contributions[dependency]])
+        );
     }
     
     /**
@@ -481,29 +1052,51 @@ export class AdvancedAIEngine {
             });
         }
 
+        const guidance = this.currentGuidance || [];
+        if (guidance.length > 0) {
+            prompt += '\nGuidance from the human reviewers:\n';
+            guidance.forEach(entry => {
+                prompt += `- ${entry.author}: ${entry.text}\n`;
+            });
+        }
+
+        const vetoes = this.sessionState.vetoes || [];
+        if (vetoes.length > 0) {
+            prompt += '\nDirections vetoed by the reviewers (do not pursue them):\n';
+            vetoes.forEach(veto => {
+                prompt += `- ${veto.text}\n`;
+            });
+        }
+
         prompt += `\nProvide your analysis focusing on: ${role.expertise.join(', ')}.`;
         return prompt;
     }
 
     /**
      * Oblicza metryki dla iteracji
+     * Ocena sędziego (rubryka i wyniki kryteriów) jest zapisywana w iteration.evaluation
      */
-    async calculateIterationMetrics(iteration) {
+    async calculateIterationMetrics(iteration, problemStatement = '', signal = null) {
         const contributions = Object.values(iteration.contributions);
         const contents = contributions.map(c => c.content);
+
+        iteration.evaluation = await this.evaluateContributions(iteration, problemStatement, signal);
+        const evaluations = iteration.evaluation.contributions;
         
-        // Quality: weighted average of individual qualities
+        // Quality: role-weighted average of the judged scores
         const totalWeight = Object.keys(iteration.contributions)
             .reduce((sum, key) => sum + (this.roles[key]?.weight || 1), 0);
+        const weightedAverage = (valueOf) => Object.keys(iteration.contributions)
+            .reduce((sum, key) => sum + valueOf(key) * (this.roles[key]?.weight || 1), 0) / totalWeight;
         
-        const quality = Object.entries(iteration.contributions)
-            .reduce((sum, [key, contrib]) => {
-                const weight = this.roles[key]?.weight || 1;
-                return sum + (contrib.quality * weight);
-            }, 0) / totalWeight;
+        const quality = weightedAverage(key => evaluations[key].score);
+        const criteria = Object.fromEntries(iteration.evaluation.rubric.criteria.map(({ key: criterion }) => [
+            criterion,
+            Math.round(weightedAverage(key => evaluations[key].criteria[criterion] ?? 0) * 100) / 100
+        ]));
 
-        // Consensus: TF-IDF similarity
-        const consensus = contents.length > 1 ? computeTFIDF(contents) : 1.0;
+        // Consensus: similarity from the configured scorer
+        const { consensus, scorer } = await this.scoreConsensus(contents);
 
         // Diversity: inverse of consensus (more diversity = less consensus)
         const diversity = 1 - consensus;
@@ -515,23 +1108,95 @@ export class AdvancedAIEngine {
             quality: Math.min(10, Math.max(0, quality)),
             consensus: Math.min(1, Math.max(0, consensus)),
             diversity: Math.min(1, Math.max(0, diversity)),
-            novelty: Math.min(1, Math.max(0, novelty))
+            novelty: Math.min(1, Math.max(0, novelty)),
+            criteria,
+            consensusScorer: scorer,
+            qualityJudge: iteration.evaluation.judge
         };
     }
 
+    /**
+     * Ocenia każdy wkład sędzią jakości, z lokalną rubryką jako awaryjną
+     * @returns {Object} { judge, rubric, contributions: { [roleKey]: { score, criteria, judge, rationale } } }
+     */
+    async evaluateContributions(iteration, problemStatement, signal = null) {
+        const entries = Object.entries(iteration.contributions);
+        const judgeName = this.qualityJudge.name || 'custom';
+        const evaluations = {};
+
+        for (const [roleKey, contribution] of entries) {
+            const context = {
+                problem: problemStatement,
+                roleKey,
+                role: this.roles[roleKey]?.name || roleKey,
+                others: entries.filter(([key]) => key !== roleKey).map(([, other]) => other.content),
+                signal,
+                budget: this.budget
+            };
+
+            try {
+                evaluations[roleKey] = await this.qualityJudge.evaluate(contribution.content, context);
+            } catch (error) {
+                if (error.name === 'AbortError' || this.qualityJudge instanceof RubricJudge) throw error;
+
+                console.warn(`⚠️ Quality judge ${judgeName} failed for ${roleKey}, using rubric:`, error.message);
+                evaluations[roleKey] = await this.fallbackJudge.evaluate(contribution.content, context);
+            }
+        }
+
+        return { judge: judgeName, rubric: this.qualityRubric, contributions: evaluations };
+    }
+
+    /**
+     * Liczy konsensus wybranym scorerem, z TF-IDF jako awaryjnym
+     */
+    async scoreConsensus(contents) {
+        const scorerName = this.consensusScorer.name || 'custom';
+
+        try {
+            return { consensus: await this.consensusScorer.score(contents), scorer: scorerName };
+        } catch (error) {
+            if (this.consensusScorer instanceof TFIDFScorer) throw error;
+
+            console.warn(`⚠️ Consensus scorer ${scorerName} failed, using TF-IDF:`, error.message);
+            return { consensus: await this.fallbackScorer.score(contents), scorer: this.fallbackScorer.name };
+        }
+    }
+
     /**
      * Sprawdza czy nastąpiła konwergencja
+     * Uzasadnienie decyzji trafia do iteration.convergence
      */
     hasConverged(iteration) {
-        const { quality, consensus } = iteration.metrics;
+        const { quality, consensus, criteria } = iteration.metrics;
         
         // Dynamic consensus threshold based on quality
         const dynamicThreshold = this.minConsensusThreshold + 
             (this.maxConsensusThreshold - this.minConsensusThreshold) * 
             Math.min(1, quality / 10);
 
-        return quality >= this.qualityThreshold && 
-               consensus >= dynamicThreshold;
+        // Rubric criteria with a threshold must each reach it (older checkpoints have no criteria)
+        const rubric = iteration.evaluation?.rubric || this.qualityRubric;
+        const failedCriteria = criteria
+            ? rubric.criteria
+                .filter(({ key, threshold }) => threshold !== undefined && (criteria[key] ?? 0) < threshold)
+                .map(({ key }) => key)
+            : [];
+
+        const converged = quality >= this.qualityThreshold && 
+               consensus >= dynamicThreshold &&
+               failedCriteria.length === 0;
+
+        iteration.convergence = {
+            converged,
+            quality,
+            qualityThreshold: this.qualityThreshold,
+            consensus,
+            consensusThreshold: dynamicThreshold,
+            failedCriteria
+        };
+
+        return converged;
     }
 
     /**
@@ -549,29 +1214,96 @@ export class AdvancedAIEngine {
 
     /**
      * Stosuje strategię przełamania stagnacji
+     * Picks a strategy from the library and schedules its plan for the next iteration.
+     * @param {Object} iteration - The stagnating iteration (its metrics are the baseline for the effect)
+     * @returns {Object|null} Breakthrough record, or null when no strategy applies to these roles
      */
-    async applyBreakthroughStrategy(problemStatement) {
+    async applyBreakthroughStrategy(problemStatement, iteration = null) {
         console.log('🎯 Applying breakthrough strategy...');
-        
-        // Add random perturbation to catalyst role
-        const originalWeight = this.roles.catalyst.weight;
-        this.roles.catalyst.weight *= 1.5; // Boost creativity
-        
-        // Add entropy to problem statement
-        const perturbedProblem = `${problemStatement} [Consider unconventional approaches and challenge standard assumptions]`;
-        
+
+        const history = this.sessionState.breakthroughHistory;
+        const context = {
+            problem: problemStatement,
+            roles: this.roles,
+            finalRoleKey: this.finalRoleKey,
+            bestSolution: iteration?.contributions?.[this.finalRoleKey]?.content || null,
+            iteration,
+            random: this.breakthroughRandom
+        };
+
+        // Strategies return null when they do not fit the pipeline (e.g. persona swap with one role)
+        let candidates = [...this.breakthroughStrategies];
+        let plan = null;
+        while (!plan && candidates.length > 0) {
+            const strategy = selectBreakthroughStrategy(candidates, history, this.breakthroughRandom);
+            plan = strategy.plan(context);
+            candidates = candidates.filter(candidate => candidate !== strategy);
+        }
+
+        if (!plan) {
+            console.warn('⚠️ No breakthrough strategy applies to the current roles');
+            return null;
+        }
+
+        const record = {
+            strategy: plan.strategy,
+            description: plan.description,
+            appliedAfter: iteration?.number ?? this.sessionState.iteration,
+            before: iteration?.metrics
+                ? { quality: iteration.metrics.quality, consensus: iteration.metrics.consensus }
+                : null,
+            after: null,
+            effect: null
+        };
+
+        history.push(record);
+        this.sessionState.pendingBreakthrough = plan;
         this.sessionState.breakthroughs++;
-        
-        // Reset after one iteration
-        setTimeout(() => {
-            this.roles.catalyst.weight = originalWeight;
-        }, 2000);
+
+        console.log(`💡 Breakthrough strategy for the next iteration: ${plan.strategy} (${plan.description})`);
+        return record;
+    }
+
+    /**
+     * Zapisuje wpływ strategii przełamania na metryki iteracji, w której ją zastosowano
+     */
+    recordBreakthroughEffect(iteration) {
+        // Latest open record of this strategy (no findLast on Node 16)
+        const record = [...this.sessionState.breakthroughHistory].reverse().find(entry =>
+            entry.strategy === iteration.breakthrough.strategy && !entry.after
+        );
+        if (!record) return;
+
+        record.after = { quality: iteration.metrics.quality, consensus: iteration.metrics.consensus };
+        if (record.before) {
+            record.effect = {
+                quality: record.after.quality - record.before.quality,
+                consensus: record.after.consensus - record.before.consensus
+            };
+        }
+        iteration.breakthrough.effect = record.effect;
+
+        console.log(`💡 Breakthrough ${record.strategy} effect:`, record.effect);
     }
 
     /**
      * Generuje finalne rozwiązanie
      */
     async generateFinalSolution(iterations) {
+        // A session can stop (e.g. over budget) before its first iteration completes
+        if (iterations.length === 0) {
+            return {
+                primary: 'No primary solution generated',
+                primaryRole: this.finalRoleKey,
+                supporting: {},
+                contributions: {},
+                confidence: 0,
+                consensus: 0,
+                iterationsUsed: 0,
+                timestamp: Date.now()
+            };
+        }
+
         const bestIteration = iterations.reduce((best, current) => 
             current.metrics.quality > best.metrics.quality ? current : best
         );
@@ -581,19 +1313,35 @@ export class AdvancedAIEngine {
         );
 
         return {
-            primary: bestIteration.contributions.synthesizer?.content || 'No primary solution generated',
+            primary: bestIteration.contributions[this.finalRoleKey]?.content || 'No primary solution generated',
+            primaryRole: this.finalRoleKey,
             supporting: {
                 analysis: bestIteration.contributions.architect?.content,
                 alternatives: bestIteration.contributions.catalyst?.content,
                 evaluation: bestIteration.contributions.evaluator?.content
             },
+            contributions: Object.fromEntries(
+                this.pipeline.flat()
+                    .filter(roleKey => bestIteration.contributions[roleKey])
+                    .map(roleKey => [roleKey, bestIteration.contributions[roleKey].content])
+            ),
             confidence: bestIteration.metrics.quality / 10,
             consensus: bestIteration.metrics.consensus,
             iterationsUsed: iterations.length,
+            ...(this.structuredOutput ? { structured: this.collectStructuredContributions(bestIteration) } : {}),
             timestamp: Date.now()
         };
     }
 
+    /**
+     * Zbiera ustrukturyzowane wkłady ról z iteracji (null dla ról bez poprawnego JSON)
+     */
+    collectStructuredContributions(iteration) {
+        return Object.fromEntries(
+            Object.entries(iteration.contributions).map(([roleKey, contribution]) => [roleKey, contribution.structured || null])
+        );
+    }
+
     /**
      * Oblicza finalne metryki sesji
      */
@@ -603,11 +1351,13 @@ export class AdvancedAIEngine {
         
         return {
             totalTime: Date.now() - session.startTime,
-            avgQuality: qualities.reduce((a, b) => a + b, 0) / qualities.length,
+            avgQuality: qualities.length > 0 ? qualities.reduce((a, b) => a + b, 0) / qualities.length : 0,
             finalConsensus: consensuses[consensuses.length - 1] || 0,
             breakthroughs: this.sessionState.breakthroughs,
+            breakthroughHistory: this.sessionState.breakthroughHistory.map(record => ({ ...record })),
             efficiency: qualities.length / this.maxIterations,
-            convergenceRate: this.sessionState.iteration / this.maxIterations
+            convergenceRate: this.sessionState.iteration / this.maxIterations,
+            cost: this.budget?.spent ?? this.sessionState.costSpent
         };
     }
 
@@ -625,8 +1375,22 @@ export class AdvancedAIEngine {
         return squaredDiffs.reduce((a, b) => a + b, 0) / numbers.length;
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                try {
+                    this.throwIfAborted(signal);
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     // Public API for monitoring
@@ -640,7 +1404,12 @@ export class AdvancedAIEngine {
             consensusHistory: [],
             qualityHistory: [],
             breakthroughs: 0,
-            stagnationCounter: 0
+            stagnationCounter: 0,
+            pendingBreakthrough: null,
+            breakthroughHistory: [],
+            costSpent: 0,
+            pendingGuidance: [],
+            vetoes: []
         };
     }
 }
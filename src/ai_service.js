@@ -2,7 +2,7 @@ import appConfig, { getAvailableProviders } from './config.js';
 
 /**
  * AI Service Provider for integrating with real AI APIs
- * Supports OpenAI, Anthropic (Claude), and Google (Gemini)
+ * Supports OpenAI, Anthropic (Claude), Google (Gemini) and self-hosted OpenAI-compatible servers
  */
 export class AIService {
   constructor() {
@@ -46,6 +46,38 @@ export class AIService {
     return await response.json();
   }
 
+  /**
+   * Call a self-hosted OpenAI-compatible server (Ollama, llama.cpp)
+   */
+  async callLocal(messages, options = {}) {
+    if (!appConfig.local.baseURL) {
+      throw new Error('Local AI endpoint not configured');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (appConfig.local.apiKey) {
+      headers['Authorization'] = `Bearer ${appConfig.local.apiKey}`;
+    }
+
+    const response = await fetch(`${appConfig.local.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: options.model || appConfig.local.model,
+        messages,
+        max_tokens: options.maxTokens || appConfig.local.maxTokens,
+        temperature: options.temperature || 0.7
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Local AI error (${response.status}): ${error}`);
+    }
+
+    return await response.json();
+  }
+
   /**
    * Call Anthropic (Claude) API
    */
@@ -175,6 +207,9 @@ export class AIService {
         case 'google':
           response = await this.callGoogle(messages, options);
           break;
+        case 'local':
+          response = await this.callLocal(messages, options);
+          break;
         default:
           throw new Error(`Unsupported AI provider: ${this.currentProvider}`);
       }
@@ -1,25 +1,35 @@
 import { responseCache } from './cache.js';
 import { metricsCollector } from './metrics.js';
+import { providerRegistry, createProviderError } from './providers/index.js';
+import { readSSEData } from './providers/stream.js';
+import { countChatTokens, fillUsage } from './tokenizer.js';
 
 /**
  * Rate Limiting Manager
- * Implements simple rate limiting to prevent API abuse
+ * Implements simple rate limiting to prevent API abuse.
+ * Start times are spaced by 1/requestsPerSecond and at most maxConcurrent
+ * requests are in flight, so concurrent callers queue instead of bursting.
  */
 class RateLimiter {
-    constructor(requestsPerSecond = 1) {
+    constructor(requestsPerSecond = 1, maxConcurrent = 4) {
         this.requestsPerSecond = requestsPerSecond;
+        this.maxConcurrent = maxConcurrent;
         this.lastRequestTime = 0;
+        this.nextSlotTime = 0;
+        this.active = 0;
         this.requestQueue = [];
-        this.processing = false;
     }
 
     async waitForSlot() {
         const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
         const minInterval = 1000 / this.requestsPerSecond;
+
+        // Reserve the slot before waiting so parallel callers get distinct slots
+        const slot = Math.max(now, this.nextSlotTime);
+        this.nextSlotTime = slot + minInterval;
         
-        if (timeSinceLastRequest < minInterval) {
-            const waitTime = minInterval - timeSinceLastRequest;
+        if (slot > now) {
+            const waitTime = slot - now;
             console.log(`⏱️ Rate limiting: waiting ${waitTime}ms...`);
             await new Promise(resolve => setTimeout(resolve, waitTime));
         }
@@ -27,310 +37,259 @@ class RateLimiter {
         this.lastRequestTime = Date.now();
     }
 
+    async acquire() {
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+            return;
+        }
+        // release() hands its slot straight to the next waiter
+        await new Promise(resolve => this.requestQueue.push(resolve));
+    }
+
+    release() {
+        const next = this.requestQueue.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
     async execute(fn) {
-        await this.waitForSlot();
-        return await fn();
+        await this.acquire();
+        try {
+            await this.waitForSlot();
+            return await fn();
+        } finally {
+            this.release();
+        }
     }
 }
 
 // Global rate limiter instance
 const rateLimiter = new RateLimiter(
-    parseFloat(process.env.API_RATE_LIMIT) || 1 // 1 request per second by default
+    parseFloat(process.env.API_RATE_LIMIT) || 1, // 1 request per second by default
+    parseInt(process.env.API_MAX_CONCURRENCY) || 4
 );
 
 /**
  * Configuration for API behavior
+ * Provider-specific settings live in the adapters under ./providers
  */
 const API_CONFIG = {
     enableRealAI: process.env.ENABLE_REAL_AI === 'true',
     mockMode: process.env.MOCK_MODE === 'true',
     defaultProvider: process.env.DEFAULT_AI_PROVIDER || 'openai',
-    
-    // OpenAI Configuration
-    openaiApiKey: process.env.OPENAI_API_KEY,
-    openaiModel: process.env.OPENAI_MODEL || 'gpt-4',
-    openaiMaxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000,
-    openaiBaseURL: 'https://api.openai.com/v1',
-    
-    // Anthropic Configuration
-    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-    anthropicModel: process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
-    anthropicMaxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 1000,
-    anthropicBaseURL: 'https://api.anthropic.com',
-    
-    // Google Configuration
-    googleApiKey: process.env.GOOGLE_API_KEY,
-    googleModel: process.env.GOOGLE_MODEL || 'gemini-pro',
-    googleMaxTokens: parseInt(process.env.GOOGLE_MAX_TOKENS) || 1000,
-    googleBaseURL: 'https://generativelanguage.googleapis.com/v1beta'
+
+    // Mock API - relative in the browser, absolute when the engine runs server-side
+    mockBaseURL: process.env.MOCK_API_URL ||
+        (typeof window === 'undefined' ? `http://localhost:${process.env.PORT || 3000}` : '')
 };
 
 /**
- * Call OpenAI GPT-4 API directly
+ * Call a registered AI provider
+ * Handles caching, rate limiting, error classification and metrics for any adapter.
+ * When `options.onDelta` is set and the adapter supports it, the response is streamed
+ * and `onDelta({ delta, text, provider })` is called for every partial chunk.
+ * @param {string} providerName - Registered provider name
  * @param {string} builder - AI agent role (builder1, builder2, synthesizer, evaluator)
  * @param {string} topic - Problem topic
  * @param {string} prompt - User prompt
  * @param {Object} options - Additional options
  * @returns {Promise<Object>} API response
  */
-export async function callOpenAI(builder, topic, prompt, options = {}) {
-    // Check cache first
-    const cached = responseCache.get(builder, topic, prompt, options);
-    if (cached) {
-        return cached;
+async function callProvider(providerName, builder, topic, prompt, options = {}) {
+    const adapter = providerRegistry.get(providerName);
+    if (!adapter) {
+        throw new Error(`Unsupported AI provider: ${providerName}`);
     }
 
-    if (!API_CONFIG.openaiApiKey) {
-        throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY in .env file.');
-    }
+    const systemPrompt = options.systemPrompt || getSystemPrompt(builder);
+    const userContent = `Temat: ${topic}\n\nPrompt: ${prompt}`;
 
-    if (!API_CONFIG.openaiApiKey.startsWith('sk-')) {
-        throw new Error('Invalid OpenAI API key format. Key should start with "sk-"');
+    // Check cache first (exact, then similar prompts); entries stored before usage was filled in get it now
+    // Entries are namespaced per provider/model, so answers are never served across models
+    const cacheOptions = { ...options, provider: adapter.name, model: options.model || adapter.config.model };
+    const cached = await responseCache.get(builder, topic, prompt, cacheOptions) ||
+        await responseCache.getSemantic(builder, topic, prompt, cacheOptions);
+    if (cached) {
+        const cachedModel = cached.model || options.model || adapter.config.model;
+        return {
+            ...cached,
+            // Nothing was streamed for this call, so callers relay the whole response themselves
+            streamed: false,
+            usage: fillUsage(cached.usage, {
+                model: cachedModel,
+                promptTokens: countChatTokens([systemPrompt, userContent], cachedModel),
+                completion: cached.response
+            })
+        };
     }
 
-    const systemPrompt = getSystemPrompt(builder);
-    const userContent = `Temat: ${topic}\n\nPrompt: ${prompt}`;
+    const authError = adapter.authError();
+    if (authError) {
+        throw createProviderError(authError, 'auth', { provider: adapter.name });
+    }
 
-    const requestBody = {
-        model: options.model || API_CONFIG.openaiModel,
-        messages: [
-            {
-                role: 'system',
-                content: systemPrompt
-            },
-            {
-                role: 'user',
-                content: userContent
-            }
-        ],
-        max_tokens: options.maxTokens || API_CONFIG.openaiMaxTokens,
-        temperature: options.temperature || 0.7,
-        top_p: options.topP || 1,
-        frequency_penalty: options.frequencyPenalty || 0,
-        presence_penalty: options.presencePenalty || 0,
-        stream: false
-    };
+    let model = options.model || adapter.config.model;
+    const promptTokens = countChatTokens([systemPrompt, userContent], model);
+
+    // Budget check before anything is sent; may switch to a cheaper model or throw budget_exceeded
+    const reservation = options.budget
+        ? options.budget.authorize({
+            provider: adapter.name,
+            model,
+            promptTokens,
+            maxTokens: options.maxTokens || adapter.config.maxTokens
+        })
+        : null;
+    if (reservation) model = reservation.model;
+
+    const stream = typeof options.onDelta === 'function' && typeof adapter.parseStreamEvent === 'function';
+    const request = adapter.buildRequest({
+        systemPrompt,
+        userContent,
+        model,
+        options,
+        stream
+    });
 
     const startTime = Date.now();
-    
-    try {
-        console.log(`🤖 Calling OpenAI API for ${builder}...`);
-        
-        // Apply rate limiting
-        const response = await rateLimiter.execute(async () => {
-            return await fetch(`${API_CONFIG.openaiBaseURL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${API_CONFIG.openaiApiKey}`,
-                'User-Agent': 'IES-Kitsune/1.0'
-            },
-            body: JSON.stringify(requestBody)
-            });
-        });
 
-        // Handle specific OpenAI error codes
-        if (response.status === 401) {
-            throw new Error('OpenAI API: Unauthorized - Check your API key');
-        }
-        if (response.status === 402) {
-            throw new Error('OpenAI API: Payment required - Check your billing');
-        }
-        if (response.status === 429) {
-            throw new Error('OpenAI API: Rate limit exceeded - Try again later');
-        }
-        if (response.status === 500) {
-            throw new Error('OpenAI API: Server error - Try again later');
-        }
-        if (response.status === 503) {
-            throw new Error('OpenAI API: Service unavailable - Try again later');
-        }
+    try {
+        console.log(`🤖 Calling ${adapter.displayName} API for ${builder}...`);
 
-        if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`OpenAI API error (${response.status}): ${errorData}`);
-        }
+        // Apply rate limiting; the concurrency slot is held until the body is read
+        const parsed = await rateLimiter.execute(async () => {
+            const response = await fetch(request.url, { ...request.init, signal: options.signal });
 
-        const data = await response.json();
-        
-        // Validate response structure
-        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-            throw new Error('Invalid response structure from OpenAI API');
-        }
+            if (!response.ok) {
+                const errorData = await response.text();
+                const { category, message } = adapter.classifyError(response.status, errorData);
+                throw createProviderError(message, category, { provider: adapter.name, status: response.status });
+            }
 
-        const content = data.choices[0].message.content;
-        const usage = data.usage || {};
+            return stream
+                ? await readProviderStream(adapter, response.body, { model, onDelta: options.onDelta })
+                : adapter.parseResponse(await response.json(), { model });
+        });
+        // Google and some local servers omit usage; estimate what is missing
+        const usage = fillUsage(parsed.usage, { model: parsed.model || model, promptTokens, completion: parsed.content });
 
         const latency = Date.now() - startTime;
-        console.log(`✅ OpenAI API call successful for ${builder}`);
+        console.log(`✅ ${adapter.displayName} API call successful for ${builder}`);
         console.log(`📊 Tokens used: ${usage.total_tokens || 'unknown'}`);
 
         // Prepare response object
         const result = {
-            response: content,
-            quality: assessResponseQuality(content),
-            confidence: assessResponseConfidence(content),
-            provider: 'openai',
-            model: data.model,
+            response: parsed.content,
+            quality: assessResponseQuality(parsed.content),
+            confidence: assessResponseConfidence(parsed.content),
+            provider: adapter.name,
+            model: parsed.model || model,
             usage: usage,
-            finishReason: data.choices[0].finish_reason,
+            finishReason: parsed.finishReason,
+            streamed: stream,
             latency
         };
 
+        if (reservation?.downgradedFrom) {
+            result.budgetDowngrade = { from: reservation.downgradedFrom, to: model };
+        }
+
         // Record metrics
-        metricsCollector.recordAPICall('openai', data.model, builder, usage, latency);
-        
-        // Cache successful response
-        responseCache.set(builder, topic, prompt, result, options);
+        metricsCollector.recordAPICall(adapter.name, result.model, builder, usage, latency);
+        options.budget?.settle(reservation, metricsCollector.calculateCost(adapter.name, result.model, usage));
+
+        // Cache successful response; downgraded answers under the model that produced them
+        await responseCache.set(builder, topic, prompt, result, reservation?.downgradedFrom ? { ...cacheOptions, model } : cacheOptions);
 
         return result;
 
     } catch (error) {
+        options.budget?.settle(reservation, 0);
+
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+
         const latency = Date.now() - startTime;
-        console.error(`❌ OpenAI API call failed for ${builder}:`, error.message);
-        
+        console.error(`❌ ${adapter.displayName} API call failed for ${builder}:`, error.message);
+
         // Record failed metrics
-        metricsCollector.recordAPICall('openai', options.model || API_CONFIG.openaiModel, builder, { total_tokens: 0 }, latency, error);
-        
+        metricsCollector.recordAPICall(adapter.name, model, builder, { total_tokens: 0 }, latency, error);
+
         // Re-throw with more context
-        if (error.message.includes('fetch')) {
-            throw new Error(`Network error calling OpenAI API: ${error.message}`);
+        if (!error.category) {
+            throw createProviderError(
+                `Network error calling ${adapter.displayName} API: ${error.message}`,
+                'network',
+                { provider: adapter.name }
+            );
         }
         throw error;
     }
 }
 
 /**
- * Call Anthropic Claude API directly
- * @param {string} builder - AI agent role (builder1, builder2, synthesizer, evaluator)
- * @param {string} topic - Problem topic
- * @param {string} prompt - User prompt
- * @param {Object} options - Additional options
- * @returns {Promise<Object>} API response
+ * Consume a streamed provider response, relaying text deltas as they arrive
+ * @param {Object} adapter - Provider adapter with parseStreamEvent
+ * @param {ReadableStream} body - fetch Response.body
+ * @param {Object} context - { model, onDelta }
+ * @returns {Promise<Object>} Parsed response in the parseResponse shape
  */
-export async function callAnthropic(builder, topic, prompt, options = {}) {
-    // Check cache first
-    const cached = responseCache.get(builder, topic, prompt, options);
-    if (cached) {
-        return cached;
-    }
-
-    if (!API_CONFIG.anthropicApiKey) {
-        throw new Error('Anthropic API key not configured. Set ANTHROPIC_API_KEY in .env file.');
-    }
-
-    if (!API_CONFIG.anthropicApiKey.startsWith('sk-ant-')) {
-        throw new Error('Invalid Anthropic API key format. Key should start with "sk-ant-"');
-    }
-
-    const systemPrompt = getSystemPrompt(builder);
-    const userContent = `Temat: ${topic}\n\nPrompt: ${prompt}`;
-
-    const requestBody = {
-        model: options.model || API_CONFIG.anthropicModel,
-        max_tokens: options.maxTokens || API_CONFIG.anthropicMaxTokens,
-        temperature: options.temperature || 0.7,
-        system: systemPrompt,
-        messages: [
-            {
-                role: 'user',
-                content: userContent
-            }
-        ]
-    };
-
-    const startTime = Date.now();
-    
-    try {
-        console.log(`🧠 Calling Anthropic Claude API for ${builder}...`);
-        
-        // Apply rate limiting
-        const response = await rateLimiter.execute(async () => {
-            return await fetch(`${API_CONFIG.anthropicBaseURL}/v1/messages`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': API_CONFIG.anthropicApiKey,
-                'anthropic-version': '2023-06-01',
-                'User-Agent': 'IES-Kitsune/1.0'
-            },
-            body: JSON.stringify(requestBody)
-            });
-        });
+async function readProviderStream(adapter, body, { model, onDelta }) {
+    let content = '';
+    let finishReason;
+    const usage = {};
 
-        // Handle specific Anthropic error codes
-        if (response.status === 401) {
-            throw new Error('Anthropic API: Unauthorized - Check your API key');
-        }
-        if (response.status === 402) {
-            throw new Error('Anthropic API: Payment required - Check your billing');
-        }
-        if (response.status === 429) {
-            throw new Error('Anthropic API: Rate limit exceeded - Try again later');
-        }
-        if (response.status === 500) {
-            throw new Error('Anthropic API: Server error - Try again later');
-        }
-        if (response.status === 529) {
-            throw new Error('Anthropic API: Overloaded - Try again later');
-        }
+    for await (const event of readSSEData(body)) {
+        const chunk = adapter.parseStreamEvent(event) || {};
 
-        if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`Anthropic API error (${response.status}): ${errorData}`);
-        }
+        if (chunk.model) model = chunk.model;
+        if (chunk.finishReason) finishReason = chunk.finishReason;
+        if (chunk.usage) Object.assign(usage, chunk.usage);
 
-        const data = await response.json();
-        
-        // Validate response structure
-        if (!data.content || !data.content[0] || !data.content[0].text) {
-            throw new Error('Invalid response structure from Anthropic API');
+        if (chunk.delta) {
+            content += chunk.delta;
+            onDelta({ delta: chunk.delta, text: content, provider: adapter.name });
         }
+    }
 
-        const content = data.content[0].text;
-        const usage = data.usage || {};
-
-        const latency = Date.now() - startTime;
-        console.log(`✅ Anthropic API call successful for ${builder}`);
-        console.log(`📊 Tokens used: ${usage.output_tokens || 'unknown'}`);
+    if (!content) {
+        throw createProviderError(`Empty streamed response from ${adapter.displayName} API`, 'invalid_response');
+    }
 
-        // Prepare response object
-        const result = {
-            response: content,
-            quality: assessResponseQuality(content),
-            confidence: assessResponseConfidence(content),
-            provider: 'anthropic',
-            model: data.model,
-            usage: {
-                prompt_tokens: usage.input_tokens || 0,
-                completion_tokens: usage.output_tokens || 0,
-                total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
-            },
-            finishReason: data.stop_reason,
-            latency
-        };
+    // Anthropic reports input and output tokens in separate events and no total
+    usage.prompt_tokens = usage.prompt_tokens || 0;
+    usage.completion_tokens = usage.completion_tokens || 0;
+    usage.total_tokens = usage.total_tokens || usage.prompt_tokens + usage.completion_tokens;
 
-        // Record metrics
-        metricsCollector.recordAPICall('anthropic', data.model, builder, result.usage, latency);
-        
-        // Cache successful response
-        responseCache.set(builder, topic, prompt, result, options);
+    return { content, model, usage, finishReason };
+}
 
-        return result;
+/**
+ * Call OpenAI GPT-4 API directly
+ * @param {string} builder - AI agent role (builder1, builder2, synthesizer, evaluator)
+ * @param {string} topic - Problem topic
+ * @param {string} prompt - User prompt
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} API response
+ */
+export async function callOpenAI(builder, topic, prompt, options = {}) {
+    return await callProvider('openai', builder, topic, prompt, options);
+}
 
-    } catch (error) {
-        const latency = Date.now() - startTime;
-        console.error(`❌ Anthropic API call failed for ${builder}:`, error.message);
-        
-        // Record failed metrics
-        metricsCollector.recordAPICall('anthropic', options.model || API_CONFIG.anthropicModel, builder, { total_tokens: 0 }, latency, error);
-        
-        // Re-throw with more context
-        if (error.message.includes('fetch')) {
-            throw new Error(`Network error calling Anthropic API: ${error.message}`);
-        }
-        throw error;
-    }
+/**
+ * Call Anthropic Claude API directly
+ * @param {string} builder - AI agent role (builder1, builder2, synthesizer, evaluator)
+ * @param {string} topic - Problem topic
+ * @param {string} prompt - User prompt
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} API response
+ */
+export async function callAnthropic(builder, topic, prompt, options = {}) {
+    return await callProvider('anthropic', builder, topic, prompt, options);
 }
 
 /**
@@ -342,155 +301,53 @@ export async function callAnthropic(builder, topic, prompt, options = {}) {
  * @returns {Promise<Object>} API response
  */
 export async function callGoogle(builder, topic, prompt, options = {}) {
-    if (!API_CONFIG.googleApiKey) {
-        throw new Error('Google API key not configured. Set GOOGLE_API_KEY in .env file.');
-    }
-
-    const systemPrompt = getSystemPrompt(builder);
-    const fullContent = `${systemPrompt}\n\nTemat: ${topic}\n\nPrompt: ${prompt}`;
-
-    const requestBody = {
-        contents: [
-            {
-                role: 'user',
-                parts: [
-                    {
-                        text: fullContent
-                    }
-                ]
-            }
-        ],
-        generationConfig: {
-            maxOutputTokens: options.maxTokens || API_CONFIG.googleMaxTokens,
-            temperature: options.temperature || 0.7,
-            topP: options.topP || 0.8,
-            topK: options.topK || 40,
-            stopSequences: options.stopSequences || []
-        },
-        safetySettings: [
-            {
-                category: 'HARM_CATEGORY_HARASSMENT',
-                threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            },
-            {
-                category: 'HARM_CATEGORY_HATE_SPEECH',
-                threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            },
-            {
-                category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-                threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            },
-            {
-                category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-                threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            }
-        ]
-    };
-
-    try {
-        console.log(`🌟 Calling Google Gemini API for ${builder}...`);
-        
-        const model = options.model || API_CONFIG.googleModel;
-        const url = `${API_CONFIG.googleBaseURL}/models/${model}:generateContent?key=${API_CONFIG.googleApiKey}`;
-        
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'IES-Kitsune/1.0'
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        // Handle specific Google API error codes
-        if (response.status === 400) {
-            throw new Error('Google API: Bad request - Check your parameters');
-        }
-        if (response.status === 401) {
-            throw new Error('Google API: Unauthorized - Check your API key');
-        }
-        if (response.status === 403) {
-            throw new Error('Google API: Forbidden - Check API is enabled and quota');
-        }
-        if (response.status === 429) {
-            throw new Error('Google API: Rate limit exceeded - Try again later');
-        }
-        if (response.status === 500) {
-            throw new Error('Google API: Server error - Try again later');
-        }
-        if (response.status === 503) {
-            throw new Error('Google API: Service unavailable - Try again later');
-        }
-
-        if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`Google API error (${response.status}): ${errorData}`);
-        }
-
-        const data = await response.json();
-        
-        // Handle safety filter blocks
-        if (data.candidates && data.candidates[0] && data.candidates[0].finishReason === 'SAFETY') {
-            throw new Error('Google API: Content blocked by safety filters');
-        }
-        
-        // Validate response structure
-        if (!data.candidates || !data.candidates[0] || !data.candidates[0].content || !data.candidates[0].content.parts || !data.candidates[0].content.parts[0]) {
-            throw new Error('Invalid response structure from Google API');
-        }
+    return await callProvider('google', builder, topic, prompt, options);
+}
 
-        const content = data.candidates[0].content.parts[0].text;
-        const usage = data.usageMetadata || {};
+/**
+ * Maximum number of provider requests allowed in flight at once
+ * @returns {number} Concurrency limit of the shared rate limiter
+ */
+export function getProviderConcurrency() {
+    return rateLimiter.maxConcurrent;
+}
 
-        console.log(`✅ Google API call successful for ${builder}`);
-        console.log(`📊 Tokens used: ${usage.totalTokenCount || 'unknown'}`);
+/**
+ * Register an additional AI provider adapter (see src/providers/registry.js)
+ * @param {Object} adapter - Provider adapter
+ */
+export function registerProvider(adapter) {
+    providerRegistry.register(adapter);
+}
 
-        // Return in format compatible with existing system
-        return {
-            response: content,
-            quality: assessResponseQuality(content),
-            confidence: assessResponseConfidence(content),
-            provider: 'google',
-            model: model,
-            usage: {
-                prompt_tokens: usage.promptTokenCount || 0,
-                completion_tokens: usage.candidatesTokenCount || 0,
-                total_tokens: usage.totalTokenCount || 0
-            },
-            finishReason: data.candidates[0].finishReason
-        };
+/**
+ * List models served by a provider that supports discovery
+ * @param {string} providerName - Registered provider name
+ * @returns {Promise<Array<string>>} Model ids
+ */
+export async function listProviderModels(providerName) {
+    const adapter = providerRegistry.get(providerName);
+    if (!adapter) {
+        throw new Error(`Unsupported AI provider: ${providerName}`);
+    }
+    if (typeof adapter.listModels !== 'function') {
+        throw new Error(`Provider ${providerName} does not support model discovery`);
+    }
 
-    } catch (error) {
-        console.error(`❌ Google API call failed for ${builder}:`, error.message);
-        
-        // Re-throw with more context
-        if (error.message.includes('fetch')) {
-            throw new Error(`Network error calling Google API: ${error.message}`);
-        }
-        throw error;
+    const authError = adapter.authError();
+    if (authError) {
+        throw createProviderError(authError, 'auth', { provider: adapter.name });
     }
+
+    return await adapter.listModels();
 }
 
 /**
  * Get available AI providers based on configured API keys
- * @returns {Array<string>} Array of available provider names
+ * @returns {Array<string>} Array of available provider names, in fallback priority order
  */
 export function getAvailableProviders() {
-    const providers = [];
-    
-    if (API_CONFIG.openaiApiKey && API_CONFIG.openaiApiKey.startsWith('sk-')) {
-        providers.push('openai');
-    }
-    
-    if (API_CONFIG.anthropicApiKey && API_CONFIG.anthropicApiKey.startsWith('sk-ant-')) {
-        providers.push('anthropic');
-    }
-    
-    if (API_CONFIG.googleApiKey && API_CONFIG.googleApiKey.length > 10) {
-        providers.push('google');
-    }
-    
-    return providers;
+    return providerRegistry.getConfigured().map(adapter => adapter.name);
 }
 
 /**
@@ -520,8 +377,8 @@ export function getBestProvider(preferredProvider = null) {
 }
 
 /**
- * Call AI provider with automatic fallback
- * @param {string} provider - Provider name ('openai', 'anthropic', 'google')
+ * Call AI provider by name
+ * @param {string} provider - Registered provider name ('openai', 'anthropic', 'google', ...)
  * @param {string} builder - AI agent role
  * @param {string} topic - Problem topic
  * @param {string} prompt - User prompt
@@ -529,16 +386,7 @@ export function getBestProvider(preferredProvider = null) {
  * @returns {Promise<Object>} API response
  */
 export async function callAIProvider(provider, builder, topic, prompt, options = {}) {
-    switch (provider) {
-        case 'openai':
-            return await callOpenAI(builder, topic, prompt, options);
-        case 'anthropic':
-            return await callAnthropic(builder, topic, prompt, options);
-        case 'google':
-            return await callGoogle(builder, topic, prompt, options);
-        default:
-            throw new Error(`Unsupported AI provider: ${provider}`);
-    }
+    return await callProvider(provider, builder, topic, prompt, options);
 }
 
 /**
@@ -546,7 +394,7 @@ export async function callAIProvider(provider, builder, topic, prompt, options =
  * @param {string} builder - AI agent role
  * @returns {string} System prompt
  */
-function getSystemPrompt(builder) {
+export function getSystemPrompt(builder) {
     const prompts = {
         builder1: `Jesteś Idea Architect - analizujesz problemy strukturalnie i tworzysz fundamentalne rozwiązania. 
 Twoje zadania:
@@ -668,7 +516,7 @@ export async function callAPI(builder, topic, prompt, circuitBreaker, options =
     if (!API_CONFIG.enableRealAI || API_CONFIG.mockMode) {
         console.log(`🎭 Using mock API for ${builder} (real AI disabled)`);
         try {
-            const result = await callMockAPI(builder, topic, prompt);
+            const result = await callMockAPI(builder, topic, prompt, options);
             circuitBreaker.recordSuccess();
             return result;
         } catch (error) {
@@ -683,7 +531,7 @@ export async function callAPI(builder, topic, prompt, circuitBreaker, options =
     if (availableProviders.length === 0) {
         console.log(`🎭 No AI providers configured, using mock API for ${builder}`);
         try {
-            const result = await callMockAPI(builder, topic, prompt);
+            const result = await callMockAPI(builder, topic, prompt, options);
             circuitBreaker.recordSuccess();
             return result;
         } catch (error) {
@@ -692,17 +540,9 @@ export async function callAPI(builder, topic, prompt, circuitBreaker, options =
         }
     }
 
-    // Enhanced provider priority with smart OpenAI→Claude fallback
+    // Preferred provider first, then the rest in registry priority order
     const preferredProvider = options.provider || getBestProvider();
-    let providerOrder;
-    
-    // If no specific provider preference, prioritize OpenAI→Claude fallback
-    if (!options.provider && availableProviders.includes('openai') && availableProviders.includes('anthropic')) {
-        providerOrder = ['openai', 'anthropic', ...availableProviders.filter(p => !['openai', 'anthropic'].includes(p))];
-        console.log(`🎯 Smart fallback: OpenAI → Claude → Others for ${builder}`);
-    } else {
-        providerOrder = [preferredProvider, ...availableProviders.filter(p => p !== preferredProvider)];
-    }
+    const providerOrder = [preferredProvider, ...availableProviders.filter(p => p !== preferredProvider)];
 
     console.log(`🔄 Available providers: ${availableProviders.join(', ')}`);
     console.log(`🎯 Provider priority for ${builder}: ${providerOrder.join(' → ')}`);
@@ -736,29 +576,31 @@ export async function callAPI(builder, topic, prompt, circuitBreaker, options =
             
             return result;
         } catch (error) {
+            // Cancelled and over-budget runs must not fall through to the next provider
+            if (error.name === 'AbortError' || error.code === 'budget_exceeded') {
+                throw error;
+            }
+
             lastError = error;
             console.warn(`⚠️  ${provider} API failed for ${builder}: ${error.message}`);
             
-            // Enhanced error categorization
-            const isAuthError = error.message.includes('Unauthorized') || error.message.includes('API key');
-            const isBillingError = error.message.includes('Payment required') || error.message.includes('quota') || error.message.includes('billing');
-            const isRateLimitError = error.message.includes('Rate limit exceeded') || error.message.includes('429');
-            const isServerError = error.message.includes('Server error') || error.message.includes('Service unavailable');
+            // Error category assigned by the provider adapter
+            const category = error.category || 'unknown';
             
             // Skip provider on permanent errors
-            if (isAuthError || isBillingError) {
+            if (category === 'auth' || category === 'billing') {
                 console.log(`❌ Skipping ${provider} due to account issue: ${error.message}`);
                 continue;
             }
             
             // Special handling for rate limits - might be temporary
-            if (isRateLimitError) {
+            if (category === 'rate_limit') {
                 console.log(`⏱️ ${provider} rate limited, trying next provider...`);
                 continue;
             }
             
             // Server errors - try next provider
-            if (isServerError) {
+            if (category === 'server') {
                 console.log(`🔧 ${provider} server issue, trying next provider...`);
                 continue;
             }
@@ -774,7 +616,7 @@ export async function callAPI(builder, topic, prompt, circuitBreaker, options =
     
     try {
         console.log(`🆘 Last resort: falling back to mock API for ${builder}`);
-        const result = await callMockAPI(builder, topic, prompt);
+        const result = await callMockAPI(builder, topic, prompt, options);
         
         // Add warning to response
         result.warning = 'All AI providers failed, using mock response';
@@ -804,7 +646,7 @@ export async function callAPIWithRetry(builder, topic, prompt, circuitBreaker, o
         try {
             return await callAPI(builder, topic, prompt, circuitBreaker, options);
         } catch (error) {
-            if (attempt === maxRetries) {
+            if (attempt === maxRetries || error.name === 'AbortError' || error.code === 'budget_exceeded') {
                 throw error;
             }
             
@@ -828,23 +670,14 @@ export function getAPIStatus() {
         availableProviders,
         bestProvider,
         defaultProvider: API_CONFIG.defaultProvider,
-        providerConfigs: {
-            openai: {
-                configured: !!API_CONFIG.openaiApiKey,
-                model: API_CONFIG.openaiModel,
-                maxTokens: API_CONFIG.openaiMaxTokens
-            },
-            anthropic: {
-                configured: !!API_CONFIG.anthropicApiKey,
-                model: API_CONFIG.anthropicModel,
-                maxTokens: API_CONFIG.anthropicMaxTokens
-            },
-            google: {
-                configured: !!API_CONFIG.googleApiKey,
-                model: API_CONFIG.googleModel,
-                maxTokens: API_CONFIG.googleMaxTokens
+        providerConfigs: Object.fromEntries(providerRegistry.list().map(adapter => [
+            adapter.name,
+            {
+                configured: !adapter.authError(),
+                model: adapter.config.model,
+                maxTokens: adapter.config.maxTokens
             }
-        }
+        ]))
     };
 }
 
@@ -853,13 +686,15 @@ export function getAPIStatus() {
  * @param {string} builder - AI agent role
  * @param {string} topic - Problem topic
  * @param {string} prompt - User prompt
+ * @param {Object} options - { signal, responseFormat }
  * @returns {Promise<Object>} Mock response
  */
-async function callMockAPI(builder, topic, prompt) {
-    const response = await fetch('/v1/chat/completions', {
+async function callMockAPI(builder, topic, prompt, { signal, responseFormat } = {}) {
+    const response = await fetch(`${API_CONFIG.mockBaseURL}/v1/chat/completions`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ builder, topic, prompt })
+        body: JSON.stringify({ builder, topic, prompt, ...(responseFormat ? { responseFormat } : {}) }),
+        signal
     });
     
     if (response.status === 429) {
@@ -0,0 +1,225 @@
+/**
+ * Breakthrough strategies
+ * Applied when the engine detects stagnation. A strategy is any object with a
+ * `name` and `plan(context)` returning a plain, checkpointable plan for the next
+ * iteration only:
+ *   { strategy, description, problemSuffix?, roleOverrides?: { [roleKey]: Partial<role> } }
+ */
+
+import { METHODOLOGIES } from './methodologies.js';
+
+// { title, description } entries for MethodologyInjection, from the knowledge-base methodologies
+export const DEFAULT_METHODOLOGIES = METHODOLOGIES.map(({ title, prompt }) => ({ title, description: prompt }));
+
+const pick = (items, random) => items[Math.min(items.length - 1, Math.floor(random() * items.length))];
+
+const trimTo = (text, length) => text.length > length ? `${text.slice(0, length)}...` : text;
+
+/**
+ * Each role argues the opposite of the assumptions it would normally make
+ */
+export class AssumptionReversal {
+    constructor() {
+        this.name = 'assumption_reversal';
+    }
+
+    plan() {
+        return {
+            strategy: this.name,
+            description: 'List the assumptions behind the previous answers and reverse them',
+            problemSuffix: 'Before answering, list the three assumptions the previous iterations relied on most. ' +
+                'Assume each of them is false and build your answer on the reversed assumptions.'
+        };
+    }
+}
+
+/**
+ * Two roles trade names, prompts and expertise for one iteration
+ */
+export class PersonaSwap {
+    constructor() {
+        this.name = 'persona_swap';
+    }
+
+    plan({ roles, finalRoleKey, random }) {
+        // The final role keeps its persona so the primary solution stays a synthesis
+        const candidates = Object.keys(roles).filter(key => key !== finalRoleKey);
+        if (candidates.length < 2) return null;
+
+        const first = pick(candidates, random);
+        const second = pick(candidates.filter(key => key !== first), random);
+        // The builder travels with the persona because it selects the system prompt
+        const persona = (key) => {
+            const { name, prompt, systemPrompt, expertise, builder } = roles[key];
+            return { name, prompt, systemPrompt, expertise, builder: builder || key };
+        };
+
+        return {
+            strategy: this.name,
+            description: `${roles[first].name} and ${roles[second].name} swap personas`,
+            roleOverrides: {
+                [first]: persona(second),
+                [second]: persona(first)
+            }
+        };
+    }
+}
+
+/**
+ * Raises every role's temperature for one iteration
+ */
+export class TemperatureSpike {
+    /**
+     * @param {Object} options
+     * @param {number} options.increase - Added to each role temperature (default 0.4)
+     * @param {number} options.max - Upper bound for the raised temperature (default 1.5)
+     */
+    constructor(options = {}) {
+        this.name = 'temperature_spike';
+        this.increase = options.increase ?? 0.4;
+        this.max = options.max ?? 1.5;
+    }
+
+    plan({ roles }) {
+        return {
+            strategy: this.name,
+            description: `Raise role temperatures by ${this.increase}`,
+            roleOverrides: Object.fromEntries(Object.entries(roles).map(([key, role]) => [
+                key,
+                { temperature: Math.min(this.max, (role.temperature ?? 0.6) + this.increase) }
+            ]))
+        };
+    }
+}
+
+/**
+ * Asks every role to work through a randomly chosen methodology
+ */
+export class MethodologyInjection {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.methodologies - { title, description } entries, e.g. from the knowledge base
+     */
+    constructor(options = {}) {
+        this.name = 'methodology_injection';
+        this.methodologies = options.methodologies || DEFAULT_METHODOLOGIES;
+    }
+
+    plan({ random }) {
+        const methodology = pick(this.methodologies, random);
+
+        return {
+            strategy: this.name,
+            description: `Apply ${methodology.title}`,
+            methodology: methodology.title,
+            problemSuffix: `Approach the problem with the ${methodology.title} method: ${methodology.description}`
+        };
+    }
+}
+
+/**
+ * Runs a round where the roles attack the best answer so far before improving it
+ */
+export class DevilsAdvocate {
+    constructor() {
+        this.name = 'devils_advocate';
+    }
+
+    plan({ roles, finalRoleKey, bestSolution }) {
+        const target = bestSolution
+            ? `The best answer so far was:\n"${trimTo(bestSolution, 600)}"\n`
+            : '';
+
+        return {
+            strategy: this.name,
+            description: 'Argue against the best answer so far, then propose what survives the critique',
+            problemSuffix: `${target}Act as a devil's advocate: find its weakest assumptions, failure modes and ` +
+                'overlooked stakeholders first, then propose only what survives the critique.',
+            // The final role still has to produce a usable solution
+            roleOverrides: {
+                [finalRoleKey]: {
+                    prompt: `${roles[finalRoleKey].prompt} Keep only the ideas that withstood the devil's advocate critique.`
+                }
+            }
+        };
+    }
+}
+
+const STRATEGY_TYPES = {
+    assumption_reversal: AssumptionReversal,
+    persona_swap: PersonaSwap,
+    temperature_spike: TemperatureSpike,
+    methodology_injection: MethodologyInjection,
+    devils_advocate: DevilsAdvocate
+};
+
+export const DEFAULT_BREAKTHROUGH_STRATEGIES = Object.keys(STRATEGY_TYPES);
+
+/**
+ * Tworzy bibliotekę strategii z nazw lub przekazanych instancji
+ * @param {Array<string|Object>} strategies - Names of built-in strategies or objects implementing plan(context)
+ * @param {Object} options - Options passed to built-in strategies
+ * @returns {Array<Object>} Strategy instances
+ */
+export function createBreakthroughStrategies(strategies = DEFAULT_BREAKTHROUGH_STRATEGIES, options = {}) {
+    return strategies.map(strategy => {
+        if (strategy && typeof strategy.plan === 'function') {
+            return strategy;
+        }
+
+        const StrategyType = STRATEGY_TYPES[strategy];
+        if (!StrategyType) {
+            throw new Error(`Unknown breakthrough strategy: ${strategy}`);
+        }
+        return new StrategyType(options);
+    });
+}
+
+/**
+ * Średnia zmiana jakości po zastosowaniu strategii w tej sesji
+ */
+function averageEffect(history, name) {
+    const measured = history.filter(entry => entry.strategy === name && entry.effect);
+    if (measured.length === 0) return null;
+    return measured.reduce((sum, entry) => sum + entry.effect.quality, 0) / measured.length;
+}
+
+/**
+ * Wybiera strategię: najpierw nieużyte w sesji, potem ta o najlepszym zmierzonym efekcie
+ * @param {Array<Object>} strategies - Strategy instances
+ * @param {Array<Object>} history - Breakthrough records of the session ({ strategy, effect })
+ * @param {Function} random - Random source in [0, 1)
+ * @returns {Object} Strategy instance
+ */
+export function selectBreakthroughStrategy(strategies, history = [], random = Math.random) {
+    const used = new Set(history.map(entry => entry.strategy));
+    const untried = strategies.filter(strategy => !used.has(strategy.name));
+    if (untried.length > 0) {
+        return pick(untried, random);
+    }
+
+    // Every strategy has been tried: repeat the one that helped most (unmeasured ones count as neutral)
+    return strategies.reduce((best, strategy) =>
+        (averageEffect(history, strategy.name) ?? 0) > (averageEffect(history, best.name) ?? 0) ? strategy : best
+    );
+}
+
+/**
+ * Nakłada nadpisania ról z planu na kopię mapy ról
+ * @param {Object} roles - Role map
+ * @param {Object} roleOverrides - { [roleKey]: Partial<role> }; unknown roles are ignored
+ * @returns {Object} New role map; the input is left untouched
+ */
+export function applyRoleOverrides(roles, roleOverrides = {}) {
+    return Object.fromEntries(Object.entries(roles).map(([key, role]) => [
+        key,
+        roleOverrides[key] ? { ...role, ...roleOverrides[key] } : role
+    ]));
+}
+
+export default {
+    DEFAULT_BREAKTHROUGH_STRATEGIES,
+    createBreakthroughStrategies,
+    selectBreakthroughStrategy,
+    applyRoleOverrides
+};
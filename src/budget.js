@@ -0,0 +1,148 @@
+/**
+ * Budget enforcement
+ * Every provider call made with a BudgetGuard is estimated before it is sent.
+ * Calls that would push the solve session or the day over its limit are either
+ * moved to a cheaper model of the same provider or refused with BudgetExceededError.
+ */
+
+import { metricsCollector } from './metrics.js';
+import { getModelPricing } from './pricing.js';
+
+/**
+ * Error raised when a call would exceed the session or daily budget
+ */
+export class BudgetExceededError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.code = 'budget_exceeded';
+        this.category = 'budget';
+        this.details = details;
+    }
+}
+
+/**
+ * Szacuje koszt wywołania przed jego wysłaniem
+ * Completion tokens are taken at maxTokens, so the estimate is an upper bound.
+ * @param {Object} pricing - { input, output } per 1K tokens, or null for unpriced models
+ * @param {number} promptTokens - Estimated prompt tokens
+ * @param {number} maxTokens - Completion token limit
+ * @returns {number} Cost in USD
+ */
+export function estimateCallCost(pricing, promptTokens, maxTokens) {
+    if (!pricing) return 0;
+    return promptTokens / 1000 * pricing.input + maxTokens / 1000 * pricing.output;
+}
+
+/**
+ * Per-session budget with a shared daily ceiling
+ */
+export class BudgetGuard {
+    /**
+     * @param {Object} options
+     * @param {number} options.sessionLimit - Max USD per solve session (SESSION_COST_LIMIT, default 5)
+     * @param {number} options.dailyLimit - Max USD per day across sessions (DAILY_COST_LIMIT, default 10)
+     * @param {string} options.mode - 'downgrade' (default, BUDGET_MODE) tries a cheaper model first; 'halt' refuses at once
+     * @param {number} options.spent - Cost already spent by the session (restored from checkpoints)
+     * @param {Object} options.metrics - MetricsCollector providing pricing and the daily total
+     */
+    constructor(options = {}) {
+        this.sessionLimit = options.sessionLimit ?? (parseFloat(process.env.SESSION_COST_LIMIT) || 5);
+        this.dailyLimit = options.dailyLimit ?? (parseFloat(process.env.DAILY_COST_LIMIT) || 10);
+        this.mode = options.mode || process.env.BUDGET_MODE || 'downgrade';
+        this.metrics = options.metrics || metricsCollector;
+        this.spent = options.spent || 0;
+        this.reserved = 0;
+        this.downgrades = [];
+
+        if (!['downgrade', 'halt'].includes(this.mode)) {
+            throw new Error(`Unknown budget mode: ${this.mode}`);
+        }
+    }
+
+    /**
+     * Zwraca pozostały budżet sesji i dnia (z uwzględnieniem rezerwacji trwających wywołań)
+     */
+    getRemaining() {
+        return {
+            session: this.sessionLimit - this.spent - this.reserved,
+            daily: this.dailyLimit - this.metrics.metrics.daily.cost - this.reserved
+        };
+    }
+
+    /**
+     * Sprawdza wywołanie przed wysłaniem i rezerwuje jego szacowany koszt
+     * @param {Object} call - { provider, model, promptTokens, maxTokens }; promptTokens from src/tokenizer.js
+     * @returns {Object} Reservation { provider, model, estimate, downgradedFrom? } to pass to settle()
+     * @throws {BudgetExceededError} When neither the model nor a cheaper one fits the budget
+     */
+    authorize({ provider, model, promptTokens, maxTokens }) {
+        const estimate = estimateCallCost(getModelPricing(provider, model), promptTokens, maxTokens);
+        const remaining = this.getRemaining();
+        const available = Math.min(remaining.session, remaining.daily);
+
+        if (estimate <= available) {
+            return this.reserve({ provider, model, estimate });
+        }
+
+        if (this.mode === 'downgrade') {
+            const cheaper = this.findCheaperModel(provider, model, promptTokens, maxTokens, available);
+            if (cheaper) {
+                console.warn(`💸 Budget: downgrading ${provider}/${model} to ${cheaper.model} (estimate $${estimate.toFixed(4)}, $${available.toFixed(4)} left)`);
+                this.downgrades.push({ provider, from: model, to: cheaper.model, timestamp: Date.now() });
+                return this.reserve({ provider, model: cheaper.model, estimate: cheaper.estimate, downgradedFrom: model });
+            }
+        }
+
+        const limit = remaining.session <= remaining.daily ? 'session' : 'daily';
+        throw new BudgetExceededError(
+            `${limit === 'session' ? 'Session' : 'Daily'} budget exceeded: ${provider}/${model} needs ~$${estimate.toFixed(4)}, $${Math.max(0, available).toFixed(4)} left`,
+            { limit, provider, model, estimate, remaining: available, spent: this.spent }
+        );
+    }
+
+    /**
+     * Rozlicza zakończone wywołanie: zwalnia rezerwację i dolicza faktyczny koszt
+     * @param {Object} reservation - Value returned by authorize()
+     * @param {number} cost - Actual cost (0 for failed calls)
+     */
+    settle(reservation, cost = 0) {
+        if (!reservation) return;
+        this.reserved = Math.max(0, this.reserved - reservation.estimate);
+        this.spent += cost;
+    }
+
+    /**
+     * Najdroższy model dostawcy, który nadal mieści się w budżecie
+     * Models come from the cost database (MetricsCollector.loadCostDatabase).
+     */
+    findCheaperModel(provider, model, promptTokens, maxTokens, available) {
+        const models = this.metrics.loadCostDatabase()[provider] || {};
+        const current = estimateCallCost(getModelPricing(provider, model), promptTokens, maxTokens);
+
+        return Object.entries(models)
+            .map(([name, pricing]) => ({ model: name, estimate: estimateCallCost(pricing, promptTokens, maxTokens) }))
+            .filter(candidate => candidate.model !== model && candidate.estimate < current && candidate.estimate <= available)
+            .sort((a, b) => b.estimate - a.estimate)[0] || null;
+    }
+
+    reserve(reservation) {
+        this.reserved += reservation.estimate;
+        return reservation;
+    }
+
+    /**
+     * Podsumowanie budżetu do raportu sesji
+     */
+    getSummary() {
+        return {
+            mode: this.mode,
+            sessionLimit: this.sessionLimit,
+            dailyLimit: this.dailyLimit,
+            spent: this.spent,
+            downgrades: [...this.downgrades]
+        };
+    }
+}
+
+export default BudgetGuard;
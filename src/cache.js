@@ -1,23 +1,52 @@
 /**
  * Response Caching System for API Optimization
  * Reduces API calls and costs by caching similar responses
+ * Entries live in a pluggable store (src/cache_stores.js): in process by default,
+ * or in SQLite / a Redis-protocol server so restarts and extra instances start warm.
  */
 
 import crypto from 'crypto';
+import { EmbeddingSimilarity } from '../EmbeddingSimilarity.js';
+import { createCacheStore } from './cache_stores.js';
 
 class ResponseCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxSize - Entries kept before least recently used ones are evicted
+     * @param {number} options.ttl - Entry lifetime in ms
+     * @param {string|Object} options.store - 'memory' (default), 'sqlite', 'redis' or a store instance
+     * @param {Object} options.storeOptions - Options for a built-in store (filename, url, prefix)
+     * @param {Object} options.semantic - { enabled, threshold, similarity, embedding } semantic tier
+     */
     constructor(options = {}) {
-        this.cache = new Map();
+        this.store = createCacheStore(options.store || 'memory', options.storeOptions);
         this.maxSize = options.maxSize || 1000;
         this.ttl = options.ttl || 30 * 60 * 1000; // 30 minutes default
         this.hitCount = 0;
         this.missCount = 0;
+        this.evictionCount = 0;
         this.enabled = options.enabled !== false;
-        
+
+        // Optional semantic tier: on an exact miss, reuse the answer to a near-identical prompt
+        const semantic = options.semantic || {};
+        this.semanticEnabled = semantic.enabled === true;
+        this.semanticThreshold = semantic.threshold ?? 0.95;
+        this.similarity = semantic.similarity || null;
+        this.embeddingConfig = semantic.embedding || { provider: 'hashed' };
+        this.semanticHitCount = 0;
+        this.semanticMissCount = 0;
+
         // Clean up expired entries every 5 minutes
         this.cleanupInterval = setInterval(() => this.cleanup(), 5 * 60 * 1000);
     }
 
+    /**
+     * Przestrzeń nazw wpisu: dostawca i model
+     */
+    getNamespace(options = {}) {
+        return `${options.provider || 'any'}/${options.model || 'default'}`;
+    }
+
     /**
      * Generate cache key from request parameters
      */
@@ -29,35 +58,34 @@ class ResponseCache {
             model: options.model || 'default',
             temperature: options.temperature || 0.7
         };
-        
+
         const keyString = JSON.stringify(keyData);
-        return crypto.createHash('md5').update(keyString).digest('hex');
+        return `${this.getNamespace(options)}:${crypto.createHash('md5').update(keyString).digest('hex')}`;
     }
 
     /**
      * Get cached response if available and not expired
+     * A store that cannot be reached counts as a miss.
      */
-    get(builder, topic, prompt, options = {}) {
+    async get(builder, topic, prompt, options = {}) {
         if (!this.enabled) return null;
 
         const key = this.generateKey(builder, topic, prompt, options);
-        const cached = this.cache.get(key);
-        
-        if (!cached) {
-            this.missCount++;
-            return null;
+        let cached = null;
+        try {
+            cached = await this.store.get(key);
+        } catch (error) {
+            console.warn(`⚠️ Cache store ${this.store.name} read failed:`, error.message);
         }
-        
-        // Check if expired
-        if (Date.now() > cached.expiresAt) {
-            this.cache.delete(key);
+
+        if (!cached) {
             this.missCount++;
             return null;
         }
-        
+
         this.hitCount++;
         console.log(`🎯 Cache HIT for ${builder} (${this.getHitRatio()}% hit rate)`);
-        
+
         // Return a copy with cache metadata
         return {
             ...cached.response,
@@ -67,83 +95,292 @@ class ResponseCache {
         };
     }
 
+    /**
+     * Szuka odpowiedzi na podobny prompt tego samego buildera (warstwa semantyczna)
+     * Only entries in the same provider/model namespace and with the same temperature are
+     * compared; similarity is the cosine of the topic+prompt embeddings.
+     * @param {Object} options - Call options; options.semanticCacheThreshold overrides the
+     *   cache threshold for one call (false skips the semantic tier)
+     * @returns {Promise<Object|null>} Cached response with `semanticMatch`, or null
+     */
+    async getSemantic(builder, topic, prompt, options = {}) {
+        const threshold = options.semanticCacheThreshold ?? this.semanticThreshold;
+        if (!this.enabled || !this.semanticEnabled || threshold === false) return null;
+
+        const temperature = options.temperature || 0.7;
+
+        let best = null;
+        try {
+            const candidates = (await this.store.list({ namespace: this.getNamespace(options), builder }))
+                .filter(entry => entry.embedding && entry.temperature === temperature);
+
+            if (candidates.length > 0) {
+                const similarity = this.getSimilarity();
+                const embedding = await similarity.getEmbedding(this.getSemanticText(topic, prompt));
+                for (const entry of candidates) {
+                    const score = similarity.cosineSimilarity(embedding, entry.embedding);
+                    if (score >= threshold && (!best || score > best.score)) {
+                        best = { entry, score };
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️ Semantic cache lookup failed for ${builder}:`, error.message);
+        }
+
+        if (!best) {
+            this.semanticMissCount++;
+            return null;
+        }
+
+        this.semanticHitCount++;
+        console.log(`🧠 Semantic cache HIT for ${builder} (similarity ${best.score.toFixed(3)} >= ${threshold})`);
+
+        return {
+            ...best.entry.response,
+            cached: true,
+            cachedAt: best.entry.cachedAt,
+            fromCache: true,
+            semanticMatch: {
+                similarity: best.score,
+                threshold,
+                topic: best.entry.topic,
+                prompt: best.entry.prompt
+            }
+        };
+    }
+
+    /**
+     * Tekst porównywany w warstwie semantycznej
+     */
+    getSemanticText(topic, prompt) {
+        return `${topic.toLowerCase().trim()}\n${prompt.toLowerCase().trim()}`;
+    }
+
+    /**
+     * Instancja EmbeddingSimilarity tworzona przy pierwszym użyciu
+     */
+    getSimilarity() {
+        if (!this.similarity) {
+            this.similarity = new EmbeddingSimilarity(this.embeddingConfig);
+        }
+        return this.similarity;
+    }
+
     /**
      * Store response in cache
+     * Resolves once the entry is stored (and indexed for semantic lookups when that tier is on).
      */
-    set(builder, topic, prompt, response, options = {}) {
+    async set(builder, topic, prompt, response, options = {}) {
         if (!this.enabled) return;
 
         const key = this.generateKey(builder, topic, prompt, options);
-        
+
         // Don't cache error responses or very short responses
         if (response.error || (response.response && response.response.length < 50)) {
             return;
         }
-        
-        // Make room if cache is full
-        if (this.cache.size >= this.maxSize) {
-            this.evictOldest();
-        }
-        
+
         const cacheEntry = {
             response: { ...response },
             cachedAt: Date.now(),
             expiresAt: Date.now() + this.ttl,
             key,
+            namespace: this.getNamespace(options),
             builder,
-            size: JSON.stringify(response).length
+            topic,
+            prompt,
+            temperature: options.temperature || 0.7,
+            size: JSON.stringify(response).length,
+            hits: 0,
+            pinned: false
+        };
+
+        if (this.semanticEnabled) {
+            try {
+                cacheEntry.embedding = await this.getSimilarity().getEmbedding(this.getSemanticText(topic, prompt));
+            } catch (error) {
+                // The exact tier still works; this entry just cannot be found by similarity
+                console.warn(`⚠️ Could not index cached response for ${builder}:`, error.message);
+            }
+        }
+
+        try {
+            await this.store.set(key, cacheEntry);
+
+            // Make room by dropping the least recently used entries
+            const evicted = await this.store.evict(this.maxSize);
+            this.evictionCount += evicted;
+            console.log(`💾 Cached response for ${builder} in ${cacheEntry.namespace}${evicted ? ` (evicted ${evicted})` : ''}`);
+        } catch (error) {
+            console.warn(`⚠️ Cache store ${this.store.name} write failed:`, error.message);
+        }
+    }
+
+    /**
+     * Lista wpisów (bez treści odpowiedzi), najnowsze najpierw
+     * @param {Object} filter
+     * @param {string} filter.builder - Exact builder name
+     * @param {string} filter.topic - Case-insensitive substring of the topic
+     * @param {string} filter.namespace - provider/model namespace
+     * @param {string} filter.pattern - Glob (`*` wildcard, case-insensitive) matched against topic or prompt
+     * @param {number} filter.limit - Max entries returned (default 100)
+     * @returns {Promise<Object>} { entries, total }
+     */
+    async listEntries(filter = {}) {
+        const entries = await this.findEntries(filter);
+        return {
+            entries: entries
+                .sort((a, b) => b.cachedAt - a.cachedAt)
+                .slice(0, filter.limit || 100)
+                .map(entry => this.describeEntry(entry)),
+            total: entries.length
         };
-        
-        this.cache.set(key, cacheEntry);
-        console.log(`💾 Cached response for ${builder} (${this.cache.size}/${this.maxSize})`);
     }
 
     /**
-     * Remove oldest cache entries
+     * Pełny wpis wraz z odpowiedzią; podgląd nie liczy się jako trafienie
+     * @returns {Promise<Object|null>}
+     */
+    async getEntry(key) {
+        const entry = await this.store.peek(key);
+        return entry ? { ...this.describeEntry(entry), response: entry.response } : null;
+    }
+
+    /**
+     * Usuwa jeden wpis
+     * @returns {Promise<boolean>} false when the key is not cached
      */
-    evictOldest() {
-        const entries = Array.from(this.cache.entries());
-        entries.sort((a, b) => a[1].cachedAt - b[1].cachedAt);
-        
-        // Remove oldest 10%
-        const toRemove = Math.ceil(entries.length * 0.1);
-        for (let i = 0; i < toRemove; i++) {
-            this.cache.delete(entries[i][0]);
+    async deleteEntry(key) {
+        if (!await this.store.peek(key)) return false;
+        await this.store.delete(key);
+        console.log(`🗑️ Cache entry ${key} deleted`);
+        return true;
+    }
+
+    /**
+     * Usuwa wszystkie wpisy pasujące do filtra (jak w listEntries, bez limitu)
+     * @returns {Promise<number>} Removed entries
+     */
+    async deleteEntries(filter = {}) {
+        const entries = await this.findEntries(filter);
+        for (const entry of entries) {
+            await this.store.delete(entry.key);
         }
+        console.log(`🗑️ ${entries.length} cache entries deleted`);
+        return entries.length;
+    }
+
+    /**
+     * Przypina wpis (nie wygasa i nie jest usuwany przez LRU) lub go odpina
+     * An unpinned entry gets a fresh TTL from now.
+     * @returns {Promise<Object|null>} Entry summary, or null when the key is not cached
+     */
+    async pin(key, pinned = true) {
+        const entry = await this.store.peek(key);
+        if (!entry) return null;
+
+        const updated = {
+            ...entry,
+            pinned,
+            expiresAt: pinned ? entry.expiresAt : Math.max(entry.expiresAt, Date.now() + this.ttl)
+        };
+        await this.store.set(key, updated);
+        console.log(`📌 Cache entry ${key} ${pinned ? 'pinned' : 'unpinned'}`);
+        return this.describeEntry(updated);
+    }
+
+    /**
+     * Wpisy ze store pasujące do filtra
+     */
+    async findEntries({ builder, topic, namespace, pattern } = {}) {
+        const topicFilter = topic?.toLowerCase();
+        const matcher = pattern ? globToRegExp(pattern) : null;
+
+        return (await this.store.list({ namespace, builder })).filter(entry =>
+            (!topicFilter || (entry.topic || '').toLowerCase().includes(topicFilter)) &&
+            (!matcher || matcher.test(entry.topic || '') || matcher.test(entry.prompt || ''))
+        );
+    }
+
+    /**
+     * Opis wpisu do API: metadane bez odpowiedzi i embeddingu
+     */
+    describeEntry(entry) {
+        return {
+            key: entry.key,
+            namespace: entry.namespace,
+            builder: entry.builder,
+            topic: entry.topic,
+            prompt: entry.prompt,
+            temperature: entry.temperature,
+            cachedAt: entry.cachedAt,
+            expiresAt: entry.pinned ? null : entry.expiresAt,
+            hits: entry.hits || 0,
+            pinned: Boolean(entry.pinned),
+            size: entry.size
+        };
     }
 
     /**
      * Clean up expired entries
      */
-    cleanup() {
-        const now = Date.now();
-        let removed = 0;
-        
-        for (const [key, entry] of this.cache.entries()) {
-            if (now > entry.expiresAt) {
-                this.cache.delete(key);
-                removed++;
+    async cleanup() {
+        try {
+            const removed = await this.store.cleanup();
+            if (removed > 0) {
+                console.log(`🧹 Cleaned ${removed} expired cache entries`);
             }
-        }
-        
-        if (removed > 0) {
-            console.log(`🧹 Cleaned ${removed} expired cache entries`);
+            return removed;
+        } catch (error) {
+            console.warn(`⚠️ Cache store ${this.store.name} cleanup failed:`, error.message);
+            return 0;
         }
     }
 
     /**
      * Get cache statistics
+     * Hit counters are per process; size and namespaces come from the (possibly shared) store.
      */
-    getStats() {
+    async getStats() {
         const totalRequests = this.hitCount + this.missCount;
+        let cacheSize = null;
+        let namespaces = {};
+        let storeError = null;
+        try {
+            [cacheSize, namespaces] = await Promise.all([this.store.size(), this.store.countByNamespace()]);
+        } catch (error) {
+            storeError = error.message;
+        }
+
+        const entries = storeError ? [] : await this.store.list().catch(() => []);
+
         return {
             hitCount: this.hitCount,
             missCount: this.missCount,
             hitRatio: this.getHitRatio(),
             totalRequests,
-            cacheSize: this.cache.size,
+            cacheSize,
             maxSize: this.maxSize,
-            enabled: this.enabled
+            ttl: this.ttl,
+            evictionCount: this.evictionCount,
+            enabled: this.enabled,
+            store: this.store.name,
+            ...(storeError ? { storeError } : {}),
+            namespaces,
+            // Semantic hits are exact misses answered by a similar prompt
+            semantic: {
+                enabled: this.semanticEnabled,
+                threshold: this.semanticThreshold,
+                hitCount: this.semanticHitCount,
+                missCount: this.semanticMissCount,
+                hitRatio: this.getSemanticHitRatio(),
+                indexedEntries: entries.filter(entry => entry.embedding).length
+            },
+            pinnedEntries: entries.filter(entry => entry.pinned).length,
+            effectiveHitRatio: totalRequests > 0
+                ? Math.round(((this.hitCount + this.semanticHitCount) / totalRequests) * 100)
+                : 0
         };
     }
 
@@ -156,13 +393,30 @@ class ResponseCache {
     }
 
     /**
-     * Clear all cache
+     * Udział trafień semantycznych wśród wyszukiwań w warstwie semantycznej
      */
-    clear() {
-        this.cache.clear();
-        this.hitCount = 0;
-        this.missCount = 0;
-        console.log('🗑️ Cache cleared');
+    getSemanticHitRatio() {
+        const total = this.semanticHitCount + this.semanticMissCount;
+        return total > 0 ? Math.round((this.semanticHitCount / total) * 100) : 0;
+    }
+
+    /**
+     * Clear all cache, or one provider/model namespace
+     * @param {string} namespace - e.g. 'openai/gpt-4'; omitted clears everything and resets counters
+     * @returns {Promise<number>} Removed entries
+     */
+    async clear(namespace = null) {
+        if (!namespace) {
+            this.hitCount = 0;
+            this.missCount = 0;
+            this.semanticHitCount = 0;
+            this.semanticMissCount = 0;
+            this.evictionCount = 0;
+        }
+
+        const removed = await this.store.clear(namespace);
+        console.log(namespace ? `🗑️ Cache namespace ${namespace} cleared (${removed})` : '🗑️ Cache cleared');
+        return removed;
     }
 
     /**
@@ -184,19 +438,33 @@ class ResponseCache {
     /**
      * Cleanup on shutdown
      */
-    destroy() {
+    async destroy() {
         if (this.cleanupInterval) {
             clearInterval(this.cleanupInterval);
         }
-        this.clear();
+        await this.store.close();
     }
 }
 
+/**
+ * Zamienia wzorzec z `*` na wyrażenie regularne dopasowujące cały tekst
+ */
+function globToRegExp(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'is');
+}
+
 // Global cache instance
 export const responseCache = new ResponseCache({
     maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 1000,
     ttl: parseInt(process.env.CACHE_TTL) || 30 * 60 * 1000,
-    enabled: process.env.ENABLE_CACHE !== 'false'
+    enabled: process.env.ENABLE_CACHE !== 'false',
+    store: process.env.CACHE_STORE || 'memory',
+    semantic: {
+        enabled: process.env.ENABLE_SEMANTIC_CACHE === 'true',
+        threshold: parseFloat(process.env.CACHE_SEMANTIC_THRESHOLD) || 0.95,
+        embedding: { provider: process.env.CACHE_EMBEDDING_PROVIDER || 'hashed' }
+    }
 });
 
 export default ResponseCache;
@@ -0,0 +1,634 @@
+/**
+ * Response cache storage backends
+ * ResponseCache (src/cache.js) keeps its hit counters and semantic lookups in process
+ * and stores entries in one of these backends, so a durable store survives restarts
+ * and can be shared by several server instances.
+ *
+ * Store interface (all methods async):
+ *   get(key)                    entry or null; expired entries are dropped, hits refresh LRU order
+ *                               and increment entry.hits
+ *   peek(key)                   entry or null without counting a hit or touching LRU order
+ *   set(key, entry)             entry: { namespace, builder, response, cachedAt, expiresAt, hits, pinned, ... }
+ *   delete(key)
+ *   list({ namespace, builder }) live entries, optionally filtered
+ *   size()                      number of stored entries
+ *   countByNamespace()          { [namespace]: count }
+ *   evict(maxSize)              drops least recently used unpinned entries beyond maxSize, returns the count
+ *   cleanup()                   drops expired entries, returns the count
+ *   clear(namespace)            drops all entries (or one namespace), returns the count
+ *   close()
+ * Keys have the form `${namespace}:${hash}` with namespace `${provider}/${model}`.
+ * Pinned entries (entry.pinned) never expire and are never evicted.
+ */
+
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+
+const namespaceOf = (key) => key.slice(0, key.lastIndexOf(':'));
+
+const isExpired = (entry, now = Date.now()) => !entry.pinned && now > entry.expiresAt;
+
+// Sub-millisecond wall clock, so accesses within one millisecond keep their LRU order
+const accessScore = () => performance.timeOrigin + performance.now();
+
+/**
+ * In-process store (default); least recently used entries sit at the front of the Map
+ */
+export class MemoryCacheStore {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        this.entries.delete(key);
+        if (isExpired(entry)) return null;
+
+        entry.lastAccessed = Date.now();
+        entry.hits = (entry.hits || 0) + 1;
+        this.entries.set(key, entry);
+        return { ...entry };
+    }
+
+    async peek(key) {
+        const entry = this.entries.get(key);
+        return entry && !isExpired(entry) ? { ...entry } : null;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, { hits: 0, ...entry, lastAccessed: Date.now() });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async list({ namespace, builder } = {}) {
+        const now = Date.now();
+        return Array.from(this.entries.values()).filter(entry =>
+            !isExpired(entry, now) &&
+            (!namespace || entry.namespace === namespace) &&
+            (!builder || entry.builder === builder)
+        );
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+
+    async countByNamespace() {
+        const counts = {};
+        for (const entry of this.entries.values()) {
+            counts[entry.namespace] = (counts[entry.namespace] || 0) + 1;
+        }
+        return counts;
+    }
+
+    async evict(maxSize) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (this.entries.size <= maxSize) break;
+            if (entry.pinned) continue;
+            this.entries.delete(key);
+            removed++;
+        }
+        return removed;
+    }
+
+    async cleanup() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (isExpired(entry, now)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async clear(namespace = null) {
+        if (!namespace) {
+            const removed = this.entries.size;
+            this.entries.clear();
+            return removed;
+        }
+
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.namespace === namespace) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async close() {}
+}
+
+/**
+ * SQLite store using the sqlite3 dependency; survives restarts and can be shared on one host
+ */
+export class SQLiteCacheStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filename - SQLite file (CACHE_SQLITE_PATH, default ./data/response_cache.sqlite; ':memory:' for tests)
+     */
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.filename = options.filename || process.env.CACHE_SQLITE_PATH || './data/response_cache.sqlite';
+        this.ready = this.initialize();
+        // Every method awaits `ready`, so an unopenable file surfaces as a store error on each call
+        // (a miss for ResponseCache) instead of an unhandled rejection at import
+        this.ready.catch(error => console.warn(`⚠️ SQLite cache store ${this.filename} unavailable:`, error.message));
+    }
+
+    async initialize() {
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(this.filename, (error) => error ? reject(error) : resolve(db));
+        });
+
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS response_cache (
+                key TEXT PRIMARY KEY,
+                namespace TEXT NOT NULL,
+                builder TEXT NOT NULL,
+                entry TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                last_accessed REAL NOT NULL,
+                hits INTEGER NOT NULL DEFAULT 0,
+                pinned INTEGER NOT NULL DEFAULT 0
+            )
+        `);
+
+        // Tables created before per-entry hit counts and pinning
+        const columns = (await this.all('PRAGMA table_info(response_cache)')).map(column => column.name);
+        if (!columns.includes('hits')) {
+            await this.run('ALTER TABLE response_cache ADD COLUMN hits INTEGER NOT NULL DEFAULT 0');
+        }
+        if (!columns.includes('pinned')) {
+            await this.run('ALTER TABLE response_cache ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0');
+        }
+        await this.run('CREATE INDEX IF NOT EXISTS idx_response_cache_accessed ON response_cache(last_accessed)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_response_cache_namespace ON response_cache(namespace, builder)');
+    }
+
+    async get(key) {
+        await this.ready;
+        const row = await this.getRow('SELECT entry, expires_at, hits, pinned FROM response_cache WHERE key = ?', [key]);
+        if (!row) return null;
+
+        if (!row.pinned && Date.now() > row.expires_at) {
+            await this.run('DELETE FROM response_cache WHERE key = ?', [key]);
+            return null;
+        }
+
+        await this.run('UPDATE response_cache SET last_accessed = ?, hits = hits + 1 WHERE key = ?', [accessScore(), key]);
+        return { ...this.toEntry({ ...row, hits: row.hits + 1 }), lastAccessed: Date.now() };
+    }
+
+    async peek(key) {
+        await this.ready;
+        const row = await this.getRow('SELECT entry, expires_at, hits, pinned FROM response_cache WHERE key = ?', [key]);
+        return row && (row.pinned || Date.now() <= row.expires_at) ? this.toEntry(row) : null;
+    }
+
+    async set(key, entry) {
+        await this.ready;
+        await this.run(
+            `INSERT OR REPLACE INTO response_cache (key, namespace, builder, entry, expires_at, last_accessed, hits, pinned)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [key, entry.namespace, entry.builder, JSON.stringify(entry), entry.expiresAt, accessScore(), entry.hits || 0, entry.pinned ? 1 : 0]
+        );
+    }
+
+    /**
+     * Wpis z wiersza; licznik trafień i przypięcie żyją w osobnych kolumnach
+     */
+    toEntry(row) {
+        return { ...JSON.parse(row.entry), hits: row.hits, pinned: Boolean(row.pinned) };
+    }
+
+    async delete(key) {
+        await this.ready;
+        await this.run('DELETE FROM response_cache WHERE key = ?', [key]);
+    }
+
+    async list({ namespace, builder } = {}) {
+        await this.ready;
+        const conditions = ['(pinned = 1 OR expires_at >= ?)'];
+        const params = [Date.now()];
+        if (namespace) {
+            conditions.push('namespace = ?');
+            params.push(namespace);
+        }
+        if (builder) {
+            conditions.push('builder = ?');
+            params.push(builder);
+        }
+
+        const rows = await this.all(`SELECT entry, hits, pinned FROM response_cache WHERE ${conditions.join(' AND ')}`, params);
+        return rows.map(row => this.toEntry(row));
+    }
+
+    async size() {
+        await this.ready;
+        return (await this.getRow('SELECT COUNT(*) AS count FROM response_cache')).count;
+    }
+
+    async countByNamespace() {
+        await this.ready;
+        const rows = await this.all('SELECT namespace, COUNT(*) AS count FROM response_cache GROUP BY namespace');
+        return Object.fromEntries(rows.map(row => [row.namespace, row.count]));
+    }
+
+    async evict(maxSize) {
+        const overflow = await this.size() - maxSize;
+        if (overflow <= 0) return 0;
+
+        const result = await this.run(
+            `DELETE FROM response_cache WHERE key IN (
+                SELECT key FROM response_cache WHERE pinned = 0 ORDER BY last_accessed ASC LIMIT ?
+            )`,
+            [overflow]
+        );
+        return result.changes;
+    }
+
+    async cleanup() {
+        await this.ready;
+        return (await this.run('DELETE FROM response_cache WHERE pinned = 0 AND expires_at < ?', [Date.now()])).changes;
+    }
+
+    async clear(namespace = null) {
+        await this.ready;
+        const result = namespace
+            ? await this.run('DELETE FROM response_cache WHERE namespace = ?', [namespace])
+            : await this.run('DELETE FROM response_cache');
+        return result.changes;
+    }
+
+    async close() {
+        await this.ready.catch(() => {});
+        if (!this.db) return;
+        await new Promise((resolve, reject) => this.db.close(error => error ? reject(error) : resolve()));
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (error) {
+                error ? reject(error) : resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    getRow(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (error, row) => error ? reject(error) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (error, rows) => error ? reject(error) : resolve(rows));
+        });
+    }
+}
+
+/**
+ * Minimal client for the Redis serialization protocol (Redis, Valkey, KeyDB, Dragonfly)
+ * Commands are pipelined over one connection and answered in order.
+ */
+export class RespClient {
+    /**
+     * @param {string} url - redis://[:password@]host[:port][/db]
+     * @param {Object} options
+     * @param {number} options.connectTimeout - ms before a connection attempt fails (default 2000)
+     * @param {number} options.commandTimeout - ms to wait for a reply before the connection is dropped (default 2000)
+     */
+    constructor(url = 'redis://localhost:6379', options = {}) {
+        const parsed = new URL(url);
+        this.host = parsed.hostname || 'localhost';
+        this.port = parseInt(parsed.port) || 6379;
+        this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+        this.db = parseInt(parsed.pathname.slice(1)) || 0;
+        this.connectTimeout = options.connectTimeout || 2000;
+        this.commandTimeout = options.commandTimeout || 2000;
+        this.socket = null;
+        this.connecting = null;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+    }
+
+    connect() {
+        if (this.connecting) return this.connecting;
+
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const timer = setTimeout(() => socket.destroy(new Error(`Redis connection to ${this.host}:${this.port} timed out`)), this.connectTimeout);
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            socket.on('data', (chunk) => this.onData(chunk));
+            socket.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+                this.failPending(error);
+            });
+            socket.on('close', () => {
+                // The next command reconnects
+                this.socket = null;
+                this.connecting = null;
+                this.buffer = Buffer.alloc(0);
+                this.failPending(new Error('Redis connection closed'));
+            });
+            this.socket = socket;
+        }).then(async () => {
+            if (this.password) await this.send(['AUTH', this.password]);
+            if (this.db) await this.send(['SELECT', String(this.db)]);
+        });
+
+        return this.connecting;
+    }
+
+    /**
+     * Wysyła komendę i zwraca odpowiedź serwera
+     * @param {...(string|number)} args - Command and arguments, e.g. ('SET', key, value, 'PX', 1000)
+     */
+    async command(...args) {
+        await this.connect();
+        return this.send(args.map(String));
+    }
+
+    send(args) {
+        const payload = [`*${args.length}\r\n`];
+        for (const arg of args) {
+            payload.push(`$${Buffer.byteLength(arg)}\r\n${arg}\r\n`);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = { resolve, reject };
+            // Replies are matched to requests by order, so after a missing reply the connection
+            // cannot be trusted: dropping it fails every pending request and the next command reconnects
+            request.timer = setTimeout(() => {
+                this.socket?.destroy(new Error(`Redis command ${args[0]} timed out after ${this.commandTimeout}ms`));
+            }, this.commandTimeout);
+            this.pending.push(request);
+            this.socket.write(payload.join(''));
+        });
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let reply;
+        while ((reply = parseReply(this.buffer, 0)) !== null) {
+            this.buffer = this.buffer.subarray(reply.next);
+            const request = this.pending.shift();
+            if (!request) continue;
+            clearTimeout(request.timer);
+            reply.error ? request.reject(reply.error) : request.resolve(reply.value);
+        }
+    }
+
+    failPending(error) {
+        for (const request of this.pending.splice(0)) {
+            clearTimeout(request.timer);
+            request.reject(error);
+        }
+    }
+
+    async close() {
+        if (this.socket) {
+            this.socket.end();
+        }
+    }
+}
+
+/**
+ * Parsuje jedną odpowiedź RESP od pozycji offset; null gdy bufor jest niekompletny
+ */
+function parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, next };
+        case '-':
+            return { error: new Error(`Redis: ${line}`), next };
+        case ':':
+            return { value: parseInt(line), next };
+        case '$': {
+            const length = parseInt(line);
+            if (length === -1) return { value: null, next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line);
+            if (count === -1) return { value: null, next };
+            const values = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (item === null) return null;
+                values.push(item.error || item.value);
+                position = item.next;
+            }
+            return { value: values, next: position };
+        }
+        default:
+            return { error: new Error(`Redis: unexpected reply type '${type}'`), next };
+    }
+}
+
+/**
+ * Store on a Redis-protocol server, shared by every instance pointing at it
+ * Entries are JSON strings with a PX expiry (none while pinned); a sorted set scored by
+ * last access keeps the LRU order and the key list used for namespaces and eviction.
+ * Hit counts live in a hash and pinned keys in a set, so concurrent instances can update them.
+ */
+export class RedisCacheStore {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client - Client with command(...args) (default: RespClient on options.url)
+     * @param {string} options.url - Server URL (CACHE_REDIS_URL or REDIS_URL)
+     * @param {string} options.prefix - Key prefix shared by the instances (default 'kitsune:cache')
+     */
+    constructor(options = {}) {
+        this.name = 'redis';
+        this.client = options.client ||
+            new RespClient(options.url || process.env.CACHE_REDIS_URL || process.env.REDIS_URL || 'redis://localhost:6379');
+        this.prefix = options.prefix || 'kitsune:cache';
+        this.lruKey = `${this.prefix}:lru`;
+        this.hitsKey = `${this.prefix}:hits`;
+        this.pinnedKey = `${this.prefix}:pinned`;
+    }
+
+    storageKey(key) {
+        return `${this.prefix}:entry:${key}`;
+    }
+
+    async get(key) {
+        const raw = await this.client.command('GET', this.storageKey(key));
+        if (raw === null) {
+            // Expired by Redis; drop it from the indexes too
+            await this.forget([key]);
+            return null;
+        }
+
+        await this.client.command('ZADD', this.lruKey, accessScore(), key);
+        const hits = await this.client.command('HINCRBY', this.hitsKey, key, 1);
+        return { ...JSON.parse(raw), hits, lastAccessed: Date.now() };
+    }
+
+    async peek(key) {
+        const raw = await this.client.command('GET', this.storageKey(key));
+        if (raw === null) return null;
+
+        const hits = await this.client.command('HGET', this.hitsKey, key);
+        return { ...JSON.parse(raw), hits: parseInt(hits) || 0 };
+    }
+
+    async set(key, entry) {
+        const { hits = 0, ...stored } = entry;
+        if (entry.pinned) {
+            await this.client.command('SET', this.storageKey(key), JSON.stringify(stored));
+            await this.client.command('SADD', this.pinnedKey, key);
+        } else {
+            const ttl = Math.max(1, entry.expiresAt - Date.now());
+            await this.client.command('SET', this.storageKey(key), JSON.stringify(stored), 'PX', ttl);
+            await this.client.command('SREM', this.pinnedKey, key);
+        }
+        await this.client.command('HSET', this.hitsKey, key, hits);
+        await this.client.command('ZADD', this.lruKey, accessScore(), key);
+    }
+
+    async delete(key) {
+        await this.removeKeys([key]);
+    }
+
+    async keys(namespace = null) {
+        const keys = await this.client.command('ZRANGE', this.lruKey, 0, -1);
+        return namespace ? keys.filter(key => namespaceOf(key) === namespace) : keys;
+    }
+
+    async list({ namespace, builder } = {}) {
+        const keys = await this.keys(namespace);
+        if (keys.length === 0) return [];
+
+        const values = await this.client.command('MGET', ...keys.map(key => this.storageKey(key)));
+        const hits = await this.client.command('HMGET', this.hitsKey, ...keys);
+        const expired = keys.filter((key, index) => values[index] === null);
+        if (expired.length > 0) {
+            await this.forget(expired);
+        }
+
+        return values
+            .map((value, index) => value === null ? null : { ...JSON.parse(value), hits: parseInt(hits[index]) || 0 })
+            .filter(entry => entry && (!builder || entry.builder === builder));
+    }
+
+    async size() {
+        return this.client.command('ZCARD', this.lruKey);
+    }
+
+    async countByNamespace() {
+        const counts = {};
+        for (const key of await this.keys()) {
+            const namespace = namespaceOf(key);
+            counts[namespace] = (counts[namespace] || 0) + 1;
+        }
+        return counts;
+    }
+
+    async evict(maxSize) {
+        const overflow = await this.size() - maxSize;
+        if (overflow <= 0) return 0;
+
+        const pinned = new Set(await this.client.command('SMEMBERS', this.pinnedKey));
+        const victims = (await this.keys()).filter(key => !pinned.has(key)).slice(0, overflow);
+        await this.removeKeys(victims);
+        return victims.length;
+    }
+
+    async cleanup() {
+        const keys = await this.keys();
+        if (keys.length === 0) return 0;
+
+        const values = await this.client.command('MGET', ...keys.map(key => this.storageKey(key)));
+        const expired = keys.filter((key, index) => values[index] === null);
+        if (expired.length > 0) {
+            await this.forget(expired);
+        }
+        return expired.length;
+    }
+
+    async clear(namespace = null) {
+        const keys = await this.keys(namespace);
+        await this.removeKeys(keys);
+        return keys.length;
+    }
+
+    async removeKeys(keys) {
+        if (keys.length === 0) return;
+        await this.client.command('DEL', ...keys.map(key => this.storageKey(key)));
+        await this.forget(keys);
+    }
+
+    /**
+     * Usuwa klucze z indeksu LRU, licznika trafień i zbioru przypiętych
+     */
+    async forget(keys) {
+        await this.client.command('ZREM', this.lruKey, ...keys);
+        await this.client.command('HDEL', this.hitsKey, ...keys);
+        await this.client.command('SREM', this.pinnedKey, ...keys);
+    }
+
+    async close() {
+        await this.client.close?.();
+    }
+}
+
+const STORE_TYPES = {
+    memory: MemoryCacheStore,
+    sqlite: SQLiteCacheStore,
+    redis: RedisCacheStore
+};
+
+/**
+ * Tworzy backend cache z nazwy lub przekazanej instancji
+ * @param {string|Object} spec - 'memory', 'sqlite', 'redis' (CACHE_STORE) or an object implementing the store interface
+ * @param {Object} options - Options passed to the built-in store
+ * @returns {Object} Store instance
+ */
+export function createCacheStore(spec = process.env.CACHE_STORE || 'memory', options = {}) {
+    if (spec && typeof spec.get === 'function' && typeof spec.set === 'function') {
+        return spec;
+    }
+
+    const StoreType = STORE_TYPES[spec];
+    if (!StoreType) {
+        throw new Error(`Unknown cache store: ${spec}`);
+    }
+    return new StoreType(options);
+}
+
+export default createCacheStore;
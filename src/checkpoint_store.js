@@ -0,0 +1,158 @@
+/**
+ * Solve Checkpoint Stores
+ * Persist engine iterations so interrupted solve runs can be resumed
+ */
+
+import crypto from 'crypto';
+import { DatabaseSessionManager } from './database_session_manager.js';
+
+/**
+ * In-memory checkpoint store (tests, single-process deployments)
+ */
+export class MemoryCheckpointStore {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxCompletedSessions - Completed sessions kept; the oldest are dropped (default 100)
+     */
+    constructor(options = {}) {
+        this.maxCompletedSessions = options.maxCompletedSessions || 100;
+        this.sessions = new Map();
+    }
+
+    async createSession(problem, metadata = {}) {
+        const id = crypto.randomUUID();
+        this.sessions.set(id, {
+            id,
+            problem,
+            metadata,
+            status: 'active',
+            completedAt: null,
+            iterations: []
+        });
+        return id;
+    }
+
+    async saveIteration(sessionId, iteration, sessionState) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`Checkpoint session ${sessionId} not found`);
+        }
+
+        session.iterations.push({
+            iteration: JSON.parse(JSON.stringify(iteration)),
+            sessionState: JSON.parse(JSON.stringify(sessionState))
+        });
+    }
+
+    async loadCheckpoint(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return null;
+
+        const last = session.iterations[session.iterations.length - 1];
+        return {
+            sessionId,
+            problem: session.problem,
+            metadata: session.metadata,
+            status: session.status,
+            iterations: session.iterations.map(entry => entry.iteration),
+            sessionState: last ? last.sessionState : null
+        };
+    }
+
+    async updateStatus(sessionId, status) {
+        const session = this.sessions.get(sessionId);
+        if (session) {
+            session.status = status;
+            session.completedAt = status === 'completed' ? Date.now() : null;
+            this.pruneCompletedSessions();
+        }
+    }
+
+    /**
+     * Czy istnieje checkpoint uruchomienia z danej sesji współpracy
+     */
+    async hasCollaborationSession(collaborationSessionId) {
+        return Array.from(this.sessions.values())
+            .some(session => session.metadata?.collaborationSessionId === collaborationSessionId);
+    }
+
+    /**
+     * Usuwa najstarsze zakończone sesje ponad limit
+     * Paused and active sessions can still be resumed, so they are kept.
+     */
+    pruneCompletedSessions() {
+        const completed = Array.from(this.sessions.values())
+            .filter(session => session.status === 'completed')
+            .sort((a, b) => a.completedAt - b.completedAt);
+
+        while (completed.length > this.maxCompletedSessions) {
+            this.sessions.delete(completed.shift().id);
+        }
+    }
+}
+
+/**
+ * PostgreSQL checkpoint store backed by DatabaseSessionManager
+ */
+export class DatabaseCheckpointStore {
+    constructor(sessionManager = new DatabaseSessionManager()) {
+        this.sessionManager = sessionManager;
+    }
+
+    async createSession(problem, metadata = {}) {
+        const session = await this.sessionManager.createSession({
+            user_id: metadata.userId || null,
+            problem,
+            metadata: { ...metadata, source: 'advanced_engine' }
+        });
+        return session.id;
+    }
+
+    async saveIteration(sessionId, iteration, sessionState) {
+        await this.sessionManager.createIteration({
+            session_id: sessionId,
+            iteration_number: iteration.number,
+            timestamp: iteration.timestamp,
+            data: { iteration, sessionState }
+        });
+    }
+
+    async loadCheckpoint(sessionId) {
+        const session = await this.sessionManager.getSession(sessionId);
+        if (!session) return null;
+
+        const rows = await this.sessionManager.getSessionIterations(sessionId);
+        const last = rows[rows.length - 1];
+
+        return {
+            sessionId,
+            problem: session.problem,
+            metadata: session.metadata || {},
+            status: session.status,
+            iterations: rows.map(row => row.data.iteration),
+            sessionState: last ? last.data.sessionState : null
+        };
+    }
+
+    async hasCollaborationSession(collaborationSessionId) {
+        return this.sessionManager.hasCollaborationSession(collaborationSessionId);
+    }
+
+    async updateStatus(sessionId, status) {
+        if (status === 'completed') {
+            await this.sessionManager.completeSession(sessionId);
+        } else {
+            await this.sessionManager.updateSession(sessionId, { status });
+        }
+    }
+}
+
+/**
+ * Tworzy magazyn checkpointów na podstawie konfiguracji
+ * @param {string} type - 'database' lub 'memory'
+ */
+export function createCheckpointStore(type = process.env.SOLVE_CHECKPOINT_STORE || 'memory') {
+    return type === 'database' ? new DatabaseCheckpointStore() : new MemoryCheckpointStore();
+}
+
+export default createCheckpointStore;
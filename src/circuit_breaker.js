@@ -39,6 +39,16 @@ export class CircuitBreaker {
         return false;
     }
 
+    /**
+     * Ile równoległych wywołań dopuścić w bieżącym stanie obwodu
+     * Poza stanem CLOSED wywołania idą pojedynczo (jedno próbne w HALF_OPEN)
+     * @param {number} requested - Desired concurrency
+     */
+    getConcurrencyLimit(requested) {
+        this.isOpen(); // Moves OPEN to HALF_OPEN once the recovery timeout has passed
+        return this.state === 'CLOSED' ? Math.max(1, requested) : 1;
+    }
+
     /**
      * Rejestruje udane wywołanie
      */
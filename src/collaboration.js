@@ -3,6 +3,14 @@
  * Enables multiple users to collaborate on problem-solving sessions in real-time
  */
 
+import { SharedDocument } from './shared_document.js';
+
+// Shared documents and the elements they are edited in
+const SHARED_FIELDS = { statement: 'topic-input', notes: 'session-notes' };
+
+// Permission needed to edit each shared document (see src/session_permissions.js)
+const EDIT_PERMISSIONS = { statement: 'problem.edit', notes: 'notes.edit' };
+
 export class CollaborationSystem {
     constructor() {
         this.sessionId = null;
@@ -10,9 +18,20 @@ export class CollaborationSystem {
         this.userName = this.loadUserName();
         this.collaborators = new Map();
         this.comments = [];
+        this.threads = new Map();
+        this.showResolvedThreads = false;
         this.sharedCursor = null;
         this.isHost = false;
         this.connectionStatus = 'disconnected';
+        this.socket = null;
+        this.participantId = null;
+        this.role = null;
+        this.permissions = [];
+        this.credential = null;
+        this.inviteToken = null;
+        this.documents = {};
+        this.locks = {};
+        this.authorNames = new Map([[this.userId, this.userName]]);
         
         this.initializeCollaborationUI();
         this.setupEventListeners();
@@ -41,7 +60,7 @@ export class CollaborationSystem {
                 <div class="mb-4 p-3 bg-gray-900 rounded-lg">
                     <div class="flex items-center gap-3">
                         <div class="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center text-sm font-bold">
-                            ${this.userName.charAt(0).toUpperCase()}
+                            ${this.escapeHtml(this.userName.charAt(0).toUpperCase())}
                         </div>
                         <div class="flex-1">
                             <input type="text" id="user-name-input" value="${this.userName}" 
@@ -74,6 +93,11 @@ export class CollaborationSystem {
                             </div>
                         </div>
                         <div class="mt-3">
+                            <select id="invite-role" class="px-2 py-1 bg-gray-800 border border-gray-600 rounded text-sm">
+                                <option value="facilitator">Facilitator</option>
+                                <option value="contributor" selected>Contributor</option>
+                                <option value="viewer">Viewer</option>
+                            </select>
                             <button id="copy-session-link" class="px-3 py-1 bg-blue-600 rounded hover:bg-blue-700 text-sm">
                                 📋 Copy Invite Link
                             </button>
@@ -103,6 +127,38 @@ export class CollaborationSystem {
                     </div>
                 </div>
 
+                <!-- Threads anchored to contributions -->
+                <div class="mb-6">
+                    <div class="flex justify-between items-center mb-3">
+                        <h3 class="text-lg font-medium">🧵 Contribution Threads</h3>
+                        <label class="flex items-center text-sm text-gray-400">
+                            <input type="checkbox" id="show-resolved-threads" class="mr-2">
+                            Show resolved
+                        </label>
+                    </div>
+                    <div id="threads-list" class="bg-gray-900 rounded-lg p-4 space-y-4 max-h-96 overflow-y-auto">
+                        <div class="text-gray-400 text-sm text-center">Select text in a contribution and press 💬 to start a thread</div>
+                    </div>
+                </div>
+
+                <!-- Shared Notes -->
+                <div class="mb-6">
+                    <div class="flex justify-between items-center mb-3">
+                        <h3 class="text-lg font-medium">📝 Session Notes</h3>
+                        <div class="flex gap-2">
+                            <button id="undo-statement" class="px-3 py-1 bg-gray-600 rounded hover:bg-gray-700 text-sm" title="Undo your last edit of the problem statement">
+                                ↶ Statement
+                            </button>
+                            <button id="undo-notes" class="px-3 py-1 bg-gray-600 rounded hover:bg-gray-700 text-sm" title="Undo your last edit of the notes">
+                                ↶ Notes
+                            </button>
+                        </div>
+                    </div>
+                    <textarea id="session-notes" rows="4" placeholder="Shared notes - everyone in the session can edit them"
+                              class="w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded text-sm"></textarea>
+                    <div id="document-contributors" class="text-xs text-gray-400 mt-2"></div>
+                </div>
+
                 <!-- Live Activity Feed -->
                 <div>
                     <h3 class="text-lg font-medium mb-3">📈 Live Activity</h3>
@@ -164,6 +220,41 @@ export class CollaborationSystem {
         document.getElementById('leave-session')?.addEventListener('click', () => {
             this.leaveSession();
         });
+
+        // Comment threads: replies, resolve / reopen
+        document.getElementById('show-resolved-threads')?.addEventListener('change', (e) => {
+            this.showResolvedThreads = e.target.checked;
+            this.updateThreads();
+        });
+        const threadsList = document.getElementById('threads-list');
+        threadsList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-thread-action]');
+            if (!button) return;
+            const threadId = button.dataset.threadId;
+            if (button.dataset.threadAction === 'reply') {
+                this.replyToThread(threadId);
+            } else {
+                this.setThreadResolved(threadId, button.dataset.threadAction === 'resolve');
+            }
+        });
+        threadsList?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && e.target.dataset.replyTo) {
+                this.replyToThread(e.target.dataset.replyTo);
+            }
+        });
+
+        // Shared documents: local edits become CRDT operations, Ctrl+Z undoes your own edits only
+        for (const [doc, elementId] of Object.entries(SHARED_FIELDS)) {
+            const element = document.getElementById(elementId);
+            element?.addEventListener('input', () => this.handleLocalEdit(doc));
+            element?.addEventListener('keydown', (e) => {
+                if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'z' && this.documents[doc]) {
+                    e.preventDefault();
+                    this.undoDocument(doc);
+                }
+            });
+            document.getElementById(`undo-${doc}`)?.addEventListener('click', () => this.undoDocument(doc));
+        }
     }
 
     /**
@@ -171,21 +262,13 @@ export class CollaborationSystem {
      */
     startCollaboration() {
         this.sessionId = this.generateSessionId();
+        this.inviteToken = null;
         this.isHost = true;
-        this.connectionStatus = 'connected';
-        
-        this.updateUI();
-        this.addActivity(`🚀 ${this.userName} started a collaboration session`, 'system');
-        
-        // Simulate WebSocket connection
-        this.simulateRealtimeConnection();
-        
-        this.showNotification('Collaboration session started! Share the link with your team.', 'success');
-        
+        this.connect();
+
         // Show session info
         document.getElementById('session-info-collab').classList.remove('hidden');
         document.getElementById('session-id-display').textContent = this.sessionId;
-        document.getElementById('user-role').textContent = 'Host';
     }
 
     /**
@@ -207,7 +290,7 @@ export class CollaborationSystem {
                 
                 <div class="mb-4">
                     <label class="block text-sm font-medium mb-2">Your Name:</label>
-                    <input type="text" id="join-user-name" value="${this.userName}" 
+                    <input type="text" id="join-user-name" value="${this.escapeHtml(this.userName)}" 
                            class="w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded">
                 </div>
                 
@@ -241,81 +324,384 @@ export class CollaborationSystem {
     }
 
     /**
-     * Joins an existing session
+     * Joins an existing session (invite link, or a bare session ID with the viewer role)
      */
-    joinSession(sessionId, userName) {
+    joinSession(sessionIdOrLink, userName) {
+        let sessionId = sessionIdOrLink;
+        this.inviteToken = null;
+        try {
+            const params = new URL(sessionIdOrLink).searchParams;
+            this.inviteToken = params.get('invite');
+            sessionId = params.get('join') || sessionIdOrLink;
+        } catch {
+            // Plain session ID
+        }
+
+        if (this.inviteToken) {
+            // The server checks the signature; the session ID is only read here for display
+            try {
+                const payload = JSON.parse(atob(this.inviteToken.split('.')[0].replace(/-/g, '+').replace(/_/g, '/')));
+                sessionId = payload.sid;
+            } catch {
+                this.showNotification('This invite link is damaged', 'error');
+                this.inviteToken = null;
+                return;
+            }
+        }
+
         this.sessionId = sessionId;
         this.userName = userName;
         this.isHost = false;
-        this.connectionStatus = 'connected';
-        
-        this.updateUI();
-        this.addActivity(`👋 ${this.userName} joined the session`, 'join');
-        
-        // Simulate joining
-        this.simulateRealtimeConnection();
-        this.addCollaborator({
-            id: 'host',
-            name: 'Session Host',
-            role: 'host',
-            joinedAt: Date.now() - 120000,
-            isActive: true
-        });
-        
-        this.showNotification(`Joined session: ${sessionId}`, 'success');
-        
+        this.connect();
+
         // Show session info
         document.getElementById('session-info-collab').classList.remove('hidden');
         document.getElementById('session-id-display').textContent = this.sessionId;
-        document.getElementById('user-role').textContent = 'Participant';
     }
 
     /**
-     * Simulates real-time connection with periodic updates
+     * Łączy się z hubem współpracy serwera (src/collaboration_hub.js)
      */
-    simulateRealtimeConnection() {
-        // Simulate random collaborator activities
-        setInterval(() => {
-            if (this.connectionStatus === 'connected' && Math.random() < 0.3) {
-                this.simulateCollaboratorActivity();
+    connect() {
+        const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        const params = new URLSearchParams({ sessionId: this.sessionId, name: this.userName, userId: this.userId });
+        if (this.inviteToken) params.set('invite', this.inviteToken);
+        const ownerToken = localStorage.getItem(`ies_owner_token_${this.sessionId}`);
+        if (ownerToken) params.set('owner', ownerToken);
+
+        this.connectionStatus = 'connecting';
+        this.socket = new WebSocket(`${protocol}://${window.location.host}/ws/collaboration?${params}`);
+
+        this.socket.addEventListener('message', (event) => {
+            try {
+                this.handleServerMessage(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Invalid collaboration message:', error);
             }
-        }, 8000);
+        });
 
-        // Simulate occasional new collaborators
-        setTimeout(() => {
+        this.socket.addEventListener('close', () => {
             if (this.connectionStatus === 'connected') {
-                this.addCollaborator({
-                    id: `user_${Date.now()}`,
-                    name: `Collaborator ${Math.floor(Math.random() * 100)}`,
-                    role: 'participant',
-                    joinedAt: Date.now(),
-                    isActive: true
-                });
+                this.addActivity('Connection to the collaboration server closed', 'leave');
             }
-        }, 15000);
+            this.connectionStatus = 'disconnected';
+            this.collaborators.clear();
+            this.updateUI();
+        });
+
+        this.socket.addEventListener('error', () => {
+            this.showNotification('Could not connect to the collaboration server', 'error');
+        });
     }
 
     /**
-     * Simulates collaborator activity
+     * Obsługuje wiadomości huba
      */
-    simulateCollaboratorActivity() {
-        const activities = [
-            'is viewing the problem statement',
-            'started analyzing iteration 2',
-            'added insights to the consensus',
-            'is reviewing the final solution',
-            'suggested an alternative approach'
-        ];
-        
-        const collaboratorNames = Array.from(this.collaborators.values()).map(c => c.name);
-        if (collaboratorNames.length > 0) {
-            const randomName = collaboratorNames[Math.floor(Math.random() * collaboratorNames.length)];
-            const randomActivity = activities[Math.floor(Math.random() * activities.length)];
-            
-            this.addActivity(`👤 ${randomName} ${randomActivity}`, 'activity');
+    handleServerMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.participantId = message.participant.id;
+                this.credential = message.credential;
+                if (message.ownerToken) {
+                    // Lets the owner reclaim the session after everyone has left
+                    localStorage.setItem(`ies_owner_token_${this.sessionId}`, message.ownerToken);
+                }
+                this.connectionStatus = 'connected';
+                this.setRole(message.participant.role, message.permissions);
+                this.collaborators.clear();
+                for (const participant of message.room.participants) {
+                    if (participant.id !== this.participantId) {
+                        this.collaborators.set(participant.id, this.toCollaborator(participant));
+                    }
+                }
+                this.comments = message.room.comments;
+                for (const participant of message.room.participants) {
+                    this.rememberAuthor(participant);
+                }
+                this.loadDocuments(message.room.documents, message.room.locks);
+                this.updateUI();
+                this.addActivity(`${this.isHost ? '🚀 Started' : '👋 Joined'} session ${this.sessionId}`, 'system');
+                this.showNotification(this.isHost
+                    ? 'Collaboration session started! Share the link with your team.'
+                    : `Joined session ${this.sessionId} as ${this.role}`, 'success');
+                break;
+            case 'role_changed':
+                if (message.participant.id === this.participantId) {
+                    this.setRole(message.participant.role, message.permissions);
+                    this.showNotification(`${message.by.name} made you ${message.participant.role}`, 'info');
+                } else {
+                    this.collaborators.set(message.participant.id, this.toCollaborator(message.participant));
+                    this.updateCollaboratorsList();
+                }
+                this.addActivity(`🔑 ${message.participant.name} is now ${message.participant.role}`, 'activity');
+                break;
+            case 'participant_joined':
+                this.rememberAuthor(message.participant);
+                this.addCollaborator(this.toCollaborator(message.participant));
+                break;
+            case 'participant_left':
+                this.collaborators.delete(message.participant.id);
+                this.updateCollaboratorsList();
+                this.addActivity(`${message.participant.name} left the session`, 'leave');
+                break;
+            case 'presence':
+                this.collaborators.set(message.participant.id, this.toCollaborator(message.participant));
+                this.updateCollaboratorsList();
+                break;
+            case 'comment':
+                this.comments.push(message.comment);
+                this.updateComments();
+                if (message.comment.author.id !== this.participantId) {
+                    this.addActivity(`${message.comment.author.name} added a comment`, 'comment');
+                }
+                break;
+            case 'problem_update':
+                this.addActivity(`📝 ${message.by.name} updated the problem: "${message.problem.substring(0, 50)}..."`, 'activity');
+                break;
+            case 'solution_progress':
+                this.addActivity(`⚡ ${message.by.name}: ${message.progress.stage} (${Math.round(message.progress.progress)}%)`, 'activity');
+                break;
+            case 'solve_event':
+                if (message.event.type === 'review_requested') {
+                    this.addActivity(`⏸️ Solve job waits for review of iteration ${message.event.payload.iteration}`, 'activity');
+                } else if (message.event.type === 'review_submitted') {
+                    this.addActivity(`▶️ Iteration ${message.event.payload.iteration} reviewed by ${message.event.payload.reviewer || 'a reviewer'}`, 'activity');
+                } else {
+                    this.addActivity(`⚡ Solve job: ${message.event.type.replace(/_/g, ' ')}`, 'activity');
+                }
+                break;
+            case 'doc_ops':
+                this.applyRemoteOps(message.doc, message.ops);
+                break;
+            case 'doc_state':
+                this.documents[message.doc]?.load(message.state);
+                this.renderDocument(message.doc);
+                this.applyLock(message.doc, message.lock);
+                break;
+            case 'doc_lock':
+                this.applyLock(message.doc, message.lock);
+                this.addActivity(message.locked
+                    ? `🔒 ${message.doc} locked${message.lock.reason ? ` (${message.lock.reason})` : ''}`
+                    : `🔓 ${message.doc} unlocked`, 'activity');
+                break;
+            case 'doc_rejected':
+                this.showNotification(message.message, 'error');
+                break;
+            case 'threads':
+                this.threads = new Map(message.threads.map(thread => [thread.id, thread]));
+                this.updateThreads();
+                break;
+            case 'thread_created':
+                this.threads.set(message.thread.id, message.thread);
+                this.updateThreads();
+                if (message.thread.comments[0]?.author.name !== this.userName) {
+                    this.addActivity(`🧵 ${message.thread.createdBy} opened a thread on ${this.describeAnchor(message.thread.anchor)}`, 'comment');
+                }
+                break;
+            case 'thread_comment':
+                this.threads.get(message.threadId)?.comments.push(message.comment);
+                this.updateThreads();
+                break;
+            case 'thread_status': {
+                const thread = this.threads.get(message.threadId);
+                if (thread) {
+                    Object.assign(thread, { status: message.status, resolvedBy: message.resolvedBy, resolvedAt: message.resolvedAt });
+                    this.updateThreads();
+                }
+                this.addActivity(`🧵 ${message.by.name} ${message.status === 'resolved' ? 'resolved' : 'reopened'} a thread`, 'activity');
+                break;
+            }
+            case 'mention':
+                this.showNotification(`${message.comment.author.name} mentioned you on ${this.describeAnchor(message.anchor)}`, 'info');
+                break;
+            case 'error':
+                if (this.connectionStatus === 'connecting') {
+                    // A refused owner token (e.g. signed with an older secret) must not lock us out for good
+                    localStorage.removeItem(`ies_owner_token_${this.sessionId}`);
+                }
+                this.showNotification(message.message, 'error');
+                break;
+        }
+    }
+
+    /**
+     * Tworzy repliki dokumentów ze stanu pokoju
+     * The first participant of an empty room shares what is already typed in the fields.
+     */
+    loadDocuments(snapshots = {}, locks = {}) {
+        for (const [doc, elementId] of Object.entries(SHARED_FIELDS)) {
+            const shared = new SharedDocument({ siteId: this.participantId, author: this.userId });
+            if (snapshots[doc]) shared.load(snapshots[doc]);
+            this.documents[doc] = shared;
+
+            const local = document.getElementById(elementId)?.value || '';
+            if (shared.length === 0 && local && !locks[doc] && this.can(EDIT_PERMISSIONS[doc])) {
+                this.sendMessage({ type: 'doc_ops', doc, ops: shared.replace(local) });
+            }
+            this.renderDocument(doc);
+            this.applyLock(doc, locks[doc]);
+        }
+    }
+
+    /**
+     * Zamienia lokalną edycję pola na operacje i wysyła je do huba
+     */
+    handleLocalEdit(doc) {
+        const shared = this.documents[doc];
+        const element = document.getElementById(SHARED_FIELDS[doc]);
+        if (!shared || !element || this.connectionStatus !== 'connected' || !this.can(EDIT_PERMISSIONS[doc])) return;
+
+        const ops = shared.replace(element.value);
+        if (ops.length > 0) {
+            this.sendMessage({ type: 'doc_ops', doc, ops });
+            this.updateContributors();
+        }
+    }
+
+    /**
+     * Stosuje zdalne operacje, zachowując pozycję kursora
+     */
+    applyRemoteOps(doc, ops) {
+        const shared = this.documents[doc];
+        const element = document.getElementById(SHARED_FIELDS[doc]);
+        if (!shared) return;
+
+        // Selection is anchored to the characters before it, not to offsets that remote edits shift
+        const focused = element && document.activeElement === element;
+        const anchors = focused
+            ? [element.selectionStart, element.selectionEnd].map(offset => shared.idAt(Array.from(element.value.slice(0, offset)).length))
+            : null;
+
+        shared.apply(ops);
+        this.renderDocument(doc);
+
+        if (anchors) {
+            const [start, end] = anchors.map(id => Array.from(shared.text).slice(0, shared.indexAfter(id)).join('').length);
+            element.setSelectionRange(start, end);
         }
     }
 
+    /**
+     * Cofa ostatnią własną edycję dokumentu (edycje innych zostają)
+     */
+    undoDocument(doc) {
+        const shared = this.documents[doc];
+        if (!shared || this.locks[doc] || !this.can(EDIT_PERMISSIONS[doc])) return;
+
+        const ops = shared.undo();
+        if (ops.length === 0) return;
+
+        this.sendMessage({ type: 'doc_ops', doc, ops });
+        this.renderDocument(doc);
+    }
+
+    /**
+     * Blokuje problem na czas rozwiązywania (zdejmowane po zakończeniu)
+     */
+    lockStatement(locked, reason = 'solving') {
+        this.sendMessage({ type: 'doc_lock', doc: 'statement', locked, reason });
+    }
+
+    applyLock(doc, lock) {
+        this.locks[doc] = lock || null;
+        const element = document.getElementById(SHARED_FIELDS[doc]);
+        if (!element) return;
+
+        const allowed = this.can(EDIT_PERMISSIONS[doc]);
+        element.readOnly = Boolean(lock) || !allowed;
+        element.title = lock
+            ? `Locked${lock.by ? ` by ${lock.by.name}` : ''}${lock.reason ? `: ${lock.reason}` : ''}`
+            : allowed ? '' : `Your role (${this.role}) cannot edit this`;
+        element.classList.toggle('opacity-60', element.readOnly);
+    }
+
+    /**
+     * Ustawia rolę w sesji i dostosowuje UI do jej uprawnień
+     */
+    setRole(role, permissions = []) {
+        this.role = role;
+        this.permissions = permissions;
+        this.isHost = role === 'owner';
+
+        const roleElement = document.getElementById('user-role');
+        if (roleElement) roleElement.textContent = role ? role.charAt(0).toUpperCase() + role.slice(1) : '';
+
+        for (const doc of Object.keys(SHARED_FIELDS)) this.applyLock(doc, this.locks[doc]);
+
+        const commentInput = document.getElementById('comment-input');
+        if (commentInput) commentInput.disabled = !this.can('comment');
+        for (const id of ['copy-session-link', 'invite-role']) {
+            const element = document.getElementById(id);
+            if (element) element.style.display = this.can('invite') ? '' : 'none';
+        }
+        // Roles can only invite below themselves
+        const ranks = ['owner', 'facilitator', 'contributor', 'viewer'];
+        document.querySelectorAll('#invite-role option').forEach(option => {
+            option.disabled = ranks.indexOf(option.value) <= ranks.indexOf(role);
+        });
+        this.updateCollaboratorsList();
+        this.updateThreads();
+    }
+
+    /**
+     * Czy bieżąca rola pozwala na akcję; poza sesją wszystko jest dozwolone
+     * @param {string} permission - e.g. 'solve.start', 'export'
+     */
+    can(permission) {
+        if (this.connectionStatus !== 'connected' || !this.role) return true;
+        return this.permissions.includes(permission);
+    }
+
+    renderDocument(doc) {
+        const element = document.getElementById(SHARED_FIELDS[doc]);
+        if (element && this.documents[doc] && element.value !== this.documents[doc].text) {
+            element.value = this.documents[doc].text;
+        }
+        this.updateContributors();
+    }
+
+    /**
+     * Pokazuje, kto napisał ile znaków w dokumentach
+     */
+    updateContributors() {
+        const container = document.getElementById('document-contributors');
+        if (!container) return;
+
+        const labels = { statement: 'Problem', notes: 'Notes' };
+        container.innerHTML = Object.entries(this.documents).map(([doc, shared]) => {
+            const contributors = Object.entries(shared.getContributors())
+                .map(([author, characters]) => `${this.escapeHtml(this.authorNames.get(author) || author)} (${characters})`)
+                .join(', ');
+            return contributors ? `<div>${labels[doc]}: ${contributors}</div>` : '';
+        }).join('');
+    }
+
+    rememberAuthor(participant) {
+        this.authorNames.set(participant.userId || participant.name, participant.name);
+    }
+
+    /**
+     * Wysyła wiadomość do huba, gdy połączenie jest otwarte
+     */
+    sendMessage(message) {
+        if (this.connectionStatus !== 'connected' || this.socket?.readyState !== WebSocket.OPEN) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * Uczestnik huba w formacie listy współpracowników
+     */
+    toCollaborator(participant) {
+        return {
+            id: participant.id,
+            name: participant.name,
+            role: participant.role,
+            joinedAt: participant.joinedAt,
+            isActive: participant.status === 'active'
+        };
+    }
+
     /**
      * Adds a collaborator to the session
      */
@@ -344,17 +730,22 @@ export class CollaborationSystem {
             return `
                 <div class="flex items-center gap-3 p-3 bg-gray-900 rounded-lg">
                     <div class="relative">
-                        <div class="w-8 h-8 bg-${collaborator.role === 'host' ? 'yellow' : 'blue'}-500 rounded-full flex items-center justify-center text-sm font-bold">
-                            ${collaborator.name.charAt(0).toUpperCase()}
+                        <div class="w-8 h-8 bg-${collaborator.role === 'owner' ? 'yellow' : 'blue'}-500 rounded-full flex items-center justify-center text-sm font-bold">
+                            ${this.escapeHtml(collaborator.name.charAt(0).toUpperCase())}
                         </div>
                         <div class="absolute -bottom-1 -right-1 w-3 h-3 bg-${statusColor}-500 rounded-full border-2 border-gray-800"></div>
                     </div>
                     <div class="flex-1">
-                        <div class="font-medium">${collaborator.name}</div>
+                        <div class="font-medium">${this.escapeHtml(collaborator.name)}</div>
                         <div class="text-xs text-gray-400">
                             ${collaborator.role} • joined ${timeAgo}
                         </div>
                     </div>
+                    ${this.can('roles.manage') && collaborator.role !== 'owner' ? `
+                        <select data-participant-id="${collaborator.id}" class="role-select px-1 py-0.5 bg-gray-800 border border-gray-600 rounded text-xs">
+                            ${['facilitator', 'contributor', 'viewer'].map(role => `<option value="${role}" ${role === collaborator.role ? 'selected' : ''}>${role}</option>`).join('')}
+                        </select>
+                    ` : ''}
                     <div class="text-xs text-gray-400">
                         ${collaborator.isActive ? '🟢 Active' : '⭕ Away'}
                     </div>
@@ -363,10 +754,131 @@ export class CollaborationSystem {
         }).join('');
 
         container.innerHTML = collaboratorsHTML;
+        container.querySelectorAll('.role-select').forEach(select => {
+            select.addEventListener('change', () => this.changeRole(select.dataset.participantId, select.value));
+        });
+    }
+
+    /**
+     * Zmienia rolę innego uczestnika (właściciel sesji)
+     */
+    changeRole(participantId, role) {
+        this.sendMessage({ type: 'set_role', participantId, role });
+    }
+
+    /**
+     * Comments posted since a point in time, as review guidance ({ author, text })
+     */
+    commentsSince(since) {
+        return this.comments
+            .filter(comment => comment.createdAt >= since)
+            .map(comment => ({ author: comment.author.name, text: comment.text }));
+    }
+
+    /**
+     * Opens a thread on a contribution fragment
+     * @param {Object} anchor - { iteration, role, start, end, quote, runId? }
+     */
+    startThread(anchor) {
+        if (this.connectionStatus !== 'connected') {
+            this.showNotification('Join a collaboration session to discuss contributions', 'info');
+            return;
+        }
+        if (!this.can('comment')) {
+            this.showNotification(`Your role (${this.role}) cannot comment`, 'error');
+            return;
+        }
+
+        const text = prompt(`Comment on ${this.describeAnchor(anchor)}${anchor.quote ? `:\n"${anchor.quote.slice(0, 200)}"` : ''}`);
+        if (text?.trim()) {
+            this.sendMessage({ type: 'thread_create', anchor, text: text.trim() });
+        }
+    }
+
+    /**
+     * Sends the reply typed under a thread
+     */
+    replyToThread(threadId) {
+        const input = document.querySelector(`[data-reply-to="${threadId}"]`);
+        const text = input?.value.trim();
+        if (!text) return;
+
+        if (this.sendMessage({ type: 'thread_reply', threadId, text })) {
+            input.value = '';
+        }
+    }
+
+    setThreadResolved(threadId, resolved) {
+        this.sendMessage({ type: 'thread_status', threadId, resolved });
+    }
+
+    describeAnchor(anchor) {
+        return `iteration ${anchor.iteration} · ${anchor.role}`;
+    }
+
+    /**
+     * Escapes a comment and highlights @mentions of the given names
+     */
+    formatCommentText(text, mentions = []) {
+        let html = this.escapeHtml(text);
+        for (const name of mentions) {
+            const escaped = this.escapeHtml(`@${name}`).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            html = html.replace(new RegExp(escaped, 'gi'), match => `<span class="text-yellow-300 font-medium">${match}</span>`);
+        }
+        return html;
     }
 
     /**
-     * Sends a comment
+     * Renders the threads, grouped by anchor order (resolved ones only on request)
+     */
+    updateThreads() {
+        const container = document.getElementById('threads-list');
+        if (!container) return;
+
+        const threads = Array.from(this.threads.values())
+            .filter(thread => this.showResolvedThreads || thread.status === 'open')
+            .sort((a, b) => a.anchor.iteration - b.anchor.iteration || a.anchor.role.localeCompare(b.anchor.role) || a.anchor.start - b.anchor.start);
+
+        if (threads.length === 0) {
+            container.innerHTML = '<div class="text-gray-400 text-sm text-center">Select text in a contribution and press 💬 to start a thread</div>';
+            return;
+        }
+
+        const canComment = this.can('comment');
+        container.innerHTML = threads.map(thread => {
+            const resolved = thread.status === 'resolved';
+            const comments = thread.comments.map(comment => `
+                <div class="text-sm">
+                    <span class="font-medium">${this.escapeHtml(comment.author.name)}</span>
+                    <span class="text-xs text-gray-500">${this.getTimeAgo(comment.createdAt)}</span>
+                    <div class="text-gray-300">${this.formatCommentText(comment.text, comment.mentions)}</div>
+                </div>
+            `).join('');
+
+            return `
+                <div class="border border-gray-700 rounded-lg p-3 ${resolved ? 'opacity-60' : ''}">
+                    <div class="flex justify-between items-center mb-2">
+                        <span class="text-xs text-blue-400">${this.escapeHtml(this.describeAnchor(thread.anchor))} [${thread.anchor.start}-${thread.anchor.end}]</span>
+                        ${canComment ? `
+                            <button data-thread-action="${resolved ? 'reopen' : 'resolve'}" data-thread-id="${thread.id}" class="px-2 py-1 bg-gray-700 rounded hover:bg-gray-600 text-xs">
+                                ${resolved ? '↺ Reopen' : '✓ Resolve'}
+                            </button>` : ''}
+                    </div>
+                    ${thread.anchor.quote ? `<blockquote class="border-l-2 border-gray-500 pl-2 text-xs text-gray-400 mb-2">${this.escapeHtml(thread.anchor.quote)}</blockquote>` : ''}
+                    <div class="space-y-2">${comments}</div>
+                    ${resolved ? `<div class="text-xs text-gray-500 mt-2">Resolved by ${this.escapeHtml(thread.resolvedBy || 'someone')}</div>` : ''}
+                    ${canComment ? `
+                        <div class="flex gap-2 mt-2">
+                            <input type="text" data-reply-to="${thread.id}" placeholder="Reply (@name to mention)..." class="flex-1 px-2 py-1 bg-gray-800 border border-gray-600 rounded text-sm">
+                            <button data-thread-action="reply" data-thread-id="${thread.id}" class="px-3 py-1 bg-blue-600 rounded hover:bg-blue-700 text-sm">Reply</button>
+                        </div>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Sends a comment; it appears once the hub broadcasts it back
      */
     sendComment() {
         const input = document.getElementById('comment-input');
@@ -374,22 +886,11 @@ export class CollaborationSystem {
         
         if (!content) return;
 
-        const comment = {
-            id: Date.now(),
-            userId: this.userId,
-            userName: this.userName,
-            content,
-            timestamp: Date.now(),
-            type: 'user'
-        };
-
-        this.comments.push(comment);
-        this.updateComments();
-        
-        input.value = '';
-        
-        // Simulate comment broadcast
-        this.addActivity(`💬 ${this.userName} added a comment`, 'comment');
+        if (this.sendMessage({ type: 'comment', text: content })) {
+            input.value = '';
+        } else {
+            this.showNotification('Join a collaboration session to comment', 'info');
+        }
     }
 
     /**
@@ -405,20 +906,21 @@ export class CollaborationSystem {
         }
 
         const commentsHTML = this.comments.slice(-10).map(comment => {
-            const timeAgo = this.getTimeAgo(comment.timestamp);
-            const isOwnComment = comment.userId === this.userId;
+            const timeAgo = this.getTimeAgo(comment.createdAt);
+            const isOwnComment = comment.author.id === this.participantId;
+            const authorName = this.escapeHtml(comment.author.name);
             
             return `
                 <div class="flex gap-3 ${isOwnComment ? 'flex-row-reverse' : ''}">
                     <div class="w-6 h-6 bg-${isOwnComment ? 'blue' : 'green'}-500 rounded-full flex items-center justify-center text-xs font-bold flex-shrink-0">
-                        ${comment.userName.charAt(0).toUpperCase()}
+                        ${authorName.charAt(0).toUpperCase()}
                     </div>
                     <div class="flex-1 ${isOwnComment ? 'text-right' : ''}">
                         <div class="bg-${isOwnComment ? 'blue' : 'gray'}-600 p-3 rounded-lg inline-block max-w-xs">
-                            <div class="text-sm">${comment.content}</div>
+                            <div class="text-sm">${this.escapeHtml(comment.text)}</div>
                         </div>
                         <div class="text-xs text-gray-400 mt-1">
-                            ${comment.userName} • ${timeAgo}
+                            ${authorName} • ${timeAgo}
                         </div>
                     </div>
                 </div>
@@ -451,7 +953,7 @@ export class CollaborationSystem {
         activity.innerHTML = `
             <span class="text-gray-400">${new Date().toLocaleTimeString()}</span>
             <span>${icons[type] || icons.info}</span>
-            <span class="text-gray-300">${message}</span>
+            <span class="text-gray-300">${this.escapeHtml(message)}</span>
         `;
 
         // Remove old activities (keep last 20)
@@ -466,8 +968,22 @@ export class CollaborationSystem {
     /**
      * Copies session invite link
      */
-    copySessionLink() {
-        const link = `${window.location.origin}${window.location.pathname}?join=${this.sessionId}`;
+    async copySessionLink() {
+        const role = document.getElementById('invite-role')?.value || 'contributor';
+        let link;
+        try {
+            const response = await fetch(`/api/collaboration/sessions/${encodeURIComponent(this.sessionId)}/invites`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Collaboration-Credential': this.credential || '' },
+                body: JSON.stringify({ role })
+            });
+            const invite = await response.json();
+            if (!response.ok) throw new Error(invite.message || `HTTP ${response.status}`);
+            link = `${window.location.origin}${window.location.pathname}?invite=${invite.token}`;
+        } catch (error) {
+            this.showNotification(`Could not create invite: ${error.message}`, 'error');
+            return;
+        }
         
         navigator.clipboard.writeText(link).then(() => {
             this.showNotification('Invite link copied to clipboard!', 'success');
@@ -489,13 +1005,22 @@ export class CollaborationSystem {
     leaveSession() {
         this.addActivity(`👋 ${this.userName} left the session`, 'leave');
         
-        this.sessionId = null;
-        this.isHost = false;
         this.connectionStatus = 'disconnected';
+        this.socket?.close(1000, 'Left session');
+        this.socket = null;
+        this.sessionId = null;
+        this.participantId = null;
+        this.credential = null;
+        this.inviteToken = null;
+        this.setRole(null);
         this.collaborators.clear();
         this.comments = [];
+        this.threads.clear();
+        this.documents = {};
+        for (const doc of Object.keys(SHARED_FIELDS)) this.applyLock(doc, null);
         
         this.updateUI();
+        this.updateContributors();
         document.getElementById('session-info-collab').classList.add('hidden');
         
         this.showNotification('Left collaboration session', 'info');
@@ -523,6 +1048,7 @@ export class CollaborationSystem {
 
         this.updateCollaboratorsList();
         this.updateComments();
+        this.updateThreads();
     }
 
     /**
@@ -531,6 +1057,7 @@ export class CollaborationSystem {
     updateUserName(newName) {
         if (newName.trim()) {
             this.userName = newName.trim();
+            this.authorNames.set(this.userId, this.userName);
             localStorage.setItem('ies_user_name', this.userName);
             
             if (this.connectionStatus === 'connected') {
@@ -562,6 +1089,10 @@ export class CollaborationSystem {
         return 'just now';
     }
 
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
     showNotification(message, type = 'info') {
         const colors = { success: 'green', error: 'red', info: 'blue' };
         const notification = document.createElement('div');
@@ -583,15 +1114,16 @@ export class CollaborationSystem {
     }
 
     broadcastProblemUpdate(problem) {
-        if (this.connectionStatus === 'connected') {
+        if (this.sendMessage({ type: 'problem_update', problem })) {
             this.addActivity(`📝 Problem updated: "${problem.substring(0, 50)}..."`, 'activity');
         }
     }
 
     broadcastSolutionProgress(progress) {
-        if (this.connectionStatus === 'connected') {
-            this.addActivity(`⚡ Solution progress: ${progress.stage} (${Math.round(progress.progress)}%)`, 'activity');
-        }
+        this.sendMessage({
+            type: 'solution_progress',
+            progress: { stage: progress.stage, progress: Math.min(100, Math.max(0, progress.progress || 0)) }
+        });
     }
 }
 
@@ -0,0 +1,892 @@
+/**
+ * Collaboration Hub
+ * Server side of multi-user collaboration: rooms keyed by session ID, presence,
+ * join/leave notices, comments, and live relay of solve job progress to every
+ * participant. Each room also holds shared documents (the problem statement and
+ * session notes) edited through CRDT operations; the statement is locked while a
+ * solve runs. Every participant has a session role (owner, facilitator,
+ * contributor, viewer) and the hub refuses actions the role does not allow.
+ * Comment threads anchored to a text range of a role contribution (with replies,
+ * resolve/reopen and @mentions) are kept in a comment store and outlive the room.
+ * Participants talk to the hub over WebSockets (attach) or, in process, through
+ * any transport with send(message) and close(code, reason).
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { z } from 'zod';
+import { acceptWebSocket, rejectUpgrade } from './websocket.js';
+import { SharedDocument } from './shared_document.js';
+import { createCommentStore } from './comment_store.js';
+import {
+    SESSION_ROLES,
+    SESSION_PERMISSIONS,
+    hasPermission,
+    permissionsFor,
+    canGrantRole,
+    getTokenSecret,
+    createInviteToken,
+    verifyInviteToken,
+    createOwnerToken,
+    verifyOwnerToken,
+    createParticipantCredential,
+    verifyParticipantCredential
+} from './session_permissions.js';
+
+// Shared documents of every room
+export const DOCUMENT_NAMES = ['statement', 'notes'];
+
+// Job events after which the solve no longer holds the statement
+const FINAL_JOB_EVENTS = ['solve_completed', 'solve_failed', 'solve_cancelled'];
+
+// Element ids of shared documents: `${counter}@${replica ID}`
+const elementIdSchema = z.string().regex(/^\d{1,15}@[A-Za-z0-9_-]{1,64}$/);
+
+const documentOpSchema = z.discriminatedUnion('type', [
+    z.object({
+        type: z.literal('insert'),
+        id: elementIdSchema,
+        after: elementIdSchema.nullable(),
+        value: z.string().min(1).max(2)
+    }),
+    z.object({ type: z.literal('delete'), id: elementIdSchema })
+]);
+
+export const sessionIdSchema = z.string().regex(/^[A-Za-z0-9_-]{1,100}$/, 'sessionId must be 1-100 letters, digits, _ or -');
+
+export const threadAnchorSchema = z.object({
+    runId: z.string().max(255).nullable().optional(),
+    iteration: z.number().int().min(1),
+    role: z.string().regex(/^[a-zA-Z0-9_-]{1,64}$/),
+    start: z.number().int().min(0),
+    end: z.number().int().min(0),
+    quote: z.string().max(2000).optional()
+}).refine(anchor => anchor.end >= anchor.start, { message: 'end must not be before start', path: ['end'] });
+
+export const participantSchema = z.object({
+    name: z.string().trim().min(1).max(50),
+    userId: z.string().trim().min(1).max(100).optional()
+});
+
+// Messages accepted from participants
+export const clientMessageSchema = z.discriminatedUnion('type', [
+    z.object({ type: z.literal('comment'), text: z.string().trim().min(1).max(2000) }),
+    z.object({
+        type: z.literal('presence'),
+        status: z.enum(['active', 'idle', 'away']).optional(),
+        cursor: z.object({ section: z.string().max(100), offset: z.number().int().min(0).optional() }).nullable().optional()
+    }),
+    z.object({ type: z.literal('problem_update'), problem: z.string().trim().min(1).max(5000) }),
+    z.object({
+        type: z.literal('solution_progress'),
+        progress: z.object({ stage: z.string().max(100), progress: z.number().min(0).max(100) }).passthrough()
+    }),
+    z.object({ type: z.literal('doc_ops'), doc: z.enum(DOCUMENT_NAMES), ops: z.array(documentOpSchema).min(1).max(5000) }),
+    z.object({ type: z.literal('doc_lock'), doc: z.enum(DOCUMENT_NAMES), locked: z.boolean(), reason: z.string().max(200).optional() }),
+    z.object({ type: z.literal('set_role'), participantId: z.string().uuid(), role: z.enum(SESSION_ROLES) }),
+    z.object({ type: z.literal('thread_create'), anchor: threadAnchorSchema, text: z.string().trim().min(1).max(2000) }),
+    z.object({ type: z.literal('thread_reply'), threadId: z.string().uuid(), text: z.string().trim().min(1).max(2000) }),
+    z.object({ type: z.literal('thread_status'), threadId: z.string().uuid(), resolved: z.boolean() }),
+    z.object({ type: z.literal('ping') })
+]);
+
+// Permission each message needs (messages not listed are open to every role)
+const MESSAGE_PERMISSIONS = {
+    comment: 'comment',
+    problem_update: 'problem.edit',
+    solution_progress: 'solve.start',
+    doc_lock: 'solve.start',
+    set_role: 'roles.manage',
+    thread_create: 'comment',
+    thread_reply: 'comment',
+    thread_status: 'comment'
+};
+const DOCUMENT_PERMISSIONS = { statement: 'problem.edit', notes: 'notes.edit' };
+
+/**
+ * Error raised for a request the hub refuses (invalid data, full room, missing permission)
+ */
+export class CollaborationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CollaborationError';
+        this.status = status;
+    }
+}
+
+export class CollaborationHub extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxParticipants - Participants per room (default 50)
+     * @param {number} options.maxComments - Comments kept per room for late joiners (default 200)
+     * @param {number} options.heartbeatInterval - WebSocket ping interval in ms (default 30000)
+     * @param {number} options.maxDocumentLength - Characters per shared document, tombstones included (default 100000)
+     * @param {string} options.defaultRole - Role of joiners without an invite; the first joiner of a session ID owns it (default 'viewer')
+     * @param {string} options.secret - Key signing invites and participant credentials (default getTokenSecret())
+     * @param {Object} options.commentStore - Store of anchored comment threads (default createCommentStore())
+     * @param {number} options.maxClaimedSessions - Session IDs whose owner is remembered (default 10000)
+     * @param {Object} options.checkpointStore - Checkpoints of solve runs; a session with runs there is never claimed anew (default: the relayed job manager's)
+     */
+    constructor(options = {}) {
+        super();
+        this.maxParticipants = options.maxParticipants || 50;
+        this.maxComments = options.maxComments || 200;
+        this.heartbeatInterval = options.heartbeatInterval || 30000;
+        this.maxDocumentLength = options.maxDocumentLength || 100000;
+        this.defaultRole = options.defaultRole || 'viewer';
+        this.secret = options.secret || getTokenSecret();
+        this.commentStore = options.commentStore || createCommentStore();
+        this.maxClaimedSessions = options.maxClaimedSessions || 10000;
+        this.checkpointStore = options.checkpointStore || null;
+        this.rooms = new Map();
+        // Session ID -> time it was claimed; kept after the room empties so nobody else can take ownership
+        this.claimedSessions = new Map();
+    }
+
+    /**
+     * Dołącza uczestnika do pokoju sesji (pokój powstaje przy pierwszym wejściu)
+     * @param {string} sessionId - Room key
+     * @param {Object} identity - { name, userId? }
+     * @param {Object} transport - { send(message), close?(code, reason) }
+     * Only the first joiner of a session ID that was never claimed becomes owner without a token; the
+     * welcome then carries an ownerToken that brings them back as owner after the room has emptied.
+     * @param {Object} options - { invite: signed invite token, ownerToken, role: role granted by trusted in-process callers }
+     * @returns {Object} Participant { id, userId, name, role, status, joinedAt }
+     * @throws {CollaborationError} When the identity, invite or owner token is invalid or the room is full
+     */
+    join(sessionId, identity, transport, options = {}) {
+        const id = sessionIdSchema.safeParse(sessionId);
+        const who = participantSchema.safeParse(identity || {});
+        if (!id.success || !who.success) {
+            throw new CollaborationError((id.error || who.error).errors.map(error => error.message).join('; '));
+        }
+
+        let granted = options.role || null;
+        if (options.ownerToken) {
+            if (verifyOwnerToken(options.ownerToken, this.secret) !== sessionId) {
+                throw new CollaborationError('Owner token is invalid or for another session', 403);
+            }
+            granted = 'owner';
+        } else if (options.invite) {
+            const invite = verifyInviteToken(options.invite, this.secret);
+            if (!invite || invite.sessionId !== sessionId) {
+                throw new CollaborationError('Invite is invalid, expired or for another session', 403);
+            }
+            granted = invite.role;
+        }
+
+        const existing = this.rooms.get(sessionId);
+        if (existing && existing.participants.size >= this.maxParticipants) {
+            throw new CollaborationError(`Session ${sessionId} is full`, 403);
+        }
+        const room = existing || this.createRoom(sessionId);
+        const claimed = Boolean(options.claimed) || this.claimedSessions.has(sessionId);
+        if (!claimed) this.claimSession(sessionId);
+
+        const participant = {
+            id: crypto.randomUUID(),
+            userId: who.data.userId || null,
+            name: who.data.name,
+            // Whoever claims a new session ID owns it; later joiners need an invite or the owner token
+            role: granted || (claimed ? this.defaultRole : 'owner'),
+            status: 'active',
+            cursor: null,
+            joinedAt: Date.now(),
+            lastSeen: Date.now()
+        };
+        room.participants.set(participant.id, { ...participant, transport });
+
+        this.send(transport, {
+            type: 'welcome',
+            participant,
+            permissions: permissionsFor(participant.role),
+            credential: createParticipantCredential(sessionId, participant.id, this.secret),
+            ...(participant.role === 'owner' ? { ownerToken: createOwnerToken(sessionId, this.secret) } : {}),
+            room: this.getRoom(sessionId)
+        });
+        this.broadcast(sessionId, { type: 'participant_joined', participant }, { except: participant.id });
+
+        // Threads come from the store, so they follow the welcome as soon as they are loaded
+        this.commentStore.listThreads(sessionId)
+            .then(threads => this.send(transport, { type: 'threads', threads }))
+            .catch(error => console.warn(`⚠️ Comment threads of session ${sessionId} not loaded:`, error.message));
+
+        console.log(`🤝 ${participant.name} joined collaboration session ${sessionId} (${room.participants.size} online)`);
+        this.emit('joined', { sessionId, participant });
+        return participant;
+    }
+
+    /**
+     * Usuwa uczestnika; pusty pokój jest usuwany
+     */
+    leave(sessionId, participantId, reason = 'left') {
+        const room = this.rooms.get(sessionId);
+        const member = room?.participants.get(participantId);
+        if (!member) return false;
+
+        room.participants.delete(participantId);
+        const participant = this.describe(member);
+        this.broadcast(sessionId, { type: 'participant_left', participant, reason });
+
+        // Locks of a participant who is gone would never be released
+        for (const [doc, lock] of Object.entries(room.locks)) {
+            if (lock?.by?.id === participantId) this.setDocumentLock(sessionId, doc, false);
+        }
+
+        if (room.participants.size === 0) {
+            this.rooms.delete(sessionId);
+        }
+
+        console.log(`👋 ${participant.name} left collaboration session ${sessionId} (${reason})`);
+        this.emit('left', { sessionId, participant, reason });
+        return true;
+    }
+
+    /**
+     * Obsługuje wiadomość uczestnika (tekst JSON lub obiekt)
+     * Invalid messages are answered with an error message to the sender only.
+     */
+    handleMessage(sessionId, participantId, raw) {
+        const member = this.rooms.get(sessionId)?.participants.get(participantId);
+        if (!member) return;
+
+        let data = raw;
+        if (typeof raw === 'string' || Buffer.isBuffer(raw)) {
+            try {
+                data = JSON.parse(raw.toString());
+            } catch {
+                this.send(member.transport, { type: 'error', message: 'Messages must be JSON' });
+                return;
+            }
+        }
+
+        const parsed = clientMessageSchema.safeParse(data);
+        if (!parsed.success) {
+            const message = parsed.error.errors.map(error => `${error.path.join('.') || 'message'}: ${error.message}`).join('; ');
+            this.send(member.transport, { type: 'error', message });
+            return;
+        }
+
+        member.lastSeen = Date.now();
+        const message = parsed.data;
+
+        const permission = message.type === 'doc_ops' ? DOCUMENT_PERMISSIONS[message.doc] : MESSAGE_PERMISSIONS[message.type];
+        if (permission && !hasPermission(member.role, permission)) {
+            this.send(member.transport, { type: 'error', code: 'forbidden', message: this.forbiddenMessage(member.role, permission) });
+            if (message.type === 'doc_ops') {
+                // The sender already applied its edit locally and has to be put back in sync
+                const room = this.rooms.get(sessionId);
+                this.send(member.transport, { type: 'doc_state', doc: message.doc, state: room.documents[message.doc].toJSON(), lock: room.locks[message.doc] });
+            }
+            return;
+        }
+
+        switch (message.type) {
+            case 'comment':
+                this.addComment(sessionId, participantId, message.text);
+                break;
+            case 'presence':
+                this.updatePresence(sessionId, participantId, message);
+                break;
+            case 'problem_update':
+                this.rooms.get(sessionId).problem = message.problem;
+                this.broadcast(sessionId, { type: 'problem_update', problem: message.problem, by: this.describe(member) }, { except: participantId });
+                break;
+            case 'solution_progress':
+                this.rooms.get(sessionId).lastProgress = message.progress;
+                this.broadcast(sessionId, { type: 'solution_progress', progress: message.progress, by: this.describe(member) }, { except: participantId });
+                break;
+            case 'doc_ops':
+                this.applyDocumentOps(sessionId, participantId, message.doc, message.ops);
+                break;
+            case 'doc_lock':
+                this.lockFromParticipant(sessionId, member, message);
+                break;
+            case 'set_role':
+                try {
+                    this.setRole(sessionId, participantId, message.participantId, message.role);
+                } catch (error) {
+                    this.send(member.transport, { type: 'error', code: 'forbidden', message: error.message });
+                }
+                break;
+            case 'thread_create':
+            case 'thread_reply':
+            case 'thread_status':
+                this.handleThreadMessage(sessionId, participantId, message)
+                    .catch(error => this.send(member.transport, { type: 'error', message: error.message }));
+                break;
+            case 'ping':
+                this.send(member.transport, { type: 'pong' });
+                break;
+        }
+    }
+
+    /**
+     * Obsługuje wiadomości wątków komentarzy
+     */
+    handleThreadMessage(sessionId, participantId, message) {
+        switch (message.type) {
+            case 'thread_create':
+                return this.createThread(sessionId, participantId, message.anchor, message.text);
+            case 'thread_reply':
+                return this.replyToThread(sessionId, participantId, message.threadId, message.text);
+            default:
+                return this.setThreadStatus(sessionId, participantId, message.threadId, message.resolved);
+        }
+    }
+
+    /**
+     * Otwiera wątek zakotwiczony w fragmencie wkładu roli
+     * @param {Object} anchor - { runId?, iteration, role, start, end, quote? }
+     * @returns {Promise<Object>} Thread with its first comment
+     */
+    async createThread(sessionId, participantId, anchor, text) {
+        const member = this.threadAuthor(sessionId, participantId);
+        const mentions = this.findMentions(sessionId, text, participantId);
+        const thread = await this.commentStore.createThread(sessionId, anchor, { author: this.authorOf(member), text, mentions });
+
+        this.broadcast(sessionId, { type: 'thread_created', thread });
+        this.notifyMentions(sessionId, thread, thread.comments[0]);
+        this.emit('thread_created', { sessionId, thread });
+        return thread;
+    }
+
+    /**
+     * Dodaje odpowiedź w wątku (także w rozwiązanym)
+     * @returns {Promise<Object>} Comment
+     * @throws {CollaborationError} 404 when the thread is not in the session
+     */
+    async replyToThread(sessionId, participantId, threadId, text) {
+        const member = this.threadAuthor(sessionId, participantId);
+        const mentions = this.findMentions(sessionId, text, participantId);
+        const comment = await this.commentStore.addComment(sessionId, threadId, { author: this.authorOf(member), text, mentions });
+        if (!comment) {
+            throw new CollaborationError(`Comment thread ${threadId} does not exist in session ${sessionId}`, 404);
+        }
+
+        this.broadcast(sessionId, { type: 'thread_comment', threadId, comment });
+        this.notifyMentions(sessionId, await this.commentStore.getThread(sessionId, threadId), comment);
+        this.emit('thread_comment', { sessionId, threadId, comment });
+        return comment;
+    }
+
+    /**
+     * Rozwiązuje lub ponownie otwiera wątek
+     * @returns {Promise<Object>} Thread
+     * @throws {CollaborationError} 404 when the thread is not in the session
+     */
+    async setThreadStatus(sessionId, participantId, threadId, resolved) {
+        const member = this.threadAuthor(sessionId, participantId);
+        const thread = await this.commentStore.setStatus(sessionId, threadId, resolved ? 'resolved' : 'open', member.name);
+        if (!thread) {
+            throw new CollaborationError(`Comment thread ${threadId} does not exist in session ${sessionId}`, 404);
+        }
+
+        this.broadcast(sessionId, {
+            type: 'thread_status',
+            threadId,
+            status: thread.status,
+            resolvedBy: thread.resolvedBy,
+            resolvedAt: thread.resolvedAt,
+            by: this.describe(member)
+        });
+        return thread;
+    }
+
+    /**
+     * Wątki sesji, opcjonalnie dla jednej iteracji, roli lub statusu
+     * @param {Object} filter - { iteration, role, status }
+     */
+    listThreads(sessionId, filter = {}) {
+        return this.commentStore.listThreads(sessionId, filter);
+    }
+
+    threadAuthor(sessionId, participantId) {
+        const member = this.rooms.get(sessionId)?.participants.get(participantId);
+        if (!member) {
+            throw new CollaborationError(`Participant ${participantId} is not in session ${sessionId}`, 404);
+        }
+        return member;
+    }
+
+    authorOf(member) {
+        return { id: member.userId || member.id, name: member.name };
+    }
+
+    /**
+     * Uczestnicy wspomniani w tekście jako @imię (bez autora)
+     * Names may contain spaces, so each participant's name is looked up rather than parsing @words.
+     * @returns {Array<string>} Mentioned names
+     */
+    findMentions(sessionId, text, authorId = null) {
+        const room = this.rooms.get(sessionId);
+        if (!room) return [];
+
+        const names = new Set();
+        for (const member of room.participants.values()) {
+            if (member.id === authorId) continue;
+            const escaped = member.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (new RegExp(`@${escaped}(?![\\p{L}\\p{N}_])`, 'iu').test(text)) {
+                names.add(member.name);
+            }
+        }
+        return [...names];
+    }
+
+    /**
+     * Powiadamia wspomnianych uczestników
+     */
+    notifyMentions(sessionId, thread, comment) {
+        const room = this.rooms.get(sessionId);
+        if (!room || !thread || comment.mentions.length === 0) return;
+
+        for (const member of room.participants.values()) {
+            if (comment.mentions.includes(member.name)) {
+                this.send(member.transport, { type: 'mention', threadId: thread.id, anchor: thread.anchor, comment });
+            }
+        }
+    }
+
+    /**
+     * Zmienia rolę uczestnika (tylko na rolę niższą niż własna; właściciela nie można zmienić)
+     * @returns {Object} Updated participant
+     * @throws {CollaborationError}
+     */
+    setRole(sessionId, actorId, participantId, role) {
+        const room = this.rooms.get(sessionId);
+        const actor = room?.participants.get(actorId);
+        const target = room?.participants.get(participantId);
+        if (!actor || !target) {
+            throw new CollaborationError(`Participant ${participantId} is not in session ${sessionId}`, 404);
+        }
+        if (!hasPermission(actor.role, 'roles.manage') || !canGrantRole(actor.role, role) || target.role === 'owner') {
+            throw new CollaborationError(`Your role (${actor.role}) cannot make ${target.name} ${role}`, 403);
+        }
+
+        target.role = role;
+        const participant = this.describe(target);
+        this.broadcast(sessionId, { type: 'role_changed', participant, permissions: permissionsFor(role), by: this.describe(actor) });
+
+        console.log(`🔑 ${actor.name} made ${target.name} ${role} in collaboration session ${sessionId}`);
+        return participant;
+    }
+
+    /**
+     * Tworzy podpisane zaproszenie z rolą
+     * @param {Object} options - { role, expiresIn (ms) }
+     * @returns {Object} { token, sessionId, role, expiresAt }
+     * @throws {CollaborationError} When the participant may not grant the role
+     */
+    createInvite(sessionId, participantId, options = {}) {
+        const member = this.rooms.get(sessionId)?.participants.get(participantId);
+        if (!member) {
+            throw new CollaborationError(`Participant ${participantId} is not in session ${sessionId}`, 404);
+        }
+
+        const role = options.role || 'contributor';
+        if (!canGrantRole(member.role, role)) {
+            throw new CollaborationError(`Your role (${member.role}) cannot invite ${role}s`, 403);
+        }
+
+        return createInviteToken({ sessionId, role, expiresIn: options.expiresIn, grantedBy: member.userId || member.name }, this.secret);
+    }
+
+    /**
+     * Sprawdza poświadczenie uczestnika i jego uprawnienie (dla tras REST)
+     * @param {string} credential - From the welcome message
+     * @param {string|null} permission - Key of SESSION_PERMISSIONS; null only checks that the participant is in the session
+     * @returns {Object} { sessionId, participant }
+     * @throws {CollaborationError} 401 for an unknown credential, 403 when the role lacks the permission
+     */
+    authorize(credential, permission) {
+        const claims = verifyParticipantCredential(credential, this.secret);
+        const member = claims && this.rooms.get(claims.sessionId)?.participants.get(claims.participantId);
+        if (!member) {
+            throw new CollaborationError('Collaboration credential is invalid or the participant has left', 401);
+        }
+        if (permission && !hasPermission(member.role, permission)) {
+            throw new CollaborationError(this.forbiddenMessage(member.role, permission), 403);
+        }
+        return { sessionId: claims.sessionId, participant: this.describe(member) };
+    }
+
+    forbiddenMessage(role, permission) {
+        return `Your role (${role}) does not allow: ${SESSION_PERMISSIONS[permission] || permission}`;
+    }
+
+    /**
+     * Stosuje operacje CRDT uczestnika i rozsyła je pozostałym
+     * Operations are attributed to the participant (userId, or name when anonymous).
+     * Edits of a locked document are refused and the sender gets the current state back.
+     * @returns {boolean} Whether the operations were accepted
+     */
+    applyDocumentOps(sessionId, participantId, doc, ops) {
+        const room = this.rooms.get(sessionId);
+        const member = room?.participants.get(participantId);
+        if (!member) return false;
+
+        const document = room.documents[doc];
+        const lock = room.locks[doc];
+        const inserts = ops.filter(op => op.type === 'insert').length;
+
+        let rejection = null;
+        if (lock) {
+            rejection = `The ${doc} is locked${lock.reason ? ` (${lock.reason})` : ''}`;
+        } else if (ops.some(op => op.type === 'insert' && !op.id.endsWith(`@${participantId}`))) {
+            // Element ids carry the participant ID as replica ID, so nobody can forge another's characters
+            rejection = 'Inserted characters must use your participant ID as replica ID';
+        } else if (document.sequence.length + inserts > this.maxDocumentLength) {
+            rejection = `The ${doc} cannot grow beyond ${this.maxDocumentLength} characters`;
+        }
+        if (rejection) {
+            this.send(member.transport, { type: 'doc_rejected', doc, message: rejection });
+            this.send(member.transport, { type: 'doc_state', doc, state: document.toJSON(), lock });
+            return false;
+        }
+
+        const author = member.userId || member.name;
+        const attributed = ops.map(op => ({ ...op, author }));
+        document.apply(attributed);
+
+        this.broadcast(sessionId, { type: 'doc_ops', doc, ops: attributed, by: this.describe(member) }, { except: participantId });
+        return true;
+    }
+
+    /**
+     * Blokuje lub odblokowuje dokument pokoju i powiadamia uczestników
+     * @param {Object} options - { reason, by: participant (null for the server) }
+     * @returns {Object|null} Lock { reason, by, lockedAt } or null when unlocked
+     */
+    setDocumentLock(sessionId, doc, locked, options = {}) {
+        const room = this.rooms.get(sessionId);
+        if (!room) return null;
+
+        const lock = locked
+            ? { reason: options.reason || null, by: options.by || null, lockedAt: Date.now() }
+            : null;
+        const changed = Boolean(room.locks[doc]) !== locked;
+        room.locks[doc] = lock;
+
+        if (changed || locked) {
+            this.broadcast(sessionId, { type: 'doc_lock', doc, locked, lock });
+        }
+        return lock;
+    }
+
+    /**
+     * Blokada zgłoszona przez uczestnika (np. na czas rozwiązywania w przeglądarce)
+     * A lock held by someone else or by a server job cannot be released by a participant.
+     */
+    lockFromParticipant(sessionId, member, { doc, locked, reason }) {
+        const current = this.rooms.get(sessionId).locks[doc];
+        if (current && current.by?.id !== member.id) {
+            const holder = current.by ? current.by.name : 'a running solve';
+            this.send(member.transport, { type: 'error', message: `The ${doc} is locked by ${holder}` });
+            return;
+        }
+
+        const by = { id: member.id, userId: member.userId, name: member.name };
+        this.setDocumentLock(sessionId, doc, locked, { reason, by });
+    }
+
+    /**
+     * Dodaje komentarz i rozsyła go do wszystkich uczestników (łącznie z autorem)
+     * @returns {Object|null} Comment { id, author, text, createdAt }
+     */
+    addComment(sessionId, participantId, text) {
+        const room = this.rooms.get(sessionId);
+        const member = room?.participants.get(participantId);
+        if (!member) return null;
+
+        const comment = {
+            id: crypto.randomUUID(),
+            author: { id: member.id, userId: member.userId, name: member.name },
+            text,
+            createdAt: Date.now()
+        };
+
+        room.comments.push(comment);
+        if (room.comments.length > this.maxComments) {
+            room.comments.splice(0, room.comments.length - this.maxComments);
+        }
+
+        this.broadcast(sessionId, { type: 'comment', comment });
+        this.emit('comment', { sessionId, comment });
+        return comment;
+    }
+
+    /**
+     * Aktualizuje status i kursor uczestnika
+     */
+    updatePresence(sessionId, participantId, { status, cursor }) {
+        const member = this.rooms.get(sessionId)?.participants.get(participantId);
+        if (!member) return null;
+
+        if (status) member.status = status;
+        if (cursor !== undefined) member.cursor = cursor;
+
+        const participant = this.describe(member);
+        this.broadcast(sessionId, { type: 'presence', participant }, { except: participantId });
+        return participant;
+    }
+
+    /**
+     * Wysyła wiadomość do wszystkich uczestników pokoju
+     * @param {Object} options - { except: participantId }
+     * @returns {number} Participants reached
+     */
+    broadcast(sessionId, message, options = {}) {
+        const room = this.rooms.get(sessionId);
+        if (!room) return 0;
+
+        let delivered = 0;
+        for (const member of room.participants.values()) {
+            if (member.id === options.except) continue;
+            if (this.send(member.transport, message)) delivered++;
+        }
+        return delivered;
+    }
+
+    /**
+     * Przekazuje zdarzenia zadań rozwiązywania do pokojów sesji
+     * An event of a job started from a collaboration session reaches only that session's room;
+     * other jobs reach the room keyed by their checkpoint session ID. Anyone can open a room
+     * under any ID, so rooms named after the job ID get nothing.
+     * The statement of the room stays locked from the first event until the job finishes.
+     * @param {SolveJobManager} jobManager
+     * @returns {Function} Stops relaying
+     */
+    relayJobEvents(jobManager) {
+        this.checkpointStore = this.checkpointStore || jobManager.checkpointStore || null;
+        const listener = (event) => {
+            const job = jobManager.getJob(event.jobId);
+            const sessionId = job?.collaborationSessionId || job?.sessionId;
+            const room = sessionId && this.rooms.get(sessionId);
+            if (!room) return;
+
+            if (['evolution_progress', 'consensus_update'].includes(event.type)) {
+                room.lastProgress = { type: event.type, ...event.payload };
+            }
+            this.broadcast(sessionId, { type: 'solve_event', event });
+
+            const running = !FINAL_JOB_EVENTS.includes(event.type);
+            const heldByJob = room.locks.statement && !room.locks.statement.by;
+            if (running && !room.locks.statement) {
+                this.setDocumentLock(sessionId, 'statement', true, { reason: `solve ${event.jobId} running` });
+            } else if (!running && heldByJob) {
+                this.setDocumentLock(sessionId, 'statement', false);
+            }
+        };
+
+        jobManager.on('event', listener);
+        return () => jobManager.off('event', listener);
+    }
+
+    /**
+     * Obsługuje połączenia WebSocket na serwerze HTTP
+     * Clients connect to `${path}?sessionId=...&name=...[&userId=...][&invite=...][&owner=...]`;
+     * with an invite token the session ID may be left out.
+     * @param {http.Server} server - Server returned by app.listen()
+     * @param {Object} options - { path: '/ws/collaboration' }
+     * @returns {Function} Detaches the hub and closes its connections
+     */
+    attach(server, options = {}) {
+        const path = options.path || '/ws/collaboration';
+        const connections = new Set();
+
+        const admit = async (connection, sessionId, identity, joinOptions) => {
+            // Only a session ID that was never used makes its first joiner the owner
+            const claimed = !this.claimedSessions.has(sessionId) && !joinOptions.ownerToken && !joinOptions.invite
+                ? await this.hasStoredState(sessionId)
+                : false;
+            if (connection.readyState !== 'open') return;
+
+            let participant;
+            try {
+                participant = this.join(sessionId, identity, connection, { ...joinOptions, claimed });
+            } catch (error) {
+                connection.send({ type: 'error', message: error.message });
+                connection.close(1008, error.message);
+                return;
+            }
+
+            connections.add(connection);
+            connection.on('message', (data) => this.handleMessage(sessionId, participant.id, data));
+            connection.on('close', () => {
+                connections.delete(connection);
+                this.leave(sessionId, participant.id, 'disconnected');
+            });
+        };
+
+        const onUpgrade = (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname !== path) return;
+
+            const invite = url.searchParams.get('invite') || undefined;
+            const ownerToken = url.searchParams.get('owner') || undefined;
+            const grant = invite ? verifyInviteToken(invite, this.secret) : null;
+            if (invite && !grant) {
+                const message = 'Invite is invalid or expired';
+                rejectUpgrade(socket, 403, 'Forbidden', JSON.stringify({ error: 'Forbidden', message }));
+                return;
+            }
+
+            const sessionId = url.searchParams.get('sessionId') || grant?.sessionId;
+            const identity = { name: url.searchParams.get('name') || '', userId: url.searchParams.get('userId') || undefined };
+            const check = sessionIdSchema.safeParse(sessionId);
+            const who = participantSchema.safeParse(identity);
+            if (!check.success || !who.success) {
+                const message = (check.error || who.error).errors.map(error => error.message).join('; ');
+                rejectUpgrade(socket, 400, 'Bad Request', JSON.stringify({ error: 'Bad Request', message }));
+                return;
+            }
+
+            const connection = acceptWebSocket(req, socket, head);
+            if (!connection) return;
+            // Before join(): a refused client may reset the socket while it is being closed
+            connection.on('error', (error) => console.warn(`⚠️ Collaboration socket error (${identity.name}):`, error.message));
+
+            admit(connection, sessionId, identity, { invite, ownerToken })
+                .catch(error => console.warn(`⚠️ Collaboration join failed (${identity.name}):`, error.message));
+        };
+
+        // Connections that miss a pong are dropped; their close event removes the participant
+        const heartbeat = setInterval(() => {
+            for (const connection of connections) {
+                if (!connection.alive) {
+                    connection.terminate();
+                    continue;
+                }
+                connection.ping();
+            }
+        }, this.heartbeatInterval);
+        heartbeat.unref?.();
+
+        server.on('upgrade', onUpgrade);
+        console.log(`🤝 Collaboration hub listening on ${path}`);
+
+        return () => {
+            clearInterval(heartbeat);
+            server.off('upgrade', onUpgrade);
+            for (const connection of connections) {
+                connection.close(1001, 'Server shutting down');
+            }
+        };
+    }
+
+    /**
+     * Stan pokoju dla nowych uczestników i API
+     * @returns {Object|null} { sessionId, createdAt, participants, comments, problem, lastProgress, documents, locks }
+     */
+    getRoom(sessionId) {
+        const room = this.rooms.get(sessionId);
+        if (!room) return null;
+
+        return {
+            sessionId,
+            createdAt: room.createdAt,
+            participants: Array.from(room.participants.values()).map(member => this.describe(member)),
+            comments: [...room.comments],
+            problem: room.problem,
+            lastProgress: room.lastProgress,
+            documents: Object.fromEntries(Object.entries(room.documents).map(([name, document]) => [name, document.toJSON()])),
+            locks: { ...room.locks }
+        };
+    }
+
+    /**
+     * Aktualny tekst dokumentu pokoju
+     * @returns {string|null}
+     */
+    getDocumentText(sessionId, doc) {
+        return this.rooms.get(sessionId)?.documents[doc]?.text ?? null;
+    }
+
+    /**
+     * Fragmenty dokumentu z autorami
+     * @returns {Array<Object>|null} [{ author, text }]
+     */
+    getDocumentAttribution(sessionId, doc) {
+        return this.rooms.get(sessionId)?.documents[doc]?.getAttribution() ?? null;
+    }
+
+    listRooms() {
+        return Array.from(this.rooms.values()).map(room => ({
+            sessionId: room.sessionId,
+            createdAt: room.createdAt,
+            participants: room.participants.size,
+            comments: room.comments.length
+        }));
+    }
+
+    /**
+     * Czy sesja ma zapisane wątki komentarzy lub checkpointy uruchomień
+     * Claims live in memory, but threads and checkpoints outlive restarts and forgotten claims,
+     * so such a session ID is treated as claimed. A failing store counts as stored state.
+     * @returns {Promise<boolean>}
+     */
+    async hasStoredState(sessionId) {
+        try {
+            const threads = await this.commentStore.listThreads(sessionId);
+            if (threads.length > 0) return true;
+            return Boolean(await this.checkpointStore?.hasCollaborationSession?.(sessionId));
+        } catch (error) {
+            console.warn(`⚠️ Stored state of session ${sessionId} not checked:`, error.message);
+            return true;
+        }
+    }
+
+    /**
+     * Zapamiętuje, że identyfikator sesji ma właściciela
+     * Past the limit the oldest claims of sessions without a room are forgotten.
+     */
+    claimSession(sessionId) {
+        this.claimedSessions.set(sessionId, Date.now());
+        if (this.claimedSessions.size <= this.maxClaimedSessions) return;
+
+        for (const claimedId of this.claimedSessions.keys()) {
+            if (this.claimedSessions.size <= this.maxClaimedSessions) break;
+            if (!this.rooms.has(claimedId)) this.claimedSessions.delete(claimedId);
+        }
+    }
+
+    createRoom(sessionId) {
+        const room = {
+            sessionId,
+            createdAt: Date.now(),
+            participants: new Map(),
+            comments: [],
+            problem: null,
+            lastProgress: null,
+            documents: Object.fromEntries(DOCUMENT_NAMES.map(name => [name, new SharedDocument({ siteId: 'server' })])),
+            locks: Object.fromEntries(DOCUMENT_NAMES.map(name => [name, null]))
+        };
+        this.rooms.set(sessionId, room);
+        return room;
+    }
+
+    /**
+     * Publiczny opis uczestnika (bez transportu)
+     */
+    describe(member) {
+        const { transport, ...participant } = member;
+        return participant;
+    }
+
+    /**
+     * Wysyła wiadomość przez transport; błędy transportu nie przerywają rozsyłania
+     */
+    send(transport, message) {
+        try {
+            return transport.send({ ...message, timestamp: Date.now() }) !== false;
+        } catch (error) {
+            console.warn('⚠️ Collaboration message not delivered:', error.message);
+            return false;
+        }
+    }
+}
+
+// Global hub instance
+export const collaborationHub = new CollaborationHub();
+
+export default CollaborationHub;
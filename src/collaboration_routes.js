@@ -0,0 +1,147 @@
+/**
+ * Collaboration API Routes
+ * REST view of the collaboration hub; participants themselves connect over WebSockets.
+ * Session actions over REST carry the participant credential from the hub's welcome
+ * message in the X-Collaboration-Credential header and are checked against the role.
+ */
+
+import { collaborationHub, DOCUMENT_NAMES } from './collaboration_hub.js';
+import { ROLE_PERMISSIONS, SESSION_PERMISSIONS } from './session_permissions.js';
+import { createValidationMiddleware } from './security/input_validator.js';
+
+/**
+ * Middleware sprawdzające uprawnienie uczestnika sesji
+ * Sets req.collaboration = { sessionId, participant }. The `sessionParam` route parameter must match the credential.
+ * @param {string|null} permission - Key of SESSION_PERMISSIONS; null lets in every participant of the session
+ * @param {Object} options - { hub, optional: let requests without a credential through,
+ *   sessionParam: route parameter holding the collaboration session ID (default 'sessionId'; null when the route has none) }
+ */
+export function requireSessionPermission(permission, options = {}) {
+    const hub = options.hub || collaborationHub;
+    const sessionParam = options.sessionParam === undefined ? 'sessionId' : options.sessionParam;
+
+    return (req, res, next) => {
+        const credential = req.headers['x-collaboration-credential'];
+        if (!credential && options.optional) {
+            return next();
+        }
+
+        try {
+            req.collaboration = hub.authorize(credential, permission);
+        } catch (error) {
+            return res.status(error.status || 401).json({
+                error: error.status === 403 ? 'Forbidden' : 'Unauthorized',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const sessionId = sessionParam && req.params[sessionParam];
+        if (sessionId && sessionId !== req.collaboration.sessionId) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `Credential is not valid for session ${sessionId}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Add collaboration routes to Express app
+ * @param {Object} app - Express application instance
+ * @param {Object} hub - CollaborationHub instance
+ */
+export function addCollaborationRoutes(app, hub = collaborationHub) {
+
+    // Number of active sessions and participants; session IDs are not listed, they grant the viewer role
+    app.get('/api/collaboration/sessions', (req, res) => {
+        const sessions = hub.listRooms();
+        res.json({
+            count: sessions.length,
+            participants: sessions.reduce((sum, session) => sum + session.participants, 0)
+        });
+    });
+
+    // What each session role may do
+    app.get('/api/collaboration/roles', (req, res) => {
+        res.json({ roles: ROLE_PERMISSIONS, permissions: SESSION_PERMISSIONS });
+    });
+
+    // Participants, recent comments, shared documents and latest progress of one session
+    app.get('/api/collaboration/sessions/:sessionId', requireSessionPermission(null, { hub }), (req, res) => {
+        const room = hub.getRoom(req.params.sessionId);
+        if (!room) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Collaboration session ${req.params.sessionId} has no participants`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        res.json(room);
+    });
+
+    // Signed invite link granting a role (only roles below the caller's own)
+    app.post('/api/collaboration/sessions/:sessionId/invites',
+        requireSessionPermission('invite', { hub }),
+        createValidationMiddleware('collaborationInvite'),
+        (req, res) => {
+            try {
+                const invite = hub.createInvite(req.params.sessionId, req.collaboration.participant.id, req.body);
+                res.status(201).json(invite);
+            } catch (error) {
+                res.status(error.status || 500).json({
+                    error: error.status === 403 ? 'Forbidden' : 'Failed to create invite',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+    // Comment threads anchored to contributions (?iteration=&role=&status=open|resolved)
+    app.get('/api/collaboration/sessions/:sessionId/threads',
+        requireSessionPermission(null, { hub }),
+        createValidationMiddleware('collaborationThreadQuery', 'query'),
+        async (req, res) => {
+            try {
+                const threads = await hub.listThreads(req.params.sessionId, req.query);
+                res.json({ threads, count: threads.length });
+            } catch (error) {
+                res.status(500).json({
+                    error: 'Failed to load comment threads',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+    // Problem statement, notes with attribution, comments and comment threads
+    app.get('/api/collaboration/sessions/:sessionId/export', requireSessionPermission('export', { hub }), async (req, res) => {
+        const room = hub.getRoom(req.params.sessionId);
+        const documents = Object.fromEntries(DOCUMENT_NAMES.map(doc => [doc, {
+            text: hub.getDocumentText(req.params.sessionId, doc),
+            attribution: hub.getDocumentAttribution(req.params.sessionId, doc)
+        }]));
+
+        res.json({
+            sessionId: room.sessionId,
+            exportedAt: new Date().toISOString(),
+            exportedBy: req.collaboration.participant.name,
+            documents,
+            comments: room.comments,
+            threads: await hub.listThreads(req.params.sessionId),
+            participants: room.participants.map(({ name, role, joinedAt }) => ({ name, role, joinedAt })),
+            lastProgress: room.lastProgress
+        });
+    });
+
+    console.log('🤝 Collaboration routes initialized');
+    console.log('   WS   /ws/collaboration?sessionId=&name=[&invite=] - Join a session');
+    console.log('   GET  /api/collaboration/sessions/:sessionId - Session state');
+    console.log('   POST /api/collaboration/sessions/:sessionId/invites - Signed invite link');
+    console.log('   GET  /api/collaboration/sessions/:sessionId/threads - Anchored comment threads');
+    console.log('   GET  /api/collaboration/sessions/:sessionId/export - Export (export permission)');
+}
+
+export default addCollaborationRoutes;
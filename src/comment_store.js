@@ -0,0 +1,193 @@
+/**
+ * Comment Thread Stores
+ * Threads of comments anchored to a text range of one role's contribution in one
+ * iteration: { id, sessionId, anchor: { runId, iteration, role, start, end, quote },
+ * status: 'open' | 'resolved', createdBy, resolvedBy, resolvedAt, createdAt,
+ * comments: [{ id, author: { id, name }, text, mentions, createdAt }] }
+ */
+
+import crypto from 'crypto';
+import { DatabaseSessionManager } from './database_session_manager.js';
+
+const matchesFilter = (thread, filter) =>
+    (filter.iteration === undefined || thread.anchor.iteration === filter.iteration) &&
+    (filter.role === undefined || thread.anchor.role === filter.role) &&
+    (filter.status === undefined || thread.status === filter.status);
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * In-memory comment store (tests, single-process deployments)
+ */
+export class MemoryCommentStore {
+    constructor() {
+        this.threads = new Map();
+    }
+
+    async createThread(sessionId, anchor, comment) {
+        const thread = {
+            id: crypto.randomUUID(),
+            sessionId,
+            anchor: { runId: null, quote: null, ...anchor },
+            status: 'open',
+            createdBy: comment.author.name,
+            resolvedBy: null,
+            resolvedAt: null,
+            createdAt: Date.now(),
+            comments: []
+        };
+        this.threads.set(thread.id, thread);
+        thread.comments.push(this.newComment(comment));
+        return copy(thread);
+    }
+
+    async addComment(sessionId, threadId, comment) {
+        const thread = this.find(sessionId, threadId);
+        if (!thread) return null;
+
+        const stored = this.newComment(comment);
+        thread.comments.push(stored);
+        return copy(stored);
+    }
+
+    async setStatus(sessionId, threadId, status, by = null) {
+        const thread = this.find(sessionId, threadId);
+        if (!thread) return null;
+
+        thread.status = status;
+        thread.resolvedBy = status === 'resolved' ? by : null;
+        thread.resolvedAt = status === 'resolved' ? Date.now() : null;
+        return copy(thread);
+    }
+
+    async getThread(sessionId, threadId) {
+        const thread = this.find(sessionId, threadId);
+        return thread ? copy(thread) : null;
+    }
+
+    async listThreads(sessionId, filter = {}) {
+        return Array.from(this.threads.values())
+            .filter(thread => thread.sessionId === sessionId && matchesFilter(thread, filter))
+            .sort((a, b) => a.anchor.iteration - b.anchor.iteration || a.anchor.start - b.anchor.start || a.createdAt - b.createdAt)
+            .map(copy);
+    }
+
+    find(sessionId, threadId) {
+        const thread = this.threads.get(threadId);
+        return thread?.sessionId === sessionId ? thread : null;
+    }
+
+    newComment({ author, text, mentions = [] }) {
+        return {
+            id: crypto.randomUUID(),
+            author: { id: author.id || null, name: author.name },
+            text,
+            mentions,
+            createdAt: Date.now()
+        };
+    }
+}
+
+/**
+ * PostgreSQL comment store backed by DatabaseSessionManager
+ */
+export class DatabaseCommentStore {
+    constructor(sessionManager = new DatabaseSessionManager()) {
+        this.sessionManager = sessionManager;
+    }
+
+    async createThread(sessionId, anchor, comment) {
+        const id = crypto.randomUUID();
+        await this.sessionManager.createCommentThread({
+            id,
+            session_id: sessionId,
+            run_id: anchor.runId || null,
+            iteration_number: anchor.iteration,
+            role_key: anchor.role,
+            range_start: anchor.start,
+            range_end: anchor.end,
+            quote: anchor.quote || null,
+            created_by: comment.author.name
+        }, this.toCommentRow(id, comment));
+        return this.getThread(sessionId, id);
+    }
+
+    async addComment(sessionId, threadId, comment) {
+        if (!(await this.getThread(sessionId, threadId))) return null;
+        return this.insertComment(threadId, comment);
+    }
+
+    async setStatus(sessionId, threadId, status, by = null) {
+        if (!(await this.getThread(sessionId, threadId))) return null;
+
+        await this.sessionManager.updateCommentThreadStatus(threadId, status, by);
+        return this.getThread(sessionId, threadId);
+    }
+
+    async getThread(sessionId, threadId) {
+        const [row] = await this.sessionManager.getSessionCommentThreads(sessionId, threadId);
+        return row ? this.toThread(row) : null;
+    }
+
+    async listThreads(sessionId, filter = {}) {
+        const rows = await this.sessionManager.getSessionCommentThreads(sessionId);
+        return rows.map(row => this.toThread(row)).filter(thread => matchesFilter(thread, filter));
+    }
+
+    async insertComment(threadId, comment) {
+        const row = await this.sessionManager.createThreadComment(this.toCommentRow(threadId, comment));
+        return this.toComment(row);
+    }
+
+    toCommentRow(threadId, { author, text, mentions = [] }) {
+        return {
+            id: crypto.randomUUID(),
+            thread_id: threadId,
+            author_id: author.id || null,
+            author_name: author.name,
+            body: text,
+            mentions
+        };
+    }
+
+    toThread(row) {
+        return {
+            id: row.id,
+            sessionId: row.session_id,
+            anchor: {
+                runId: row.run_id,
+                iteration: row.iteration_number,
+                role: row.role_key,
+                start: row.range_start,
+                end: row.range_end,
+                quote: row.quote
+            },
+            status: row.status,
+            createdBy: row.created_by,
+            resolvedBy: row.resolved_by,
+            resolvedAt: row.resolved_at === null ? null : Number(row.resolved_at),
+            createdAt: Number(row.created_at),
+            comments: (row.comments || []).map(comment => this.toComment(comment))
+        };
+    }
+
+    toComment(row) {
+        return {
+            id: row.id,
+            author: { id: row.author_id, name: row.author_name },
+            text: row.body,
+            mentions: row.mentions || [],
+            createdAt: Number(row.created_at)
+        };
+    }
+}
+
+/**
+ * Tworzy magazyn wątków komentarzy na podstawie konfiguracji
+ * @param {string} type - 'database' lub 'memory' (default: database when DB_HOST is configured)
+ */
+export function createCommentStore(type = process.env.COMMENT_STORE || (process.env.DB_HOST ? 'database' : 'memory')) {
+    return type === 'database' ? new DatabaseCommentStore() : new MemoryCommentStore();
+}
+
+export default createCommentStore;
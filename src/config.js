@@ -45,6 +45,14 @@ export const appConfig = {
     baseURL: 'https://generativelanguage.googleapis.com/v1beta'
   },
 
+  // Self-hosted OpenAI-compatible server (Ollama, llama.cpp)
+  local: {
+    apiKey: process.env.LOCAL_AI_API_KEY,
+    model: process.env.LOCAL_AI_MODEL || 'llama3',
+    maxTokens: parseInt(process.env.LOCAL_AI_MAX_TOKENS) || 1000,
+    baseURL: process.env.LOCAL_AI_BASE_URL
+  },
+
   // Circuit Breaker Settings
   circuitBreaker: {
     threshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5,
@@ -81,10 +89,11 @@ export function validateConfig() {
     const hasOpenAI = appConfig.openai.apiKey && appConfig.openai.apiKey !== 'your_openai_api_key_here';
     const hasAnthropic = appConfig.anthropic.apiKey && appConfig.anthropic.apiKey !== 'your_anthropic_api_key_here';
     const hasGoogle = appConfig.google.apiKey && appConfig.google.apiKey !== 'your_google_api_key_here';
+    const hasLocal = Boolean(appConfig.local.baseURL);
     
-    if (!hasOpenAI && !hasAnthropic && !hasGoogle) {
+    if (!hasOpenAI && !hasAnthropic && !hasGoogle && !hasLocal) {
       throw new Error(
-        '❌ No valid AI API keys found. Please set at least one of: OPENAI_API_KEY, ANTHROPIC_API_KEY, or GOOGLE_API_KEY in your .env file'
+        '❌ No valid AI API keys found. Please set at least one of: OPENAI_API_KEY, ANTHROPIC_API_KEY, GOOGLE_API_KEY or LOCAL_AI_BASE_URL in your .env file'
       );
     }
     
@@ -92,6 +101,7 @@ export function validateConfig() {
     console.log(`  - OpenAI: ${hasOpenAI ? '✅ Configured' : '❌ Not configured'}`);
     console.log(`  - Anthropic: ${hasAnthropic ? '✅ Configured' : '❌ Not configured'}`);
     console.log(`  - Google: ${hasGoogle ? '✅ Configured' : '❌ Not configured'}`);
+    console.log(`  - Local: ${hasLocal ? `✅ ${appConfig.local.baseURL}` : '❌ Not configured'}`);
   }
   
   return true;
@@ -115,6 +125,10 @@ export function getAvailableProviders() {
     providers.push('google');
   }
   
+  if (appConfig.local.baseURL) {
+    providers.push('local');
+  }
+  
   return providers;
 }
 
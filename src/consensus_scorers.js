@@ -0,0 +1,151 @@
+/**
+ * Consensus Scorers
+ * Interchangeable measures of agreement between role contributions.
+ * A scorer is any object with a `name` and an async `score(texts)` returning 0-1.
+ */
+
+import { computeTFIDF, GENERAL_TFIDF_CONFIG } from './utils.js';
+import { EmbeddingSimilarity } from '../EmbeddingSimilarity.js';
+
+/**
+ * Average of a pairwise similarity function over all text pairs
+ */
+function averagePairwise(items, similarity) {
+    let total = 0;
+    let pairs = 0;
+
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            total += similarity(items[i], items[j]);
+            pairs++;
+        }
+    }
+
+    return pairs > 0 ? total / pairs : 0;
+}
+
+/**
+ * Lexical consensus based on TF-IDF cosine similarity
+ */
+export class TFIDFScorer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.config - Overrides merged into the domain-neutral TF-IDF configuration
+     */
+    constructor(options = {}) {
+        this.name = 'tfidf';
+        const overrides = options.config || {};
+        this.config = {
+            ...GENERAL_TFIDF_CONFIG,
+            ...overrides,
+            STOPWORDS: [...GENERAL_TFIDF_CONFIG.STOPWORDS, ...(overrides.STOPWORDS || [])]
+        };
+    }
+
+    async score(texts) {
+        if (texts.length < 2) return 1.0;
+        return computeTFIDF(texts, this.config);
+    }
+}
+
+/**
+ * TF-IDF consensus with smoothed IDF, log(1 + n/df)
+ * Terms used by every contribution keep a weight, so two near-identical texts
+ * score close to 1 instead of 0. Opt-in; 'tfidf' keeps the plain log(n/df).
+ */
+export class SmoothedTFIDFScorer extends TFIDFScorer {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'tfidf_smoothed';
+        this.config.SMOOTH_IDF = true;
+    }
+}
+
+/**
+ * Semantic consensus based on embedding cosine similarity
+ */
+export class EmbeddingScorer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.similarity - EmbeddingSimilarity instance (created from options.embedding if omitted)
+     * @param {Object} options.embedding - EmbeddingSimilarity configuration
+     */
+    constructor(options = {}) {
+        this.name = 'embedding';
+        this.similarity = options.similarity || new EmbeddingSimilarity(options.embedding);
+    }
+
+    async score(texts) {
+        if (texts.length < 2) return 1.0;
+
+        const embeddings = await this.similarity.getEmbeddings(texts);
+
+        // Opposing embeddings count as no agreement rather than half agreement
+        return averagePairwise(embeddings, (a, b) =>
+            Math.max(0, this.similarity.cosineSimilarity(a, b))
+        );
+    }
+}
+
+/**
+ * Weighted blend of several scorers
+ */
+export class HybridScorer {
+    /**
+     * @param {Object} options
+     * @param {Array} options.scorers - [{ scorer, weight }], weights positive
+     */
+    constructor(options = {}) {
+        this.name = 'hybrid';
+        this.scorers = options.scorers || [
+            { scorer: new TFIDFScorer(), weight: 0.4 },
+            { scorer: new EmbeddingScorer(options), weight: 0.6 }
+        ];
+
+        if (this.scorers.length === 0) {
+            throw new Error('Hybrid scorer requires at least one component scorer');
+        }
+
+        // A zero total weight would make every score NaN, which never converges
+        const invalid = this.scorers
+            .filter(({ weight }) => !(Number.isFinite(weight) && weight > 0))
+            .map(({ scorer, weight }) => `${scorer?.name || 'scorer'} has weight ${weight}`);
+        if (invalid.length > 0) {
+            throw new Error(`Hybrid scorer weights must be positive numbers: ${invalid.join('; ')}`);
+        }
+    }
+
+    async score(texts) {
+        const scores = await Promise.all(this.scorers.map(({ scorer }) => scorer.score(texts)));
+        const totalWeight = this.scorers.reduce((sum, { weight }) => sum + weight, 0);
+
+        return this.scorers.reduce((sum, { weight }, index) => sum + scores[index] * weight, 0) / totalWeight;
+    }
+}
+
+const SCORER_TYPES = {
+    tfidf: TFIDFScorer,
+    tfidf_smoothed: SmoothedTFIDFScorer,
+    embedding: EmbeddingScorer,
+    hybrid: HybridScorer
+};
+
+/**
+ * Tworzy scorer konsensusu na podstawie nazwy lub zwraca przekazaną instancję
+ * @param {string|Object} scorer - 'tfidf', 'tfidf_smoothed', 'embedding', 'hybrid' or an object implementing score(texts)
+ * @param {Object} options - Options for built-in scorers
+ */
+export function createConsensusScorer(scorer = process.env.CONSENSUS_SCORER || 'tfidf', options = {}) {
+    if (scorer && typeof scorer.score === 'function') {
+        return scorer;
+    }
+
+    const ScorerType = SCORER_TYPES[scorer];
+    if (!ScorerType) {
+        throw new Error(`Unknown consensus scorer: ${scorer}`);
+    }
+
+    return new ScorerType(options);
+}
+
+export default createConsensusScorer;
@@ -1,11 +1,12 @@
-const db = require('./db');
+import crypto from 'crypto';
+import db from './db.js';
 
 /**
  * Database Session Manager
  * Provides full CRUD operations for sessions, iterations, user profiles, and analytics
  * Replaces localStorage with PostgreSQL persistence
  */
-class DatabaseSessionManager {
+export class DatabaseSessionManager {
     constructor() {
         this.db = db;
     }
@@ -14,28 +15,32 @@ class DatabaseSessionManager {
 
     /**
      * Create a new session
+     * Times are epoch milliseconds, as in database/schema.sql.
      */
     async createSession(sessionData) {
         try {
             const {
-                user_id,
-                session_name,
+                id = crypto.randomUUID(),
+                user_id = null,
+                problem,
                 status = 'active',
-                start_time = new Date(),
+                start_time = Date.now(),
                 metadata = {}
             } = sessionData;
 
             const query = `
-                INSERT INTO sessions (user_id, session_name, status, start_time, metadata, created_at, updated_at)
-                VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+                INSERT INTO sessions (id, user_id, problem, status, start_time, last_save_time, metadata, created_at, updated_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
                 RETURNING *
             `;
             
             const result = await this.db.query(query, [
+                id,
                 user_id,
-                session_name,
+                problem,
                 status,
                 start_time,
+                start_time,
                 JSON.stringify(metadata)
             ]);
 
@@ -57,15 +62,14 @@ class DatabaseSessionManager {
                            json_build_object(
                                'id', i.id,
                                'iteration_number', i.iteration_number,
-                               'start_time', i.start_time,
-                               'end_time', i.end_time,
-                               'status', i.status,
+                               'timestamp', i.timestamp,
+                               'session_time', i.session_time,
                                'data', i.data,
                                'created_at', i.created_at
                            ) ORDER BY i.iteration_number
                        ) FILTER (WHERE i.id IS NOT NULL) as iterations
                 FROM sessions s
-                LEFT JOIN iterations i ON s.id = i.session_id
+                LEFT JOIN session_iterations i ON s.id = i.session_id
                 WHERE s.id = $1
                 GROUP BY s.id
             `;
@@ -97,9 +101,9 @@ class DatabaseSessionManager {
             const query = `
                 SELECT s.*, 
                        COUNT(i.id) as iteration_count,
-                       MAX(i.end_time) as last_iteration_time
+                       MAX(i.timestamp) as last_iteration_time
                 FROM sessions s
-                LEFT JOIN iterations i ON s.id = i.session_id
+                LEFT JOIN session_iterations i ON s.id = i.session_id
                 WHERE s.user_id = $1
                 GROUP BY s.id
                 ORDER BY s.updated_at DESC
@@ -126,9 +130,10 @@ class DatabaseSessionManager {
     async updateSession(sessionId, updateData) {
         try {
             const {
-                session_name,
+                problem,
                 status,
                 end_time,
+                completed,
                 metadata
             } = updateData;
 
@@ -136,9 +141,9 @@ class DatabaseSessionManager {
             const values = [];
             let paramCount = 1;
 
-            if (session_name !== undefined) {
-                updates.push(`session_name = $${paramCount++}`);
-                values.push(session_name);
+            if (problem !== undefined) {
+                updates.push(`problem = $${paramCount++}`);
+                values.push(problem);
             }
             if (status !== undefined) {
                 updates.push(`status = $${paramCount++}`);
@@ -148,11 +153,17 @@ class DatabaseSessionManager {
                 updates.push(`end_time = $${paramCount++}`);
                 values.push(end_time);
             }
+            if (completed !== undefined) {
+                updates.push(`completed = $${paramCount++}`);
+                values.push(completed);
+            }
             if (metadata !== undefined) {
                 updates.push(`metadata = $${paramCount++}`);
                 values.push(JSON.stringify(metadata));
             }
 
+            updates.push(`last_save_time = $${paramCount++}`);
+            values.push(Date.now());
             updates.push(`updated_at = NOW()`);
             values.push(sessionId);
 
@@ -187,7 +198,7 @@ class DatabaseSessionManager {
     async deleteSession(sessionId) {
         try {
             // Delete iterations first (foreign key constraint)
-            await this.db.query('DELETE FROM iterations WHERE session_id = $1', [sessionId]);
+            await this.db.query('DELETE FROM session_iterations WHERE session_id = $1', [sessionId]);
             
             // Delete session
             const result = await this.db.query(
@@ -202,32 +213,49 @@ class DatabaseSessionManager {
         }
     }
 
+    /**
+     * Check whether any session was run from a collaboration session
+     */
+    async hasCollaborationSession(collaborationSessionId) {
+        try {
+            const result = await this.db.query(
+                `SELECT 1 FROM sessions WHERE metadata->>'collaborationSessionId' = $1 LIMIT 1`,
+                [collaborationSessionId]
+            );
+            return result.rows.length > 0;
+        } catch (error) {
+            console.error('Error checking collaboration session:', error);
+            throw error;
+        }
+    }
+
     // ===== ITERATION CRUD OPERATIONS =====
 
     /**
      * Create a new iteration
+     * @param {Object} iterationData - { session_id, iteration_number, timestamp (epoch ms), session_time (ms since the session started; derived when omitted), data }
      */
     async createIteration(iterationData) {
         try {
             const {
                 session_id,
                 iteration_number,
-                start_time = new Date(),
-                status = 'active',
+                timestamp = Date.now(),
+                session_time = null,
                 data = {}
             } = iterationData;
 
             const query = `
-                INSERT INTO iterations (session_id, iteration_number, start_time, status, data, created_at)
-                VALUES ($1, $2, $3, $4, $5, NOW())
+                INSERT INTO session_iterations (session_id, iteration_number, timestamp, session_time, data, created_at)
+                VALUES ($1, $2, $3, COALESCE($4, $3 - (SELECT start_time FROM sessions WHERE id = $1)), $5, NOW())
                 RETURNING *
             `;
             
             const result = await this.db.query(query, [
                 session_id,
                 iteration_number,
-                start_time,
-                status,
+                timestamp,
+                session_time,
                 JSON.stringify(data)
             ]);
 
@@ -244,43 +272,18 @@ class DatabaseSessionManager {
     }
 
     /**
-     * Update iteration
+     * Update iteration data
      */
     async updateIteration(iterationId, updateData) {
         try {
-            const {
-                end_time,
-                status,
-                data
-            } = updateData;
-
-            const updates = [];
-            const values = [];
-            let paramCount = 1;
-
-            if (end_time !== undefined) {
-                updates.push(`end_time = $${paramCount++}`);
-                values.push(end_time);
-            }
-            if (status !== undefined) {
-                updates.push(`status = $${paramCount++}`);
-                values.push(status);
-            }
-            if (data !== undefined) {
-                updates.push(`data = $${paramCount++}`);
-                values.push(JSON.stringify(data));
-            }
-
-            values.push(iterationId);
-
             const query = `
-                UPDATE iterations 
-                SET ${updates.join(', ')}
-                WHERE id = $${paramCount}
+                UPDATE session_iterations 
+                SET data = $1
+                WHERE id = $2
                 RETURNING *
             `;
             
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, [JSON.stringify(updateData.data || {}), iterationId]);
             
             if (result.rows.length === 0) {
                 return null;
@@ -304,7 +307,7 @@ class DatabaseSessionManager {
     async getSessionIterations(sessionId) {
         try {
             const query = `
-                SELECT * FROM iterations 
+                SELECT * FROM session_iterations 
                 WHERE session_id = $1 
                 ORDER BY iteration_number ASC
             `;
@@ -553,6 +556,154 @@ class DatabaseSessionManager {
         }
     }
 
+    // ===== COMMENT THREAD CRUD OPERATIONS =====
+
+    /**
+     * Create a comment thread anchored to a contribution, with its first comment
+     * The thread, comment and mentions are inserted in one transaction.
+     */
+    async createCommentThread(threadData, commentData) {
+        try {
+            const {
+                id,
+                session_id,
+                run_id = null,
+                iteration_number,
+                role_key,
+                range_start,
+                range_end,
+                quote = null,
+                created_by,
+                created_at = Date.now()
+            } = threadData;
+
+            const query = `
+                INSERT INTO comment_threads (id, session_id, run_id, iteration_number, role_key, range_start, range_end, quote, status, created_by, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'open', $9, $10)
+                RETURNING *
+            `;
+
+            return await this.db.transaction(async (client) => {
+                const result = await client.query(query, [
+                    id,
+                    session_id,
+                    run_id,
+                    iteration_number,
+                    role_key,
+                    range_start,
+                    range_end,
+                    quote,
+                    created_by,
+                    created_at
+                ]);
+
+                const comment = await this.insertThreadComment(client, { ...commentData, thread_id: id });
+                return { ...result.rows[0], comments: [comment] };
+            });
+        } catch (error) {
+            console.error('Error creating comment thread:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a comment (and its mentions) to a thread
+     */
+    async createThreadComment(commentData) {
+        try {
+            return await this.db.transaction(client => this.insertThreadComment(client, commentData));
+        } catch (error) {
+            console.error('Error creating thread comment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Insert a comment and its mentions with the given transaction client
+     */
+    async insertThreadComment(client, commentData) {
+        const {
+            id,
+            thread_id,
+            author_id = null,
+            author_name,
+            body,
+            mentions = [],
+            created_at = Date.now()
+        } = commentData;
+
+        const result = await client.query(`
+            INSERT INTO thread_comments (id, thread_id, author_id, author_name, body, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [id, thread_id, author_id, author_name, body, created_at]);
+
+        for (const name of mentions) {
+            await client.query(
+                'INSERT INTO comment_mentions (comment_id, mentioned_name) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+                [id, name]
+            );
+        }
+
+        return { ...result.rows[0], mentions };
+    }
+
+    /**
+     * Get comment threads of a session with their comments and mentions
+     */
+    async getSessionCommentThreads(sessionId, threadId = null) {
+        try {
+            const query = `
+                SELECT t.*,
+                       COALESCE(
+                           (SELECT json_agg(
+                               json_build_object(
+                                   'id', c.id,
+                                   'author_id', c.author_id,
+                                   'author_name', c.author_name,
+                                   'body', c.body,
+                                   'created_at', c.created_at,
+                                   'mentions', COALESCE(
+                                       (SELECT json_agg(m.mentioned_name) FROM comment_mentions m WHERE m.comment_id = c.id),
+                                       '[]'::json
+                                   )
+                               ) ORDER BY c.created_at
+                           ) FROM thread_comments c WHERE c.thread_id = t.id),
+                           '[]'::json
+                       ) as comments
+                FROM comment_threads t
+                WHERE t.session_id = $1 AND ($2::varchar IS NULL OR t.id = $2)
+                ORDER BY t.iteration_number, t.role_key, t.range_start, t.created_at
+            `;
+
+            const result = await this.db.query(query, [sessionId, threadId]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting comment threads:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Resolve or reopen a comment thread
+     */
+    async updateCommentThreadStatus(threadId, status, resolvedBy = null) {
+        try {
+            const resolved = status === 'resolved';
+            const result = await this.db.query(`
+                UPDATE comment_threads
+                SET status = $1, resolved_by = $2, resolved_at = $3
+                WHERE id = $4
+                RETURNING *
+            `, [status, resolved ? resolvedBy : null, resolved ? Date.now() : null, threadId]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error updating comment thread status:', error);
+            throw error;
+        }
+    }
+
     // ===== UTILITY METHODS =====
 
     /**
@@ -566,15 +717,14 @@ class DatabaseSessionManager {
                            json_build_object(
                                'id', i.id,
                                'iteration_number', i.iteration_number,
-                               'start_time', i.start_time,
-                               'end_time', i.end_time,
-                               'status', i.status,
+                               'timestamp', i.timestamp,
+                               'session_time', i.session_time,
                                'data', i.data,
                                'created_at', i.created_at
                            ) ORDER BY i.iteration_number
                        ) FILTER (WHERE i.id IS NOT NULL) as iterations
                 FROM sessions s
-                LEFT JOIN iterations i ON s.id = i.session_id
+                LEFT JOIN session_iterations i ON s.id = i.session_id
                 WHERE s.user_id = $1 AND s.status IN ('active', 'paused')
                 GROUP BY s.id
                 ORDER BY s.updated_at DESC
@@ -608,9 +758,9 @@ class DatabaseSessionManager {
             const query = `
                 SELECT s.*, 
                        COUNT(i.id) as iteration_count,
-                       MAX(i.end_time) as last_iteration_time
+                       MAX(i.timestamp) as last_iteration_time
                 FROM sessions s
-                LEFT JOIN iterations i ON s.id = i.session_id
+                LEFT JOIN session_iterations i ON s.id = i.session_id
                 WHERE s.user_id = $1 AND s.status = 'completed'
                 GROUP BY s.id
                 ORDER BY s.end_time DESC
@@ -638,7 +788,7 @@ class DatabaseSessionManager {
         try {
             return await this.updateSession(sessionId, {
                 status: 'discarded',
-                end_time: new Date()
+                end_time: Date.now()
             });
         } catch (error) {
             console.error('Error discarding session:', error);
@@ -653,7 +803,8 @@ class DatabaseSessionManager {
         try {
             return await this.updateSession(sessionId, {
                 status: 'completed',
-                end_time: new Date()
+                end_time: Date.now(),
+                completed: true
             });
         } catch (error) {
             console.error('Error completing session:', error);
@@ -700,7 +851,7 @@ class DatabaseSessionManager {
                     COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_sessions,
                     COUNT(CASE WHEN status = 'active' THEN 1 END) as active_sessions,
                     COUNT(CASE WHEN status = 'paused' THEN 1 END) as paused_sessions,
-                    AVG(EXTRACT(EPOCH FROM (end_time - start_time))/60) as avg_session_minutes
+                    AVG((end_time - start_time) / 60000.0) as avg_session_minutes
                 FROM sessions 
                 WHERE user_id = $1
             `;
@@ -714,4 +865,4 @@ class DatabaseSessionManager {
     }
 }
 
-module.exports = DatabaseSessionManager;
+export default DatabaseSessionManager;
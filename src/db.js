@@ -21,7 +21,26 @@ pool.on('error', (err, client) => {
   process.exit(-1);
 });
 
+/**
+ * Runs callback(client) inside BEGIN/COMMIT on one pooled client; rolls back when it throws.
+ */
+const transaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 export default {
   query: (text, params) => pool.query(text, params),
+  transaction,
   end: () => pool.end(),
 };
@@ -0,0 +1,217 @@
+/**
+ * Persistent Embedding Cache
+ * Stores embeddings in SQLite keyed by provider, model and a hash of the text,
+ * so restarts do not re-embed the knowledge base and past sessions.
+ * A cache whose database cannot be opened disables itself: lookups miss and writes are skipped.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { register, Counter, Gauge } from 'prom-client';
+
+// Metrics live in the default registry; reuse them when several caches exist
+const getOrCreateMetric = (MetricType, config) =>
+    register.getSingleMetric(config.name) || new MetricType(config);
+
+const cacheHits = getOrCreateMetric(Counter, {
+    name: 'embedding_cache_hits_total',
+    help: 'Embedding lookups served from the persistent cache',
+    labelNames: ['provider']
+});
+
+const cacheMisses = getOrCreateMetric(Counter, {
+    name: 'embedding_cache_misses_total',
+    help: 'Embedding lookups not found in the persistent cache',
+    labelNames: ['provider']
+});
+
+const cacheEvictions = getOrCreateMetric(Counter, {
+    name: 'embedding_cache_evictions_total',
+    help: 'Embeddings removed from the persistent cache',
+    labelNames: ['reason']
+});
+
+const cacheEntries = getOrCreateMetric(Gauge, {
+    name: 'embedding_cache_entries',
+    help: 'Number of embeddings stored in the persistent cache'
+});
+
+export class SQLiteEmbeddingCache {
+    /**
+     * @param {Object} options
+     * @param {string} options.filename - SQLite file (':memory:' for a process-local cache)
+     * @param {number} options.ttl - Entry lifetime in ms
+     * @param {number} options.maxEntries - Least recently used entries beyond this are evicted
+     */
+    constructor(options = {}) {
+        this.filename = options.filename || './data/embeddings.sqlite';
+        this.ttl = options.ttl || 30 * 24 * 60 * 60 * 1000; // 30 days default
+        this.maxEntries = options.maxEntries || 50000;
+        this.hitCount = 0;
+        this.missCount = 0;
+        this.evictionCount = 0;
+        this.entryCount = 0;
+        this.error = null;
+        // An unopenable file must not take the process down with an unhandled rejection
+        this.ready = this.initialize().catch((error) => {
+            this.error = error;
+            console.warn(`⚠️ Embedding cache ${this.filename} disabled:`, error.message);
+        });
+    }
+
+    async initialize() {
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(this.filename, (error) => error ? reject(error) : resolve(db));
+        });
+
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS embedding_cache (
+                key TEXT PRIMARY KEY,
+                provider TEXT NOT NULL,
+                model TEXT NOT NULL,
+                text_hash TEXT NOT NULL,
+                embedding TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                last_accessed INTEGER NOT NULL
+            )
+        `);
+        await this.run('CREATE INDEX IF NOT EXISTS idx_embedding_cache_accessed ON embedding_cache(last_accessed)');
+
+        await this.evictExpired();
+        await this.refreshEntryCount();
+    }
+
+    /**
+     * Klucz cache: provider, model i SHA-256 tekstu
+     */
+    generateKey(provider, model, text) {
+        const textHash = crypto.createHash('sha256').update(text).digest('hex');
+        return {
+            key: `${provider}:${model}:${textHash}`,
+            textHash
+        };
+    }
+
+    /**
+     * Pobiera embedding z cache lub zwraca null
+     */
+    async get(provider, model, text) {
+        await this.ready;
+        if (this.error) return null;
+        const { key } = this.generateKey(provider, model, text);
+        const row = await this.getRow('SELECT embedding, created_at FROM embedding_cache WHERE key = ?', [key]);
+
+        if (!row || Date.now() - row.created_at > this.ttl) {
+            if (row) {
+                await this.run('DELETE FROM embedding_cache WHERE key = ?', [key]);
+                this.recordEvictions('ttl', 1);
+                await this.refreshEntryCount();
+            }
+            this.missCount++;
+            cacheMisses.inc({ provider });
+            return null;
+        }
+
+        await this.run('UPDATE embedding_cache SET last_accessed = ? WHERE key = ?', [Date.now(), key]);
+        this.hitCount++;
+        cacheHits.inc({ provider });
+        return JSON.parse(row.embedding);
+    }
+
+    /**
+     * Zapisuje embedding i pilnuje limitu rozmiaru
+     */
+    async set(provider, model, text, embedding) {
+        await this.ready;
+        if (this.error) return;
+        const { key, textHash } = this.generateKey(provider, model, text);
+        const now = Date.now();
+
+        await this.run(
+            `INSERT OR REPLACE INTO embedding_cache
+                (key, provider, model, text_hash, embedding, created_at, last_accessed)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [key, provider, model, textHash, JSON.stringify(embedding), now, now]
+        );
+
+        await this.refreshEntryCount();
+        if (this.entryCount > this.maxEntries) {
+            const overflow = this.entryCount - this.maxEntries;
+            await this.run(
+                `DELETE FROM embedding_cache WHERE key IN (
+                    SELECT key FROM embedding_cache ORDER BY last_accessed ASC LIMIT ?
+                )`,
+                [overflow]
+            );
+            this.recordEvictions('size', overflow);
+            await this.refreshEntryCount();
+        }
+    }
+
+    async evictExpired() {
+        const result = await this.run('DELETE FROM embedding_cache WHERE created_at < ?', [Date.now() - this.ttl]);
+        this.recordEvictions('ttl', result.changes);
+    }
+
+    async clear() {
+        await this.ready;
+        if (this.error) return;
+        await this.run('DELETE FROM embedding_cache');
+        await this.refreshEntryCount();
+    }
+
+    getStats() {
+        const total = this.hitCount + this.missCount;
+        return {
+            entries: this.entryCount,
+            maxEntries: this.maxEntries,
+            ttl: this.ttl,
+            hits: this.hitCount,
+            misses: this.missCount,
+            evictions: this.evictionCount,
+            hitRate: total > 0 ? this.hitCount / total : 0,
+            disabled: Boolean(this.error)
+        };
+    }
+
+    async close() {
+        await this.ready;
+        if (!this.db) return;
+        await new Promise((resolve, reject) => this.db.close(error => error ? reject(error) : resolve()));
+    }
+
+    recordEvictions(reason, count) {
+        if (count > 0) {
+            this.evictionCount += count;
+            cacheEvictions.inc({ reason }, count);
+        }
+    }
+
+    async refreshEntryCount() {
+        const row = await this.getRow('SELECT COUNT(*) AS count FROM embedding_cache');
+        this.entryCount = row.count;
+        cacheEntries.set(this.entryCount);
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (error) {
+                error ? reject(error) : resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    getRow(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (error, row) => error ? reject(error) : resolve(row));
+        });
+    }
+}
+
+export default SQLiteEmbeddingCache;
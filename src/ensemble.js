@@ -0,0 +1,293 @@
+/**
+ * Multi-provider ensembles
+ * One role is sent to several providers/models at once and a selection
+ * strategy picks (or merges) the answer. A strategy is any object with a
+ * `name` and an async `select(candidates, context)` returning
+ * { index, response?, scores?, provider?, model?, usage? }.
+ */
+
+import { callAIProvider } from './api.js';
+import { metricsCollector } from './metrics.js';
+import { createQualityJudge } from './quality_judges.js';
+import { EmbeddingSimilarity } from '../EmbeddingSimilarity.js';
+
+/**
+ * Macierz podobieństw kosinusowych odpowiedzi kandydatów
+ */
+async function similarityMatrix(similarity, texts) {
+    const embeddings = await similarity.getEmbeddings(texts);
+    return embeddings.map(a => embeddings.map(b => Math.max(0, similarity.cosineSimilarity(a, b))));
+}
+
+/**
+ * Średnie podobieństwo każdego kandydata do pozostałych
+ */
+function averageAgreement(matrix) {
+    return matrix.map((row, i) => {
+        const others = row.filter((_, j) => j !== i);
+        return others.length > 0 ? others.reduce((sum, value) => sum + value, 0) / others.length : 1;
+    });
+}
+
+/**
+ * Picks the candidate the quality judge scores highest
+ */
+export class JudgeSelection {
+    /**
+     * @param {Object} options
+     * @param {string|Object} options.judge - Quality judge name or instance (see src/quality_judges.js)
+     */
+    constructor(options = {}) {
+        this.name = 'judge';
+        this.judge = createQualityJudge(options.judge, options.judgeOptions);
+    }
+
+    async select(candidates, context = {}) {
+        const scores = [];
+        for (const candidate of candidates) {
+            const evaluation = await this.judge.evaluate(candidate.response, {
+                ...context,
+                others: candidates.filter(other => other !== candidate).map(other => other.response)
+            });
+            scores.push(evaluation.score);
+        }
+
+        // Ties go to the earlier member, keeping the choice reproducible
+        const index = scores.indexOf(Math.max(...scores));
+        return { index, scores };
+    }
+}
+
+/**
+ * Picks the embedding medoid: the answer closest to all the others
+ */
+export class MedoidSelection {
+    /**
+     * @param {Object} options
+     * @param {Object} options.similarity - EmbeddingSimilarity instance (created from options.embedding if omitted)
+     * @param {Object} options.embedding - EmbeddingSimilarity configuration (defaults to offline 'hashed')
+     */
+    constructor(options = {}) {
+        this.name = 'medoid';
+        this.similarity = options.similarity || new EmbeddingSimilarity({ provider: 'hashed', ...options.embedding });
+    }
+
+    async select(candidates) {
+        const matrix = await similarityMatrix(this.similarity, candidates.map(candidate => candidate.response));
+        const scores = averageAgreement(matrix);
+        return { index: scores.indexOf(Math.max(...scores)), scores };
+    }
+}
+
+/**
+ * Asks one provider to merge all candidates into a single answer
+ * Falls back to the medoid when the merge call fails.
+ */
+export class MergeSelection {
+    /**
+     * @param {Object} options
+     * @param {string} options.provider - Provider used for the merge (defaults to the first successful member)
+     * @param {string} options.model - Model override for the merge call
+     */
+    constructor(options = {}) {
+        this.name = 'merge';
+        this.provider = options.provider || null;
+        this.model = options.model || null;
+        this.fallback = new MedoidSelection(options);
+    }
+
+    buildPrompt(candidates, context) {
+        const answers = candidates
+            .map((candidate, i) => `### Answer ${i + 1} (${candidate.provider}/${candidate.model})\n${candidate.response}`)
+            .join('\n\n');
+
+        return `Several models answered the same task independently. Merge them into one answer:
+keep points they agree on, resolve contradictions explicitly, and drop unsupported claims.
+
+Task: ${context.prompt || context.problem || ''}
+
+${answers}`;
+    }
+
+    async select(candidates, context = {}) {
+        const provider = this.provider || candidates[0].provider;
+
+        try {
+            const merged = await callAIProvider(provider, context.builder || 'synthesizer', context.problem || '',
+                this.buildPrompt(candidates, context), {
+                    ...(this.model ? { model: this.model } : {}),
+                    temperature: 0.3,
+                    maxTokens: context.maxTokens,
+                    signal: context.signal,
+                    budget: context.budget
+                });
+
+            return {
+                index: -1,
+                response: merged.response,
+                provider: merged.provider,
+                model: merged.model,
+                usage: merged.usage
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`⚠️ Ensemble merge via ${provider} failed, using medoid:`, error.message);
+            return { ...(await this.fallback.select(candidates, context)), mergeError: error.message };
+        }
+    }
+}
+
+const STRATEGY_TYPES = {
+    judge: JudgeSelection,
+    medoid: MedoidSelection,
+    merge: MergeSelection
+};
+
+/**
+ * Tworzy strategię wyboru na podstawie nazwy lub zwraca przekazaną instancję
+ * @param {string|Object} strategy - 'judge', 'medoid', 'merge' or an object implementing select(candidates, context)
+ * @param {Object} options - Options for built-in strategies
+ */
+export function createSelectionStrategy(strategy = process.env.ENSEMBLE_STRATEGY || 'judge', options = {}) {
+    if (strategy && typeof strategy.select === 'function') {
+        return strategy;
+    }
+
+    const StrategyType = STRATEGY_TYPES[strategy];
+    if (!StrategyType) {
+        throw new Error(`Unknown ensemble strategy: ${strategy}`);
+    }
+
+    return new StrategyType(options);
+}
+
+/**
+ * Normalizuje członków zespołu: 'openai' lub { provider, model }
+ */
+function normalizeMembers(members) {
+    return (members || []).map(member => typeof member === 'string' ? { provider: member } : member);
+}
+
+/**
+ * Call several providers for one role and select an answer
+ * @param {string} builder - AI agent role
+ * @param {string} topic - Problem topic
+ * @param {string} prompt - User prompt
+ * @param {Object} ensemble - { members: ['openai', { provider, model }], strategy, strategyOptions, minMembers }
+ * @param {Object} options - Call options shared by every member (temperature, maxTokens, signal, ...)
+ * @returns {Promise<Object>} API-style response with an `ensemble` report
+ */
+export async function callEnsemble(builder, topic, prompt, ensemble, options = {}) {
+    const members = normalizeMembers(ensemble.members);
+    if (members.length === 0) {
+        throw new Error('Ensemble requires at least one member');
+    }
+
+    const strategy = createSelectionStrategy(ensemble.strategy, ensemble.strategyOptions);
+    const minMembers = ensemble.minMembers || 1;
+    const startTime = Date.now();
+
+    console.log(`🎼 Ensemble for ${builder}: ${members.map(m => m.model ? `${m.provider}/${m.model}` : m.provider).join(', ')} (${strategy.name})`);
+
+    // Members stream nothing: interleaved deltas from several models would be unreadable.
+    // The role's model belongs to one vendor, so members use their own model or the provider default.
+    const memberOptions = { ...options, onDelta: undefined, provider: undefined, model: undefined };
+    const settled = await Promise.allSettled(members.map(async (member) => {
+        const memberStart = Date.now();
+        const result = await callAIProvider(member.provider, builder, topic, prompt, {
+            ...memberOptions,
+            ...(member.model ? { model: member.model } : {})
+        });
+        return { ...result, latency: result.latency ?? Date.now() - memberStart };
+    }));
+
+    if (options.signal?.aborted) {
+        const aborted = settled.find(outcome => outcome.status === 'rejected' && outcome.reason?.name === 'AbortError');
+        if (aborted) throw aborted.reason;
+    }
+
+    const candidates = [];
+    const report = settled.map((outcome, i) => {
+        const member = members[i];
+        if (outcome.status === 'rejected') {
+            return { provider: member.provider, model: member.model || null, error: outcome.reason?.message, category: outcome.reason?.category };
+        }
+
+        const result = outcome.value;
+        const entry = {
+            provider: result.provider,
+            model: result.model,
+            latency: result.latency,
+            cost: metricsCollector.calculateCost(result.provider, result.model, result.usage),
+            cached: Boolean(result.cached)
+        };
+        candidates.push({ ...result, reportIndex: i });
+        return entry;
+    });
+
+    if (candidates.length < minMembers) {
+        // A budget refusal is a decision to stop, not a provider failure
+        const overBudget = settled.find(outcome => outcome.status === 'rejected' && outcome.reason?.code === 'budget_exceeded');
+        if (overBudget) throw overBudget.reason;
+
+        const reasons = report.filter(entry => entry.error).map(entry => `${entry.provider}: ${entry.error}`).join('; ');
+        throw new Error(`Ensemble for ${builder} got ${candidates.length}/${members.length} answers (need ${minMembers}): ${reasons}`);
+    }
+
+    // Judge and merge calls are charged to the same budget as the members
+    const context = { builder, problem: topic, prompt, maxTokens: options.maxTokens, signal: options.signal, budget: options.budget };
+    const selection = candidates.length === 1
+        ? { index: 0, scores: [1] }
+        : await strategy.select(candidates, context);
+
+    // Cross-model agreement is always measured the same way so runs stay comparable
+    const agreementStrategy = strategy instanceof MedoidSelection ? strategy : (strategy.fallback || new MedoidSelection());
+    const agreement = candidates.length > 1
+        ? averageAgreement(await similarityMatrix(agreementStrategy.similarity, candidates.map(c => c.response)))
+            .reduce((sum, value) => sum + value, 0) / candidates.length
+        : 1;
+
+    selection.scores?.forEach((score, i) => {
+        report[candidates[i].reportIndex].score = score;
+    });
+
+    const winner = selection.index >= 0 ? candidates[selection.index] : null;
+    const winnerLabel = winner ? `${winner.provider}/${winner.model}` : `merge:${selection.provider}/${selection.model}`;
+    if (winner) report[winner.reportIndex].winner = true;
+
+    const mergeCost = selection.usage ? metricsCollector.calculateCost(selection.provider, selection.model, selection.usage) : 0;
+    const totalCost = report.reduce((sum, entry) => sum + (entry.cost || 0), 0) + mergeCost;
+    const latency = Date.now() - startTime;
+
+    const usage = [...candidates.map(c => c.usage || {}), selection.usage || {}].reduce((total, part) => ({
+        prompt_tokens: total.prompt_tokens + (part.prompt_tokens || 0),
+        completion_tokens: total.completion_tokens + (part.completion_tokens || 0),
+        total_tokens: total.total_tokens + (part.total_tokens || 0)
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+
+    const ensembleReport = {
+        strategy: strategy.name || 'custom',
+        winner: winnerLabel,
+        agreement,
+        candidates: report,
+        cost: totalCost,
+        latency,
+        ...(selection.mergeError ? { mergeError: selection.mergeError } : {})
+    };
+
+    metricsCollector.recordEnsemble(builder, ensembleReport);
+
+    const chosen = winner || candidates[0];
+    return {
+        ...chosen,
+        response: winner ? winner.response : selection.response,
+        provider: winner ? winner.provider : selection.provider,
+        model: winner ? winner.model : selection.model,
+        usage,
+        latency,
+        streamed: false,
+        ensemble: ensembleReport
+    };
+}
+
+export default callEnsemble;
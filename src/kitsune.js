@@ -1,3 +1,68 @@
+import { collaborationSystem } from './collaboration.js';
+
+/**
+ * Zaznaczenie wewnątrz elementu jako zakres znaków jego tekstu
+ * @returns {Object|null} { start, end, quote }
+ */
+function selectionIn(element) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+
+    const range = selection.getRangeAt(0);
+    if (!element.contains(range.startContainer) || !element.contains(range.endContainer)) return null;
+
+    const before = document.createRange();
+    before.selectNodeContents(element);
+    before.setEnd(range.startContainer, range.startOffset);
+    const start = before.toString().length;
+    const quote = range.toString();
+    return { start, end: start + quote.length, quote };
+}
+
+/**
+ * Wkłady ról iteracji z przyciskiem wątku komentarzy (zaznaczony fragment lub cały wkład)
+ */
+function renderContributions(container, entry) {
+    for (const [roleKey, contribution] of Object.entries(entry.contributions || {})) {
+        const content = typeof contribution === 'string' ? contribution : contribution?.content ?? JSON.stringify(contribution);
+
+        const block = document.createElement('div');
+        block.className = 'mb-3';
+        const header = document.createElement('div');
+        header.className = 'flex justify-between items-center';
+        const title = document.createElement('span');
+        title.className = 'font-medium text-blue-400';
+        title.textContent = contribution?.role && typeof contribution.role === 'string' ? contribution.role : roleKey;
+        const commentButton = document.createElement('button');
+        commentButton.className = 'px-2 py-1 bg-gray-700 rounded hover:bg-gray-600 text-xs';
+        commentButton.title = 'Skomentuj zaznaczony fragment (lub cały wkład)';
+        commentButton.textContent = '💬';
+        const text = document.createElement('div');
+        text.className = 'whitespace-pre-wrap text-gray-300';
+        text.textContent = content;
+
+        // Reading the selection on mousedown keeps it from being cleared by the click
+        let selected = null;
+        commentButton.addEventListener('mousedown', () => {
+            selected = selectionIn(text);
+        });
+        commentButton.addEventListener('click', () => {
+            const range = selected || { start: 0, end: content.length, quote: content };
+            collaborationSystem.startThread({
+                iteration: entry.version ?? entry.number,
+                role: roleKey,
+                start: range.start,
+                end: range.end,
+                quote: range.quote.slice(0, 2000)
+            });
+        });
+
+        header.append(title, commentButton);
+        block.append(header, text);
+        container.appendChild(block);
+    }
+}
+
 export function renderStorytellingTimeline(history) {
     const sortOrder = document.getElementById('sort-order')?.value || 'desc';
     const qualityFilter = document.getElementById('filter-quality')?.value || 'all';
@@ -18,11 +83,14 @@ export function renderStorytellingTimeline(history) {
         node.innerHTML = `
             <h4 class="font-bold">Wersja ${entry.version}</h4>
             <p class="text-gray-400">Quality: ${entry.metrics.quality}/10 | Consensus: ${Math.round(entry.metrics.consensus * 100)}%</p>
-            <div class="hidden details mt-2 text-sm">${JSON.stringify(entry.contributions, null, 2)}</div>
+            <div class="hidden details mt-2 text-sm"></div>
             <div class="mt-2 text-gray-500">Timestamp: ${new Date(entry.timestamp).toLocaleString()}</div>
         `;
+        const details = node.querySelector('.details');
+        renderContributions(details, entry);
+        // Selecting text in a contribution must not fold it
+        details.addEventListener('click', (e) => e.stopPropagation());
         node.addEventListener('click', () => {
-            const details = node.querySelector('.details');
             details.classList.toggle('hidden');
         });
         timeline.appendChild(node);
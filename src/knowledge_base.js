@@ -3,6 +3,8 @@
  * Stores, searches and provides intelligent access to problem-solving knowledge
  */
 
+import { METHODOLOGIES } from './methodologies.js';
+
 export class KnowledgeBaseSystem {
     constructor() {
         this.dbManager = new DatabaseSessionManager();
@@ -36,124 +38,7 @@ export class KnowledgeBaseSystem {
      */
     initializeKnowledgeBase() {
         return {
-            methodologies: [
-                {
-                    id: 'design_thinking',
-                    title: 'Design Thinking Process',
-                    category: 'methodology',
-                    description: 'Human-centered approach to innovation and problem-solving',
-                    content: `
-                        <h3>Design Thinking - 5 Stage Process</h3>
-                        <div class="methodology-stages">
-                            <div class="stage">
-                                <h4>1. Empathize</h4>
-                                <p>Understand the human needs involved</p>
-                                <ul>
-                                    <li>Conduct user interviews</li>
-                                    <li>Observe user behavior</li>
-                                    <li>Create empathy maps</li>
-                                </ul>
-                            </div>
-                            <div class="stage">
-                                <h4>2. Define</h4>
-                                <p>Frame the problem statement</p>
-                                <ul>
-                                    <li>Synthesize observations</li>
-                                    <li>Create point of view statements</li>
-                                    <li>Define core problems</li>
-                                </ul>
-                            </div>
-                            <div class="stage">
-                                <h4>3. Ideate</h4>
-                                <p>Generate creative solutions</p>
-                                <ul>
-                                    <li>Brainstorm extensively</li>
-                                    <li>Use ideation techniques</li>
-                                    <li>Think outside the box</li>
-                                </ul>
-                            </div>
-                            <div class="stage">
-                                <h4>4. Prototype</h4>
-                                <p>Build testable representations</p>
-                                <ul>
-                                    <li>Create low-fidelity prototypes</li>
-                                    <li>Test key assumptions</li>
-                                    <li>Iterate quickly</li>
-                                </ul>
-                            </div>
-                            <div class="stage">
-                                <h4>5. Test</h4>
-                                <p>Validate solutions with users</p>
-                                <ul>
-                                    <li>Gather user feedback</li>
-                                    <li>Refine solutions</li>
-                                    <li>Iterate based on learnings</li>
-                                </ul>
-                            </div>
-                        </div>
-                    `,
-                    tags: ['design', 'innovation', 'user-centered', 'methodology'],
-                    difficulty: 'medium',
-                    timeToRead: '8 minutes',
-                    lastUpdated: Date.now() - 86400000,
-                    rating: 4.8,
-                    views: 1247,
-                    helpful: 156
-                },
-                {
-                    id: 'lean_startup',
-                    title: 'Lean Startup Methodology',
-                    category: 'methodology',
-                    description: 'Build-Measure-Learn approach for rapid experimentation',
-                    content: `
-                        <h3>Lean Startup - Build-Measure-Learn Cycle</h3>
-                        <div class="lean-cycle">
-                            <div class="cycle-step">
-                                <h4>Build</h4>
-                                <p>Create Minimum Viable Product (MVP)</p>
-                                <ul>
-                                    <li>Start with minimal features</li>
-                                    <li>Focus on core value proposition</li>
-                                    <li>Build quickly and efficiently</li>
-                                </ul>
-                            </div>
-                            <div class="cycle-step">
-                                <h4>Measure</h4>
-                                <p>Collect data from real users</p>
-                                <ul>
-                                    <li>Define key metrics</li>
-                                    <li>Track user behavior</li>
-                                    <li>Gather quantitative data</li>
-                                </ul>
-                            </div>
-                            <div class="cycle-step">
-                                <h4>Learn</h4>
-                                <p>Validate or pivot based on insights</p>
-                                <ul>
-                                    <li>Analyze collected data</li>
-                                    <li>Validate assumptions</li>
-                                    <li>Decide to persevere or pivot</li>
-                                </ul>
-                            </div>
-                        </div>
-                        <div class="key-concepts">
-                            <h4>Key Concepts:</h4>
-                            <ul>
-                                <li><strong>MVP:</strong> Minimum Viable Product</li>
-                                <li><strong>Pivot:</strong> Change direction based on learning</li>
-                                <li><strong>Validated Learning:</strong> Evidence-based progress</li>
-                            </ul>
-                        </div>
-                    `,
-                    tags: ['startup', 'lean', 'mvp', 'experimentation'],
-                    difficulty: 'medium',
-                    timeToRead: '6 minutes',
-                    lastUpdated: Date.now() - 172800000,
-                    rating: 4.6,
-                    views: 892,
-                    helpful: 134
-                }
-            ],
+            methodologies: METHODOLOGIES.map(methodology => ({ ...methodology })),
             bestPractices: [
                 {
                     id: 'problem_definition',
@@ -5,7 +5,12 @@
 
 import { responseCache } from './cache.js';
 import { metricsCollector } from './metrics.js';
-import { getAPIStatus, getAvailableProviders } from './api.js';
+import { getAPIStatus, getAvailableProviders, listProviderModels } from './api.js';
+import { AdvancedAIEngine } from './advanced_engine.js';
+import { RoleConfigError } from './roles.js';
+import { createValidationMiddleware } from './security/input_validator.js';
+import { requireAdmin } from './security/security_routes.js';
+import { PriceSheet, PricingError, priceSheet, getPricingTable } from './pricing.js';
 
 /**
  * Add management routes to Express app
@@ -14,9 +19,9 @@ import { getAPIStatus, getAvailableProviders } from './api.js';
 export function addManagementRoutes(app) {
     
     // Health check with detailed status
-    app.get('/api/health', (req, res) => {
+    app.get('/api/health', async (req, res) => {
         const apiStatus = getAPIStatus();
-        const cacheStats = responseCache.getStats();
+        const cacheStats = await responseCache.getStats();
         const metricsReport = metricsCollector.getReport();
         const budgetAlerts = metricsCollector.checkBudgetAlerts();
         
@@ -60,15 +65,94 @@ export function addManagementRoutes(app) {
     });
 
     // Cache management
-    app.get('/api/cache/stats', (req, res) => {
-        res.json(responseCache.getStats());
+    app.get('/api/cache/stats', async (req, res) => {
+        res.json(await responseCache.getStats());
     });
 
-    app.post('/api/cache/clear', (req, res) => {
-        responseCache.clear();
-        res.json({ success: true, message: 'Cache cleared' });
+    // Body { namespace } or { provider, model } clears one namespace; an empty body clears everything
+    app.post('/api/cache/clear', createValidationMiddleware('cacheClear'), async (req, res) => {
+        const { namespace, provider, model } = req.body;
+        const target = namespace || (provider ? responseCache.getNamespace({ provider, model }) : null);
+
+        try {
+            const removed = await responseCache.clear(target);
+            res.json({
+                success: true,
+                message: target ? `Cache namespace ${target} cleared` : 'Cache cleared',
+                namespace: target,
+                removed
+            });
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to clear cache', message: error.message });
+        }
+    });
+
+    // Cache entries (admin): inspect, delete and pin single answers instead of clearing everything.
+    // Keys contain '/' and ':' and must be URL-encoded in the path.
+    app.get('/api/cache/entries', requireAdmin, createValidationMiddleware('cacheEntriesQuery', 'query'), async (req, res) => {
+        try {
+            res.json(await responseCache.listEntries(req.query));
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to list cache entries', message: error.message });
+        }
     });
 
+    app.delete('/api/cache/entries', requireAdmin, createValidationMiddleware('cacheEntriesQuery', 'query'), async (req, res) => {
+        const { builder, topic, namespace, pattern } = req.query;
+        if (!builder && !topic && !namespace && !pattern) {
+            return res.status(400).json({
+                error: 'Filter required',
+                message: 'Pass builder, topic, namespace or pattern; use POST /api/cache/clear to remove everything'
+            });
+        }
+
+        try {
+            const removed = await responseCache.deleteEntries({ builder, topic, namespace, pattern });
+            res.json({ success: true, removed });
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to delete cache entries', message: error.message });
+        }
+    });
+
+    app.get('/api/cache/entries/:key', requireAdmin, async (req, res) => {
+        try {
+            const entry = await responseCache.getEntry(req.params.key);
+            if (!entry) {
+                return res.status(404).json({ error: 'Cache entry not found', key: req.params.key });
+            }
+            res.json(entry);
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to read cache entry', message: error.message });
+        }
+    });
+
+    app.delete('/api/cache/entries/:key', requireAdmin, async (req, res) => {
+        try {
+            if (!await responseCache.deleteEntry(req.params.key)) {
+                return res.status(404).json({ error: 'Cache entry not found', key: req.params.key });
+            }
+            res.json({ success: true, key: req.params.key });
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to delete cache entry', message: error.message });
+        }
+    });
+
+    // Pinned entries never expire and are never evicted; unpinning restores the TTL
+    const pinRoute = (pinned) => async (req, res) => {
+        try {
+            const entry = await responseCache.pin(req.params.key, pinned);
+            if (!entry) {
+                return res.status(404).json({ error: 'Cache entry not found', key: req.params.key });
+            }
+            res.json({ success: true, entry });
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to update cache entry', message: error.message });
+        }
+    };
+
+    app.post('/api/cache/entries/:key/pin', requireAdmin, pinRoute(true));
+    app.delete('/api/cache/entries/:key/pin', requireAdmin, pinRoute(false));
+
     app.post('/api/cache/enable', (req, res) => {
         responseCache.enable();
         res.json({ success: true, message: 'Cache enabled' });
@@ -90,6 +174,22 @@ export function addManagementRoutes(app) {
         res.json({ providers, count: providers.length });
     });
 
+    // Model discovery (e.g. self-hosted OpenAI-compatible servers)
+    app.get('/api/providers/:provider/models', async (req, res) => {
+        const { provider } = req.params;
+
+        try {
+            const models = await listProviderModels(provider);
+            res.json({ provider, models, count: models.length });
+        } catch (error) {
+            res.status(error.category === 'auth' ? 503 : 502).json({
+                success: false,
+                provider,
+                error: error.message
+            });
+        }
+    });
+
     // Test API connectivity
     app.post('/api/test/:provider', async (req, res) => {
         const { provider } = req.params;
@@ -133,10 +233,98 @@ export function addManagementRoutes(app) {
         res.json(report.projections);
     });
 
+    // Pre-flight cost of a full solve for a problem and role configuration
+    app.post('/api/budget/estimate', createValidationMiddleware('budgetEstimate'), (req, res) => {
+        const { problem, options, roles } = req.body;
+
+        try {
+            const engine = new AdvancedAIEngine({ ...options, ...(roles ? { roles } : {}) });
+            res.json({
+                problem,
+                ...engine.estimateSolveCost(problem),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            res.status(error instanceof RoleConfigError ? 400 : 500).json({
+                error: error instanceof RoleConfigError ? 'Invalid role configuration' : 'Failed to estimate cost',
+                message: error.message,
+                ...(error.issues ? { issues: error.issues } : {})
+            });
+        }
+    });
+
+    // Price sheet: current rates and the versioned sheet behind them
+    app.get('/api/pricing', requireAdmin, (req, res) => {
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : new Date().toISOString().split('T')[0];
+
+        res.json({
+            version: priceSheet.sheet.version,
+            currency: priceSheet.sheet.currency,
+            unit: priceSheet.sheet.unit,
+            date,
+            rates: getPricingTable(date),
+            sheet: priceSheet.sheet
+        });
+    });
+
+    // Replace the whole price sheet
+    app.put('/api/pricing', requireAdmin, createValidationMiddleware('pricingSheet'), (req, res) => {
+        try {
+            const sheet = priceSheet.replace(req.body);
+            console.log(`💲 Price sheet replaced (version ${sheet.version})`);
+            res.json({ message: 'Price sheet updated', sheet });
+        } catch (error) {
+            res.status(error instanceof PricingError ? 400 : 500).json({
+                error: 'Failed to update price sheet',
+                message: error.message
+            });
+        }
+    });
+
+    // Add a rate for one model, effective from a given date
+    app.put('/api/pricing/:provider/:model', requireAdmin, createValidationMiddleware('pricingRate'), (req, res) => {
+        const { version, ...rate } = req.body;
+
+        try {
+            const sheet = priceSheet.setRate(req.params.provider, req.params.model, rate, version);
+            console.log(`💲 Price of ${req.params.provider}/${req.params.model} from ${rate.effectiveFrom} set (version ${sheet.version})`);
+            res.json({
+                message: 'Rate updated',
+                version: sheet.version,
+                rates: sheet.models[req.params.provider][req.params.model]
+            });
+        } catch (error) {
+            res.status(error instanceof PricingError ? 400 : 500).json({
+                error: 'Failed to update rate',
+                message: error.message
+            });
+        }
+    });
+
+    // Reprice stored daily metrics under the current or a given price sheet
+    app.post('/api/pricing/recompute', requireAdmin, createValidationMiddleware('pricingRecompute'), (req, res) => {
+        const { from, to, sheet, apply } = req.body;
+
+        try {
+            const result = metricsCollector.recomputeCosts({
+                from,
+                to,
+                sheet: sheet ? new PriceSheet({ sheet }) : priceSheet,
+                apply
+            });
+            res.json({ ...result, timestamp: new Date().toISOString() });
+        } catch (error) {
+            res.status(error instanceof PricingError ? 400 : 500).json({
+                error: 'Failed to recompute costs',
+                message: error.message
+            });
+        }
+    });
+
     // System performance
-    app.get('/api/performance', (req, res) => {
+    app.get('/api/performance', async (req, res) => {
         const report = metricsCollector.getReport();
-        const cacheStats = responseCache.getStats();
+        const cacheStats = await responseCache.getStats();
         
         res.json({
             latency: {
@@ -207,9 +395,9 @@ export function addManagementRoutes(app) {
         res.setHeader('Connection', 'keep-alive');
         res.setHeader('Access-Control-Allow-Origin', '*');
 
-        const sendUpdate = () => {
+        const sendUpdate = async () => {
             const report = metricsCollector.getReport();
-            const cacheStats = responseCache.getStats();
+            const cacheStats = await responseCache.getStats();
             const alerts = metricsCollector.checkBudgetAlerts();
             
             const data = {
@@ -279,6 +467,11 @@ export function addManagementRoutes(app) {
     console.log('   GET  /api/metrics - Detailed metrics report');
     console.log('   GET  /api/cache/stats - Cache statistics');
     console.log('   GET  /api/providers - Provider status');
+    console.log('   GET  /api/providers/:provider/models - Model discovery');
+    console.log('   POST /api/budget/estimate - Pre-flight solve cost estimate');
+    console.log('   GET  /api/pricing - Price sheet (admin)');
+    console.log('   PUT  /api/pricing[/:provider/:model] - Update prices (admin)');
+    console.log('   POST /api/pricing/recompute - Reprice daily metrics (admin)');
     console.log('   GET  /api/monitor/live - Real-time monitoring (SSE)');
 }
 
@@ -0,0 +1,263 @@
+/**
+ * Problem-Solving Methodologies
+ * Shared by the knowledge base (browser) and the breakthrough strategies (server),
+ * so this module must not touch the DOM. `prompt` is the one-paragraph instruction
+ * injected into role prompts; `content` is the HTML article shown in the knowledge base.
+ */
+
+export const METHODOLOGIES = [
+    {
+        id: 'design_thinking',
+        title: 'Design Thinking Process',
+        category: 'methodology',
+        description: 'Human-centered approach to innovation and problem-solving',
+    prompt: 'Empathize with the people affected, define their real need, ideate widely, prototype cheaply and test with users.',
+        content: `
+            <h3>Design Thinking - 5 Stage Process</h3>
+            <div class="methodology-stages">
+                <div class="stage">
+                    <h4>1. Empathize</h4>
+                    <p>Understand the human needs involved</p>
+                    <ul>
+                        <li>Conduct user interviews</li>
+                        <li>Observe user behavior</li>
+                        <li>Create empathy maps</li>
+                    </ul>
+                </div>
+                <div class="stage">
+                    <h4>2. Define</h4>
+                    <p>Frame the problem statement</p>
+                    <ul>
+                        <li>Synthesize observations</li>
+                        <li>Create point of view statements</li>
+                        <li>Define core problems</li>
+                    </ul>
+                </div>
+                <div class="stage">
+                    <h4>3. Ideate</h4>
+                    <p>Generate creative solutions</p>
+                    <ul>
+                        <li>Brainstorm extensively</li>
+                        <li>Use ideation techniques</li>
+                        <li>Think outside the box</li>
+                    </ul>
+                </div>
+                <div class="stage">
+                    <h4>4. Prototype</h4>
+                    <p>Build testable representations</p>
+                    <ul>
+                        <li>Create low-fidelity prototypes</li>
+                        <li>Test key assumptions</li>
+                        <li>Iterate quickly</li>
+                    </ul>
+                </div>
+                <div class="stage">
+                    <h4>5. Test</h4>
+                    <p>Validate solutions with users</p>
+                    <ul>
+                        <li>Gather user feedback</li>
+                        <li>Refine solutions</li>
+                        <li>Iterate based on learnings</li>
+                    </ul>
+                </div>
+            </div>
+        `,
+        tags: ['design', 'innovation', 'user-centered', 'methodology'],
+        difficulty: 'medium',
+        timeToRead: '8 minutes',
+        lastUpdated: Date.now() - 86400000,
+        rating: 4.8,
+        views: 1247,
+        helpful: 156
+    },
+    {
+        id: 'lean_startup',
+        title: 'Lean Startup Methodology',
+        category: 'methodology',
+        description: 'Build-Measure-Learn approach for rapid experimentation',
+    prompt: 'Turn the solution into the smallest testable experiment, define the metric that proves it, and plan the build-measure-learn loop.',
+        content: `
+            <h3>Lean Startup - Build-Measure-Learn Cycle</h3>
+            <div class="lean-cycle">
+                <div class="cycle-step">
+                    <h4>Build</h4>
+                    <p>Create Minimum Viable Product (MVP)</p>
+                    <ul>
+                        <li>Start with minimal features</li>
+                        <li>Focus on core value proposition</li>
+                        <li>Build quickly and efficiently</li>
+                    </ul>
+                </div>
+                <div class="cycle-step">
+                    <h4>Measure</h4>
+                    <p>Collect data from real users</p>
+                    <ul>
+                        <li>Define key metrics</li>
+                        <li>Track user behavior</li>
+                        <li>Gather quantitative data</li>
+                    </ul>
+                </div>
+                <div class="cycle-step">
+                    <h4>Learn</h4>
+                    <p>Validate or pivot based on insights</p>
+                    <ul>
+                        <li>Analyze collected data</li>
+                        <li>Validate assumptions</li>
+                        <li>Decide to persevere or pivot</li>
+                    </ul>
+                </div>
+            </div>
+            <div class="key-concepts">
+                <h4>Key Concepts:</h4>
+                <ul>
+                    <li><strong>MVP:</strong> Minimum Viable Product</li>
+                    <li><strong>Pivot:</strong> Change direction based on learning</li>
+                    <li><strong>Validated Learning:</strong> Evidence-based progress</li>
+                </ul>
+            </div>
+        `,
+        tags: ['startup', 'lean', 'mvp', 'experimentation'],
+        difficulty: 'medium',
+        timeToRead: '6 minutes',
+        lastUpdated: Date.now() - 172800000,
+        rating: 4.6,
+        views: 892,
+        helpful: 134
+    },
+    {
+        id: 'swot_analysis',
+        title: 'SWOT Analysis',
+        category: 'methodology',
+        description: 'Map strengths, weaknesses, opportunities and threats before choosing a direction',
+        prompt: 'List strengths, weaknesses, opportunities and threats of the current approach and derive options that use strengths against threats.',
+        content: `
+            <h3>SWOT Analysis</h3>
+            <div class="methodology-stages">
+                <div class="stage">
+                    <h4>Internal</h4>
+                    <ul>
+                        <li><strong>Strengths:</strong> What already works in our favour?</li>
+                        <li><strong>Weaknesses:</strong> Where are we exposed?</li>
+                    </ul>
+                </div>
+                <div class="stage">
+                    <h4>External</h4>
+                    <ul>
+                        <li><strong>Opportunities:</strong> What could we take advantage of?</li>
+                        <li><strong>Threats:</strong> What could hurt the solution?</li>
+                    </ul>
+                </div>
+                <div class="stage">
+                    <h4>Strategy</h4>
+                    <p>Combine the quadrants: use strengths to seize opportunities and counter threats</p>
+                </div>
+            </div>
+        `,
+        tags: ['strategy', 'analysis', 'planning', 'methodology'],
+        difficulty: 'easy',
+        timeToRead: '4 minutes',
+        lastUpdated: Date.now() - 345600000,
+        rating: 4.4,
+        views: 734,
+        helpful: 88
+    },
+    {
+        id: 'five_whys',
+        title: 'Five Whys',
+        category: 'methodology',
+        description: 'Root cause analysis by repeatedly asking why',
+        prompt: 'Ask "why" five times about the core problem to reach its root cause, then solve the root cause instead of the symptom.',
+        content: `
+            <h3>Five Whys - Root Cause Analysis</h3>
+            <div class="methodology-stages">
+                <div class="stage">
+                    <h4>1. State the problem</h4>
+                    <p>Describe the observable symptom precisely</p>
+                </div>
+                <div class="stage">
+                    <h4>2. Ask why, five times</h4>
+                    <p>Each answer becomes the subject of the next "why"</p>
+                </div>
+                <div class="stage">
+                    <h4>3. Fix the root cause</h4>
+                    <p>Address the last answer, not the symptom, and check the chain backwards</p>
+                </div>
+            </div>
+        `,
+        tags: ['root-cause', 'analysis', 'quality', 'methodology'],
+        difficulty: 'easy',
+        timeToRead: '3 minutes',
+        lastUpdated: Date.now() - 432000000,
+        rating: 4.5,
+        views: 981,
+        helpful: 121
+    },
+    {
+        id: 'first_principles',
+        title: 'First Principles',
+        category: 'methodology',
+        description: 'Rebuild the solution from fundamental truths instead of analogy',
+        prompt: 'Break the problem into fundamental facts that are certainly true and rebuild a solution from them, ignoring how it is usually done.',
+        content: `
+            <h3>First Principles Thinking</h3>
+            <div class="methodology-stages">
+                <div class="stage">
+                    <h4>1. Identify assumptions</h4>
+                    <p>Write down what is usually taken for granted</p>
+                </div>
+                <div class="stage">
+                    <h4>2. Break down to fundamentals</h4>
+                    <p>Keep only facts that are certainly true (physics, costs, constraints)</p>
+                </div>
+                <div class="stage">
+                    <h4>3. Rebuild</h4>
+                    <p>Construct a new solution from the fundamentals alone</p>
+                </div>
+            </div>
+        `,
+        tags: ['reasoning', 'innovation', 'fundamentals', 'methodology'],
+        difficulty: 'hard',
+        timeToRead: '5 minutes',
+        lastUpdated: Date.now() - 518400000,
+        rating: 4.7,
+        views: 1102,
+        helpful: 143
+    },
+    {
+        id: 'triz_contradictions',
+        title: 'TRIZ Contradictions',
+        category: 'methodology',
+        description: 'Resolve trade-offs with inventive principles instead of compromise',
+        prompt: 'Name the main trade-off (improving X worsens Y) and look for a principle such as segmentation, inversion or prior action that removes it.',
+        content: `
+            <h3>TRIZ - Resolving Contradictions</h3>
+            <div class="methodology-stages">
+                <div class="stage">
+                    <h4>1. Name the contradiction</h4>
+                    <p>Improving parameter X worsens parameter Y</p>
+                </div>
+                <div class="stage">
+                    <h4>2. Apply inventive principles</h4>
+                    <ul>
+                        <li>Segmentation</li>
+                        <li>Inversion (do it the other way round)</li>
+                        <li>Prior action</li>
+                    </ul>
+                </div>
+                <div class="stage">
+                    <h4>3. Check the ideal result</h4>
+                    <p>The best solution removes the trade-off without adding cost</p>
+                </div>
+            </div>
+        `,
+        tags: ['triz', 'innovation', 'engineering', 'methodology'],
+        difficulty: 'hard',
+        timeToRead: '6 minutes',
+        lastUpdated: Date.now() - 604800000,
+        rating: 4.3,
+        views: 512,
+        helpful: 64
+    }
+];
+
+export default METHODOLOGIES;
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { priceSheet, getModelPricing, getPricingTable, calculateUsageCost } from './pricing.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,10 +21,10 @@ class MetricsCollector {
                 totalCost: 0,
                 averageLatency: 0,
                 errors: 0,
-                providerStats: {}
+                providerStats: {},
+                ensembleStats: { runs: 0, cost: 0, avgLatency: 0, avgAgreement: 0, wins: {} }
             },
-            daily: this.loadDailyMetrics(),
-            costs: this.loadCostDatabase()
+            daily: this.loadDailyMetrics()
         };
 
         // Auto-save every 5 minutes
@@ -32,24 +33,17 @@ class MetricsCollector {
 
     /**
      * Cost database for different providers and models
+     * Current rates from the price sheet (src/pricing.js) over adapter prices
      */
     loadCostDatabase() {
-        return {
-            openai: {
-                'gpt-4': { input: 0.03, output: 0.06 }, // per 1K tokens
-                'gpt-4-turbo': { input: 0.01, output: 0.03 },
-                'gpt-3.5-turbo': { input: 0.0015, output: 0.002 }
-            },
-            anthropic: {
-                'claude-3-opus-20240229': { input: 0.015, output: 0.075 },
-                'claude-3-sonnet-20240229': { input: 0.003, output: 0.015 },
-                'claude-3-haiku-20240307': { input: 0.00025, output: 0.00125 }
-            },
-            google: {
-                'gemini-pro': { input: 0.0005, output: 0.0015 },
-                'gemini-pro-vision': { input: 0.0005, output: 0.0015 }
-            }
-        };
+        return getPricingTable();
+    }
+
+    /**
+     * Katalog plików dziennych metryk
+     */
+    getMetricsPath() {
+        return path.join(__dirname, '..', 'data', 'metrics');
     }
 
     /**
@@ -57,7 +51,7 @@ class MetricsCollector {
      */
     loadDailyMetrics() {
         const today = new Date().toISOString().split('T')[0];
-        const metricsPath = path.join(__dirname, '..', 'data', 'metrics');
+        const metricsPath = this.getMetricsPath();
         
         try {
             if (!fs.existsSync(metricsPath)) {
@@ -80,7 +74,8 @@ class MetricsCollector {
             errors: 0,
             providers: {},
             models: {},
-            builders: {}
+            builders: {},
+            ensembles: { runs: 0, cost: 0, wins: {}, builders: {} }
         };
     }
 
@@ -139,13 +134,22 @@ class MetricsCollector {
         this.metrics.daily.providers[provider].tokens += usage.total_tokens || 0;
         this.metrics.daily.providers[provider].cost += cost;
 
-        // Model breakdown
+        // Model breakdown; the token split lets the day be repriced later (recomputeCosts)
         if (!this.metrics.daily.models[model]) {
-            this.metrics.daily.models[model] = { requests: 0, tokens: 0, cost: 0 };
+            this.metrics.daily.models[model] = {
+                provider, requests: 0, tokens: 0, promptTokens: 0, completionTokens: 0, cachedTokens: 0, cost: 0
+            };
         }
-        this.metrics.daily.models[model].requests++;
-        this.metrics.daily.models[model].tokens += usage.total_tokens || 0;
-        this.metrics.daily.models[model].cost += cost;
+        const modelStats = this.metrics.daily.models[model];
+        modelStats.requests++;
+        modelStats.tokens += usage.total_tokens || 0;
+        modelStats.cost += cost;
+        if (modelStats.promptTokens !== undefined) {
+            modelStats.promptTokens += usage.prompt_tokens || 0;
+            modelStats.completionTokens += usage.completion_tokens || 0;
+            modelStats.cachedTokens += usage.cached_tokens ?? usage.prompt_tokens_details?.cached_tokens ?? 0;
+        }
+        this.metrics.daily.pricingVersion = priceSheet.sheet.version;
 
         // Builder breakdown
         if (!this.metrics.daily.builders[builder]) {
@@ -160,15 +164,131 @@ class MetricsCollector {
 
     /**
      * Calculate cost for API call
+     * @param {Date|string|number} at - Date whose rate applies (default now)
      */
-    calculateCost(provider, model, usage) {
-        const costs = this.costs[provider]?.[model];
-        if (!costs || !usage) return 0;
+    calculateCost(provider, model, usage, at = Date.now()) {
+        return calculateUsageCost(getModelPricing(provider, model, at), usage);
+    }
 
-        const inputCost = (usage.prompt_tokens || 0) / 1000 * costs.input;
-        const outputCost = (usage.completion_tokens || 0) / 1000 * costs.output;
-        
-        return inputCost + outputCost;
+    /**
+     * Przelicza koszty jednego dnia według arkusza cen
+     * Models recorded before the token split was stored, or without a rate on that day,
+     * keep their original cost and are listed in `skipped`. Builder costs are not repriced because they are not split by model.
+     * @param {Object} daily - Daily metrics ({ date, cost, models, providers })
+     * @param {PriceSheet} sheet - Price sheet to apply
+     * @returns {Object} { report, daily } - Per-model differences and the repriced day
+     */
+    recomputeDailyCosts(daily, sheet = priceSheet) {
+        const repriced = {
+            ...daily,
+            models: {},
+            providers: Object.fromEntries(Object.entries(daily.providers || {}).map(([name, stats]) => [name, { ...stats }])),
+            pricingVersion: sheet.sheet.version
+        };
+        const models = {};
+        const skipped = [];
+
+        for (const [model, stats] of Object.entries(daily.models || {})) {
+            repriced.models[model] = { ...stats };
+            const pricing = stats.provider && getModelPricing(stats.provider, model, daily.date, sheet);
+            if (!pricing || stats.promptTokens === undefined) {
+                skipped.push(model);
+                continue;
+            }
+
+            const cost = calculateUsageCost(pricing, {
+                prompt_tokens: stats.promptTokens,
+                completion_tokens: stats.completionTokens,
+                cached_tokens: stats.cachedTokens
+            });
+            const difference = cost - stats.cost;
+
+            repriced.models[model].cost = cost;
+            if (repriced.providers[stats.provider]) {
+                repriced.providers[stats.provider].cost += difference;
+            }
+            repriced.cost += difference;
+            models[model] = { provider: stats.provider, previousCost: stats.cost, cost, difference };
+        }
+
+        return {
+            report: {
+                date: daily.date,
+                previousVersion: daily.pricingVersion || null,
+                version: sheet.sheet.version,
+                previousCost: daily.cost,
+                cost: repriced.cost,
+                difference: repriced.cost - daily.cost,
+                models,
+                skipped
+            },
+            daily: repriced
+        };
+    }
+
+    /**
+     * Przelicza zapisane dzienne metryki z zakresu dat według arkusza cen
+     * @param {Object} options
+     * @param {string} options.from - First day (YYYY-MM-DD, inclusive); default: all stored days
+     * @param {string} options.to - Last day (YYYY-MM-DD, inclusive)
+     * @param {PriceSheet} options.sheet - Price sheet (default: the current one)
+     * @param {boolean} options.apply - Write the repriced days back (default false: report only)
+     * @returns {Object} { version, applied, days: [report], previousCost, cost, difference }
+     */
+    recomputeCosts({ from = '0000-00-00', to = '9999-99-99', sheet = priceSheet, apply = false } = {}) {
+        // Today's file may be behind the in-memory counters
+        this.save();
+
+        const metricsPath = this.getMetricsPath();
+        const files = fs.existsSync(metricsPath)
+            ? fs.readdirSync(metricsPath).filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file)).sort()
+            : [];
+
+        const days = [];
+        for (const file of files) {
+            const date = file.replace('.json', '');
+            if (date < from || date > to) continue;
+
+            const daily = JSON.parse(fs.readFileSync(path.join(metricsPath, file), 'utf8'));
+            const { report, daily: repriced } = this.recomputeDailyCosts(daily, sheet);
+            days.push(report);
+
+            if (apply) {
+                fs.writeFileSync(path.join(metricsPath, file), JSON.stringify(repriced, null, 2));
+                if (date === this.metrics.daily.date) {
+                    this.metrics.daily = repriced;
+                }
+            }
+        }
+
+        const previousCost = days.reduce((sum, day) => sum + day.previousCost, 0);
+        const cost = days.reduce((sum, day) => sum + day.cost, 0);
+        return { version: sheet.sheet.version, applied: apply, days, previousCost, cost, difference: cost - previousCost };
+    }
+
+    /**
+     * Rejestruje przebieg zespołu modeli (src/ensemble.js)
+     * Member calls are already counted by recordAPICall; this tracks which candidate won.
+     * @param {string} builder - AI agent role
+     * @param {Object} report - { strategy, winner, candidates, cost, latency, agreement }
+     */
+    recordEnsemble(builder, report) {
+        const stats = this.metrics.session.ensembleStats;
+        stats.runs++;
+        stats.cost += report.cost || 0;
+        stats.avgLatency = (stats.avgLatency * (stats.runs - 1) + report.latency) / stats.runs;
+        stats.avgAgreement = (stats.avgAgreement * (stats.runs - 1) + report.agreement) / stats.runs;
+        stats.wins[report.winner] = (stats.wins[report.winner] || 0) + 1;
+
+        // Daily files written before ensembles existed have no section yet
+        const daily = this.metrics.daily.ensembles || (this.metrics.daily.ensembles = { runs: 0, cost: 0, wins: {}, builders: {} });
+        daily.runs++;
+        daily.cost += report.cost || 0;
+        daily.wins[report.winner] = (daily.wins[report.winner] || 0) + 1;
+        daily.builders[builder] = (daily.builders[builder] || 0) + 1;
+
+        const answered = report.candidates.filter(candidate => !candidate.error).length;
+        console.log(`📊 Ensemble ${builder}: ${report.winner} won (${report.strategy}, ${answered}/${report.candidates.length} answered) | Cost: $${(report.cost || 0).toFixed(4)} | Agreement: ${report.agreement.toFixed(2)}`);
     }
 
     /**
@@ -280,7 +400,7 @@ class MetricsCollector {
      */
     save() {
         const today = new Date().toISOString().split('T')[0];
-        const metricsPath = path.join(__dirname, '..', 'data', 'metrics');
+        const metricsPath = this.getMetricsPath();
         
         try {
             if (!fs.existsSync(metricsPath)) {
@@ -10,6 +10,14 @@ import { apiRateLimit, authRateLimit } from './security/rate_limiter.js';
 import { createValidationMiddleware, validateSecurityHeaders } from './security/input_validator.js';
 import securityRoutes from './security/security_routes.js';
 
+// Solve job imports
+import { solveJobManager } from './solve_jobs.js';
+import { addSolveRoutes, streamSolveEvents } from './solve_routes.js';
+
+// Collaboration imports
+import { collaborationHub } from './collaboration_hub.js';
+import { addCollaborationRoutes } from './collaboration_routes.js';
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -89,50 +97,42 @@ app.use(metricsMiddleware);
 // Mount security routes
 app.use('/api/security', apiRateLimit, securityRoutes);
 app.get('/api/sse/updates', (req, res) => {
+    const jobId = req.query.jobId || null;
+    if (jobId && !solveJobManager.getJob(jobId)) {
+        return res.status(404).json({ error: 'Not Found', message: `Solve job ${jobId} does not exist` });
+    }
+    // Collaboration jobs need a credential, checked by /api/solve/:jobId/events
+    if (jobId && solveJobManager.getJob(jobId).collaborationSessionId) {
+        return res.status(403).json({ error: 'Forbidden', message: `Solve job ${jobId} belongs to a collaboration session; use /api/solve/${jobId}/events` });
+    }
+
     // Track SSE connection
     sseConnectionsTotal.inc();
-    
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    const stages = [
-        { stage: 'Idea Architect', progress: 25, builder: 'builder1' },
-        { stage: 'Innovation Catalyst', progress: 50, builder: 'builder2' },
-        { stage: 'Solution Synthesizer', progress: 75, builder: 'synthesizer' },
-        { stage: 'Evaluator', progress: 100, builder: 'evaluator' }
-    ];
-    let stageIndex = 0;
-    const interval = setInterval(() => {
-        if (res.finished || stageIndex >= stages.length) {
-            clearInterval(interval);
-            return;
-        }
-        res.write(`data: ${JSON.stringify({
-            type: 'evolution_progress',
-            payload: { ...stages[stageIndex], estimatedTime: 10 - stageIndex * 2 }
-        })}\n\n`);
-        stageIndex++;
-        if (stageIndex >= stages.length) {
-            res.write(`data: ${JSON.stringify({
-                type: 'consensus_update',
-                payload: { quality: 8.8, consensus: 0.86, version: 1.1 }
-            })}\n\n`);
-            clearInterval(interval);
-        }
-    }, 2000);
-    const timeout = setTimeout(() => clearInterval(interval), 60000);
+
+    // Relay progress reported by the engine's progressCallback
+    streamSolveEvents(req, res, solveJobManager, jobId);
+
     req.on('close', () => {
-        clearInterval(interval);
-        clearTimeout(timeout);
         // Decrease SSE connection count
         sseConnectionsTotal.dec();
     });
 });
 
+// Structured contribution shaped like src/structured_output.js expects
+function mockStructuredContribution(text) {
+    return {
+        summary: text,
+        claims: [{ statement: text, evidence: 'Mock evidence' }],
+        risks: [{ description: 'Mock risk', severity: 'medium', mitigation: 'Mock mitigation' }],
+        actions: [{ description: 'Mock next step', priority: 'medium' }],
+        confidence: 0.75,
+        citations: []
+    };
+}
+
 // Mock AI API endpoint with security
 app.post('/v1/chat/completions', apiRateLimit, createValidationMiddleware('chatCompletion'), (req, res) => {
-    const { builder, topic, prompt } = req.body;
+    const { builder, topic, prompt, responseFormat } = req.body;
     const startTime = Date.now();
     
     // Track AI request
@@ -146,8 +146,9 @@ app.post('/v1/chat/completions', apiRateLimit, createValidationMiddleware('chatC
             synthesizer: `Synteza: Łącząc wszystkie propozycje dla ${topic}, optymalnym rozwiązaniem jest hybrydowe podejście.`
         };
         
+        const text = responses[builder] || `Mock response for ${builder}: ${prompt}`;
         const response = {
-            response: responses[builder] || `Mock response for ${builder}: ${prompt}`,
+            response: responseFormat === 'json' ? JSON.stringify(mockStructuredContribution(text)) : text,
             quality: Math.random() * 2 + 7, // 7-9
             confidence: Math.random() * 0.3 + 0.7 // 0.7-1.0
         };
@@ -191,12 +192,25 @@ validateConfig();
 import { addManagementRoutes } from './management_routes.js';
 addManagementRoutes(app);
 
+// Server-side solve jobs (rate limit only job creation, not polling)
+app.post('/api/solve', apiRateLimit);
+addSolveRoutes(app, solveJobManager);
+
+// Collaboration rooms receive the progress of solve jobs for their session
+addCollaborationRoutes(app, collaborationHub);
+collaborationHub.relayJobEvents(solveJobManager);
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`🦊 IES/Kitsune Server running on http://localhost:${PORT}`);
     console.log(`📊 SSE endpoint: http://localhost:${PORT}/api/sse/updates`);
     console.log(`🤖 AI API: http://localhost:${PORT}/v1/chat/completions`);
+    console.log(`🧵 Solve API: http://localhost:${PORT}/api/solve`);
+    console.log(`🤝 Collaboration: ws://localhost:${PORT}/ws/collaboration`);
     console.log(`💚 Health check: http://localhost:${PORT}/health`);
     console.log(`📈 Metrics endpoint: http://localhost:${PORT}/metrics`);
     console.log(`🔍 Prometheus scraping available at /metrics`);
 });
+
+// Participants join collaboration sessions over WebSockets on the same port
+collaborationHub.attach(server);
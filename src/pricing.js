@@ -0,0 +1,246 @@
+/**
+ * Model pricing
+ * Rates are read from a versioned price sheet (config/pricing.json, PRICING_FILE) so
+ * cost reports can follow provider price changes without code changes. Every model
+ * keeps a list of rates with effective-from dates; a call, or a stored day of metrics,
+ * is priced with the rate that applied on its date.
+ *
+ * Sheet shape:
+ *   { version, currency, unit, models: { [provider]: { [model | '*']: [{ effectiveFrom, input, output, cachedInput? }] } } }
+ *   Rates are USD per 1K tokens. `cachedInput` applies to prompt tokens served from the
+ *   provider's prompt cache. A '*' entry prices models of that provider that are not listed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { providerRegistry } from './providers/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_PRICING_FILE = path.join(__dirname, '..', 'config', 'pricing.json');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const rateSchema = z.object({
+    effectiveFrom: z.string().regex(DATE_PATTERN, 'effectiveFrom must be a YYYY-MM-DD date'),
+    input: z.number().min(0),
+    output: z.number().min(0),
+    cachedInput: z.number().min(0).optional()
+}).strict();
+
+export const priceSheetSchema = z.object({
+    version: z.string().min(1).max(50),
+    currency: z.string().length(3).default('USD'),
+    unit: z.literal('1K tokens').default('1K tokens'),
+    models: z.record(
+        z.string().regex(/^[a-zA-Z0-9_-]+$/),
+        z.record(z.string().min(1).max(100), z.array(rateSchema).min(1))
+    )
+});
+
+/**
+ * Error raised for a price sheet that cannot be read or fails validation
+ */
+export class PricingError extends Error {
+    constructor(message, issues = []) {
+        super(message);
+        this.name = 'PricingError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Zamienia datę na klucz YYYY-MM-DD (porównywalny leksykograficznie)
+ */
+function toDateKey(at) {
+    if (typeof at === 'string' && DATE_PATTERN.test(at)) return at;
+    return new Date(at ?? Date.now()).toISOString().split('T')[0];
+}
+
+/**
+ * Ostatnia stawka z listy obowiązująca w danym dniu
+ */
+function findRate(rates = [], day) {
+    return rates.filter(rate => rate.effectiveFrom <= day).pop() || null;
+}
+
+/**
+ * Sprawdza arkusz cen i sortuje stawki każdego modelu według daty
+ * @param {Object} sheet - Raw price sheet
+ * @returns {Object} Validated sheet
+ * @throws {PricingError} When the sheet is invalid
+ */
+export function validatePriceSheet(sheet) {
+    const result = priceSheetSchema.safeParse(sheet);
+    if (!result.success) {
+        const issues = result.error.errors.map(error => ({ path: error.path.join('.'), message: error.message }));
+        throw new PricingError(`Invalid price sheet: ${issues.map(issue => `${issue.path} ${issue.message}`).join('; ')}`, issues);
+    }
+
+    for (const models of Object.values(result.data.models)) {
+        for (const [model, rates] of Object.entries(models)) {
+            rates.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+            const dates = rates.map(rate => rate.effectiveFrom);
+            if (new Set(dates).size !== dates.length) {
+                throw new PricingError(`Invalid price sheet: ${model} has two rates effective from the same date`);
+            }
+        }
+    }
+    return result.data;
+}
+
+/**
+ * Versioned price sheet backed by a JSON file
+ */
+export class PriceSheet {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Path of the sheet (PRICING_FILE, default config/pricing.json)
+     * @param {Object} options.sheet - In-memory sheet; skips reading the file
+     */
+    constructor(options = {}) {
+        this.file = options.file || process.env.PRICING_FILE || DEFAULT_PRICING_FILE;
+        this.sheet = options.sheet ? validatePriceSheet(options.sheet) : this.load();
+    }
+
+    /**
+     * Wczytuje arkusz z pliku; brak pliku oznacza pusty arkusz (ceny z adapterów)
+     */
+    load() {
+        if (!fs.existsSync(this.file)) {
+            console.warn(`⚠️ Price sheet not found at ${this.file}, using adapter prices`);
+            return { version: 'adapter-defaults', currency: 'USD', unit: '1K tokens', models: {} };
+        }
+
+        let raw;
+        try {
+            raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            throw new PricingError(`Cannot read price sheet ${this.file}: ${error.message}`);
+        }
+        return validatePriceSheet(raw);
+    }
+
+    /**
+     * Zapisuje arkusz do pliku
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, `${JSON.stringify(this.sheet, null, 2)}\n`);
+    }
+
+    /**
+     * Stawka modelu obowiązująca w danym dniu
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @param {Date|string|number} at - Date of the call (default now)
+     * @returns {Object|null} { input, output, cachedInput?, effectiveFrom, version } or null when not priced
+     */
+    getRate(provider, model, at = Date.now()) {
+        const models = this.sheet.models[provider];
+        if (!models) return null;
+
+        const day = toDateKey(at);
+        const rate = findRate(models[model], day) || findRate(models['*'], day);
+        return rate ? { ...rate, version: this.sheet.version } : null;
+    }
+
+    /**
+     * Stawki wszystkich wymienionych modeli w danym dniu (bez wpisów '*')
+     * @returns {Object} { provider: { model: rate } }
+     */
+    getTable(at = Date.now()) {
+        const day = toDateKey(at);
+        const table = {};
+        for (const [provider, models] of Object.entries(this.sheet.models)) {
+            table[provider] = {};
+            for (const [model, rates] of Object.entries(models).filter(([name]) => name !== '*')) {
+                const rate = findRate(rates, day);
+                if (rate) table[provider][model] = { ...rate, version: this.sheet.version };
+            }
+        }
+        return table;
+    }
+
+    /**
+     * Zastępuje cały arkusz (po walidacji) i zapisuje go
+     */
+    replace(sheet) {
+        this.sheet = validatePriceSheet(sheet);
+        this.save();
+        return this.sheet;
+    }
+
+    /**
+     * Dodaje stawkę modelu; stawka z tą samą datą obowiązywania jest zastępowana
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name or '*'
+     * @param {Object} rate - { effectiveFrom, input, output, cachedInput? }
+     * @param {string} version - New sheet version (default: today's date)
+     */
+    setRate(provider, model, rate, version = toDateKey(Date.now())) {
+        const models = this.sheet.models[provider] || {};
+        const rates = (models[model] || []).filter(entry => entry.effectiveFrom !== rate.effectiveFrom);
+
+        return this.replace({
+            ...this.sheet,
+            version,
+            models: {
+                ...this.sheet.models,
+                [provider]: { ...models, [model]: [...rates, rate] }
+            }
+        });
+    }
+}
+
+// Global price sheet
+export const priceSheet = new PriceSheet();
+
+/**
+ * Cena modelu: arkusz cen, a gdy go tam nie ma, cennik adaptera
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Date|string|number} at - Date of the call (default now)
+ * @param {PriceSheet} sheet - Price sheet to use (default: the global one)
+ * @returns {Object|null} { input, output, cachedInput? } USD per 1K tokens
+ */
+export function getModelPricing(provider, model, at = Date.now(), sheet = priceSheet) {
+    return sheet.getRate(provider, model, at) || providerRegistry.getPricing(provider, model);
+}
+
+/**
+ * Cennik wszystkich modeli w danym dniu: adaptery nadpisane arkuszem cen
+ * @returns {Object} { provider: { model: { input, output, cachedInput? } } }
+ */
+export function getPricingTable(at = Date.now(), sheet = priceSheet) {
+    const table = providerRegistry.getPricingTable();
+    for (const [provider, models] of Object.entries(sheet.getTable(at))) {
+        table[provider] = { ...table[provider], ...models };
+    }
+    return table;
+}
+
+/**
+ * Koszt wywołania według stawki i zużycia tokenów
+ * Cached prompt tokens (usage.cached_tokens or OpenAI's prompt_tokens_details) are
+ * part of prompt_tokens and are charged at cachedInput when the model has one.
+ * @param {Object} pricing - Rate from getModelPricing()
+ * @param {Object} usage - { prompt_tokens, completion_tokens, cached_tokens? }
+ * @returns {number} Cost in USD
+ */
+export function calculateUsageCost(pricing, usage) {
+    if (!pricing || !usage) return 0;
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const cachedTokens = Math.min(promptTokens, usage.cached_tokens ?? usage.prompt_tokens_details?.cached_tokens ?? 0);
+    const cachedRate = pricing.cachedInput ?? pricing.input;
+
+    return (promptTokens - cachedTokens) / 1000 * pricing.input +
+        cachedTokens / 1000 * cachedRate +
+        (usage.completion_tokens || 0) / 1000 * pricing.output;
+}
+
+export default priceSheet;
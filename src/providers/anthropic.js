@@ -0,0 +1,120 @@
+/**
+ * Anthropic Messages API adapter
+ */
+
+import { classifyHttpError, createProviderError } from './registry.js';
+
+/**
+ * @param {Object} config - Overrides for the environment defaults
+ */
+export function createAnthropicAdapter(config = {}) {
+    const settings = {
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        model: process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
+        maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 1000,
+        baseURL: 'https://api.anthropic.com',
+        ...config
+    };
+
+    return {
+        name: 'anthropic',
+        displayName: 'Anthropic',
+        priority: 20,
+        config: settings,
+
+        authError() {
+            if (!settings.apiKey) {
+                return 'Anthropic API key not configured. Set ANTHROPIC_API_KEY in .env file.';
+            }
+            if (!settings.apiKey.startsWith('sk-ant-')) {
+                return 'Invalid Anthropic API key format. Key should start with "sk-ant-"';
+            }
+            return null;
+        },
+
+        buildRequest({ systemPrompt, userContent, model, options, stream = false }) {
+            return {
+                url: `${settings.baseURL}/v1/messages`,
+                init: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-api-key': settings.apiKey,
+                        'anthropic-version': '2023-06-01',
+                        'User-Agent': 'IES-Kitsune/1.0'
+                    },
+                    body: JSON.stringify({
+                        model,
+                        max_tokens: options.maxTokens || settings.maxTokens,
+                        temperature: options.temperature || 0.7,
+                        system: systemPrompt,
+                        messages: [
+                            { role: 'user', content: userContent }
+                        ],
+                        stream
+                    })
+                }
+            };
+        },
+
+        parseResponse(data) {
+            if (!data.content || !data.content[0] || !data.content[0].text) {
+                throw createProviderError('Invalid response structure from Anthropic API', 'invalid_response');
+            }
+
+            const usage = data.usage || {};
+            // input_tokens excludes prompt-cache reads and writes; prompt_tokens counts all of them
+            const promptTokens = (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) +
+                (usage.cache_creation_input_tokens || 0);
+            return {
+                content: data.content[0].text,
+                model: data.model,
+                usage: {
+                    prompt_tokens: promptTokens,
+                    completion_tokens: usage.output_tokens || 0,
+                    total_tokens: promptTokens + (usage.output_tokens || 0),
+                    cached_tokens: usage.cache_read_input_tokens || 0
+                },
+                finishReason: data.stop_reason
+            };
+        },
+
+        parseStreamEvent(event) {
+            switch (event.type) {
+                case 'message_start': {
+                    const usage = event.message?.usage || {};
+                    return {
+                        model: event.message?.model,
+                        usage: {
+                            prompt_tokens: (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) +
+                                (usage.cache_creation_input_tokens || 0),
+                            ...(usage.cache_read_input_tokens ? { cached_tokens: usage.cache_read_input_tokens } : {})
+                        }
+                    };
+                }
+                case 'content_block_delta':
+                    return { delta: event.delta?.text || '' };
+                case 'message_delta':
+                    return {
+                        usage: { completion_tokens: event.usage?.output_tokens || 0 },
+                        finishReason: event.delta?.stop_reason
+                    };
+                case 'error':
+                    throw createProviderError(
+                        `Anthropic API: ${event.error?.message || 'Stream error'}`,
+                        event.error?.type === 'overloaded_error' ? 'server' : 'unknown'
+                    );
+                default:
+                    return {};
+            }
+        },
+
+        classifyError(status, bodyText) {
+            return classifyHttpError('Anthropic API', status, bodyText, {
+                529: { category: 'server', message: 'Anthropic API: Overloaded - Try again later' }
+            });
+        }
+    };
+}
+
+export default createAnthropicAdapter;
@@ -0,0 +1,128 @@
+/**
+ * Google Gemini generateContent adapter
+ */
+
+import { classifyHttpError, createProviderError } from './registry.js';
+
+const SAFETY_CATEGORIES = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT'
+];
+
+/**
+ * @param {Object} config - Overrides for the environment defaults
+ */
+export function createGoogleAdapter(config = {}) {
+    const settings = {
+        apiKey: process.env.GOOGLE_API_KEY,
+        model: process.env.GOOGLE_MODEL || 'gemini-pro',
+        maxTokens: parseInt(process.env.GOOGLE_MAX_TOKENS) || 1000,
+        baseURL: 'https://generativelanguage.googleapis.com/v1beta',
+        ...config
+    };
+
+    return {
+        name: 'google',
+        displayName: 'Google',
+        priority: 30,
+        config: settings,
+
+        authError() {
+            if (!settings.apiKey || settings.apiKey.length <= 10) {
+                return 'Google API key not configured. Set GOOGLE_API_KEY in .env file.';
+            }
+            return null;
+        },
+
+        buildRequest({ systemPrompt, userContent, model, options, stream = false }) {
+            const url = stream
+                ? `${settings.baseURL}/models/${model}:streamGenerateContent?alt=sse&key=${settings.apiKey}`
+                : `${settings.baseURL}/models/${model}:generateContent?key=${settings.apiKey}`;
+
+            return {
+                url,
+                init: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'IES-Kitsune/1.0'
+                    },
+                    body: JSON.stringify({
+                        contents: [
+                            {
+                                role: 'user',
+                                parts: [{ text: `${systemPrompt}\n\n${userContent}` }]
+                            }
+                        ],
+                        generationConfig: {
+                            maxOutputTokens: options.maxTokens || settings.maxTokens,
+                            temperature: options.temperature || 0.7,
+                            topP: options.topP || 0.8,
+                            topK: options.topK || 40,
+                            stopSequences: options.stopSequences || [],
+                            ...(options.responseFormat === 'json' ? { responseMimeType: 'application/json' } : {})
+                        },
+                        safetySettings: SAFETY_CATEGORIES.map(category => ({
+                            category,
+                            threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+                        }))
+                    })
+                }
+            };
+        },
+
+        parseResponse(data, { model }) {
+            const candidate = data.candidates && data.candidates[0];
+
+            if (candidate && candidate.finishReason === 'SAFETY') {
+                throw createProviderError('Google API: Content blocked by safety filters', 'safety');
+            }
+            if (!candidate || !candidate.content || !candidate.content.parts || !candidate.content.parts[0]) {
+                throw createProviderError('Invalid response structure from Google API', 'invalid_response');
+            }
+
+            const usage = data.usageMetadata || {};
+            return {
+                content: candidate.content.parts[0].text,
+                model,
+                usage: {
+                    prompt_tokens: usage.promptTokenCount || 0,
+                    completion_tokens: usage.candidatesTokenCount || 0,
+                    total_tokens: usage.totalTokenCount || 0,
+                    cached_tokens: usage.cachedContentTokenCount || 0
+                },
+                finishReason: candidate.finishReason
+            };
+        },
+
+        parseStreamEvent(event) {
+            const candidate = event.candidates && event.candidates[0];
+
+            if (candidate && candidate.finishReason === 'SAFETY') {
+                throw createProviderError('Google API: Content blocked by safety filters', 'safety');
+            }
+
+            // usageMetadata is cumulative, so the last event holds the totals
+            const usage = event.usageMetadata;
+            return {
+                delta: candidate?.content?.parts?.map(part => part.text || '').join('') || '',
+                usage: usage ? {
+                    prompt_tokens: usage.promptTokenCount || 0,
+                    completion_tokens: usage.candidatesTokenCount || 0,
+                    total_tokens: usage.totalTokenCount || 0
+                } : undefined,
+                finishReason: candidate?.finishReason
+            };
+        },
+
+        classifyError(status, bodyText) {
+            return classifyHttpError('Google API', status, bodyText, {
+                403: { category: 'auth', message: 'Google API: Forbidden - Check API is enabled and quota' }
+            });
+        }
+    };
+}
+
+export default createGoogleAdapter;
@@ -0,0 +1,23 @@
+/**
+ * Built-in AI providers
+ * Additional backends register adapters on `providerRegistry` at startup.
+ */
+
+import { ProviderRegistry } from './registry.js';
+import { createOpenAIAdapter } from './openai.js';
+import { createAnthropicAdapter } from './anthropic.js';
+import { createGoogleAdapter } from './google.js';
+import { createLocalAdapter } from './local.js';
+
+// Global provider registry with the built-in adapters
+export const providerRegistry = new ProviderRegistry()
+    .register(createOpenAIAdapter())
+    .register(createAnthropicAdapter())
+    .register(createGoogleAdapter())
+    .register(createLocalAdapter());
+
+export { ProviderRegistry, createProviderError, classifyHttpError } from './registry.js';
+export { readSSEData } from './stream.js';
+export { createOpenAIAdapter, createAnthropicAdapter, createGoogleAdapter, createLocalAdapter };
+
+export default providerRegistry;
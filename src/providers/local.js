@@ -0,0 +1,77 @@
+/**
+ * Self-hosted OpenAI-compatible adapter (Ollama, llama.cpp server, vLLM)
+ */
+
+import { createOpenAIAdapter } from './openai.js';
+import { classifyHttpError, createProviderError } from './registry.js';
+
+/**
+ * @param {Object} config - Overrides for the environment defaults
+ */
+export function createLocalAdapter(config = {}) {
+    const settings = {
+        apiKey: process.env.LOCAL_AI_API_KEY || null,
+        model: process.env.LOCAL_AI_MODEL || 'llama3',
+        maxTokens: parseInt(process.env.LOCAL_AI_MAX_TOKENS) || 1000,
+        baseURL: process.env.LOCAL_AI_BASE_URL || null,
+        ...config
+    };
+
+    // Same wire format as OpenAI, so reuse its request/response mapping
+    const openai = createOpenAIAdapter(settings);
+
+    return {
+        ...openai,
+        name: 'local',
+        displayName: 'Local model',
+        priority: 40,
+        config: settings,
+
+        authError() {
+            if (!settings.baseURL) {
+                return 'Local AI endpoint not configured. Set LOCAL_AI_BASE_URL in .env file (e.g. http://localhost:11434/v1).';
+            }
+            return null;
+        },
+
+        buildRequest(params) {
+            const request = openai.buildRequest(params);
+
+            // Most local servers run without auth; only send a key when one is set
+            if (!settings.apiKey) {
+                delete request.init.headers['Authorization'];
+            }
+            return request;
+        },
+
+        classifyError(status, bodyText) {
+            return classifyHttpError('Local model API', status, bodyText, {
+                404: { category: 'bad_request', message: `Local model API: Model not found - Check LOCAL_AI_MODEL (${bodyText})` }
+            });
+        },
+
+        /**
+         * Discovers models served by the endpoint (GET /models)
+         * @returns {Promise<Array<string>>} Model ids
+         */
+        async listModels() {
+            const response = await fetch(`${settings.baseURL}/models`, {
+                headers: settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {}
+            });
+
+            if (!response.ok) {
+                const { category, message } = this.classifyError(response.status, await response.text());
+                throw createProviderError(message, category, { provider: 'local', status: response.status });
+            }
+
+            const data = await response.json();
+            return (data.data || data.models || []).map(model => model.id || model.name);
+        },
+
+        // Self-hosted inference has no per-token charge
+        pricing: {},
+        defaultPricing: { input: 0, output: 0 }
+    };
+}
+
+export default createLocalAdapter;
@@ -0,0 +1,94 @@
+/**
+ * OpenAI Chat Completions adapter
+ */
+
+import { classifyHttpError, createProviderError } from './registry.js';
+
+/**
+ * @param {Object} config - Overrides for the environment defaults
+ */
+export function createOpenAIAdapter(config = {}) {
+    const settings = {
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4',
+        maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000,
+        baseURL: 'https://api.openai.com/v1',
+        ...config
+    };
+
+    return {
+        name: 'openai',
+        displayName: 'OpenAI',
+        priority: 10,
+        config: settings,
+
+        authError() {
+            if (!settings.apiKey) {
+                return 'OpenAI API key not configured. Set OPENAI_API_KEY in .env file.';
+            }
+            if (!settings.apiKey.startsWith('sk-')) {
+                return 'Invalid OpenAI API key format. Key should start with "sk-"';
+            }
+            return null;
+        },
+
+        buildRequest({ systemPrompt, userContent, model, options, stream = false }) {
+            return {
+                url: `${settings.baseURL}/chat/completions`,
+                init: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${settings.apiKey}`,
+                        'User-Agent': 'IES-Kitsune/1.0'
+                    },
+                    body: JSON.stringify({
+                        model,
+                        messages: [
+                            { role: 'system', content: systemPrompt },
+                            { role: 'user', content: userContent }
+                        ],
+                        max_tokens: options.maxTokens || settings.maxTokens,
+                        temperature: options.temperature || 0.7,
+                        top_p: options.topP || 1,
+                        frequency_penalty: options.frequencyPenalty || 0,
+                        presence_penalty: options.presencePenalty || 0,
+                        ...(options.responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {}),
+                        stream,
+                        // Final chunk carries token usage when streaming
+                        ...(stream ? { stream_options: { include_usage: true } } : {})
+                    })
+                }
+            };
+        },
+
+        parseResponse(data) {
+            if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+                throw createProviderError('Invalid response structure from OpenAI API', 'invalid_response');
+            }
+
+            return {
+                content: data.choices[0].message.content,
+                model: data.model,
+                usage: data.usage || {},
+                finishReason: data.choices[0].finish_reason
+            };
+        },
+
+        parseStreamEvent(event) {
+            const choice = event.choices && event.choices[0];
+            return {
+                delta: choice?.delta?.content || '',
+                model: event.model,
+                usage: event.usage || undefined,
+                finishReason: choice?.finish_reason || undefined
+            };
+        },
+
+        classifyError(status, bodyText) {
+            return classifyHttpError('OpenAI API', status, bodyText);
+        }
+    };
+}
+
+export default createOpenAIAdapter;
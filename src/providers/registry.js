@@ -0,0 +1,144 @@
+/**
+ * AI Provider Registry
+ * Adapters describe how to talk to a backend; api.js handles caching,
+ * rate limiting, metrics and fallback for every registered adapter.
+ *
+ * Adapter shape:
+ *   name            unique id used in options.provider and metrics
+ *   displayName     label used in logs and error messages
+ *   priority        fallback order, lower is tried first
+ *   config          { model, maxTokens, ... } defaults for requests
+ *   authError()     null when usable, otherwise why it is not configured
+ *   buildRequest({ systemPrompt, userContent, model, options, stream }) -> { url, init }
+ *                   options.responseFormat === 'json' asks for a JSON-only answer where supported
+ *   parseResponse(data, { model }) -> { content, model, usage, finishReason }
+ *   parseStreamEvent(event) optional; maps one streamed SSE payload to
+ *                   { delta, model, usage, finishReason } (all fields optional)
+ *   classifyError(status, bodyText) -> { category, message }
+ *   pricing         { [model]: { input, output } } USD per 1K tokens
+ *   defaultPricing  optional { input, output } for models missing from pricing
+ *   listModels()    optional async discovery of the models a backend serves
+ */
+
+const REQUIRED_FIELDS = ['name', 'authError', 'buildRequest', 'parseResponse', 'classifyError'];
+
+/**
+ * Creates an error tagged with a provider error category
+ * @param {string} message - Error message
+ * @param {string} category - auth, billing, rate_limit, server, bad_request, safety, invalid_response, network, unknown
+ * @param {Object} details - Extra fields (provider, status)
+ */
+export function createProviderError(message, category, details = {}) {
+    const error = new Error(message);
+    error.category = category;
+    Object.assign(error, details);
+    return error;
+}
+
+/**
+ * Maps common HTTP status codes to error categories
+ * @param {string} label - Provider label used in messages (e.g. 'OpenAI API')
+ * @param {number} status - HTTP status code
+ * @param {string} bodyText - Response body
+ * @param {Object} overrides - { [status]: { category, message } } provider-specific cases
+ */
+export function classifyHttpError(label, status, bodyText = '', overrides = {}) {
+    if (overrides[status]) {
+        return overrides[status];
+    }
+
+    switch (status) {
+        case 400:
+            return { category: 'bad_request', message: `${label}: Bad request - Check your parameters` };
+        case 401:
+            return { category: 'auth', message: `${label}: Unauthorized - Check your API key` };
+        case 402:
+            return { category: 'billing', message: `${label}: Payment required - Check your billing` };
+        case 403:
+            return { category: 'auth', message: `${label}: Forbidden - Check API access and quota` };
+        case 429:
+            return { category: 'rate_limit', message: `${label}: Rate limit exceeded - Try again later` };
+        case 500:
+            return { category: 'server', message: `${label}: Server error - Try again later` };
+        case 503:
+            return { category: 'server', message: `${label}: Service unavailable - Try again later` };
+        default:
+            return {
+                category: status >= 500 ? 'server' : 'unknown',
+                message: `${label} error (${status}): ${bodyText}`
+            };
+    }
+}
+
+export class ProviderRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    /**
+     * Rejestruje adapter (zastępuje istniejący o tej samej nazwie)
+     */
+    register(adapter) {
+        const missing = REQUIRED_FIELDS.filter(field => adapter[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Provider adapter is missing: ${missing.join(', ')}`);
+        }
+
+        this.adapters.set(adapter.name, {
+            displayName: adapter.name,
+            priority: 100,
+            config: {},
+            pricing: {},
+            ...adapter
+        });
+        return this;
+    }
+
+    unregister(name) {
+        return this.adapters.delete(name);
+    }
+
+    get(name) {
+        return this.adapters.get(name) || null;
+    }
+
+    has(name) {
+        return this.adapters.has(name);
+    }
+
+    /**
+     * Wszystkie adaptery w kolejności priorytetu
+     */
+    list() {
+        return Array.from(this.adapters.values()).sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Adaptery z poprawną konfiguracją, w kolejności priorytetu
+     */
+    getConfigured() {
+        return this.list().filter(adapter => !adapter.authError());
+    }
+
+    /**
+     * Cena modelu (USD za 1K tokenów) lub null gdy nieznana
+     */
+    getPricing(providerName, model) {
+        const adapter = this.get(providerName);
+        if (!adapter) return null;
+        return adapter.pricing[model] || adapter.defaultPricing || null;
+    }
+
+    /**
+     * Cennik modeli wszystkich dostawców: { provider: { model: { input, output } } }
+     */
+    getPricingTable() {
+        const table = {};
+        for (const adapter of this.list()) {
+            table[adapter.name] = { ...adapter.pricing };
+        }
+        return table;
+    }
+}
+
+export default ProviderRegistry;
@@ -0,0 +1,44 @@
+/**
+ * Server-Sent Events reader for streaming provider responses
+ */
+
+/**
+ * Yields the parsed JSON payload of every `data:` event in a fetch response body.
+ * Comment lines, `event:` lines and the OpenAI `[DONE]` sentinel are skipped.
+ * @param {ReadableStream} body - fetch Response.body
+ */
+export async function* readSSEData(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const parseEvent = (rawEvent) => {
+        const data = rawEvent
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+
+        if (!data || data === '[DONE]') return null;
+        return JSON.parse(data);
+    };
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+            const event = parseEvent(rawEvent);
+            if (event) yield event;
+        }
+    }
+
+    // Servers may omit the blank line after the last event
+    buffer += decoder.decode();
+    const event = parseEvent(buffer.trim());
+    if (event) yield event;
+}
+
+export default readSSEData;
@@ -0,0 +1,218 @@
+/**
+ * Quality Judges
+ * Interchangeable evaluators of a single role contribution against a rubric.
+ * A judge is any object with a `name`, a `rubric` and an async
+ * `evaluate(content, context)` returning { score, criteria, judge, rationale }.
+ */
+
+import { z } from 'zod';
+import { GENERAL_TFIDF_CONFIG } from './utils.js';
+import { apiCircuitBreaker } from './circuit_breaker.js';
+import { callAPIWithRetry } from './api.js';
+import { parseJSONWithSchema } from './structured_output.js';
+
+// Criteria scored 0-10; `threshold` is the iteration average required for convergence
+export const DEFAULT_RUBRIC = {
+    version: 1,
+    criteria: [
+        { key: 'relevance', weight: 0.3, threshold: 5, description: 'Addresses the stated problem directly rather than drifting to generalities' },
+        { key: 'specificity', weight: 0.25, description: 'Concrete figures, named steps and examples instead of vague statements' },
+        { key: 'feasibility', weight: 0.25, description: 'Actionable with realistic resources, with risks and how to handle them' },
+        { key: 'novelty', weight: 0.2, description: 'Adds ideas not already present in the other contributions' }
+    ]
+};
+
+const STOPWORDS = new Set(GENERAL_TFIDF_CONFIG.STOPWORDS);
+
+const ACTION_STEMS = [
+    'implement', 'deploy', 'pilot', 'measur', 'schedul', 'budget', 'timeline', 'milestone', 'step', 'plan', 'assign', 'monitor',
+    'wdroż', 'wdraż', 'pilotaż', 'zmierz', 'harmonogram', 'budżet', 'etap', 'krok', 'przypisz'
+];
+const RISK_STEMS = ['risk', 'mitigat', 'cost', 'constraint', 'fallback', 'ryzyk', 'koszt', 'ogranicz', 'zabezpiecz'];
+const HEDGES = ['maybe', 'perhaps', 'possibly', 'might', 'może', 'prawdopodobnie', 'chyba', 'ewentualnie'];
+
+const clamp = (value) => Math.max(0, Math.min(10, value));
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Dzieli tekst na znaczące słowa (litery dowolnego alfabetu, cyfry)
+ */
+function tokenize(text) {
+    return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length > 2 && !STOPWORDS.has(word));
+}
+
+// Polish inflection breaks exact matches, so compare word prefixes
+const stem = (word) => word.slice(0, 5);
+
+/**
+ * Średnia ważona kryteriów rubryki
+ */
+export function weightedRubricScore(criteria, rubric = DEFAULT_RUBRIC) {
+    const totalWeight = rubric.criteria.reduce((sum, { weight }) => sum + weight, 0);
+    return rubric.criteria.reduce((sum, { key, weight }) => sum + (criteria[key] ?? 0) * weight, 0) / totalWeight;
+}
+
+/**
+ * Deterministic offline rubric scorer
+ * Length alone earns nothing: every signal is a ratio or a capped count.
+ */
+export class RubricJudge {
+    /**
+     * @param {Object} options
+     * @param {Object} options.rubric - Rubric with relevance/specificity/feasibility/novelty criteria
+     */
+    constructor(options = {}) {
+        this.name = 'rubric';
+        this.rubric = options.rubric || DEFAULT_RUBRIC;
+    }
+
+    async evaluate(content, context = {}) {
+        const tokens = tokenize(content);
+        const stems = new Set(tokens.map(stem));
+        const lower = String(content).toLowerCase();
+
+        // Relevance: share of the problem's terms the answer engages with
+        const problemStems = new Set(tokenize(context.problem || '').map(stem));
+        const covered = [...problemStems].filter(term => stems.has(term)).length;
+        const relevance = problemStems.size > 0 ? 10 * Math.min(1, covered / (problemStems.size * 0.6)) : 5;
+
+        // Specificity: concrete markers per sentence and vocabulary variety (repetition is penalized)
+        const sentences = Math.max(1, String(content).split(/[.!?\n]+/).filter(s => s.trim().length > 0).length);
+        const markers = (String(content).match(/\d+(?:[.,]\d+)?\s*(?:%|zł|pln|usd|eur|h|kwh|min)?/gi) || []).length +
+            (String(content).match(/^\s*(?:[-*•]|\d+[.)])\s+/gm) || []).length;
+        const variety = tokens.length > 0 ? new Set(tokens).size / tokens.length : 0;
+        const specificity = 10 * (0.5 * Math.min(1, markers / sentences) + 0.5 * variety);
+
+        // Feasibility: distinct action and risk terms, minus hedging
+        const actionHits = ACTION_STEMS.filter(term => lower.includes(term)).length;
+        const riskHits = RISK_STEMS.filter(term => lower.includes(term)).length;
+        const hedges = HEDGES.filter(term => new RegExp(`(^|[^\\p{L}])${term}([^\\p{L}]|$)`, 'u').test(lower)).length;
+        const feasibility = 3 + 1.5 * Math.min(3, actionHits) + 1.25 * Math.min(2, riskHits) - hedges;
+
+        // Novelty: distance from the most similar other contribution
+        const overlaps = (context.others || []).map(other => {
+            const otherStems = new Set(tokenize(other).map(stem));
+            const shared = [...stems].filter(term => otherStems.has(term)).length;
+            const union = new Set([...stems, ...otherStems]).size;
+            return union > 0 ? shared / union : 0;
+        });
+        const novelty = 10 * (1 - Math.max(0, ...overlaps));
+
+        const criteria = {
+            relevance: round(clamp(relevance)),
+            specificity: round(clamp(specificity)),
+            feasibility: round(clamp(feasibility)),
+            novelty: round(clamp(novelty))
+        };
+
+        return {
+            score: round(weightedRubricScore(criteria, this.rubric)),
+            criteria,
+            judge: this.name,
+            rationale: `covers ${covered}/${problemStems.size} problem terms; ${markers} concrete markers in ${sentences} sentences; ` +
+                `${actionHits} action and ${riskHits} risk terms, ${hedges} hedges`
+        };
+    }
+}
+
+/**
+ * Schemat odpowiedzi sędziego dla kryteriów danej rubryki
+ */
+function buildJudgementSchema(rubric) {
+    return z.object({
+        scores: z.object(Object.fromEntries(
+            rubric.criteria.map(({ key }) => [key, z.number().min(0).max(10)])
+        )),
+        rationale: z.string().max(2000).default('')
+    });
+}
+
+/**
+ * Rubric-driven evaluation by a language model
+ */
+export class LLMJudge {
+    /**
+     * @param {Object} options
+     * @param {Object} options.rubric - Rubric shown to the model
+     * @param {Function} options.call - async (prompt, context) => response text; defaults to callAPIWithRetry,
+     *   charged to context.budget (the session BudgetGuard) when the engine passes one
+     */
+    constructor(options = {}) {
+        this.name = 'llm';
+        this.rubric = options.rubric || DEFAULT_RUBRIC;
+        this.schema = buildJudgementSchema(this.rubric);
+        this.call = options.call || (async (prompt, context) => {
+            const result = await callAPIWithRetry('judge', context.problem || '', prompt, apiCircuitBreaker, {
+                temperature: 0.2,
+                maxTokens: 400,
+                maxRetries: 1,
+                responseFormat: 'json',
+                signal: context.signal,
+                budget: context.budget
+            });
+            return result.response;
+        });
+    }
+
+    buildPrompt(content, context) {
+        const criteria = this.rubric.criteria
+            .map(({ key, description }) => `- ${key}: ${description}`)
+            .join('\n');
+        const others = (context.others || []).map(other => `- ${String(other).slice(0, 500)}`).join('\n') || '- (none)';
+
+        return `Evaluate the contribution of the ${context.role || 'assistant'} role to the problem below.
+Score each criterion from 0 (absent) to 10 (excellent). Do not reward length.
+
+Criteria:
+${criteria}
+
+Problem: ${context.problem || ''}
+
+Other contributions (for novelty):
+${others}
+
+Contribution:
+${content}
+
+Respond ONLY with JSON: { "scores": { ${this.rubric.criteria.map(({ key }) => `"${key}": number`).join(', ')} }, "rationale": string }`;
+    }
+
+    async evaluate(content, context = {}) {
+        const raw = await this.call(this.buildPrompt(content, context), context);
+        const { scores, rationale } = parseJSONWithSchema(raw, this.schema);
+
+        const criteria = Object.fromEntries(Object.entries(scores).map(([key, value]) => [key, round(value)]));
+        return {
+            score: round(weightedRubricScore(criteria, this.rubric)),
+            criteria,
+            judge: this.name,
+            rationale
+        };
+    }
+}
+
+const JUDGE_TYPES = {
+    rubric: RubricJudge,
+    llm: LLMJudge
+};
+
+/**
+ * Tworzy sędziego jakości na podstawie nazwy lub zwraca przekazaną instancję
+ * @param {string|Object} judge - 'rubric', 'llm' or an object implementing evaluate(content, context)
+ * @param {Object} options - Options for built-in judges
+ */
+export function createQualityJudge(judge = process.env.QUALITY_JUDGE || 'rubric', options = {}) {
+    if (judge && typeof judge.evaluate === 'function') {
+        return judge;
+    }
+
+    const JudgeType = JUDGE_TYPES[judge];
+    if (!JudgeType) {
+        throw new Error(`Unknown quality judge: ${judge}`);
+    }
+
+    return new JudgeType(options);
+}
+
+export default createQualityJudge;
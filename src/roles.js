@@ -0,0 +1,220 @@
+/**
+ * Agent roles and role pipelines
+ * Role definitions validated with zod and ordered as a DAG of stages:
+ * roles in the same stage are independent, later stages see the outputs they depend on.
+ */
+
+import fs from 'fs';
+import { z } from 'zod';
+
+// Role keys double as builder names for the API and mock server
+const roleKeySchema = z.string()
+    .min(1)
+    .max(50)
+    .regex(/^[a-zA-Z0-9_-]+$/, 'Role key may contain only letters, digits, "_" and "-"');
+
+// Providers queried at once for one role; see src/ensemble.js
+export const ensembleSchema = z.object({
+    members: z.array(z.union([
+        z.string().min(1),
+        z.object({ provider: z.string().min(1), model: z.string().min(1).optional() })
+    ])).min(2).max(5),
+    strategy: z.enum(['judge', 'medoid', 'merge']).default('judge'),
+    minMembers: z.number().int().min(1).max(5).optional()
+});
+
+export const roleSchema = z.object({
+    name: z.string().trim().min(1).max(100),
+    prompt: z.string().trim().min(1).max(2000),
+    systemPrompt: z.string().max(4000).optional(),
+    builder: roleKeySchema.optional(),
+    weight: z.number().positive().max(10).default(1.0),
+    temperature: z.number().min(0).max(2).optional(),
+    maxTokens: z.number().int().min(1).max(4000).optional(),
+    model: z.string().min(1).optional(),
+    provider: z.string().min(1).optional(),
+    expertise: z.array(z.string().min(1)).min(1).default(['analysis']),
+    dependsOn: z.array(roleKeySchema).default([]),
+    final: z.boolean().optional(),
+    ensemble: ensembleSchema.optional(),
+    // Similarity needed to reuse a cached answer to a reworded prompt; false disables the semantic cache
+    semanticCacheThreshold: z.union([z.number().min(0).max(1), z.literal(false)]).optional()
+});
+
+const rolesConfigSchema = z.object({
+    extends: z.literal('default').optional(),
+    roles: z.record(roleKeySchema, roleSchema.nullable())
+});
+
+// Built-in pipeline; builder names select the system prompts in src/api.js
+export const DEFAULT_ROLES = {
+    architect: {
+        name: 'Idea Architect',
+        builder: 'builder1',
+        weight: 1.2,
+        temperature: 0.4,    // Structured, analytical
+        maxTokens: 400,
+        prompt: 'Analyze the problem structure and create foundational solutions.',
+        expertise: ['analysis', 'structure', 'foundations'],
+        dependsOn: []
+    },
+    catalyst: {
+        name: 'Innovation Catalyst',
+        builder: 'builder2',
+        weight: 1.0,
+        temperature: 0.8,    // Creative, innovative
+        maxTokens: 350,
+        prompt: 'Challenge assumptions and propose creative alternatives.',
+        expertise: ['creativity', 'alternatives', 'innovation'],
+        dependsOn: []
+    },
+    synthesizer: {
+        name: 'Solution Synthesizer',
+        builder: 'synthesizer',
+        weight: 1.3,
+        temperature: 0.6,    // Balanced integration
+        maxTokens: 450,
+        prompt: 'Combine insights into coherent, actionable solutions.',
+        expertise: ['integration', 'synthesis', 'execution'],
+        dependsOn: ['architect', 'catalyst'],
+        final: true
+    },
+    evaluator: {
+        name: 'Quality Evaluator',
+        builder: 'evaluator',
+        weight: 1.1,
+        temperature: 0.3,    // Precise, critical
+        maxTokens: 300,
+        prompt: 'Assess feasibility, risks, and potential impact.',
+        expertise: ['evaluation', 'risks', 'feasibility'],
+        dependsOn: ['architect', 'catalyst', 'synthesizer']
+    }
+};
+
+/**
+ * Error raised for invalid role definitions or pipelines
+ */
+export class RoleConfigError extends Error {
+    constructor(message, issues = []) {
+        super(issues.length > 0 ? `${message}: ${issues.join('; ')}` : message);
+        this.name = 'RoleConfigError';
+        this.issues = issues;
+    }
+}
+
+const cloneRoles = (roles) => Object.fromEntries(
+    Object.entries(roles).map(([key, role]) => [key, { ...role, expertise: [...role.expertise], dependsOn: [...role.dependsOn] }])
+);
+
+/**
+ * Waliduje konfigurację ról i zwraca znormalizowaną mapę
+ * @param {Object} config - { roles: { [key]: role }, extends?: 'default' } or a bare role map.
+ *                          With `extends: 'default'` the built-in roles are kept; `null` removes one.
+ * @returns {Object} Role map in declaration order
+ */
+export function defineRoles(config) {
+    const wrapped = config && typeof config.roles === 'object' && !Array.isArray(config.roles) ? config : { roles: config };
+
+    const result = rolesConfigSchema.safeParse(wrapped);
+    if (!result.success) {
+        const issues = result.error.errors.map(err => `${err.path.join('.') || 'root'}: ${err.message}`);
+        throw new RoleConfigError('Invalid role configuration', issues);
+    }
+
+    const roles = result.data.extends === 'default' ? cloneRoles(DEFAULT_ROLES) : {};
+    for (const [key, role] of Object.entries(result.data.roles)) {
+        if (role === null) {
+            delete roles[key];
+        } else {
+            roles[key] = role;
+        }
+    }
+
+    if (Object.keys(roles).length === 0) {
+        throw new RoleConfigError('Role configuration defines no roles');
+    }
+
+    buildRolePipeline(roles);
+    return roles;
+}
+
+/**
+ * Wczytuje role z obiektu, pliku JSON (ścieżka) lub zwraca domyślne
+ * @param {Object|string} source - Role config, path to a JSON file, or undefined for ROLES_CONFIG / defaults
+ * @returns {Object} Role map
+ */
+export function loadRoles(source = process.env.ROLES_CONFIG) {
+    if (!source) {
+        return cloneRoles(DEFAULT_ROLES);
+    }
+
+    if (typeof source === 'string') {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(source, 'utf8'));
+        } catch (error) {
+            throw new RoleConfigError(`Cannot read role configuration ${source}: ${error.message}`);
+        }
+        return defineRoles(config);
+    }
+
+    return defineRoles(source);
+}
+
+/**
+ * Układa role w etapy (sortowanie topologiczne warstwami)
+ * @param {Object} roles - Role map with dependsOn lists
+ * @returns {Array<Array<string>>} Stages of role keys, each in declaration order
+ * @throws {RoleConfigError} On unknown dependencies or cycles
+ */
+export function buildRolePipeline(roles) {
+    const keys = Object.keys(roles);
+
+    for (const key of keys) {
+        const unknown = roles[key].dependsOn.filter(dependency => !roles[dependency]);
+        if (unknown.length > 0) {
+            throw new RoleConfigError(`Role "${key}" depends on unknown role(s): ${unknown.join(', ')}`);
+        }
+    }
+
+    const stages = [];
+    const placed = new Set();
+
+    while (placed.size < keys.length) {
+        const stage = keys.filter(key =>
+            !placed.has(key) && roles[key].dependsOn.every(dependency => placed.has(dependency))
+        );
+
+        if (stage.length === 0) {
+            const remaining = keys.filter(key => !placed.has(key));
+            throw new RoleConfigError(`Role pipeline has a dependency cycle between: ${remaining.join(', ')}`);
+        }
+
+        stage.forEach(key => placed.add(key));
+        stages.push(stage);
+    }
+
+    return stages;
+}
+
+/**
+ * Wybiera rolę, której wkład jest głównym rozwiązaniem
+ * @param {Object} roles - Role map
+ * @param {Array<Array<string>>} pipeline - Stages from buildRolePipeline
+ * @returns {string} Last role marked `final` (so added roles win over defaults),
+ *                   otherwise the first role of the last stage
+ */
+export function getFinalRoleKey(roles, pipeline) {
+    // Reversed copy instead of findLast(), which needs Node 18
+    const marked = Object.keys(roles).reverse().find(key => roles[key].final);
+    return marked || pipeline[pipeline.length - 1][0];
+}
+
+export default {
+    DEFAULT_ROLES,
+    RoleConfigError,
+    defineRoles,
+    loadRoles,
+    buildRolePipeline,
+    getFinalRoleKey
+};
@@ -1,12 +1,34 @@
 import { z } from 'zod';
 import xss from 'xss';
 import { auditLogger } from './audit_logger.js';
+import { ensembleSchema } from '../roles.js';
+import { DEFAULT_BREAKTHROUGH_STRATEGIES } from '../breakthrough_strategies.js';
+import { priceSheetSchema, rateSchema } from '../pricing.js';
 
 /**
  * Enterprise Input Validation Module
  * Provides comprehensive validation for all user inputs
  */
 
+// Engine options accepted by the solve API
+const solveOptionsSchema = z.object({
+  maxIterations: z.number().int().min(1).max(20).optional(),
+  qualityThreshold: z.number().min(0).max(10).optional(),
+  minConsensus: z.number().min(0).max(1).optional(),
+  maxConsensus: z.number().min(0).max(1).optional(),
+  consensusScorer: z.enum(['tfidf', 'tfidf_smoothed', 'embedding', 'hybrid']).optional(),
+  qualityJudge: z.enum(['rubric', 'llm']).optional(),
+  streamContributions: z.boolean().optional(),
+  review: z.boolean().optional(),
+  structuredOutput: z.boolean().optional(),
+  breakthroughStrategies: z.array(z.enum(DEFAULT_BREAKTHROUGH_STRATEGIES)).min(1).optional(),
+  ensemble: ensembleSchema.extend({
+    roles: z.array(z.string().regex(/^[a-zA-Z0-9_-]+$/)).min(1).optional()
+  }).optional()
+})
+  .optional()
+  .default({});
+
 // Schema definitions for different input types
 const schemas = {
   // Chat completion request validation
@@ -44,7 +66,115 @@ const schemas = {
       .min(1, 'Max tokens must be >= 1')
       .max(4000, 'Max tokens must be <= 4000')
       .optional()
-      .default(1000)
+      .default(1000),
+
+    responseFormat: z.enum(['text', 'json'])
+      .optional()
+      .default('text')
+  }),
+
+  // Server-side solve job request validation
+  solveRequest: z.object({
+    problem: z.string()
+      .min(1, 'Problem statement is required')
+      .max(5000, 'Problem statement too long')
+      .transform((val) => xss(val, {
+        whiteList: {},
+        stripIgnoreTag: true,
+        stripIgnoreTagBody: ['script']
+      })),
+
+    options: solveOptionsSchema
+  }),
+
+  // Pre-flight cost estimate for a solve; roles are validated by defineRoles (src/roles.js)
+  budgetEstimate: z.object({
+    problem: z.string()
+      .min(1, 'Problem statement is required')
+      .max(5000, 'Problem statement too long'),
+
+    options: solveOptionsSchema,
+
+    roles: z.record(z.string(), z.unknown()).optional()
+  }),
+
+  // Price sheet administration (src/pricing.js)
+  pricingSheet: priceSheetSchema,
+
+  pricingRate: rateSchema.extend({
+    version: z.string().min(1).max(50).optional()
+  }),
+
+  pricingRecompute: z.object({
+    from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'from must be a YYYY-MM-DD date').optional(),
+    to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'to must be a YYYY-MM-DD date').optional(),
+    sheet: priceSheetSchema.optional(),
+    apply: z.boolean().optional().default(false)
+  }),
+
+  // Clearing the response cache; without a namespace everything is removed
+  cacheClear: z.object({
+    namespace: z.string().regex(/^[^:]+\/[^:]+$/, 'namespace must be provider/model').optional(),
+    provider: z.string().min(1).max(100).optional(),
+    model: z.string().min(1).max(100).optional()
+  }).refine(data => !data.model || data.provider, { message: 'model requires provider', path: ['provider'] }),
+
+  // Listing or bulk-deleting response cache entries (query string)
+  cacheEntriesQuery: z.object({
+    builder: z.string().min(1).max(100).optional(),
+    topic: z.string().min(1).max(500).optional(),
+    namespace: z.string().regex(/^[^:]+\/[^:]+$/, 'namespace must be provider/model').optional(),
+    pattern: z.string().min(1).max(500).optional(),
+    limit: z.string()
+      .regex(/^\d+$/, 'Limit must be a number')
+      .transform((val) => parseInt(val))
+      .refine((val) => val >= 1 && val <= 1000, 'Limit must be between 1 and 1000')
+      .optional()
+  }),
+
+  // Resuming a checkpointed solve session
+  solveResume: z.object({
+    options: solveOptionsSchema
+  }),
+
+  // Reviewer decision for a job paused by options.review (see SolveJobManager.submitReview)
+  solveReview: z.object({
+    edits: z.record(
+      z.string().regex(/^[a-zA-Z0-9_-]+$/, 'Role key contains invalid characters'),
+      z.string().min(1, 'Edited contribution cannot be empty').max(20000, 'Edited contribution too long')
+    ).optional(),
+    guidance: z.string().max(2000, 'Guidance too long').transform((val) => xss(val, {
+      whiteList: {},
+      stripIgnoreTag: true,
+      stripIgnoreTagBody: ['script']
+    })).optional(),
+    veto: z.string().max(2000, 'Veto too long').transform((val) => xss(val, {
+      whiteList: {},
+      stripIgnoreTag: true,
+      stripIgnoreTagBody: ['script']
+    })).optional(),
+    reviewer: z.string().min(1).max(100).optional(),
+    includeComments: z.boolean().default(true)
+  }),
+
+  // Invite link for a collaboration session
+  collaborationInvite: z.object({
+    role: z.enum(['facilitator', 'contributor', 'viewer']).default('contributor'),
+    expiresIn: z.number()
+      .int()
+      .min(60000, 'Invites must last at least a minute')
+      .max(30 * 24 * 60 * 60 * 1000, 'Invites can last at most 30 days')
+      .optional()
+  }),
+
+  // Filters for anchored comment threads of a collaboration session
+  collaborationThreadQuery: z.object({
+    iteration: z.string()
+      .regex(/^\d+$/, 'Iteration must be a number')
+      .transform((val) => parseInt(val))
+      .optional(),
+    role: z.string().regex(/^[a-zA-Z0-9_-]{1,64}$/, 'Role key contains invalid characters').optional(),
+    status: z.enum(['open', 'resolved']).optional()
   }),
 
   // Session management validation
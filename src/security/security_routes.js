@@ -13,7 +13,7 @@ const router = express.Router();
 /**
  * Security middleware for admin routes
  */
-function requireAdmin(req, res, next) {
+export function requireAdmin(req, res, next) {
   // For now, implement basic admin check
   // In production, implement proper authentication
   const adminKey = req.get('X-Admin-Key');
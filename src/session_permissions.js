@@ -0,0 +1,163 @@
+/**
+ * Session Permissions
+ * Roles inside a collaboration session, what each role may do, and the signed
+ * tokens that carry them: invite links grant a role in one session, participant
+ * credentials let a participant's REST calls (solve, export) act with their role,
+ * and the owner token brings the session's creator back as owner.
+ * Tokens are `${base64url(JSON payload)}.${base64url(HMAC-SHA256)}`.
+ */
+
+import crypto from 'crypto';
+
+// Most to least privileged
+export const SESSION_ROLES = ['owner', 'facilitator', 'contributor', 'viewer'];
+
+export const SESSION_PERMISSIONS = {
+    'solve.start': 'Start a solve run',
+    'solve.cancel': 'Cancel a solve run',
+    'solve.review': 'Review paused solve runs between iterations',
+    'problem.edit': 'Edit the problem statement',
+    'notes.edit': 'Edit the session notes',
+    'comment': 'Post comments',
+    'export': 'Export the session',
+    'invite': 'Create invite links (for less privileged roles)',
+    'roles.manage': 'Change the roles of other participants'
+};
+
+export const ROLE_PERMISSIONS = {
+    owner: Object.keys(SESSION_PERMISSIONS),
+    facilitator: ['solve.start', 'solve.cancel', 'solve.review', 'problem.edit', 'notes.edit', 'comment', 'export', 'invite'],
+    contributor: ['problem.edit', 'notes.edit', 'comment', 'export'],
+    viewer: []
+};
+
+// Invite links stay valid for a week unless asked otherwise
+export const DEFAULT_INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Czy rola ma uprawnienie
+ */
+export function hasPermission(role, permission) {
+    return ROLE_PERMISSIONS[role]?.includes(permission) || false;
+}
+
+/**
+ * Lista uprawnień roli
+ */
+export function permissionsFor(role) {
+    return [...(ROLE_PERMISSIONS[role] || [])];
+}
+
+/**
+ * Czy rola `granter` może nadać rolę `role` (tylko role niższe od własnej; roli właściciela nie nadaje nikt)
+ */
+export function canGrantRole(granter, role) {
+    if (role === 'owner' || !SESSION_ROLES.includes(role)) return false;
+    if (!hasPermission(granter, 'invite') && !hasPermission(granter, 'roles.manage')) return false;
+    return SESSION_ROLES.indexOf(role) > SESSION_ROLES.indexOf(granter);
+}
+
+/**
+ * Sekret podpisów: COLLABORATION_SECRET, potem SESSION_SECRET
+ * Without either a random per-process secret is used, so links die with the process.
+ */
+let generatedSecret = null;
+export function getTokenSecret() {
+    const configured = process.env.COLLABORATION_SECRET || process.env.SESSION_SECRET;
+    if (configured && configured !== 'your_session_secret_here') return configured;
+
+    if (!generatedSecret) {
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+        console.warn('⚠️ COLLABORATION_SECRET is not set - invite links are valid until the server restarts');
+    }
+    return generatedSecret;
+}
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Podpisuje dane tokenu
+ * @param {Object} payload - JSON-serializable claims
+ * @param {string} secret
+ * @returns {string} Token
+ */
+export function signToken(payload, secret = getTokenSecret()) {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * Sprawdza podpis i termin ważności tokenu
+ * @returns {Object|null} Payload, or null when the token is malformed, forged or expired
+ */
+export function verifyToken(token, secret = getTokenSecret()) {
+    if (typeof token !== 'string') return null;
+    const [data, signature, extra] = token.split('.');
+    if (!data || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(data, secret));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        if (payload.exp && payload.exp < Date.now()) return null;
+        return payload;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Tworzy zaproszenie z rolą w sesji
+ * @param {Object} grant - { sessionId, role, expiresIn (ms), grantedBy }
+ * @returns {Object} { token, sessionId, role, expiresAt }
+ */
+export function createInviteToken({ sessionId, role, expiresIn = DEFAULT_INVITE_TTL, grantedBy = null }, secret = getTokenSecret()) {
+    const expiresAt = Date.now() + expiresIn;
+    const token = signToken({ typ: 'invite', sid: sessionId, role, exp: expiresAt, by: grantedBy, jti: crypto.randomUUID() }, secret);
+    return { token, sessionId, role, expiresAt };
+}
+
+/**
+ * Odczytuje zaproszenie
+ * @returns {Object|null} { sessionId, role, expiresAt, grantedBy }
+ */
+export function verifyInviteToken(token, secret = getTokenSecret()) {
+    const payload = verifyToken(token, secret);
+    if (payload?.typ !== 'invite' || !SESSION_ROLES.includes(payload.role)) return null;
+    return { sessionId: payload.sid, role: payload.role, expiresAt: payload.exp, grantedBy: payload.by };
+}
+
+/**
+ * Token właściciela sesji, wydawany temu, kto sesję założył
+ * It does not expire: presenting it is the only way back to the owner role once the room has emptied.
+ */
+export function createOwnerToken(sessionId, secret = getTokenSecret()) {
+    return signToken({ typ: 'owner', sid: sessionId, jti: crypto.randomUUID() }, secret);
+}
+
+/**
+ * @returns {string|null} Session ID the token owns
+ */
+export function verifyOwnerToken(token, secret = getTokenSecret()) {
+    const payload = verifyToken(token, secret);
+    return payload?.typ === 'owner' ? payload.sid : null;
+}
+
+/**
+ * Poświadczenie uczestnika do wywołań REST w imieniu sesji
+ * The role is not part of it: the hub looks up the participant's current role on every use.
+ */
+export function createParticipantCredential(sessionId, participantId, secret = getTokenSecret()) {
+    return signToken({ typ: 'participant', sid: sessionId, pid: participantId }, secret);
+}
+
+/**
+ * @returns {Object|null} { sessionId, participantId }
+ */
+export function verifyParticipantCredential(token, secret = getTokenSecret()) {
+    const payload = verifyToken(token, secret);
+    if (payload?.typ !== 'participant') return null;
+    return { sessionId: payload.sid, participantId: payload.pid };
+}
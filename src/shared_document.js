@@ -0,0 +1,348 @@
+/**
+ * Shared Document (CRDT)
+ * Conflict-free replicated text for collaborative editing of the problem statement
+ * and session notes. Implements an RGA (Replicated Growable Array): every character
+ * has a unique id `${counter}@${siteId}` and the id of the character it was typed
+ * after. Concurrent inserts at the same place are ordered by id, deletions leave
+ * tombstones, so replicas that applied the same operations show the same text in
+ * any delivery order. Runs unchanged in the browser and on the server.
+ *
+ * Operations:
+ *   { type: 'insert', id, after, value, author }   after: id or null (start of text)
+ *   { type: 'delete', id, author }
+ */
+
+const ID_PATTERN = /^(\d+)@(.+)$/;
+
+/**
+ * Rozbija id na licznik i identyfikator repliki
+ */
+function parseId(id) {
+    const match = ID_PATTERN.exec(id);
+    if (!match) throw new Error(`Invalid element id: ${id}`);
+    return { counter: Number(match[1]), site: match[2] };
+}
+
+/**
+ * Porządek id: wyższy licznik (a przy remisie wyższa replika) stoi wcześniej
+ * @returns {number} > 0 when a sorts before b
+ */
+export function compareIds(a, b) {
+    const left = parseId(a);
+    const right = parseId(b);
+    if (left.counter !== right.counter) return left.counter - right.counter;
+    return left.site < right.site ? -1 : left.site > right.site ? 1 : 0;
+}
+
+export class SharedDocument {
+    /**
+     * @param {Object} options
+     * @param {string} options.siteId - Unique id of this replica (one per browser tab / server room)
+     * @param {string} options.author - Attribution for local edits (user ID)
+     * @param {Object} options.snapshot - State from toJSON() of another replica
+     * @param {number} options.maxHistory - Local edits kept for undo (default 100)
+     * @param {number} options.maxPending - Operations kept waiting for a missing character; the oldest are dropped (default 1000)
+     */
+    constructor(options = {}) {
+        this.siteId = options.siteId || Math.random().toString(36).slice(2, 10);
+        this.author = options.author || this.siteId;
+        this.maxHistory = options.maxHistory || 100;
+        this.maxPending = options.maxPending || 1000;
+        this.clock = 0;
+        this.sequence = [];
+        this.elements = new Map();
+        this.pending = new Set();
+        this.waiting = new Map();
+        this.history = [];
+
+        if (options.snapshot) {
+            this.load(options.snapshot);
+        }
+    }
+
+    /**
+     * Widoczny tekst dokumentu
+     */
+    get text() {
+        return this.visible().map(element => element.value).join('');
+    }
+
+    get length() {
+        return this.visible().length;
+    }
+
+    toString() {
+        return this.text;
+    }
+
+    /**
+     * Wstawia tekst w pozycji (liczonej w znakach Unicode) i zwraca operacje do wysłania
+     * @param {number} index - Position in the visible text
+     * @param {string} text - Inserted text
+     * @param {Object} options - { record: false } skips the undo history
+     * @returns {Array<Object>} Operations
+     */
+    insert(index, text, options = {}) {
+        const visible = this.visible();
+        let after = index > 0 ? visible[Math.min(index, visible.length) - 1].id : null;
+
+        const ops = [];
+        for (const value of Array.from(text)) {
+            const op = { type: 'insert', id: `${++this.clock}@${this.siteId}`, after, value, author: this.author };
+            this.integrate(op);
+            ops.push(op);
+            after = op.id;
+        }
+
+        if (options.record !== false) this.record(ops);
+        return ops;
+    }
+
+    /**
+     * Usuwa `count` znaków od pozycji i zwraca operacje do wysłania
+     */
+    delete(index, count, options = {}) {
+        const ops = this.visible()
+            .slice(index, index + count)
+            .map(element => ({ type: 'delete', id: element.id, author: this.author }));
+
+        for (const op of ops) this.integrate(op);
+        if (options.record !== false) this.record(ops);
+        return ops;
+    }
+
+    /**
+     * Zamienia tekst na nowy jako jedną edycję (wspólny prefiks i sufiks zostają)
+     * Used for text inputs, where only the new value is known.
+     * @returns {Array<Object>} Operations (empty when nothing changed)
+     */
+    replace(newText) {
+        const current = Array.from(this.text);
+        const next = Array.from(newText);
+
+        let prefix = 0;
+        while (prefix < current.length && prefix < next.length && current[prefix] === next[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < current.length - prefix && suffix < next.length - prefix &&
+            current[current.length - 1 - suffix] === next[next.length - 1 - suffix]) suffix++;
+
+        const ops = [
+            ...this.delete(prefix, current.length - prefix - suffix, { record: false }),
+            ...this.insert(prefix, next.slice(prefix, next.length - suffix).join(''), { record: false })
+        ];
+        this.record(ops);
+        return ops;
+    }
+
+    /**
+     * Stosuje operacje innej repliki
+     * Operations whose target is not known yet wait until it arrives; operations
+     * with malformed ids are ignored, and past maxPending the oldest waiting ones are dropped.
+     * @returns {Object} { applied: ops applied now, pending: ops still waiting }
+     */
+    apply(ops) {
+        const applied = [];
+        const queue = ops.filter(op => ID_PATTERN.test(op.id) && (op.type === 'delete' || op.after === null || ID_PATTERN.test(op.after)));
+
+        for (let i = 0; i < queue.length; i++) {
+            const op = queue[i];
+            if (!this.integrate(op)) {
+                this.hold(op);
+                continue;
+            }
+
+            applied.push(op);
+            // Only operations waiting for this character can have become applicable
+            const released = this.waiting.get(op.id);
+            if (released) {
+                this.waiting.delete(op.id);
+                for (const waiting of released) this.pending.delete(waiting);
+                queue.push(...released);
+            }
+        }
+
+        return { applied, pending: this.pending.size };
+    }
+
+    /**
+     * Cofa ostatnią lokalną edycję autora
+     * Undoing an insert deletes its characters; undoing a delete types the text
+     * back in at the same place. Others' later edits are kept.
+     * @returns {Array<Object>} Operations to send (empty when there is nothing to undo)
+     */
+    undo(author = this.author) {
+        const index = this.history.map(entry => entry.author).lastIndexOf(author);
+        if (index === -1) return [];
+
+        const [entry] = this.history.splice(index, 1);
+        const ops = [];
+
+        const inserted = entry.ops.filter(op => op.type === 'insert' && !this.elements.get(op.id)?.deleted);
+        for (const op of inserted) {
+            const remove = { type: 'delete', id: op.id, author };
+            this.integrate(remove);
+            ops.push(remove);
+        }
+
+        const deleted = entry.ops.filter(op => op.type === 'delete').map(op => this.elements.get(op.id));
+        let after = deleted.length > 0 ? deleted[deleted.length - 1].id : null;
+        const restored = new Map();
+        for (const element of deleted) {
+            const restore = { type: 'insert', id: `${++this.clock}@${this.siteId}`, after, value: element.value, author };
+            this.integrate(restore);
+            ops.push(restore);
+            restored.set(element.id, restore.id);
+            after = restore.id;
+        }
+
+        // Older edits now refer to the restored characters, so undoing them further still works
+        for (const older of this.history) {
+            older.ops = older.ops.map(op => (restored.has(op.id) ? { ...op, id: restored.get(op.id) } : op));
+        }
+
+        return ops;
+    }
+
+    /**
+     * Czy autor ma edycję do cofnięcia
+     */
+    canUndo(author = this.author) {
+        return this.history.some(entry => entry.author === author);
+    }
+
+    /**
+     * Tekst podzielony na fragmenty według autorów
+     * @returns {Array<Object>} [{ author, text }] in document order
+     */
+    getAttribution() {
+        const runs = [];
+        for (const element of this.visible()) {
+            const last = runs[runs.length - 1];
+            if (last && last.author === element.author) {
+                last.text += element.value;
+            } else {
+                runs.push({ author: element.author, text: element.value });
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Liczba widocznych znaków każdego autora
+     * @returns {Object} { [author]: characters }
+     */
+    getContributors() {
+        const counts = {};
+        for (const element of this.visible()) {
+            counts[element.author] = (counts[element.author] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Id znaku na pozycji (do zachowania kursora przy zdalnych zmianach)
+     */
+    idAt(index) {
+        return index > 0 ? this.visible()[index - 1]?.id || null : null;
+    }
+
+    /**
+     * Pozycja tuż za znakiem o danym id (także usuniętym)
+     */
+    indexAfter(id) {
+        if (id === null) return 0;
+        let index = 0;
+        for (const element of this.sequence) {
+            if (!element.deleted) index++;
+            if (element.id === id) return index;
+        }
+        return this.length;
+    }
+
+    /**
+     * Stan repliki do przesłania nowym uczestnikom
+     */
+    toJSON() {
+        return {
+            clock: this.clock,
+            elements: this.sequence.map(element => [element.id, element.after, element.value, element.author, element.deleted ? 1 : 0])
+        };
+    }
+
+    /**
+     * Zastępuje stan repliki stanem z toJSON(); historia cofania jest czyszczona
+     */
+    load(snapshot) {
+        this.sequence = [];
+        this.elements = new Map();
+        this.pending = new Set();
+        this.waiting = new Map();
+        this.history = [];
+        for (const [id, after, value, author, deleted] of snapshot.elements || []) {
+            const element = { id, after, value, author, deleted: Boolean(deleted) };
+            this.sequence.push(element);
+            this.elements.set(id, element);
+        }
+        this.clock = Math.max(this.clock, snapshot.clock || 0);
+    }
+
+    visible() {
+        return this.sequence.filter(element => !element.deleted);
+    }
+
+    /**
+     * Włącza operację do dokumentu; false gdy brakuje elementu, od którego zależy
+     */
+    integrate(op) {
+        if (op.type === 'delete') {
+            const element = this.elements.get(op.id);
+            if (!element) return false;
+            element.deleted = true;
+            return true;
+        }
+
+        if (this.elements.has(op.id)) return true;
+
+        let index = 0;
+        if (op.after !== null) {
+            index = this.sequence.findIndex(element => element.id === op.after) + 1;
+            if (index === 0) return false;
+        }
+
+        // Later concurrent inserts at the same place (and what was typed after them) come first
+        while (index < this.sequence.length && compareIds(this.sequence[index].id, op.id) > 0) index++;
+
+        const element = { id: op.id, after: op.after, value: op.value, author: op.author, deleted: false };
+        this.sequence.splice(index, 0, element);
+        this.elements.set(op.id, element);
+        this.clock = Math.max(this.clock, parseId(op.id).counter);
+        return true;
+    }
+
+    /**
+     * Odkłada operację do czasu nadejścia znaku, od którego zależy
+     */
+    hold(op) {
+        const missing = op.type === 'delete' ? op.id : op.after;
+        if (!this.waiting.has(missing)) this.waiting.set(missing, []);
+        this.waiting.get(missing).push(op);
+        this.pending.add(op);
+
+        if (this.pending.size > this.maxPending) {
+            const [oldest] = this.pending;
+            const oldestMissing = oldest.type === 'delete' ? oldest.id : oldest.after;
+            const rest = this.waiting.get(oldestMissing).filter(waiting => waiting !== oldest);
+            if (rest.length > 0) this.waiting.set(oldestMissing, rest);
+            else this.waiting.delete(oldestMissing);
+            this.pending.delete(oldest);
+        }
+    }
+
+    record(ops) {
+        if (ops.length === 0) return;
+        this.history.push({ author: this.author, ops });
+        if (this.history.length > this.maxHistory) this.history.shift();
+    }
+}
+
+export default SharedDocument;
@@ -0,0 +1,319 @@
+/**
+ * Solve Job Manager
+ * Runs AdvancedAIEngine.solveProblem as server-side background jobs
+ * and relays engine progress to subscribers (SSE, collaboration).
+ * Jobs started with options.review pause after every iteration in 'awaiting_review'
+ * until submitReview() delivers the reviewers' decision.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { AdvancedAIEngine } from './advanced_engine.js';
+import { createCheckpointStore } from './checkpoint_store.js';
+import { CollaborationError } from './collaboration_hub.js';
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export class SolveJobManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.engineFactory = options.engineFactory || ((engineOptions) => new AdvancedAIEngine(engineOptions));
+        this.defaultEngineOptions = options.engineOptions || {
+            minConsensus: 0.75,
+            maxConsensus: 0.90,
+            qualityThreshold: 7.5,
+            maxIterations: 8
+        };
+        this.checkpointStore = options.checkpointStore || createCheckpointStore();
+        this.maxRetainedJobs = options.maxRetainedJobs || 100;
+        this.jobs = new Map();
+
+        // SSE clients subscribe per request, so lift the default listener cap
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Tworzy i uruchamia nowe zadanie rozwiązywania problemu
+     * @param {Object} metadata - { collaborationSessionId: collaboration room that started the job }
+     */
+    startJob(problem, engineOptions = {}, metadata = {}) {
+        return this.launchJob(problem, engineOptions, null, metadata);
+    }
+
+    /**
+     * Wznawia przerwaną sesję od ostatniego checkpointu
+     * @param {string} sessionId - ID sesji w magazynie checkpointów
+     * @param {Object} metadata - { collaborationSessionId: collaboration room of the caller }
+     * @throws {CollaborationError} When the run belongs to a collaboration session other than the caller's
+     */
+    async resumeJob(sessionId, engineOptions = {}, metadata = {}) {
+        const checkpoint = await this.checkpointStore.loadCheckpoint(sessionId);
+        if (!checkpoint) {
+            return null;
+        }
+
+        // Runs started from a collaboration session stay in it
+        const collaborationSessionId = checkpoint.metadata?.collaborationSessionId || null;
+        if (collaborationSessionId && collaborationSessionId !== metadata.collaborationSessionId) {
+            throw new CollaborationError(
+                `Session ${sessionId} belongs to a collaboration session; resume it with that session's credential`,
+                metadata.collaborationSessionId ? 403 : 401
+            );
+        }
+
+        const running = Array.from(this.jobs.values())
+            .find(job => job.sessionId === sessionId && !this.isFinished(job));
+        if (running) {
+            throw new Error(`Session ${sessionId} is already running as job ${running.id}`);
+        }
+
+        return this.launchJob(checkpoint.problem, engineOptions, sessionId, { collaborationSessionId });
+    }
+
+    /**
+     * Rejestruje zadanie i uruchamia silnik w tle
+     */
+    launchJob(problem, engineOptions, resumeSessionId, metadata = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            sessionId: resumeSessionId,
+            collaborationSessionId: metadata.collaborationSessionId || null,
+            resumed: Boolean(resumeSessionId),
+            problem,
+            status: 'running',
+            options: { ...this.defaultEngineOptions, ...engineOptions },
+            createdAt: Date.now(),
+            finishedAt: null,
+            progress: null,
+            iterationsCompleted: 0,
+            cancelRequested: false,
+            abortController: new AbortController(),
+            pendingReview: null,
+            reviews: [],
+            lastReviewAt: null,
+            result: null,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pruneFinishedJobs();
+
+        console.log(`🧵 Solve job ${job.id} ${job.resumed ? 'resuming' : 'started'}: "${problem}"`);
+        this.publish(job, 'solve_started', { problem, options: job.options, resumedSessionId: resumeSessionId });
+
+        job.promise = this.runJob(job);
+        return job;
+    }
+
+    /**
+     * Wykonuje zadanie w tle i aktualizuje jego stan
+     */
+    async runJob(job) {
+        const engine = this.engineFactory({ ...job.options, checkpointStore: this.checkpointStore });
+        const signal = job.abortController.signal;
+
+        const progressCallback = (progress) => {
+            // Partial text is relayed as-is and does not replace the stage progress
+            if (progress.type === 'contribution_delta') {
+                const { type, ...delta } = progress;
+                this.publish(job, type, delta);
+                return;
+            }
+
+            job.progress = { ...progress, timestamp: Date.now() };
+            if (progress.quality !== undefined) {
+                job.iterationsCompleted = progress.iteration;
+                this.publish(job, 'consensus_update', {
+                    quality: progress.quality,
+                    consensus: progress.consensus,
+                    iteration: progress.iteration
+                });
+            } else {
+                this.publish(job, 'evolution_progress', progress);
+            }
+        };
+
+        const runOptions = { signal };
+        if (job.options.review) {
+            runOptions.reviewGate = (review) => this.awaitReview(job, review);
+        }
+
+        try {
+            if (!job.sessionId) {
+                job.sessionId = await this.checkpointStore.createSession(job.problem, {
+                    jobId: job.id,
+                    collaborationSessionId: job.collaborationSessionId
+                });
+            }
+
+            const session = job.resumed
+                ? await engine.resumeProblem(job.sessionId, progressCallback, runOptions)
+                : await engine.solveProblem(job.problem, progressCallback, { ...runOptions, sessionId: job.sessionId });
+
+            job.status = 'completed';
+            job.result = session;
+            job.iterationsCompleted = session.iterations.length;
+            job.finishedAt = Date.now();
+
+            console.log(`✅ Solve job ${job.id} completed after ${session.iterations.length} iterations`);
+            this.publish(job, 'solve_completed', {
+                finalSolution: session.finalSolution,
+                metrics: session.metrics
+            });
+        } catch (error) {
+            job.finishedAt = Date.now();
+            job.pendingReview = null;
+
+            if (job.cancelRequested && error.name === 'AbortError') {
+                job.status = 'cancelled';
+                console.log(`🛑 Solve job ${job.id} cancelled`);
+                this.publish(job, 'solve_cancelled', {});
+            } else {
+                job.status = 'failed';
+                job.error = error.message;
+                console.error(`❌ Solve job ${job.id} failed:`, error.message);
+                this.publish(job, 'solve_failed', { error: error.message });
+            }
+        }
+
+        return job;
+    }
+
+    /**
+     * Zgłasza anulowanie zadania
+     * @returns {boolean} false gdy zadanie już się zakończyło
+     */
+    cancelJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || FINISHED_STATUSES.includes(job.status)) {
+            return false;
+        }
+
+        job.cancelRequested = true;
+        job.abortController.abort(new Error('Cancelled by user'));
+        this.publish(job, 'solve_cancelling', {});
+        return true;
+    }
+
+    /**
+     * Wstrzymuje zadanie do czasu recenzji iteracji
+     * @returns {Promise<Object>} Decision passed to submitReview()
+     */
+    awaitReview(job, review) {
+        return new Promise((resolve) => {
+            job.status = 'awaiting_review';
+            job.pendingReview = { ...review, requestedAt: Date.now(), resolve };
+
+            console.log(`⏸️ Solve job ${job.id} awaiting review of iteration ${review.iteration}`);
+            this.publish(job, 'review_requested', this.describeReview(job.pendingReview));
+        });
+    }
+
+    /**
+     * Przekazuje decyzję recenzenta i wznawia zadanie
+     * @param {Object} decision - { reviewer, edits, guidance, veto, comments }
+     * @returns {boolean} false gdy zadanie nie czeka na recenzję
+     */
+    submitReview(jobId, decision = {}) {
+        const job = this.jobs.get(jobId);
+        if (!job?.pendingReview) {
+            return false;
+        }
+
+        const { resolve, iteration } = job.pendingReview;
+        const record = { iteration, ...decision, submittedAt: Date.now() };
+        job.pendingReview = null;
+        job.status = 'running';
+        job.reviews.push(record);
+        job.lastReviewAt = record.submittedAt;
+
+        this.publish(job, 'review_submitted', record);
+        resolve(decision);
+        return true;
+    }
+
+    /**
+     * Publiczny opis oczekującej recenzji (bez funkcji wznawiającej)
+     */
+    describeReview(pendingReview) {
+        if (!pendingReview) return null;
+        const { resolve, ...review } = pendingReview;
+        return review;
+    }
+
+    getJob(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * Lista zadań bez identyfikatorów sesji (te dają dostęp do pokoju współpracy)
+     * @param {string|null} collaborationSessionId - Also list the jobs of this collaboration session
+     */
+    listJobs(collaborationSessionId = null) {
+        return Array.from(this.jobs.values())
+            .filter(job => !job.collaborationSessionId || job.collaborationSessionId === collaborationSessionId)
+            .map(job => {
+                const { sessionId, collaborationSessionId: room, ...summary } = this.getJobStatus(job);
+                return summary;
+            });
+    }
+
+    /**
+     * Zwraca publiczny stan zadania (bez wyniku i wewnętrznych pól)
+     */
+    getJobStatus(job) {
+        return {
+            id: job.id,
+            sessionId: job.sessionId,
+            collaborationSessionId: job.collaborationSessionId,
+            resumed: job.resumed,
+            problem: job.problem,
+            status: job.status,
+            options: job.options,
+            createdAt: job.createdAt,
+            finishedAt: job.finishedAt,
+            progress: job.progress,
+            iterationsCompleted: job.iterationsCompleted,
+            cancelRequested: job.cancelRequested,
+            pendingReview: this.describeReview(job.pendingReview),
+            reviews: job.reviews,
+            error: job.error
+        };
+    }
+
+    isFinished(job) {
+        return FINISHED_STATUSES.includes(job.status);
+    }
+
+    /**
+     * Emituje zdarzenie zadania do subskrybentów
+     */
+    publish(job, type, payload) {
+        this.emit('event', {
+            jobId: job.id,
+            type,
+            payload: { ...payload, jobId: job.id },
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Usuwa najstarsze zakończone zadania ponad limit
+     */
+    pruneFinishedJobs() {
+        if (this.jobs.size <= this.maxRetainedJobs) return;
+
+        const finished = Array.from(this.jobs.values())
+            .filter(job => this.isFinished(job))
+            .sort((a, b) => a.finishedAt - b.finishedAt);
+
+        while (this.jobs.size > this.maxRetainedJobs && finished.length > 0) {
+            this.jobs.delete(finished.shift().id);
+        }
+    }
+}
+
+// Global job manager instance
+export const solveJobManager = new SolveJobManager();
+
+export default SolveJobManager;
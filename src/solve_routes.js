@@ -0,0 +1,286 @@
+/**
+ * Solve API Routes
+ * REST endpoints for running AdvancedAIEngine jobs on the server.
+ * A job started with a collaboration credential belongs to that session:
+ * only its participants can read it, and only roles allowed to cancel, review
+ * or export runs there can cancel, review or fetch its result.
+ */
+
+import { solveJobManager } from './solve_jobs.js';
+import { createValidationMiddleware } from './security/input_validator.js';
+import { collaborationHub } from './collaboration_hub.js';
+import { requireSessionPermission } from './collaboration_routes.js';
+
+/**
+ * Streams solve job events to an SSE client
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} jobManager - SolveJobManager instance
+ * @param {string|null} jobId - Restrict the stream to a single job (without it, jobs of collaboration sessions are left out)
+ * @returns {Function} Cleanup function, also called when the client disconnects
+ */
+export function streamSolveEvents(req, res, jobManager, jobId = null) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    const send = (event) => {
+        res.write(`data: ${JSON.stringify({ type: event.type, payload: event.payload })}\n\n`);
+    };
+
+    let closed = false;
+    const listener = (event) => {
+        if (jobId && event.jobId !== jobId) return;
+        // The stream of all jobs leaves out collaboration jobs; they are read through their own route
+        if (!jobId && jobManager.getJob(event.jobId)?.collaborationSessionId) return;
+        send(event);
+
+        // Single-job streams end together with the job
+        if (jobId && ['solve_completed', 'solve_failed', 'solve_cancelled'].includes(event.type)) {
+            cleanup();
+            res.end();
+        }
+    };
+
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        jobManager.off('event', listener);
+    };
+
+    if (jobId) {
+        const job = jobManager.getJob(jobId);
+        send({ type: 'solve_status', payload: jobManager.getJobStatus(job) });
+
+        if (jobManager.isFinished(job)) {
+            closed = true;
+            res.end();
+            return cleanup;
+        }
+    }
+
+    jobManager.on('event', listener);
+    req.on('close', cleanup);
+
+    return cleanup;
+}
+
+/**
+ * Add solve routes to Express app
+ * @param {Object} app - Express application instance
+ * @param {Object} jobManager - SolveJobManager instance
+ * @param {Object} hub - CollaborationHub checking collaboration credentials
+ */
+export function addSolveRoutes(app, jobManager = solveJobManager, hub = collaborationHub) {
+
+    // Looks up the job or answers 404
+    const findJob = (req, res) => {
+        const job = jobManager.getJob(req.params.jobId);
+        if (!job) {
+            res.status(404).json({
+                error: 'Not Found',
+                message: `Solve job ${req.params.jobId} does not exist`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        return job;
+    };
+
+    // Start a new solve job
+    app.post('/api/solve', requireSessionPermission('solve.start', { hub, optional: true }), createValidationMiddleware('solveRequest'), (req, res) => {
+        const { problem, options } = req.body;
+        const job = jobManager.startJob(problem, options, { collaborationSessionId: req.collaboration?.sessionId });
+
+        res.status(202).json({
+            jobId: job.id,
+            status: job.status,
+            links: {
+                status: `/api/solve/${job.id}`,
+                events: `/api/solve/${job.id}/events`,
+                result: `/api/solve/${job.id}/result`,
+                cancel: `/api/solve/${job.id}/cancel`
+            }
+        });
+    });
+
+    // Resume an interrupted session from its last checkpointed iteration
+    // (:sessionId is the checkpoint session; runs started from a collaboration session need solve.start there)
+    const canResume = requireSessionPermission('solve.start', { hub, optional: true, sessionParam: null });
+    app.post('/api/solve/sessions/:sessionId/resume', canResume, createValidationMiddleware('solveResume'), async (req, res) => {
+        try {
+            const job = await jobManager.resumeJob(req.params.sessionId, req.body.options, {
+                collaborationSessionId: req.collaboration?.sessionId
+            });
+            if (!job) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: `No checkpoint found for session ${req.params.sessionId}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(202).json({
+                jobId: job.id,
+                sessionId: job.sessionId,
+                status: job.status,
+                links: {
+                    status: `/api/solve/${job.id}`,
+                    events: `/api/solve/${job.id}/events`,
+                    result: `/api/solve/${job.id}/result`,
+                    cancel: `/api/solve/${job.id}/cancel`
+                }
+            });
+        } catch (error) {
+            const status = error.status || 409;
+            res.status(status).json({
+                error: status === 409 ? 'Conflict' : status === 403 ? 'Forbidden' : 'Unauthorized',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // List known jobs; jobs of a collaboration session are listed only with a credential from it
+    app.get('/api/solve', requireSessionPermission(null, { hub, optional: true }), (req, res) => {
+        const jobs = jobManager.listJobs(req.collaboration?.sessionId);
+        res.json({ jobs, count: jobs.length });
+    });
+
+    // Jobs of a collaboration session need a credential from that session with the permission
+    const requireJobPermission = (permission) => {
+        const checkPermission = requireSessionPermission(permission, { hub });
+
+        return (req, res, next) => {
+            const job = findJob(req, res);
+            if (!job) return;
+            if (!job.collaborationSessionId) return next();
+
+            checkPermission(req, res, () => {
+                if (req.collaboration.sessionId !== job.collaborationSessionId) {
+                    return res.status(403).json({
+                        error: 'Forbidden',
+                        message: `Solve job ${job.id} belongs to another collaboration session`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                next();
+            });
+        };
+    };
+
+    // Poll job status (session jobs: any participant of the session)
+    app.get('/api/solve/:jobId', requireJobPermission(null), (req, res) => {
+        const job = jobManager.getJob(req.params.jobId);
+
+        res.json(jobManager.getJobStatus(job));
+    });
+
+    // Cancel a running job
+    app.post('/api/solve/:jobId/cancel', requireJobPermission('solve.cancel'), (req, res) => {
+        const job = jobManager.getJob(req.params.jobId);
+
+        if (!jobManager.cancelJob(job.id)) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `Solve job ${job.id} already ${job.status}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(202).json({ success: true, jobId: job.id, status: 'cancelling' });
+    });
+
+    // Approve, edit, guide or veto the iteration a review-gated job is paused on
+    app.post('/api/solve/:jobId/review', requireJobPermission('solve.review'), createValidationMiddleware('solveReview'), async (req, res) => {
+        const job = jobManager.getJob(req.params.jobId);
+        if (!job.pendingReview) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `Solve job ${job.id} is ${job.status}, not awaiting review`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { includeComments, ...decision } = req.body;
+        if (req.collaboration) {
+            decision.reviewer = req.collaboration.participant.name;
+        }
+
+        // Session comments and open thread comments posted since the previous review reach the roles as guidance
+        if (includeComments && job.collaborationSessionId) {
+            const since = job.lastReviewAt || job.createdAt;
+            const comments = (hub.getRoom(job.collaborationSessionId)?.comments || [])
+                .filter(comment => comment.createdAt >= since)
+                .map(comment => ({ author: comment.author.name, text: comment.text }));
+
+            try {
+                for (const thread of await hub.listThreads(job.collaborationSessionId, { status: 'open' })) {
+                    const { role, iteration, quote } = thread.anchor;
+                    const about = `On the ${role} contribution of iteration ${iteration}${quote ? ` ("${quote}")` : ''}`;
+                    thread.comments
+                        .filter(comment => comment.createdAt >= since)
+                        .forEach(comment => comments.push({ author: comment.author.name, text: `${about}: ${comment.text}` }));
+                }
+            } catch (error) {
+                console.warn(`⚠️ Comment threads of session ${job.collaborationSessionId} left out of the review:`, error.message);
+            }
+
+            if (comments.length > 0) {
+                decision.comments = comments;
+            }
+        }
+
+        // The job may have been cancelled while the threads were loading
+        if (!job.pendingReview) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `Solve job ${job.id} is ${job.status}, not awaiting review`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const iteration = job.pendingReview.iteration;
+        jobManager.submitReview(job.id, decision);
+        res.status(202).json({ success: true, jobId: job.id, iteration, status: job.status });
+    });
+
+    // Final solution from generateFinalSolution (session jobs: same export permission as the session export)
+    app.get('/api/solve/:jobId/result', requireJobPermission('export'), (req, res) => {
+        const job = jobManager.getJob(req.params.jobId);
+
+        if (job.status !== 'completed') {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `Solve job ${job.id} is ${job.status}`,
+                status: job.status,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            jobId: job.id,
+            problem: job.problem,
+            finalSolution: job.result.finalSolution,
+            metrics: job.result.metrics,
+            iterations: job.result.iterations
+        });
+    });
+
+    // Live progress for a single job (SSE; session jobs: any participant of the session)
+    app.get('/api/solve/:jobId/events', requireJobPermission(null), (req, res) => {
+        const job = jobManager.getJob(req.params.jobId);
+
+        streamSolveEvents(req, res, jobManager, job.id);
+    });
+
+    console.log('🧵 Solve routes initialized');
+    console.log('   POST /api/solve - Start a solve job');
+    console.log('   GET  /api/solve/:jobId - Job status');
+    console.log('   POST /api/solve/:jobId/cancel - Cancel a job');
+    console.log('   POST /api/solve/:jobId/review - Review a paused iteration');
+    console.log('   POST /api/solve/sessions/:sessionId/resume - Resume from checkpoint');
+    console.log('   GET  /api/solve/:jobId/result - Final solution');
+}
+
+export default addSolveRoutes;
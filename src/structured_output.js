@@ -0,0 +1,188 @@
+/**
+ * Structured JSON output for role contributions
+ * Schemat wkładu roli, prompt formatu oraz parsowanie z naprawą odpowiedzi
+ */
+
+import { z } from 'zod';
+
+const text = (max) => z.string().trim().min(1).max(max);
+
+// Schema every structured role contribution must satisfy
+export const contributionSchema = z.object({
+    summary: text(2000),
+    claims: z.array(z.object({
+        statement: text(1000),
+        evidence: z.string().max(1000).optional()
+    })).max(20).default([]),
+    risks: z.array(z.object({
+        description: text(1000),
+        severity: z.enum(['low', 'medium', 'high']).default('medium'),
+        mitigation: z.string().max(1000).optional()
+    })).max(20).default([]),
+    actions: z.array(z.object({
+        description: text(1000),
+        owner: z.string().max(200).optional(),
+        priority: z.enum(['low', 'medium', 'high']).optional()
+    })).max(20).default([]),
+    confidence: z.number().min(0).max(1),
+    citations: z.array(z.object({
+        source: text(500),
+        url: z.string().url().optional()
+    })).max(20).default([])
+});
+
+const FORMAT_INSTRUCTIONS = `Respond ONLY with a single JSON object, without markdown or commentary, matching:
+{
+  "summary": string,
+  "claims": [{ "statement": string, "evidence"?: string }],
+  "risks": [{ "description": string, "severity": "low" | "medium" | "high", "mitigation"?: string }],
+  "actions": [{ "description": string, "owner"?: string, "priority"?: "low" | "medium" | "high" }],
+  "confidence": number between 0 and 1 (your own confidence in this contribution),
+  "citations": [{ "source": string, "url"?: string }]
+}`;
+
+/**
+ * Error raised when a response cannot be parsed into a contribution
+ */
+export class StructuredOutputError extends Error {
+    constructor(message, issues = []) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Dokleja instrukcje formatu JSON do promptu roli
+ * @param {string} prompt - Contextual role prompt
+ * @returns {string} Prompt requesting structured output
+ */
+export function buildStructuredPrompt(prompt) {
+    return `${prompt}\n\n${FORMAT_INSTRUCTIONS}`;
+}
+
+/**
+ * Buduje prompt naprawczy po nieudanym parsowaniu
+ * @param {string} prompt - Original role prompt
+ * @param {string} rawOutput - Response that failed validation
+ * @param {StructuredOutputError} error - Parse or validation error
+ * @returns {string} Repair prompt
+ */
+export function buildRepairPrompt(prompt, rawOutput, error) {
+    const problems = error.issues.length > 0 ? error.issues.join('\n- ') : error.message;
+
+    return `${buildStructuredPrompt(prompt)}
+
+Your previous answer was not valid:
+- ${problems}
+
+Previous answer:
+${String(rawOutput).slice(0, 2000)}
+
+Return the corrected JSON object only.`;
+}
+
+/**
+ * Wyciąga obiekt JSON z odpowiedzi (bloki ```json, tekst wokół obiektu)
+ * @param {string} rawOutput - Provider response text
+ * @returns {string} JSON candidate
+ */
+function extractJSON(rawOutput) {
+    const fenced = rawOutput.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1] : rawOutput;
+
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new StructuredOutputError('Response does not contain a JSON object');
+    }
+    return candidate.slice(start, end + 1);
+}
+
+/**
+ * Parsuje odpowiedź modelu jako JSON i waliduje ją schematem zod
+ * @param {string} rawOutput - Provider response text
+ * @param {z.ZodSchema} schema - Expected shape
+ * @returns {Object} Validated data
+ * @throws {StructuredOutputError} When the response is not valid JSON or fails the schema
+ */
+export function parseJSONWithSchema(rawOutput, schema) {
+    if (typeof rawOutput !== 'string' || rawOutput.trim().length === 0) {
+        throw new StructuredOutputError('Empty response');
+    }
+
+    let data;
+    try {
+        data = JSON.parse(extractJSON(rawOutput));
+    } catch (error) {
+        if (error instanceof StructuredOutputError) throw error;
+        throw new StructuredOutputError(`Invalid JSON: ${error.message}`);
+    }
+
+    const result = schema.safeParse(data);
+    if (!result.success) {
+        const issues = result.error.errors.map(err => `${err.path.join('.') || 'root'}: ${err.message}`);
+        throw new StructuredOutputError('Response does not match the expected schema', issues);
+    }
+    return result.data;
+}
+
+/**
+ * Parsuje i waliduje ustrukturyzowany wkład roli
+ * @param {string} rawOutput - Provider response text
+ * @returns {Object} Validated contribution
+ * @throws {StructuredOutputError} When the response is not valid JSON or fails the schema
+ */
+export function parseStructuredContribution(rawOutput) {
+    return parseJSONWithSchema(rawOutput, contributionSchema);
+}
+
+/**
+ * Renderuje wkład jako tekst (dla konsensusu i kontekstu kolejnych ról)
+ * @param {Object} contribution - Validated contribution
+ * @returns {string} Plain-text rendering
+ */
+export function renderStructuredContribution(contribution) {
+    const lines = [contribution.summary];
+    const section = (title, items, format) => {
+        if (items.length === 0) return;
+        lines.push('', `${title}:`, ...items.map(item => `- ${format(item)}`));
+    };
+
+    section('Claims', contribution.claims, c => c.evidence ? `${c.statement} (${c.evidence})` : c.statement);
+    section('Risks', contribution.risks, r => `[${r.severity}] ${r.description}${r.mitigation ? ` → ${r.mitigation}` : ''}`);
+    section('Actions', contribution.actions, a => `${a.description}${a.owner ? ` (${a.owner})` : ''}`);
+    section('Citations', contribution.citations, c => c.url ? `${c.source} <${c.url}>` : c.source);
+
+    return lines.join('\n');
+}
+
+/**
+ * Ocenia jakość wkładu na podstawie kompletności pól (skala 1-10)
+ * @param {Object} contribution - Validated contribution
+ * @returns {number} Quality score
+ */
+export function assessStructuredQuality(contribution) {
+    const { claims, risks, actions, citations } = contribution;
+
+    let quality = 5;
+    if (claims.length > 0) quality += 1;
+    if (claims.length > 0 && claims.every(claim => claim.evidence)) quality += 0.5;
+    if (risks.length > 0) quality += 1;
+    if (risks.length > 0 && risks.every(risk => risk.mitigation)) quality += 0.5;
+    if (actions.length > 0) quality += 1;
+    if (citations.length > 0) quality += 1;
+
+    return Math.max(1, Math.min(10, quality));
+}
+
+export default {
+    contributionSchema,
+    StructuredOutputError,
+    buildStructuredPrompt,
+    buildRepairPrompt,
+    parseJSONWithSchema,
+    parseStructuredContribution,
+    renderStructuredContribution,
+    assessStructuredQuality
+};
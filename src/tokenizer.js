@@ -0,0 +1,153 @@
+/**
+ * Local token counting
+ * Approximates BPE tokenizers per model family without downloading vocabularies:
+ * text is pre-split like the GPT/Llama pre-tokenizers (words, numbers, punctuation,
+ * whitespace) and every piece is priced with the family's typical merge lengths.
+ * Counts are estimates, used before a call is sent and when a provider reports no usage.
+ */
+
+// Families differ mostly in vocabulary size: larger vocabularies merge longer pieces
+const FAMILIES = {
+    openai: {
+        match: /^(gpt|o\d|chatgpt|text-|davinci)/i,
+        wordChars: 7,          // ASCII words up to this length are usually one token
+        charsPerToken: 4,      // Longer or rarer words
+        digitsPerToken: 3,     // cl100k groups numbers by up to three digits
+        messageOverhead: 4,    // Role and separators per chat message
+        replyOverhead: 3
+    },
+    anthropic: {
+        match: /^claude/i,
+        wordChars: 6,
+        charsPerToken: 3.5,
+        digitsPerToken: 3,
+        messageOverhead: 5,
+        replyOverhead: 3
+    },
+    google: {
+        match: /^(gemini|palm|text-bison|chat-bison)/i,
+        wordChars: 7,
+        charsPerToken: 4,
+        digitsPerToken: 1,     // SentencePiece splits digits individually
+        messageOverhead: 4,
+        replyOverhead: 2
+    },
+    llama: {
+        match: /^(llama|mistral|mixtral|codellama|qwen|phi|gemma)/i,
+        wordChars: 5,
+        charsPerToken: 3.3,
+        digitsPerToken: 1,
+        messageOverhead: 6,
+        replyOverhead: 4
+    }
+};
+
+const DEFAULT_FAMILY = 'openai';
+
+// GPT-style pre-tokenizer: contractions, words, numbers, punctuation runs, whitespace runs
+const PIECE_PATTERN = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+/gu;
+
+/**
+ * Rozpoznaje rodzinę tokenizera na podstawie nazwy modelu
+ * @param {string} model - Model name, e.g. 'gpt-4', 'claude-3-sonnet-20240229', 'llama3'
+ * @returns {string} Family key ('openai', 'anthropic', 'google', 'llama')
+ */
+export function getTokenizerFamily(model) {
+    const name = (model || '').split('/').pop();
+    return Object.keys(FAMILIES).find(family => FAMILIES[family].match.test(name)) || DEFAULT_FAMILY;
+}
+
+/**
+ * Koszt pojedynczego fragmentu tekstu w tokenach
+ */
+function countPiece(piece, family) {
+    const text = piece.trimStart();
+    if (!text) {
+        // Whitespace runs merge, except long runs of newlines and indentation
+        return Math.max(1, Math.ceil(piece.length / 16));
+    }
+
+    if (/^\p{N}+$/u.test(text)) {
+        return Math.ceil(text.length / family.digitsPerToken);
+    }
+
+    if (/^\p{L}+$/u.test(text)) {
+        // Letters outside ASCII (Polish diacritics, Cyrillic, CJK) rarely merge well
+        const nonAscii = text.replace(/[\x00-\x7F]/g, '').length;
+        if (nonAscii === 0 && text.length <= family.wordChars) return 1;
+        return Math.max(1, Math.ceil((text.length + nonAscii * 1.5) / family.charsPerToken));
+    }
+
+    // Punctuation runs such as '...' or '),' merge in pairs
+    return Math.ceil(text.length / 2);
+}
+
+/**
+ * Liczy tokeny tekstu dla danego modelu
+ * @param {string} text - Text to count
+ * @param {string} model - Model name used to pick the family
+ * @returns {number} Approximate token count
+ */
+export function countTokens(text, model = null) {
+    if (!text) return 0;
+
+    const family = FAMILIES[getTokenizerFamily(model)];
+    let tokens = 0;
+    for (const [piece] of String(text).matchAll(PIECE_PATTERN)) {
+        tokens += countPiece(piece, family);
+    }
+    return tokens;
+}
+
+/**
+ * Liczy tokeny promptu czatu razem z narzutem na wiadomości
+ * @param {Array<string>} messages - Message contents (system prompt, user content, ...)
+ * @param {string} model - Model name
+ * @returns {number} Approximate prompt tokens
+ */
+export function countChatTokens(messages, model = null) {
+    const family = FAMILIES[getTokenizerFamily(model)];
+    return messages.reduce((sum, content) => sum + countTokens(content, model) + family.messageOverhead, 0) +
+        family.replyOverhead;
+}
+
+/**
+ * Uzupełnia brakujące pola usage szacunkami
+ * Provider-reported numbers are kept; zeros next to a non-empty prompt or answer count as missing.
+ * @param {Object} usage - Provider usage ({ prompt_tokens, completion_tokens, total_tokens }) or undefined
+ * @param {Object} context - { model, promptTokens, completion }
+ * @returns {Object} Usage with all three fields; `estimated: true` when anything was filled in
+ */
+export function fillUsage(usage = {}, { model = null, promptTokens = 0, completion = '' } = {}) {
+    const filled = { ...usage };
+    let estimated = false;
+
+    if (!filled.prompt_tokens && promptTokens > 0) {
+        filled.prompt_tokens = promptTokens;
+        estimated = true;
+    }
+
+    if (!filled.completion_tokens && completion) {
+        // Providers that report only a total still let us derive the completion share
+        filled.completion_tokens = filled.total_tokens > filled.prompt_tokens
+            ? filled.total_tokens - filled.prompt_tokens
+            : countTokens(completion, model);
+        estimated = true;
+    }
+
+    filled.prompt_tokens = filled.prompt_tokens || 0;
+    filled.completion_tokens = filled.completion_tokens || 0;
+    if (!filled.total_tokens || filled.total_tokens < filled.prompt_tokens + filled.completion_tokens) {
+        filled.total_tokens = filled.prompt_tokens + filled.completion_tokens;
+    }
+
+    if (estimated) filled.estimated = true;
+    return filled;
+}
+
+export default {
+    getTokenizerFamily,
+    countTokens,
+    countChatTokens,
+    fillUsage
+};
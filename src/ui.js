@@ -127,4 +127,79 @@ export function initSSE() {
     };
     
     return eventSource;
-}
\ No newline at end of file
+}
+
+/**
+ * Recenzja iteracji przed kolejną (tryb z bramką recenzji)
+ * Resolves with the decision for AdvancedAIEngine's reviewGate; continuing without changes approves.
+ * @param {Object} review - { iteration, contributions: { [roleKey]: { role, content, quality } }, metrics, wouldConverge, vetoes }
+ * @param {Object} options - { comments: [{ author, text }] collaborator comments to pass on with the decision }
+ * @returns {Promise<Object>} { edits, guidance, veto, comments }
+ */
+export function showReviewModal(review, options = {}) {
+    const comments = options.comments || [];
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+    modal.innerHTML = `
+        <div class="bg-gray-800 p-6 rounded-lg max-w-3xl w-full text-white m-4 max-h-screen overflow-y-auto">
+            <h3 class="text-xl font-semibold mb-1">⏸️ Recenzja iteracji ${review.iteration}</h3>
+            <p class="text-sm text-gray-400 mb-4">
+                Quality ${review.metrics.quality.toFixed(1)} | Consensus ${(review.metrics.consensus * 100).toFixed(1)}%
+                ${review.wouldConverge ? ' | Zbieżność osiągnięta - zatwierdzenie zakończy rozwiązywanie' : ''}
+            </p>
+            <div id="review-contributions" class="space-y-3 mb-4"></div>
+            <label class="block text-gray-400 mb-1" for="review-guidance">Wskazówki dla następnej iteracji:</label>
+            <textarea id="review-guidance" class="w-full h-16 p-2 mb-3 bg-gray-900 border border-gray-600 rounded"></textarea>
+            <label class="block text-gray-400 mb-1" for="review-veto">Weto - kierunek, którego nie należy rozwijać:</label>
+            <input id="review-veto" type="text" class="w-full p-2 mb-3 bg-gray-900 border border-gray-600 rounded">
+            <label class="flex items-center mb-4 ${comments.length === 0 ? 'hidden' : ''}">
+                <input type="checkbox" id="review-include-comments" checked class="mr-2">
+                <span>Przekaż komentarze współpracowników (${comments.length})</span>
+            </label>
+            <button id="review-continue" class="w-full px-4 py-2 bg-green-600 rounded hover:bg-green-700">▶️ Zatwierdź i kontynuuj</button>
+        </div>
+    `;
+
+    // Contributions go into the DOM as text so model output cannot inject markup
+    const container = modal.querySelector('#review-contributions');
+    for (const [roleKey, contribution] of Object.entries(review.contributions)) {
+        const block = document.createElement('div');
+        const heading = document.createElement('div');
+        heading.className = 'text-sm font-medium text-blue-400 mb-1';
+        heading.textContent = `${contribution.role} (quality ${Number(contribution.quality || 0).toFixed(1)})`;
+        const editor = document.createElement('textarea');
+        editor.className = 'w-full h-24 p-2 bg-gray-900 border border-gray-600 rounded text-sm';
+        editor.dataset.role = roleKey;
+        editor.value = contribution.content;
+        block.append(heading, editor);
+        container.appendChild(block);
+    }
+
+    return new Promise((resolve) => {
+        const finish = () => {
+            const decision = {};
+            const edits = {};
+            container.querySelectorAll('textarea').forEach((editor) => {
+                const content = editor.value.trim();
+                if (content && content !== review.contributions[editor.dataset.role].content.trim()) {
+                    edits[editor.dataset.role] = content;
+                }
+            });
+            if (Object.keys(edits).length > 0) decision.edits = edits;
+
+            const guidance = modal.querySelector('#review-guidance').value.trim();
+            const veto = modal.querySelector('#review-veto').value.trim();
+            if (guidance) decision.guidance = guidance;
+            if (veto) decision.veto = veto;
+            if (comments.length > 0 && modal.querySelector('#review-include-comments').checked) {
+                decision.comments = comments;
+            }
+
+            modal.remove();
+            resolve(decision);
+        };
+
+        document.body.appendChild(modal);
+        modal.querySelector('#review-continue').addEventListener('click', finish);
+    });
+}
@@ -18,6 +18,26 @@ const TFIDF_CONFIG = {
     MIN_WORD_LENGTH: 2
 };
 
+// Domain-neutral configuration: common English and Polish function words only
+export const GENERAL_TFIDF_CONFIG = {
+    SYNONYMS: {},
+    STOPWORDS: [
+        "the", "and", "for", "are", "but", "not", "you", "all", "can", "has",
+        "her", "was", "one", "our", "out", "his", "how", "its", "who", "did",
+        "this", "that", "with", "from", "they", "will", "would", "there", "their",
+        "what", "about", "which", "when", "your", "should", "could", "these",
+        "those", "than", "then", "them", "also", "into", "more", "most", "such",
+        "been", "have", "were", "each", "other", "some", "only", "very", "just",
+        "jest", "są", "oraz", "które", "który", "która", "którą", "którego", "których",
+        "się", "dla", "nie", "aby", "żeby", "jak", "ale", "tak", "lub", "czy", "przez",
+        "przy", "tego", "jego", "jej", "ich", "ten", "tej", "tym", "tych", "też",
+        "także", "już", "jako", "gdy", "jeśli", "tylko", "bardzo", "być",
+        "będzie", "może", "można", "pod", "nad", "bez", "między", "więc"
+    ],
+    WEIGHTS: {},
+    MIN_WORD_LENGTH: 2
+};
+
 /**
  * Validates input for TF-IDF computation
  * @param {Array} texts - Array of text strings to analyze
@@ -38,14 +58,15 @@ function validateTFIDFInput(texts) {
 /**
  * Processes text by applying synonym replacement and cleaning
  * @param {string} text - Text to process
+ * @param {Object} config - TF-IDF configuration
  * @returns {Array} Array of filtered words
  */
-function preprocessText(text) {
+function preprocessText(text, config = TFIDF_CONFIG) {
     let processedText = text;
     
     // Apply synonym replacement
-    Object.keys(TFIDF_CONFIG.SYNONYMS).forEach(key => {
-        TFIDF_CONFIG.SYNONYMS[key].forEach(synonym => {
+    Object.keys(config.SYNONYMS).forEach(key => {
+        config.SYNONYMS[key].forEach(synonym => {
             if (synonym.split(' ').length > 1) {
                 const regex = new RegExp(`\\b${synonym}\\b`, 'gi');
                 processedText = processedText.replace(regex, `${key} (${synonym})`);
@@ -59,17 +80,18 @@ function preprocessText(text) {
         .replace(/[.,!?]/g, '')
         .split(/\s+/)
         .filter(word => 
-            word.length > TFIDF_CONFIG.MIN_WORD_LENGTH && 
-            !TFIDF_CONFIG.STOPWORDS.includes(word)
+            word.length > config.MIN_WORD_LENGTH && 
+            !config.STOPWORDS.includes(word)
         );
 }
 
 /**
  * Calculates term frequency for a document
  * @param {Array} words - Array of words in the document
+ * @param {Object} config - TF-IDF configuration
  * @returns {Object} Term frequency object
  */
-function calculateTermFrequency(words) {
+function calculateTermFrequency(words, config = TFIDF_CONFIG) {
     if (words.length === 0) return {};
     
     const frequency = {};
@@ -79,7 +101,7 @@ function calculateTermFrequency(words) {
     
     // Apply weights and normalize by document length
     Object.keys(frequency).forEach(word => {
-        const weight = TFIDF_CONFIG.WEIGHTS[word] || 1.0;
+        const weight = config.WEIGHTS[word] || 1.0;
         frequency[word] = (frequency[word] / words.length) * weight;
     });
     
@@ -132,10 +154,11 @@ function calculateCosineSimilarity(vector1, vector2) {
 /**
  * Computes average TF-IDF similarity score for a collection of texts
  * @param {Array} texts - Array of text strings to analyze
+ * @param {Object} config - TF-IDF configuration (defaults to the module configuration)
  * @returns {number} Average similarity score between all text pairs
  * @throws {Error} If input validation fails
  */
-export function computeTFIDF(texts) {
+export function computeTFIDF(texts, config = TFIDF_CONFIG) {
     try {
         // Validate input
         validateTFIDFInput(texts);
@@ -146,10 +169,10 @@ export function computeTFIDF(texts) {
         }
         
         // Preprocess all texts
-        const processedTexts = texts.map(preprocessText);
+        const processedTexts = texts.map(text => preprocessText(text, config));
         
         // Calculate term frequencies
-        const termFrequencies = processedTexts.map(calculateTermFrequency);
+        const termFrequencies = processedTexts.map(words => calculateTermFrequency(words, config));
         
         // Calculate document frequencies
         const documentFreq = calculateDocumentFrequency(processedTexts);
@@ -158,7 +181,9 @@ export function computeTFIDF(texts) {
         const tfidfVectors = termFrequencies.map(termFreq => {
             const vector = {};
             Object.keys(termFreq).forEach(word => {
-                const idf = Math.log(texts.length / (documentFreq[word] || 1));
+                // SMOOTH_IDF keeps terms shared by every text from dropping to zero weight
+                const ratio = texts.length / (documentFreq[word] || 1);
+                const idf = config.SMOOTH_IDF ? Math.log(1 + ratio) : Math.log(ratio);
                 vector[word] = termFreq[word] * idf;
             });
             return vector;
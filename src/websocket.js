@@ -0,0 +1,349 @@
+/**
+ * Minimal WebSocket (RFC 6455) support on top of Node's http upgrade
+ * Covers what the collaboration hub needs: text messages, fragmentation,
+ * ping/pong and the close handshake. Binary messages are delivered as Buffers.
+ * The client side (connectWebSocket) is used by tests and server-to-server tools.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import { EventEmitter } from 'events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+/**
+ * Wartość Sec-WebSocket-Accept dla klucza klienta
+ */
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * One WebSocket connection (server or client side)
+ * Events: 'message' (string | Buffer), 'close' ({ code, reason }), 'error' (Error)
+ */
+export class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {net.Socket} socket - Upgraded socket
+     * @param {Object} options
+     * @param {boolean} options.client - Client side: outgoing frames are masked, incoming must not be
+     * @param {number} options.maxPayload - Largest accepted message in bytes (default 1 MB)
+     * @param {Buffer} options.head - Bytes read past the handshake
+     */
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.client = options.client === true;
+        this.maxPayload = options.maxPayload || 1024 * 1024;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.readyState = 'open';
+        this.alive = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.onData(chunk));
+        socket.on('error', (error) => this.emit('error', error));
+        socket.on('close', () => this.finish(1006, 'Connection lost'));
+
+        // Parsed on the next turn so listeners attached right after the handshake see the first messages
+        if (options.head?.length) {
+            this.buffer = Buffer.from(options.head);
+            setImmediate(() => this.onData(Buffer.alloc(0)));
+        }
+    }
+
+    /**
+     * Wysyła wiadomość tekstową (obiekty są serializowane do JSON)
+     */
+    send(data) {
+        if (this.readyState !== 'open') return false;
+
+        const text = typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data);
+        this.writeFrame(Buffer.isBuffer(text) ? OPCODES.binary : OPCODES.text, Buffer.from(text));
+        return true;
+    }
+
+    ping() {
+        if (this.readyState !== 'open') return;
+        this.alive = false;
+        this.writeFrame(OPCODES.ping, Buffer.alloc(0));
+    }
+
+    /**
+     * Rozpoczyna zamknięcie połączenia (handshake zamknięcia)
+     */
+    close(code = 1000, reason = '') {
+        if (this.readyState !== 'open') return;
+
+        const reasonBytes = Buffer.from(reason).subarray(0, 123);
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+
+        this.writeFrame(OPCODES.close, payload);
+        this.readyState = 'closing';
+
+        // Peers that never answer the close frame are cut off
+        this.closeTimer = setTimeout(() => this.socket.destroy(), 1000);
+        this.closeTimer.unref?.();
+    }
+
+    /**
+     * Zamyka gniazdo bez handshake'u
+     */
+    terminate() {
+        this.socket.destroy();
+    }
+
+    writeFrame(opcode, payload) {
+        const length = payload.length;
+        const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+        const header = Buffer.alloc(2 + lengthBytes + (this.client ? 4 : 0));
+
+        header[0] = 0x80 | opcode;
+        header[1] = (this.client ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+        if (lengthBytes === 2) header.writeUInt16BE(length, 2);
+        if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(length), 2);
+
+        let body = payload;
+        if (this.client) {
+            const mask = crypto.randomBytes(4);
+            mask.copy(header, 2 + lengthBytes);
+            body = Buffer.alloc(length);
+            for (let i = 0; i < length; i++) body[i] = payload[i] ^ mask[i % 4];
+        }
+
+        this.socket.write(Buffer.concat([header, body]));
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while (this.readyState !== 'closed' && (frame = this.readFrame()) !== null) {
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Odczytuje jedną ramkę z bufora; null gdy ramka jest niekompletna
+     */
+    readFrame() {
+        if (this.buffer.length < 2) return null;
+
+        const fin = (this.buffer[0] & 0x80) !== 0;
+        const opcode = this.buffer[0] & 0x0F;
+        const masked = (this.buffer[1] & 0x80) !== 0;
+        let length = this.buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < 4) return null;
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) return null;
+            length = Number(this.buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > this.maxPayload) {
+            this.fail(1009, 'Message too big');
+            return null;
+        }
+        // Clients must mask, servers must not
+        if (masked === this.client) {
+            this.fail(1002, masked ? 'Unexpected masked frame' : 'Unmasked client frame');
+            return null;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (this.buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < length; i++) payload[i] ^= this.buffer[maskOffset + (i % 4)];
+        }
+
+        this.buffer = this.buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation: {
+                if (opcode !== OPCODES.continuation) {
+                    this.fragmentOpcode = opcode;
+                    this.fragments = [];
+                } else if (this.fragmentOpcode === null) {
+                    this.fail(1002, 'Unexpected continuation frame');
+                    return;
+                }
+
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((sum, part) => sum + part.length, 0);
+                if (size > this.maxPayload) {
+                    this.fail(1009, 'Message too big');
+                    return;
+                }
+                if (!fin) return;
+
+                const message = Buffer.concat(this.fragments);
+                const text = this.fragmentOpcode === OPCODES.text;
+                this.fragments = [];
+                this.fragmentOpcode = null;
+                this.emit('message', text ? message.toString('utf8') : message);
+                return;
+            }
+            case OPCODES.ping:
+                this.writeFrame(OPCODES.pong, payload);
+                return;
+            case OPCODES.pong:
+                this.alive = true;
+                return;
+            case OPCODES.close: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                const reason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+                if (this.readyState === 'open') {
+                    // Echo the close frame, then the server side ends the TCP connection
+                    this.writeFrame(OPCODES.close, payload.subarray(0, 2));
+                }
+                this.finish(code, reason);
+                this.socket.end();
+                return;
+            }
+            default:
+                this.fail(1002, `Unknown opcode ${opcode}`);
+        }
+    }
+
+    /**
+     * Zamyka połączenie z powodu błędu protokołu
+     */
+    fail(code, reason) {
+        this.close(code, reason);
+        this.buffer = Buffer.alloc(0);
+        this.finish(code, reason);
+    }
+
+    finish(code, reason) {
+        if (this.readyState === 'closed') return;
+        this.readyState = 'closed';
+        clearTimeout(this.closeTimer);
+        this.emit('close', { code, reason });
+    }
+}
+
+/**
+ * Kończy handshake WebSocket dla żądania upgrade serwera HTTP
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {net.Socket} socket - Raw socket from the 'upgrade' event
+ * @param {Buffer} head - First bytes after the handshake
+ * @param {Object} options - WebSocketConnection options
+ * @returns {WebSocketConnection|null} null when the request is not a valid WebSocket handshake
+ */
+export function acceptWebSocket(req, socket, head, options = {}) {
+    const key = req.headers['sec-websocket-key'];
+    const valid = req.method === 'GET' &&
+        (req.headers.upgrade || '').toLowerCase() === 'websocket' &&
+        req.headers['sec-websocket-version'] === '13' &&
+        typeof key === 'string' && Buffer.from(key, 'base64').length === 16;
+
+    if (!valid) {
+        rejectUpgrade(socket, 400, 'Bad Request');
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket, { ...options, head });
+}
+
+/**
+ * Odrzuca żądanie upgrade odpowiedzią HTTP
+ */
+export function rejectUpgrade(socket, status, message, body = '') {
+    socket.end([
+        `HTTP/1.1 ${status} ${message}`,
+        'Connection: close',
+        'Content-Type: application/json',
+        `Content-Length: ${Buffer.byteLength(body)}`,
+        '',
+        body
+    ].join('\r\n'));
+}
+
+/**
+ * Łączy się z serwerem WebSocket
+ * @param {string} url - ws://host:port/path?query
+ * @param {Object} options
+ * @param {Object} options.headers - Extra handshake headers
+ * @param {number} options.timeout - Handshake timeout in ms (default 5000)
+ * @returns {Promise<WebSocketConnection>}
+ */
+export function connectWebSocket(url, options = {}) {
+    const target = new URL(url);
+    const key = crypto.randomBytes(16).toString('base64');
+
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: target.hostname,
+            port: target.port || 80,
+            path: `${target.pathname}${target.search}`,
+            timeout: options.timeout || 5000,
+            headers: {
+                ...options.headers,
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+
+        req.on('upgrade', (res, socket, head) => {
+            if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+                socket.destroy();
+                reject(new Error('Invalid Sec-WebSocket-Accept header'));
+                return;
+            }
+            resolve(new WebSocketConnection(socket, { client: true, head, maxPayload: options.maxPayload }));
+        });
+
+        req.on('response', (res) => {
+            let body = '';
+            res.on('data', (chunk) => { body += chunk; });
+            res.on('end', () => {
+                const error = new Error(`WebSocket handshake failed with status ${res.statusCode}`);
+                error.status = res.statusCode;
+                error.body = body;
+                reject(error);
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error('WebSocket handshake timed out')));
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+export default acceptWebSocket;
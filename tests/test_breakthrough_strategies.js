@@ -0,0 +1,146 @@
+import {
+    AssumptionReversal,
+    PersonaSwap,
+    TemperatureSpike,
+    MethodologyInjection,
+    DevilsAdvocate,
+    DEFAULT_METHODOLOGIES,
+    createBreakthroughStrategies,
+    selectBreakthroughStrategy,
+    applyRoleOverrides
+} from '../src/breakthrough_strategies.js';
+import { METHODOLOGIES } from '../src/methodologies.js';
+import { loadRoles } from '../src/roles.js';
+import { DEFAULT_RUBRIC } from '../src/quality_judges.js';
+import { AdvancedAIEngine } from '../src/advanced_engine.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy strategii przełamywania stagnacji
+ */
+
+const problem = 'Reduce office energy consumption';
+const roles = loadRoles(undefined);
+const context = (overrides = {}) => ({ problem, roles, finalRoleKey: 'synthesizer', random: () => 0, ...overrides });
+
+describe('Breakthrough strategies', () => {
+    test('persona swap should trade personas between two non-final roles', () => {
+        const plan = new PersonaSwap().plan(context());
+
+        expect(Object.keys(plan.roleOverrides)).toEqual(['architect', 'catalyst']);
+        expect(plan.roleOverrides.architect).toMatchObject({ name: 'Innovation Catalyst', builder: 'builder2' });
+        expect(plan.roleOverrides.catalyst).toMatchObject({ name: 'Idea Architect', builder: 'builder1' });
+        expect(new PersonaSwap().plan(context({ roles: { synthesizer: roles.synthesizer, architect: roles.architect } }))).toBeNull();
+    });
+
+    test('temperature spike should raise every role within the cap', () => {
+        const plan = new TemperatureSpike({ increase: 0.5, max: 1.2 }).plan(context());
+
+        expect(plan.roleOverrides.architect.temperature).toBeCloseTo(0.9, 5);
+        expect(plan.roleOverrides.catalyst.temperature).toBe(1.2);
+    });
+
+    test('prompt strategies should describe what changes in the next iteration', () => {
+        const methodology = new MethodologyInjection().plan(context({ random: () => 0.99 }));
+        const devil = new DevilsAdvocate().plan(context({ bestSolution: 'Install occupancy sensors' }));
+
+        expect(new AssumptionReversal().plan(context()).problemSuffix).toContain('Assume each of them is false');
+        expect(methodology.methodology).toBe(DEFAULT_METHODOLOGIES[DEFAULT_METHODOLOGIES.length - 1].title);
+        expect(methodology.problemSuffix).toContain(methodology.methodology);
+        expect(devil.problemSuffix).toContain('Install occupancy sensors');
+        expect(devil.roleOverrides.synthesizer.prompt).toContain('withstood');
+    });
+
+    test('methodology injection should use the knowledge-base methodologies', () => {
+        expect(DEFAULT_METHODOLOGIES.map(methodology => methodology.title)).toEqual(METHODOLOGIES.map(methodology => methodology.title));
+        expect(DEFAULT_METHODOLOGIES.map(methodology => methodology.title)).toEqual(expect.arrayContaining(['Five Whys', 'First Principles', 'TRIZ Contradictions']));
+        expect(DEFAULT_METHODOLOGIES.every(methodology => methodology.description.length > 0)).toBe(true);
+    });
+
+    test('should try unused strategies first, then repeat the most effective one', () => {
+        const strategies = createBreakthroughStrategies(['assumption_reversal', 'temperature_spike']);
+        const history = [{ strategy: 'assumption_reversal', effect: { quality: -0.5 } }];
+
+        expect(selectBreakthroughStrategy(strategies, history, () => 0).name).toBe('temperature_spike');
+
+        history.push({ strategy: 'temperature_spike', effect: { quality: 1.2 } });
+        expect(selectBreakthroughStrategy(strategies, history, () => 0).name).toBe('temperature_spike');
+        expect(() => createBreakthroughStrategies(['coin_flip'])).toThrow('Unknown breakthrough strategy');
+    });
+
+    test('role overrides should not modify the base roles', () => {
+        const overridden = applyRoleOverrides(roles, { architect: { temperature: 1.4 }, missing: { temperature: 2 } });
+
+        expect(overridden.architect.temperature).toBe(1.4);
+        expect(roles.architect.temperature).toBe(0.4);
+        expect(overridden.missing).toBeUndefined();
+    });
+});
+
+describe('Breakthroughs in the engine', () => {
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    const createEngine = (options = {}) => {
+        const engine = new AdvancedAIEngine({
+            consensusScorer: { name: 'constant', score: async () => 0.5 },
+            qualityJudge: {
+                name: 'fixed',
+                rubric: DEFAULT_RUBRIC,
+                evaluate: async () => ({ score: 5, criteria: {}, judge: 'fixed', rationale: '' })
+            },
+            breakthroughRandom: () => 0,
+            ...options
+        });
+        const calls = [];
+        engine.getAIContribution = async (roleKey, problemStatement) => {
+            calls.push({ roleKey, problemStatement, temperature: engine.getTemperatureForRole(roleKey), name: engine.roles[roleKey].name });
+            return { content: `${roleKey} output`, quality: 5, confidence: 0.5 };
+        };
+        engine.delay = async () => {};
+        return { engine, calls };
+    };
+
+    test('should apply the plan to the next iteration only and record its effect', async () => {
+        const { engine, calls } = createEngine({ breakthroughStrategies: ['temperature_spike', 'methodology_injection'] });
+        const first = await engine.runIteration(problem, null);
+
+        const record = await engine.applyBreakthroughStrategy(problem, first);
+        expect(record).toMatchObject({ strategy: 'temperature_spike', appliedAfter: 1, after: null });
+
+        calls.length = 0;
+        const second = await engine.runIteration(problem, null);
+
+        expect(calls.find(call => call.roleKey === 'architect').temperature).toBeCloseTo(0.8, 5);
+        expect(engine.getTemperatureForRole('architect')).toBe(0.4);
+        expect(engine.sessionState.pendingBreakthrough).toBeNull();
+        expect(second.breakthrough).toMatchObject({ strategy: 'temperature_spike', effect: { quality: 0, consensus: 0 } });
+        expect(engine.sessionState.breakthroughHistory[0].after).toEqual({
+            quality: second.metrics.quality,
+            consensus: second.metrics.consensus
+        });
+
+        await engine.applyBreakthroughStrategy(problem, second);
+        calls.length = 0;
+        await engine.runIteration(problem, null);
+
+        expect(calls.every(call => call.problemStatement.startsWith(`${problem}\n\nApproach the problem with`))).toBe(true);
+    });
+
+    test('should pick a strategy when a solve run stagnates', async () => {
+        const { engine } = createEngine({ maxIterations: 5, breakthroughStrategies: ['persona_swap', 'devils_advocate'] });
+
+        const session = await engine.solveProblem(problem);
+
+        expect(session.iterations[3].breakthrough.strategy).toBe('persona_swap');
+        expect(session.iterations[4].breakthrough.strategy).toBe('devils_advocate');
+        expect(session.metrics.breakthroughs).toBe(3);
+        expect(session.metrics.breakthroughHistory.map(record => record.strategy))
+            .toEqual(['persona_swap', 'devils_advocate', 'persona_swap']);
+        expect(session.metrics.breakthroughHistory[0].effect).toEqual({ quality: 0, consensus: 0 });
+        expect(engine.roles.architect.name).toBe('Idea Architect');
+    });
+});
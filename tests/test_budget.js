@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import { BudgetGuard, BudgetExceededError, estimateCallCost } from '../src/budget.js';
+import { callAIProvider, registerProvider } from '../src/api.js';
+import { providerRegistry, classifyHttpError } from '../src/providers/index.js';
+import { AdvancedAIEngine } from '../src/advanced_engine.js';
+import { MergeSelection } from '../src/ensemble.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy egzekwowania budżetu sesji i dnia
+ */
+
+// 4000 characters ≈ 1000 prompt tokens
+const prompt = 'x'.repeat(4000);
+
+const fakeMetrics = (dailyCost = 0) => ({
+    metrics: { daily: { cost: dailyCost } },
+    loadCostDatabase: () => metricsCollector.loadCostDatabase()
+});
+
+const createTestAdapter = () => ({
+    name: 'budget-test',
+    displayName: 'Budget Test',
+    priority: 95,
+    config: { model: 'premium', maxTokens: 1000 },
+    authError: () => null,
+    buildRequest: ({ model }) => ({
+        url: 'https://budget-test.invalid/generate',
+        init: { method: 'POST', body: JSON.stringify({ model }) }
+    }),
+    parseResponse: (data, { model }) => ({
+        content: `answer from ${model}`,
+        model,
+        usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 },
+        finishReason: 'stop'
+    }),
+    classifyError: (status, body) => classifyHttpError('Budget Test API', status, body),
+    pricing: {
+        premium: { input: 1, output: 2 },
+        standard: { input: 0.1, output: 0.2 },
+        economy: { input: 0.01, output: 0.02 }
+    }
+});
+
+describe('Budget guard', () => {
+    test('should estimate an upper-bound cost', () => {
+        expect(estimateCallCost({ input: 0.03, output: 0.06 }, 1000, 500)).toBeCloseTo(0.06, 6);
+        expect(estimateCallCost(null, 1000, 500)).toBe(0);
+    });
+
+    test('should reserve estimates so parallel calls cannot overspend together', () => {
+        const guard = new BudgetGuard({ sessionLimit: 0.1, dailyLimit: 10, mode: 'halt', metrics: fakeMetrics() });
+
+        const first = guard.authorize({ provider: 'openai', model: 'gpt-4', promptTokens: 1000, maxTokens: 500 });
+        expect(() => guard.authorize({ provider: 'openai', model: 'gpt-4', promptTokens: 1000, maxTokens: 500 }))
+            .toThrow(BudgetExceededError);
+
+        guard.settle(first, 0.02);
+        expect(guard.spent).toBeCloseTo(0.02, 6);
+        expect(guard.reserved).toBe(0);
+    });
+
+    test('should downgrade to the best model that still fits', () => {
+        const guard = new BudgetGuard({ sessionLimit: 0.05, dailyLimit: 10, metrics: fakeMetrics() });
+
+        const reservation = guard.authorize({ provider: 'openai', model: 'gpt-4', promptTokens: 1000, maxTokens: 500 });
+
+        expect(reservation).toMatchObject({ model: 'gpt-4-turbo', downgradedFrom: 'gpt-4' });
+        expect(guard.getSummary().downgrades).toEqual([expect.objectContaining({ from: 'gpt-4', to: 'gpt-4-turbo' })]);
+    });
+
+    test('should refuse with budget_exceeded when the day is spent', () => {
+        const guard = new BudgetGuard({ sessionLimit: 5, dailyLimit: 10, metrics: fakeMetrics(9.9999) });
+
+        try {
+            guard.authorize({ provider: 'openai', model: 'gpt-4', promptTokens: 1000, maxTokens: 500 });
+            throw new Error('expected a budget error');
+        } catch (error) {
+            expect(error.code).toBe('budget_exceeded');
+            expect(error.details.limit).toBe('daily');
+            expect(error.message).toMatch(/^Daily budget exceeded/);
+        }
+    });
+});
+
+describe('Budget in provider calls', () => {
+    const originalFetch = global.fetch;
+
+    beforeAll(() => {
+        registerProvider(createTestAdapter());
+    });
+
+    beforeEach(() => {
+        responseCache.clear();
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        providerRegistry.unregister('budget-test');
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    const okFetch = () => jest.fn(async () => ({ ok: true, status: 200, json: async () => ({}) }));
+
+    test('should send the downgraded model and charge the actual cost', async () => {
+        global.fetch = okFetch();
+        const budget = new BudgetGuard({ sessionLimit: 0.5, dailyLimit: 1000, metrics: fakeMetrics() });
+
+        const result = await callAIProvider('budget-test', 'builder1', 'Temat', prompt, { maxTokens: 1000, budget });
+
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).model).toBe('standard');
+        expect(result.budgetDowngrade).toEqual({ from: 'premium', to: 'standard' });
+        expect(budget.spent).toBeCloseTo(1000 / 1000 * 0.1 + 500 / 1000 * 0.2, 6);
+        expect(budget.reserved).toBe(0);
+    });
+
+    test('should refuse without calling the provider', async () => {
+        global.fetch = okFetch();
+        const budget = new BudgetGuard({ sessionLimit: 0.0001, dailyLimit: 1000, metrics: fakeMetrics() });
+
+        await expect(callAIProvider('budget-test', 'builder1', 'Temat', prompt, { budget }))
+            .rejects.toMatchObject({ code: 'budget_exceeded' });
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should charge ensemble merge calls to the budget in the selection context', async () => {
+        global.fetch = okFetch();
+        const budget = new BudgetGuard({ sessionLimit: 100, dailyLimit: 1000, metrics: fakeMetrics() });
+        const candidates = ['first', 'second'].map(response => ({ provider: 'budget-test', model: 'premium', response }));
+
+        const merged = await new MergeSelection({ provider: 'budget-test' }).select(candidates, { problem: 'Temat', prompt, budget });
+
+        expect(merged.response).toBe('answer from premium');
+        expect(budget.spent).toBeCloseTo(1000 / 1000 * 1 + 500 / 1000 * 2, 6);
+    });
+});
+
+describe('Budget in the engine', () => {
+    const overBudget = () => new BudgetExceededError('Session budget exceeded: openai/gpt-4 needs ~$0.0600, $0.0100 left', { limit: 'session' });
+
+    const createEngine = (failFrom) => {
+        const engine = new AdvancedAIEngine({
+            maxIterations: 5,
+            consensusScorer: { name: 'constant', score: async () => 0.5 },
+            budget: { sessionLimit: 1, mode: 'halt' }
+        });
+        let calls = 0;
+        engine.getAIContribution = async (roleKey) => {
+            if (++calls >= failFrom) throw overBudget();
+            return { content: `${roleKey} output with enough words to be judged`, quality: 5, confidence: 0.5 };
+        };
+        engine.delay = async () => {};
+        return engine;
+    };
+
+    test('should stop with budget_exceeded and answer from completed iterations', async () => {
+        const engine = createEngine(6);
+
+        const session = await engine.solveProblem('Plan a product launch');
+
+        expect(session.iterations).toHaveLength(1);
+        expect(session.finalSolution.terminationReason).toBe('budget_exceeded');
+        expect(session.finalSolution.terminationDetails).toMatchObject({ limit: 'session' });
+        expect(session.finalSolution.budget).toMatchObject({ mode: 'halt', sessionLimit: 1 });
+        expect(session.finalSolution.primary).toBe('synthesizer output with enough words to be judged');
+    });
+
+    test('should report a budget stop before the first iteration', async () => {
+        const engine = createEngine(1);
+
+        const session = await engine.solveProblem('Plan a product launch');
+
+        expect(session.finalSolution).toMatchObject({
+            primary: 'No primary solution generated',
+            iterationsUsed: 0,
+            terminationReason: 'budget_exceeded'
+        });
+        expect(session.metrics.avgQuality).toBe(0);
+    });
+
+    test('should record other termination reasons and allow disabling the budget', async () => {
+        const engine = new AdvancedAIEngine({
+            maxIterations: 1,
+            consensusScorer: { name: 'constant', score: async () => 0.5 },
+            budget: false
+        });
+        engine.getAIContribution = async (roleKey) => ({ content: `${roleKey} output`, quality: 5, confidence: 0.5 });
+        engine.delay = async () => {};
+
+        const session = await engine.solveProblem('Plan a product launch');
+
+        expect(engine.budget).toBeNull();
+        expect(session.finalSolution.terminationReason).toBe('max_iterations');
+        expect(session.finalSolution.budget).toBeUndefined();
+    });
+});
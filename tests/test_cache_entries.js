@@ -0,0 +1,127 @@
+import express from 'express';
+import request from 'supertest';
+import { addManagementRoutes } from '../src/management_routes.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy API inspekcji i unieważniania wpisów cache
+ */
+
+const adminKey = process.env.ADMIN_API_KEY || 'admin-key-change-me';
+
+const answer = (text) => ({
+    response: `${text} - a long enough answer to be worth caching for the next identical request.`,
+    provider: 'openai',
+    model: 'gpt-4'
+});
+
+describe('Cache entries API', () => {
+    let app;
+    let badKey;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        addManagementRoutes(app);
+    });
+
+    beforeEach(async () => {
+        await responseCache.clear();
+        const openai = { provider: 'openai', model: 'gpt-4' };
+        await responseCache.set('builder1', 'Office energy', 'Reduce energy use', answer('Bad answer'), openai);
+        await responseCache.set('builder1', 'Office energy', 'Cut heating costs', answer('Heating'), openai);
+        await responseCache.set('builder2', 'Product launch', 'Plan the launch', answer('Launch'), openai);
+        badKey = (await responseCache.listEntries({ pattern: 'reduce*' })).entries[0].key;
+    });
+
+    afterAll(async () => {
+        await responseCache.clear();
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should require the admin key', async () => {
+        await request(app).get('/api/cache/entries').expect(401);
+        await request(app).delete(`/api/cache/entries/${encodeURIComponent(badKey)}`).expect(401);
+    });
+
+    test('should list entries by builder and topic without responses', async () => {
+        const response = await request(app)
+            .get('/api/cache/entries?builder=builder1&topic=energy')
+            .set('X-Admin-Key', adminKey)
+            .expect(200);
+
+        expect(response.body.total).toBe(2);
+        expect(response.body.entries[0]).toMatchObject({ builder: 'builder1', topic: 'Office energy', namespace: 'openai/gpt-4', hits: 0, pinned: false });
+        expect(response.body.entries[0].response).toBeUndefined();
+
+        await request(app).get('/api/cache/entries?limit=0').set('X-Admin-Key', adminKey).expect(400);
+    });
+
+    test('should show a cached response and count hits', async () => {
+        await responseCache.get('builder1', 'Office energy', 'Reduce energy use', { provider: 'openai', model: 'gpt-4' });
+
+        const response = await request(app)
+            .get(`/api/cache/entries/${encodeURIComponent(badKey)}`)
+            .set('X-Admin-Key', adminKey)
+            .expect(200);
+
+        expect(response.body).toMatchObject({ key: badKey, hits: 1, response: { response: expect.stringMatching(/^Bad answer/) } });
+        await request(app).get('/api/cache/entries/openai%2Fgpt-4%3Amissing').set('X-Admin-Key', adminKey).expect(404);
+    });
+
+    test('should delete a single entry', async () => {
+        await request(app)
+            .delete(`/api/cache/entries/${encodeURIComponent(badKey)}`)
+            .set('X-Admin-Key', adminKey)
+            .expect(200);
+
+        expect(await responseCache.get('builder1', 'Office energy', 'Reduce energy use', { provider: 'openai', model: 'gpt-4' })).toBeNull();
+        expect((await responseCache.getStats()).cacheSize).toBe(2);
+        await request(app).delete(`/api/cache/entries/${encodeURIComponent(badKey)}`).set('X-Admin-Key', adminKey).expect(404);
+    });
+
+    test('should delete entries matching a pattern and refuse an unfiltered delete', async () => {
+        const byPattern = await request(app)
+            .delete('/api/cache/entries?pattern=*HEATING*')
+            .set('X-Admin-Key', adminKey)
+            .expect(200);
+        const byBuilder = await request(app)
+            .delete('/api/cache/entries?builder=builder2')
+            .set('X-Admin-Key', adminKey)
+            .expect(200);
+
+        expect(byPattern.body.removed).toBe(1);
+        expect(byBuilder.body.removed).toBe(1);
+        expect((await responseCache.listEntries()).entries.map(entry => entry.prompt)).toEqual(['Reduce energy use']);
+        await request(app).delete('/api/cache/entries').set('X-Admin-Key', adminKey).expect(400);
+    });
+
+    test('should pin and unpin entries', async () => {
+        const pinned = await request(app)
+            .post(`/api/cache/entries/${encodeURIComponent(badKey)}/pin`)
+            .set('X-Admin-Key', adminKey)
+            .expect(200);
+        expect(pinned.body.entry).toMatchObject({ pinned: true, expiresAt: null });
+
+        const unpinned = await request(app)
+            .delete(`/api/cache/entries/${encodeURIComponent(badKey)}/pin`)
+            .set('X-Admin-Key', adminKey)
+            .expect(200);
+        expect(unpinned.body.entry.pinned).toBe(false);
+        expect(unpinned.body.entry.expiresAt).toBeGreaterThan(Date.now());
+    });
+
+    test('should clear one namespace through the existing clear route', async () => {
+        await responseCache.set('builder1', 'Office energy', 'Reduce energy use', answer('Claude'), { provider: 'anthropic', model: 'claude-3-haiku' });
+
+        const response = await request(app)
+            .post('/api/cache/clear')
+            .send({ provider: 'openai', model: 'gpt-4' })
+            .expect(200);
+
+        expect(response.body).toMatchObject({ namespace: 'openai/gpt-4', removed: 3 });
+        expect((await responseCache.getStats()).namespaces).toEqual({ 'anthropic/claude-3-haiku': 1 });
+    });
+});
@@ -0,0 +1,303 @@
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import ResponseCache, { responseCache } from '../src/cache.js';
+import { MemoryCacheStore, SQLiteCacheStore, RedisCacheStore, RespClient, createCacheStore } from '../src/cache_stores.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy backendów cache odpowiedzi (pamięć, SQLite, protokół Redis)
+ */
+
+const answer = (text) => ({
+    response: `${text} - a long enough answer to be worth caching for the next identical request.`,
+    provider: 'openai',
+    model: 'gpt-4'
+});
+
+/**
+ * Minimalna atrapa serwera Redis: komendy używane przez RedisCacheStore
+ */
+class FakeRedis {
+    constructor() {
+        this.strings = new Map();
+        this.sorted = new Map();
+        this.hashes = new Map();
+        this.sets = new Map();
+    }
+
+    read(key) {
+        const item = this.strings.get(key);
+        if (!item) return null;
+        if (item.expiresAt && Date.now() > item.expiresAt) {
+            this.strings.delete(key);
+            return null;
+        }
+        return item.value;
+    }
+
+    zset(key) {
+        if (!this.sorted.has(key)) this.sorted.set(key, new Map());
+        return this.sorted.get(key);
+    }
+
+    hash(key) {
+        if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+        return this.hashes.get(key);
+    }
+
+    set(key) {
+        if (!this.sets.has(key)) this.sets.set(key, new Set());
+        return this.sets.get(key);
+    }
+
+    async command(name, ...args) {
+        switch (name.toUpperCase()) {
+            case 'GET':
+                return this.read(args[0]);
+            case 'SET':
+                this.strings.set(args[0], { value: String(args[1]), expiresAt: args[2] === 'PX' ? Date.now() + Number(args[3]) : null });
+                return 'OK';
+            case 'MGET':
+                return args.map(key => this.read(key));
+            case 'DEL':
+                return args.filter(key => this.strings.delete(key)).length;
+            case 'ZADD':
+                this.zset(args[0]).set(String(args[2]), Number(args[1]));
+                return 1;
+            case 'ZREM':
+                return args.slice(1).filter(member => this.zset(args[0]).delete(member)).length;
+            case 'ZCARD':
+                return this.zset(args[0]).size;
+            case 'ZRANGE': {
+                const members = Array.from(this.zset(args[0])).sort((a, b) => a[1] - b[1]).map(([member]) => member);
+                const stop = Number(args[2]);
+                return members.slice(Number(args[1]), stop === -1 ? undefined : stop + 1);
+            }
+            case 'HSET':
+                this.hash(args[0]).set(args[1], String(args[2]));
+                return 1;
+            case 'HGET':
+                return this.hash(args[0]).get(args[1]) ?? null;
+            case 'HMGET':
+                return args.slice(1).map(field => this.hash(args[0]).get(field) ?? null);
+            case 'HINCRBY': {
+                const value = (parseInt(this.hash(args[0]).get(args[1])) || 0) + Number(args[2]);
+                this.hash(args[0]).set(args[1], String(value));
+                return value;
+            }
+            case 'HDEL':
+                return args.slice(1).filter(field => this.hash(args[0]).delete(field)).length;
+            case 'SADD':
+                args.slice(1).forEach(member => this.set(args[0]).add(member));
+                return 1;
+            case 'SREM':
+                return args.slice(1).filter(member => this.set(args[0]).delete(member)).length;
+            case 'SMEMBERS':
+                return Array.from(this.set(args[0]));
+            case 'PING':
+                return 'PONG';
+            default:
+                throw new Error(`ERR unknown command '${name}'`);
+        }
+    }
+}
+
+afterAll(() => {
+    clearInterval(responseCache.cleanupInterval);
+    clearInterval(metricsCollector.saveInterval);
+});
+
+describe.each([
+    ['memory', () => new MemoryCacheStore()],
+    ['sqlite', () => new SQLiteCacheStore({ filename: ':memory:' })],
+    ['redis', () => new RedisCacheStore({ client: new FakeRedis() })]
+])('ResponseCache on the %s store', (name, createStore) => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new ResponseCache({ store: createStore(), maxSize: 2 });
+    });
+
+    afterEach(async () => {
+        await cache.destroy();
+    });
+
+    test('should namespace entries per provider and model', async () => {
+        await cache.set('builder1', 'Topic', 'Prompt', answer('GPT-4'), { provider: 'openai', model: 'gpt-4' });
+
+        expect((await cache.get('builder1', 'Topic', 'Prompt', { provider: 'openai', model: 'gpt-4' })).response).toMatch(/^GPT-4/);
+        expect(await cache.get('builder1', 'Topic', 'Prompt', { provider: 'anthropic', model: 'gpt-4' })).toBeNull();
+        expect(await cache.get('builder1', 'Topic', 'Prompt', { provider: 'openai', model: 'gpt-4o' })).toBeNull();
+        expect((await cache.getStats()).namespaces).toEqual({ 'openai/gpt-4': 1 });
+    });
+
+    test('should evict the least recently used entry', async () => {
+        await cache.set('builder1', 'Topic', 'first', answer('First'));
+        await cache.set('builder1', 'Topic', 'second', answer('Second'));
+        await cache.get('builder1', 'Topic', 'first');
+        await cache.set('builder1', 'Topic', 'third', answer('Third'));
+
+        expect(await cache.get('builder1', 'Topic', 'second')).toBeNull();
+        expect(await cache.get('builder1', 'Topic', 'first')).not.toBeNull();
+        expect(await cache.getStats()).toMatchObject({ store: name, cacheSize: 2, evictionCount: 1 });
+    });
+
+    test('should expire entries after the TTL', async () => {
+        cache.ttl = 20;
+        await cache.set('builder1', 'Topic', 'Prompt', answer('Short lived'));
+        await new Promise(resolve => setTimeout(resolve, 40));
+
+        expect(await cache.get('builder1', 'Topic', 'Prompt')).toBeNull();
+        await cache.cleanup();
+        expect((await cache.getStats()).cacheSize).toBe(0);
+    });
+
+    test('should count hits per entry and keep pinned entries', async () => {
+        cache.ttl = 20;
+        await cache.set('builder1', 'Topic', 'pinned', answer('Pinned'));
+        await cache.set('builder1', 'Topic', 'second', answer('Second'));
+        const [{ key }] = (await cache.listEntries({ pattern: 'pinned' })).entries;
+
+        await cache.get('builder1', 'Topic', 'pinned');
+        await cache.get('builder1', 'Topic', 'pinned');
+        expect(await cache.pin(key)).toMatchObject({ hits: 2, pinned: true, expiresAt: null });
+
+        await new Promise(resolve => setTimeout(resolve, 40));
+        await cache.set('builder1', 'Topic', 'third', answer('Third'));
+        await cache.set('builder1', 'Topic', 'fourth', answer('Fourth'));
+        await cache.cleanup();
+
+        expect(await cache.getEntry(key)).toMatchObject({ hits: 2, pinned: true, response: answer('Pinned') });
+        expect((await cache.get('builder1', 'Topic', 'pinned')).response).toMatch(/^Pinned/);
+        expect(await cache.get('builder1', 'Topic', 'third')).toBeNull();
+        expect(await cache.getStats()).toMatchObject({ cacheSize: 2, pinnedEntries: 1 });
+    });
+
+    test('should clear a single namespace', async () => {
+        await cache.set('builder1', 'Topic', 'Prompt', answer('GPT-4'), { provider: 'openai', model: 'gpt-4' });
+        await cache.set('builder1', 'Topic', 'Prompt', answer('Claude'), { provider: 'anthropic', model: 'claude-3-haiku' });
+
+        expect(await cache.clear('openai/gpt-4')).toBe(1);
+        expect((await cache.getStats()).namespaces).toEqual({ 'anthropic/claude-3-haiku': 1 });
+    });
+});
+
+describe('Shared cache stores', () => {
+    test('should serve entries written by another instance', async () => {
+        const redis = new FakeRedis();
+        const first = new ResponseCache({ store: new RedisCacheStore({ client: redis }) });
+        const second = new ResponseCache({ store: new RedisCacheStore({ client: redis }) });
+
+        await first.set('builder1', 'Topic', 'Prompt', answer('Shared'), { provider: 'openai', model: 'gpt-4' });
+        const hit = await second.get('builder1', 'Topic', 'Prompt', { provider: 'openai', model: 'gpt-4' });
+
+        expect(hit).toMatchObject({ fromCache: true, cached: true });
+        await first.destroy();
+        await second.destroy();
+    });
+
+    test('should treat an unreachable store as a miss', async () => {
+        const cache = new ResponseCache({
+            store: new RedisCacheStore({ client: { command: async () => { throw new Error('ECONNREFUSED'); } } })
+        });
+
+        await cache.set('builder1', 'Topic', 'Prompt', answer('Lost'));
+        expect(await cache.get('builder1', 'Topic', 'Prompt')).toBeNull();
+        expect(await cache.getStats()).toMatchObject({ missCount: 1, storeError: 'ECONNREFUSED' });
+        await cache.destroy();
+    });
+
+    test('should treat a SQLite file that cannot be opened as a miss', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+        const blocker = path.join(dir, 'not-a-directory');
+        fs.writeFileSync(blocker, '');
+        const cache = new ResponseCache({ store: new SQLiteCacheStore({ filename: path.join(blocker, 'cache.sqlite') }) });
+
+        await cache.set('builder1', 'Topic', 'Prompt', answer('Lost'));
+        expect(await cache.get('builder1', 'Topic', 'Prompt')).toBeNull();
+        expect((await cache.getStats()).storeError).toMatch(/EEXIST|ENOTDIR/);
+        await cache.destroy();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should create stores by name', () => {
+        expect(createCacheStore('memory').name).toBe('memory');
+        expect(() => createCacheStore('memcached')).toThrow('Unknown cache store: memcached');
+    });
+});
+
+describe('RESP client', () => {
+    let server;
+    let url;
+    const redis = new FakeRedis();
+
+    beforeAll(async () => {
+        // Answers RESP arrays of bulk strings with the fake's replies
+        server = net.createServer(socket => {
+            let buffer = '';
+            socket.on('data', async (chunk) => {
+                buffer += chunk.toString();
+                let match;
+                while ((match = buffer.match(/^\*(\d+)\r\n((?:\$\d+\r\n[^\r]*\r\n)*)/)) && match[2].split('\r\n').length - 1 >= match[1] * 2) {
+                    const parts = match[2].split('\r\n').filter((part, index) => index % 2 === 1).slice(0, Number(match[1]));
+                    const consumed = `*${match[1]}\r\n` + parts.map(part => `$${Buffer.byteLength(part)}\r\n${part}\r\n`).join('');
+                    buffer = buffer.slice(consumed.length);
+                    socket.write(encode(await redis.command(...parts).catch(error => error)));
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `redis://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const encode = (value) => {
+        if (value instanceof Error) return `-${value.message}\r\n`;
+        if (value === null) return '$-1\r\n';
+        if (typeof value === 'number') return `:${value}\r\n`;
+        if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+        return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    };
+
+    test('should exchange commands with a Redis-protocol server', async () => {
+        const client = new RespClient(url);
+
+        expect(await client.command('PING')).toBe('PONG');
+        expect(await client.command('SET', 'key', 'zażółć', 'PX', 1000)).toBe('OK');
+        expect(await client.command('MGET', 'key', 'missing')).toEqual(['zażółć', null]);
+        await expect(client.command('FLUSHALL')).rejects.toThrow("Redis: ERR unknown command 'FLUSHALL'");
+        await client.close();
+    });
+
+    test('should fail pending commands when the server stops answering', async () => {
+        const sockets = [];
+        const silent = net.createServer(socket => sockets.push(socket));
+        await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+        const client = new RespClient(`redis://127.0.0.1:${silent.address().port}`, { commandTimeout: 50 });
+
+        const results = await Promise.allSettled([client.command('GET', 'a'), client.command('GET', 'b')]);
+
+        expect(results.map(result => result.reason?.message)).toEqual([
+            'Redis command GET timed out after 50ms',
+            'Redis command GET timed out after 50ms'
+        ]);
+        expect(client.pending).toHaveLength(0);
+        await client.close();
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => silent.close(resolve));
+    });
+
+    test('should back a RedisCacheStore', async () => {
+        const cache = new ResponseCache({ store: new RedisCacheStore({ url, prefix: 'test' }) });
+
+        await cache.set('builder1', 'Topic', 'Prompt', answer('Over the wire'), { provider: 'openai', model: 'gpt-4' });
+        expect((await cache.get('builder1', 'Topic', 'Prompt', { provider: 'openai', model: 'gpt-4' })).response).toMatch(/^Over the wire/);
+        expect(await cache.getStats()).toMatchObject({ store: 'redis', cacheSize: 1 });
+        await cache.destroy();
+    });
+});
@@ -0,0 +1,229 @@
+import { AdvancedAIEngine } from '../src/advanced_engine.js';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import { MemoryCheckpointStore, DatabaseCheckpointStore } from '../src/checkpoint_store.js';
+import { DatabaseSessionManager } from '../src/database_session_manager.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy anulowania i wznawiania sesji z checkpointów
+ */
+
+const createEngine = (store, options = {}) => {
+    const engine = new AdvancedAIEngine({
+        maxIterations: 4,
+        qualityThreshold: 9.5,
+        maxConsensus: 0.99,
+        checkpointStore: store,
+        ...options
+    });
+
+    // Deterministic iterations without network calls
+    engine.runIteration = async function (problem, progressCallback, signal) {
+        this.throwIfAborted(signal);
+        const iteration = {
+            number: this.sessionState.iteration + 1,
+            timestamp: Date.now(),
+            contributions: {},
+            metrics: { quality: 6 + this.sessionState.iteration * 0.5, consensus: 0.5, diversity: 0.5, breakthrough: false }
+        };
+        this.sessionState.qualityHistory.push(iteration.metrics.quality);
+        this.sessionState.consensusHistory.push(iteration.metrics.consensus);
+        return iteration;
+    };
+    engine.applyBreakthroughStrategy = async () => {};
+    engine.generateFinalSolution = async (iterations) => ({ primary: 'done', iterationsUsed: iterations.length });
+
+    return engine;
+};
+
+// Columns of a table in database/schema.sql: { name: required (NOT NULL without a default) }
+const schemaColumns = (table) => {
+    const schema = fs.readFileSync(new URL('../database/schema.sql', import.meta.url), 'utf8');
+    const body = new RegExp(`CREATE TABLE ${table} \\(([\\s\\S]*?)\\n\\);`).exec(schema)[1];
+    const columns = {};
+    for (const line of body.split('\n').map(l => l.trim()).filter(Boolean)) {
+        const [name] = line.split(/\s+/);
+        if (/^(UNIQUE|PRIMARY|FOREIGN|CONSTRAINT|--)/.test(name)) continue;
+        columns[name] = /NOT NULL|PRIMARY KEY/.test(line) && !/DEFAULT|SERIAL/.test(line);
+    }
+    return columns;
+};
+
+const insertedColumns = (sql, table) => {
+    const match = new RegExp(`INSERT INTO ${table} \\(([^)]*)\\)`).exec(sql);
+    return match[1].split(',').map(column => column.trim());
+};
+
+describe('Solve checkpoints', () => {
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should persist every iteration to the checkpoint store', async () => {
+        const store = new MemoryCheckpointStore();
+        const session = await createEngine(store).solveProblem('Checkpointed problem');
+
+        const checkpoint = await store.loadCheckpoint(session.id);
+        expect(checkpoint.iterations).toHaveLength(4);
+        expect(checkpoint.status).toBe('completed');
+        expect(checkpoint.sessionState.iteration).toBe(4);
+    });
+
+    test('should stop with an AbortError and leave the session paused', async () => {
+        const store = new MemoryCheckpointStore();
+        const engine = createEngine(store);
+        const controller = new AbortController();
+
+        const originalRun = engine.runIteration;
+        engine.runIteration = async function (...args) {
+            const iteration = await originalRun.apply(this, args);
+            if (iteration.number === 2) controller.abort();
+            return iteration;
+        };
+
+        const error = await engine.solveProblem('Aborted problem', null, { signal: controller.signal })
+            .catch(err => err);
+
+        expect(error.name).toBe('AbortError');
+        const checkpoint = await store.loadCheckpoint(error.sessionId);
+        expect(checkpoint.status).toBe('paused');
+        expect(checkpoint.iterations).toHaveLength(2);
+    });
+
+    test('should resume from the last checkpointed iteration', async () => {
+        const store = new MemoryCheckpointStore();
+        const controller = new AbortController();
+        const first = createEngine(store);
+        const originalRun = first.runIteration;
+        first.runIteration = async function (...args) {
+            const iteration = await originalRun.apply(this, args);
+            if (iteration.number === 2) controller.abort();
+            return iteration;
+        };
+
+        const error = await first.solveProblem('Resumable problem', null, { signal: controller.signal })
+            .catch(err => err);
+
+        const session = await createEngine(store).resumeProblem(error.sessionId);
+
+        expect(session.id).toBe(error.sessionId);
+        expect(session.resumedFrom).toBe(2);
+        expect(session.iterations.map(iter => iter.number)).toEqual([1, 2, 3, 4]);
+        expect((await store.loadCheckpoint(error.sessionId)).status).toBe('completed');
+    });
+
+    test('should refuse to resume a completed session', async () => {
+        const store = new MemoryCheckpointStore();
+        const session = await createEngine(store).solveProblem('Finished problem');
+
+        await expect(createEngine(store).resumeProblem(session.id)).rejects.toThrow('already completed');
+    });
+
+    test('should drop the oldest completed sessions past the limit and keep paused ones', async () => {
+        const store = new MemoryCheckpointStore({ maxCompletedSessions: 2 });
+        const paused = await store.createSession('Paused problem');
+        await store.updateStatus(paused, 'paused');
+
+        const ids = [];
+        for (let i = 0; i < 3; i++) {
+            const id = await store.createSession(`Problem ${i}`);
+            await store.updateStatus(id, 'completed');
+            ids.push(id);
+        }
+
+        expect(await store.loadCheckpoint(ids[0])).toBeNull();
+        expect(await store.loadCheckpoint(ids[2])).not.toBeNull();
+        expect((await store.loadCheckpoint(paused)).status).toBe('paused');
+    });
+});
+
+describe('Database checkpoint store', () => {
+    const createStore = () => {
+        const manager = new DatabaseSessionManager();
+        const rows = { sessions: new Map(), iterations: [] };
+        manager.db = {
+            query: jest.fn(async (sql, params = []) => {
+                if (sql.includes('INSERT INTO sessions')) {
+                    const row = { id: params[0], user_id: params[1], problem: params[2], status: params[3], metadata: JSON.parse(params[6]) };
+                    rows.sessions.set(row.id, row);
+                    return { rows: [row] };
+                }
+                if (sql.includes('INSERT INTO session_iterations')) {
+                    const row = { session_id: params[0], iteration_number: params[1], data: JSON.parse(params[4]) };
+                    rows.iterations.push(row);
+                    return { rows: [row] };
+                }
+                if (sql.includes('UPDATE sessions')) {
+                    const session = rows.sessions.get(params[params.length - 1]);
+                    session.status = params[0];
+                    return { rows: [session] };
+                }
+                if (sql.includes('FROM session_iterations')) {
+                    return { rows: rows.iterations.filter(row => row.session_id === params[0]) };
+                }
+                return { rows: rows.sessions.has(params[0]) ? [rows.sessions.get(params[0])] : [] };
+            })
+        };
+        return { store: new DatabaseCheckpointStore(manager), query: manager.db.query };
+    };
+
+    const queries = (query, pattern) => query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+    test('should insert sessions with the columns database/schema.sql defines', async () => {
+        const { store, query } = createStore();
+        const id = await store.createSession('Schema problem', { jobId: 'job-1' });
+
+        const [[sql, params]] = queries(query, /INSERT INTO sessions/);
+        const columns = insertedColumns(sql, 'sessions');
+        const schema = schemaColumns('sessions');
+
+        expect(columns.filter(column => !(column in schema))).toEqual([]);
+        expect(Object.keys(schema).filter(column => schema[column] && !columns.includes(column))).toEqual([]);
+        expect(params[columns.indexOf('id')]).toBe(id);
+        expect(params[columns.indexOf('problem')]).toBe('Schema problem');
+        expect(typeof params[columns.indexOf('last_save_time')]).toBe('number');
+    });
+
+    test('should store iterations in session_iterations and load them back', async () => {
+        const { store, query } = createStore();
+        const id = await store.createSession('Iterated problem');
+        await store.saveIteration(id, { number: 1, timestamp: 1700000000000 }, { iteration: 1 });
+
+        const [[sql, params]] = queries(query, /INSERT INTO session_iterations/);
+        const columns = insertedColumns(sql, 'session_iterations');
+        const schema = schemaColumns('session_iterations');
+
+        expect(columns.filter(column => !(column in schema))).toEqual([]);
+        expect(Object.keys(schema).filter(column => schema[column] && !columns.includes(column))).toEqual([]);
+        expect(params[columns.indexOf('timestamp')]).toBe(1700000000000);
+        expect(query.mock.calls.some(([text]) => /\biterations\b/.test(text.replace(/session_iterations|as iterations/g, '')))).toBe(false);
+
+        const checkpoint = await store.loadCheckpoint(id);
+        expect(checkpoint.problem).toBe('Iterated problem');
+        expect(checkpoint.iterations).toEqual([{ number: 1, timestamp: 1700000000000 }]);
+        expect(checkpoint.sessionState).toEqual({ iteration: 1 });
+    });
+
+    test('should find runs of a collaboration session by their metadata', async () => {
+        const { store, query } = createStore();
+        await store.hasCollaborationSession('room-1');
+
+        const [[sql, params]] = queries(query, /SELECT 1 FROM sessions/);
+        expect(sql).toContain("metadata->>'collaborationSessionId' = $1");
+        expect(params).toEqual(['room-1']);
+    });
+
+    test('should set last_save_time when the status changes', async () => {
+        const { store, query } = createStore();
+        const id = await store.createSession('Paused problem');
+        await store.updateStatus(id, 'paused');
+
+        const [[sql, params]] = queries(query, /UPDATE sessions/);
+        expect(sql).toMatch(/status = \$1/);
+        expect(sql).toMatch(/last_save_time = \$2/);
+        expect(params).toEqual(['paused', expect.any(Number), id]);
+    });
+});
@@ -0,0 +1,463 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import net from 'net';
+import { EventEmitter } from 'events';
+import { CollaborationHub, CollaborationError } from '../src/collaboration_hub.js';
+import { connectWebSocket } from '../src/websocket.js';
+import { SharedDocument } from '../src/shared_document.js';
+import { MemoryCheckpointStore } from '../src/checkpoint_store.js';
+
+/**
+ * Testy huba współpracy: pokoje, role, obecność, komentarze, dokumenty i postęp zadań
+ */
+
+// In-process participant: records every message the hub sends
+const createClient = () => {
+    const messages = [];
+    return {
+        messages,
+        send: (message) => messages.push(message),
+        last: (type) => messages.filter(message => message.type === type).pop(),
+        all: (type) => messages.filter(message => message.type === type)
+    };
+};
+
+// Next message of a type on a WebSocket connection
+const nextMessage = (connection, type) => new Promise((resolve) => {
+    const listener = (data) => {
+        const message = JSON.parse(data);
+        if (message.type === type) {
+            connection.off('message', listener);
+            resolve(message);
+        }
+    };
+    connection.on('message', listener);
+});
+
+describe('CollaborationHub rooms', () => {
+    let hub;
+
+    beforeEach(() => {
+        hub = new CollaborationHub({ maxParticipants: 3, maxComments: 2 });
+    });
+
+    test('should welcome joiners with the room state and announce them to others', () => {
+        const alice = createClient();
+        const bob = createClient();
+
+        const a = hub.join('session-1', { name: 'Alice' }, alice);
+        hub.join('session-1', { name: 'Bob', userId: 'u-bob' }, bob);
+
+        expect(bob.last('welcome').room.participants.map(p => p.name)).toEqual(['Alice', 'Bob']);
+        expect(alice.last('participant_joined').participant).toMatchObject({ name: 'Bob', userId: 'u-bob', status: 'active' });
+        expect(bob.all('participant_joined')).toHaveLength(0);
+        expect(a.transport).toBeUndefined();
+    });
+
+    test('should keep rooms separate and remove empty rooms', () => {
+        const alice = createClient();
+        const carol = createClient();
+        const a = hub.join('session-1', { name: 'Alice' }, alice);
+        hub.join('session-2', { name: 'Carol' }, carol);
+
+        hub.handleMessage('session-1', a.id, JSON.stringify({ type: 'comment', text: 'Only for session 1' }));
+        expect(carol.all('comment')).toHaveLength(0);
+
+        hub.leave('session-1', a.id);
+        expect(hub.getRoom('session-1')).toBeNull();
+        expect(hub.listRooms()).toEqual([expect.objectContaining({ sessionId: 'session-2', participants: 1 })]);
+    });
+
+    test('should broadcast comments to every participant and keep recent ones for late joiners', () => {
+        const alice = createClient();
+        const bob = createClient();
+        const a = hub.join('session-1', { name: 'Alice' }, alice);
+        hub.join('session-1', { name: 'Bob' }, bob);
+
+        for (const text of ['first', 'second', 'third']) {
+            hub.handleMessage('session-1', a.id, { type: 'comment', text });
+        }
+
+        expect(alice.all('comment').map(m => m.comment.text)).toEqual(['first', 'second', 'third']);
+        expect(bob.last('comment').comment).toMatchObject({ text: 'third', author: { id: a.id, name: 'Alice' } });
+
+        const late = createClient();
+        hub.join('session-1', { name: 'Late' }, late);
+        expect(late.last('welcome').room.comments.map(c => c.text)).toEqual(['second', 'third']);
+    });
+
+    test('should relay presence and leave notices', () => {
+        const alice = createClient();
+        const bob = createClient();
+        const a = hub.join('session-1', { name: 'Alice' }, alice);
+        const b = hub.join('session-1', { name: 'Bob' }, bob);
+
+        hub.handleMessage('session-1', b.id, { type: 'presence', status: 'away', cursor: { section: 'solution', offset: 12 } });
+        expect(alice.last('presence').participant).toMatchObject({ id: b.id, status: 'away', cursor: { section: 'solution', offset: 12 } });
+
+        hub.leave('session-1', b.id, 'disconnected');
+        expect(alice.last('participant_left')).toMatchObject({ participant: { id: b.id }, reason: 'disconnected' });
+        expect(hub.getRoom('session-1').participants.map(p => p.id)).toEqual([a.id]);
+    });
+
+    test('should answer invalid messages to the sender only', () => {
+        const alice = createClient();
+        const bob = createClient();
+        const a = hub.join('session-1', { name: 'Alice' }, alice);
+        hub.join('session-1', { name: 'Bob' }, bob);
+
+        hub.handleMessage('session-1', a.id, 'not json');
+        hub.handleMessage('session-1', a.id, { type: 'comment', text: '' });
+        hub.handleMessage('session-1', a.id, { type: 'delete_everything' });
+
+        expect(alice.all('error')).toHaveLength(3);
+        expect(bob.all('error')).toHaveLength(0);
+    });
+
+    test('should refuse invalid identities and full rooms', () => {
+        expect(() => hub.join('bad id!', { name: 'Alice' }, createClient())).toThrow(CollaborationError);
+        expect(() => hub.join('session-1', { name: ' ' }, createClient())).toThrow(CollaborationError);
+
+        for (const name of ['A', 'B', 'C']) hub.join('session-1', { name }, createClient());
+        expect(() => hub.join('session-1', { name: 'D' }, createClient())).toThrow('is full');
+    });
+
+    test('should relay solve job progress to the room of the job session only', () => {
+        const jobs = new EventEmitter();
+        const job = { id: 'job-1', sessionId: 'session-1' };
+        const shared = { id: 'job-2', sessionId: 'checkpoint-2', collaborationSessionId: 'session-2' };
+        jobs.getJob = (id) => [job, shared].find(candidate => candidate.id === id) || null;
+
+        const alice = createClient();
+        const bob = createClient();
+        const carol = createClient();
+        const mallory = createClient();
+        hub.join('session-1', { name: 'Alice' }, alice);
+        hub.join('job-1', { name: 'Bob' }, bob);
+        hub.join('session-2', { name: 'Carol' }, carol);
+        hub.join('checkpoint-2', { name: 'Mallory' }, mallory);
+        const stop = hub.relayJobEvents(jobs);
+
+        jobs.emit('event', { jobId: 'job-1', type: 'consensus_update', payload: { quality: 8.1, iteration: 2 } });
+        jobs.emit('event', { jobId: 'job-2', type: 'consensus_update', payload: { quality: 1 } });
+        jobs.emit('event', { jobId: 'job-3', type: 'consensus_update', payload: { quality: 2 } });
+
+        expect(alice.last('solve_event').event).toMatchObject({ type: 'consensus_update', payload: { quality: 8.1 } });
+        expect(alice.all('solve_event')).toHaveLength(1);
+        expect(carol.last('solve_event').event).toMatchObject({ jobId: 'job-2' });
+        // Rooms named after a job ID or a collaboration job's checkpoint get nothing
+        expect(bob.all('solve_event')).toEqual([]);
+        expect(mallory.all('solve_event')).toEqual([]);
+        expect(hub.getRoom('session-1').lastProgress).toMatchObject({ type: 'consensus_update', iteration: 2 });
+
+        stop();
+        jobs.emit('event', { jobId: 'job-1', type: 'solve_completed', payload: {} });
+        expect(alice.all('solve_event')).toHaveLength(1);
+    });
+});
+
+describe('CollaborationHub shared documents', () => {
+    let hub;
+
+    beforeEach(() => {
+        hub = new CollaborationHub();
+    });
+
+    test('should relay document edits with attribution and hand the state to late joiners', () => {
+        const alice = createClient();
+        const bob = createClient();
+        const a = hub.join('session-1', { name: 'Alice', userId: 'u-alice' }, alice);
+        const b = hub.join('session-1', { name: 'Bob' }, bob, { role: 'contributor' });
+
+        const aliceDoc = new SharedDocument({ siteId: a.id });
+        hub.handleMessage('session-1', a.id, { type: 'doc_ops', doc: 'statement', ops: aliceDoc.insert(0, 'Reduce costs') });
+
+        const bobDoc = new SharedDocument({ siteId: b.id, snapshot: bob.last('welcome').room.documents.statement });
+        bobDoc.apply(bob.last('doc_ops').ops);
+        hub.handleMessage('session-1', b.id, { type: 'doc_ops', doc: 'statement', ops: bobDoc.insert(6, ' energy') });
+        aliceDoc.apply(alice.last('doc_ops').ops);
+
+        expect(aliceDoc.text).toBe('Reduce energy costs');
+        expect(hub.getDocumentText('session-1', 'statement')).toBe('Reduce energy costs');
+        expect(alice.last('doc_ops').by.name).toBe('Bob');
+        expect(bob.all('doc_ops')).toHaveLength(1);
+
+        const late = createClient();
+        hub.join('session-1', { name: 'Late' }, late);
+        const lateDoc = new SharedDocument({ siteId: 'late', snapshot: late.last('welcome').room.documents.statement });
+        expect(lateDoc.getContributors()).toEqual({ 'u-alice': 12, Bob: 7 });
+        expect(late.last('welcome').room.documents.notes.elements).toEqual([]);
+    });
+
+    test('should refuse characters forged with another participant\'s replica ID', () => {
+        const alice = createClient();
+        const a = hub.join('session-1', { name: 'Alice' }, alice);
+
+        const forged = new SharedDocument({ siteId: 'someone-else' }).insert(0, 'x');
+        expect(hub.applyDocumentOps('session-1', a.id, 'notes', forged)).toBe(false);
+        expect(alice.last('doc_rejected').doc).toBe('notes');
+        expect(hub.getDocumentText('session-1', 'notes')).toBe('');
+    });
+
+    test('should not let operations on unknown characters block a document', () => {
+        hub = new CollaborationHub({ maxDocumentLength: 5 });
+        const alice = createClient();
+        const a = hub.join('session-1', { name: 'Alice' }, alice);
+
+        hub.handleMessage('session-1', a.id, { type: 'doc_ops', doc: 'notes', ops: [{ type: 'delete', id: '<script>' }] });
+        expect(alice.last('error').message).toContain('ops');
+
+        const orphans = Array.from({ length: 10 }, (_, n) => ({ type: 'delete', id: `${n + 1}@ghost` }));
+        expect(hub.applyDocumentOps('session-1', a.id, 'notes', orphans)).toBe(true);
+        expect(hub.applyDocumentOps('session-1', a.id, 'notes', new SharedDocument({ siteId: a.id }).insert(0, 'notes'))).toBe(true);
+        expect(hub.getDocumentText('session-1', 'notes')).toBe('notes');
+    });
+
+    test('should reject edits of a locked statement and release locks of leaving participants', () => {
+        const alice = createClient();
+        const bob = createClient();
+        const a = hub.join('session-1', { name: 'Alice' }, alice);
+        const b = hub.join('session-1', { name: 'Bob' }, bob, { role: 'facilitator' });
+
+        hub.handleMessage('session-1', a.id, { type: 'doc_lock', doc: 'statement', locked: true, reason: 'solving' });
+        expect(bob.last('doc_lock')).toMatchObject({ doc: 'statement', locked: true, lock: { reason: 'solving', by: { name: 'Alice' } } });
+
+        const ops = new SharedDocument({ siteId: b.id }).insert(0, 'edit');
+        hub.handleMessage('session-1', b.id, { type: 'doc_ops', doc: 'statement', ops });
+        expect(bob.last('doc_rejected').message).toMatch(/locked/);
+        expect(bob.last('doc_state')).toMatchObject({ doc: 'statement', state: { elements: [] } });
+        expect(alice.all('doc_ops')).toHaveLength(0);
+
+        // Notes stay editable, and only the holder may unlock
+        hub.handleMessage('session-1', b.id, { type: 'doc_ops', doc: 'notes', ops: new SharedDocument({ siteId: b.id }).insert(0, 'n') });
+        expect(alice.last('doc_ops').doc).toBe('notes');
+        hub.handleMessage('session-1', b.id, { type: 'doc_lock', doc: 'statement', locked: false });
+        expect(bob.last('error').message).toMatch(/locked by Alice/);
+
+        hub.leave('session-1', a.id);
+        expect(bob.last('doc_lock')).toMatchObject({ doc: 'statement', locked: false });
+        expect(hub.getRoom('session-1').locks.statement).toBeNull();
+    });
+
+    test('should lock the statement while a solve job runs', () => {
+        const jobs = new EventEmitter();
+        jobs.getJob = (id) => ({ id, sessionId: 'job-session' });
+        const alice = createClient();
+        const a = hub.join('job-session', { name: 'Alice' }, alice);
+        hub.relayJobEvents(jobs);
+
+        jobs.emit('event', { jobId: 'job-1', type: 'solve_started', payload: {} });
+        jobs.emit('event', { jobId: 'job-1', type: 'evolution_progress', payload: { iteration: 1 } });
+        expect(alice.all('doc_lock')).toHaveLength(1);
+        expect(hub.applyDocumentOps('job-session', a.id, 'statement', new SharedDocument({ siteId: a.id }).insert(0, 'x'))).toBe(false);
+
+        hub.handleMessage('job-session', a.id, { type: 'doc_lock', doc: 'statement', locked: false });
+        expect(alice.last('error').message).toMatch(/running solve/);
+
+        jobs.emit('event', { jobId: 'job-1', type: 'solve_completed', payload: {} });
+        expect(alice.last('doc_lock')).toMatchObject({ locked: false });
+        expect(hub.applyDocumentOps('job-session', a.id, 'statement', new SharedDocument({ siteId: a.id }).insert(0, 'x'))).toBe(true);
+    });
+});
+
+describe('CollaborationHub session roles', () => {
+    let hub;
+
+    beforeEach(() => {
+        hub = new CollaborationHub({ secret: 'test-secret' });
+    });
+
+    test('should make the first joiner owner and later joiners viewers unless invited', () => {
+        const owner = hub.join('session-1', { name: 'Olga' }, createClient());
+        const viewer = hub.join('session-1', { name: 'Vic' }, createClient());
+        const { token } = hub.createInvite('session-1', owner.id, { role: 'facilitator' });
+        const facilitator = hub.join('session-1', { name: 'Fay' }, createClient(), { invite: token });
+
+        expect([owner.role, viewer.role, facilitator.role]).toEqual(['owner', 'viewer', 'facilitator']);
+        expect(() => hub.join('session-2', { name: 'Fay' }, createClient(), { invite: token })).toThrow('another session');
+        expect(() => hub.createInvite('session-1', facilitator.id, { role: 'facilitator' })).toThrow(CollaborationError);
+        expect(hub.createInvite('session-1', facilitator.id, { role: 'viewer' }).role).toBe('viewer');
+    });
+
+    test('should keep ownership of a session after its room empties', () => {
+        const ownerClient = createClient();
+        const owner = hub.join('session-1', { name: 'Olga' }, ownerClient);
+        const { ownerToken } = ownerClient.last('welcome');
+        hub.leave('session-1', owner.id);
+        expect(hub.getRoom('session-1')).toBeNull();
+
+        const latecomerClient = createClient();
+        expect(hub.join('session-1', { name: 'Mallory' }, latecomerClient).role).toBe('viewer');
+        expect(latecomerClient.last('welcome').ownerToken).toBeUndefined();
+        expect(hub.join('session-1', { name: 'Olga' }, createClient(), { ownerToken }).role).toBe('owner');
+
+        expect(() => hub.join('session-1', { name: 'Mallory' }, createClient(), { ownerToken: `${ownerToken}x` })).toThrow('Owner token');
+        const otherClient = createClient();
+        hub.join('session-2', { name: 'Mallory' }, otherClient);
+        expect(() => hub.join('session-1', { name: 'Mallory' }, createClient(), { ownerToken: otherClient.last('welcome').ownerToken })).toThrow('another session');
+    });
+
+    test('should refuse actions the role does not allow', () => {
+        const ownerClient = createClient();
+        const viewerClient = createClient();
+        const contributorClient = createClient();
+        hub.join('session-1', { name: 'Olga' }, ownerClient);
+        const viewer = hub.join('session-1', { name: 'Vic' }, viewerClient);
+        const contributor = hub.join('session-1', { name: 'Cora' }, contributorClient, { role: 'contributor' });
+
+        hub.handleMessage('session-1', viewer.id, { type: 'comment', text: 'Hello' });
+        hub.handleMessage('session-1', viewer.id, { type: 'doc_ops', doc: 'notes', ops: new SharedDocument({ siteId: viewer.id }).insert(0, 'x') });
+        expect(viewerClient.all('error').map(error => error.code)).toEqual(['forbidden', 'forbidden']);
+        expect(viewerClient.last('doc_state').doc).toBe('notes');
+
+        hub.handleMessage('session-1', contributor.id, { type: 'comment', text: 'Looks good' });
+        hub.handleMessage('session-1', contributor.id, { type: 'doc_lock', doc: 'statement', locked: true });
+        hub.handleMessage('session-1', contributor.id, { type: 'solution_progress', progress: { stage: 'Start', progress: 5 } });
+        expect(ownerClient.all('comment')).toHaveLength(1);
+        expect(contributorClient.all('error').map(error => error.message)).toEqual([
+            'Your role (contributor) does not allow: Start a solve run',
+            'Your role (contributor) does not allow: Start a solve run'
+        ]);
+        expect(hub.getRoom('session-1').locks.statement).toBeNull();
+    });
+
+    test('should let the owner change roles of others', () => {
+        const ownerClient = createClient();
+        const viewerClient = createClient();
+        const owner = hub.join('session-1', { name: 'Olga' }, ownerClient);
+        const viewer = hub.join('session-1', { name: 'Vic' }, viewerClient);
+
+        hub.handleMessage('session-1', owner.id, { type: 'set_role', participantId: viewer.id, role: 'facilitator' });
+        expect(viewerClient.last('role_changed')).toMatchObject({ participant: { id: viewer.id, role: 'facilitator' }, permissions: expect.arrayContaining(['solve.start']) });
+
+        hub.handleMessage('session-1', viewer.id, { type: 'set_role', participantId: owner.id, role: 'viewer' });
+        expect(viewerClient.last('error').code).toBe('forbidden');
+        expect(() => hub.setRole('session-1', owner.id, owner.id, 'viewer')).toThrow(CollaborationError);
+        expect(hub.getRoom('session-1').participants.map(p => p.role)).toEqual(['owner', 'facilitator']);
+    });
+
+    test('should check participant credentials for REST actions', () => {
+        const ownerClient = createClient();
+        const viewerClient = createClient();
+        hub.join('session-1', { name: 'Olga' }, ownerClient);
+        const viewer = hub.join('session-1', { name: 'Vic' }, viewerClient);
+
+        const credential = ownerClient.last('welcome').credential;
+        expect(hub.authorize(credential, 'solve.cancel')).toMatchObject({ sessionId: 'session-1', participant: { name: 'Olga' } });
+        expect(() => hub.authorize(viewerClient.last('welcome').credential, 'export')).toThrow(expect.objectContaining({ status: 403 }));
+        expect(() => hub.authorize('forged.token', 'export')).toThrow(expect.objectContaining({ status: 401 }));
+
+        hub.leave('session-1', viewer.id);
+        expect(() => hub.authorize(viewerClient.last('welcome').credential, 'comment')).toThrow(expect.objectContaining({ status: 401 }));
+    });
+});
+
+describe('CollaborationHub over WebSockets', () => {
+    let server;
+    let detach;
+    let baseUrl;
+    const hub = new CollaborationHub();
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => res.end());
+        detach = hub.attach(server);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `ws://127.0.0.1:${server.address().port}/ws/collaboration`;
+    });
+
+    afterAll(async () => {
+        detach();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should connect several clients to one session', async () => {
+        const alice = await connectWebSocket(`${baseUrl}?sessionId=ws-session&name=Alice`);
+        const aliceWelcome = await nextMessage(alice, 'welcome');
+        const aliceJoined = nextMessage(alice, 'participant_joined');
+
+        // Bob joins through an invite link, without the session ID
+        const { token } = hub.createInvite('ws-session', aliceWelcome.participant.id, { role: 'contributor' });
+        const bobWelcome = connectWebSocket(`${baseUrl}?invite=${token}&name=Bob`)
+            .then(async (bob) => ({ bob, welcome: await nextMessage(bob, 'welcome') }));
+        const { bob, welcome } = await bobWelcome;
+
+        expect(aliceWelcome.participant.role).toBe('owner');
+        expect(welcome.participant.role).toBe('contributor');
+        expect(welcome.room.participants.map(p => p.name)).toEqual(['Alice', 'Bob']);
+        expect((await aliceJoined).participant.name).toBe('Bob');
+
+        // A long comment spans a 16-bit length frame
+        const text = `Looks good ${'x'.repeat(300)} ✓`;
+        const received = nextMessage(alice, 'comment');
+        bob.send({ type: 'comment', text });
+        expect((await received).comment).toMatchObject({ text, author: { name: 'Bob' } });
+
+        const left = nextMessage(alice, 'participant_left');
+        bob.close();
+        expect((await left).participant.name).toBe('Bob');
+
+        const closed = new Promise(resolve => alice.once('close', resolve));
+        alice.close();
+        expect((await closed).code).toBe(1000);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(hub.getRoom('ws-session')).toBeNull();
+    });
+
+    test('should reject handshakes without a session or name, or with a forged invite', async () => {
+        await expect(connectWebSocket(`${baseUrl}?name=Alice`)).rejects.toMatchObject({ status: 400 });
+        await expect(connectWebSocket(`${baseUrl}?sessionId=ws-session`)).rejects.toMatchObject({ status: 400 });
+        await expect(connectWebSocket(`${baseUrl}?invite=eyJ0eXAiOiJpbnZpdGUifQ.forged&name=Eve`)).rejects.toMatchObject({ status: 403 });
+    });
+
+    test('should not make the first joiner owner of a session with stored threads or runs', async () => {
+        const anchor = { iteration: 1, role: 'architect', start: 0, end: 5 };
+        await hub.commentStore.createThread('old-session', anchor, { author: { name: 'Olga' }, text: 'Kept after a restart' });
+        hub.checkpointStore = new MemoryCheckpointStore();
+        await hub.checkpointStore.createSession('Old problem', { collaborationSessionId: 'old-run' });
+
+        for (const sessionId of ['old-session', 'old-run']) {
+            const mallory = await connectWebSocket(`${baseUrl}?sessionId=${sessionId}&name=Mallory`);
+            expect((await nextMessage(mallory, 'welcome')).participant.role).toBe('viewer');
+            mallory.close();
+        }
+
+        const fresh = await connectWebSocket(`${baseUrl}?sessionId=fresh-session&name=Alice`);
+        expect((await nextMessage(fresh, 'welcome')).participant.role).toBe('owner');
+        fresh.close();
+    });
+
+    test('should count a failing store as stored state', async () => {
+        const failing = new CollaborationHub({ commentStore: { listThreads: async () => { throw new Error('database down'); } } });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await failing.hasStoredState('any-session')).toBe(true);
+        warn.mockRestore();
+    });
+
+    test('should survive a client that resets the socket after a refused join', async () => {
+        const { port } = server.address();
+        const socket = net.connect(port, '127.0.0.1');
+        await new Promise(resolve => socket.once('connect', resolve));
+
+        socket.write([
+            'GET /ws/collaboration?sessionId=reset-session&name=Eve&owner=bad.sig HTTP/1.1',
+            'Host: 127.0.0.1',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+            'Sec-WebSocket-Version: 13',
+            '', ''
+        ].join('\r\n'));
+
+        // The handshake is accepted, then the join is refused with an error message and a close frame
+        const response = await new Promise(resolve => socket.once('data', resolve));
+        expect(response.toString()).toContain('101');
+        socket.resetAndDestroy();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        // The server is still up and accepts new clients
+        const alice = await connectWebSocket(`${baseUrl}?sessionId=reset-session&name=Alice`);
+        expect((await nextMessage(alice, 'welcome')).participant.name).toBe('Alice');
+        alice.close();
+    });
+});
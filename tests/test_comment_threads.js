@@ -0,0 +1,296 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { CollaborationHub } from '../src/collaboration_hub.js';
+import { addCollaborationRoutes } from '../src/collaboration_routes.js';
+import { MemoryCommentStore, DatabaseCommentStore, createCommentStore } from '../src/comment_store.js';
+import { DatabaseSessionManager } from '../src/database_session_manager.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy wątków komentarzy zakotwiczonych we wkładach ról
+ */
+
+// Records hub messages of an in-process participant
+const createClient = () => {
+    const messages = [];
+    return {
+        send: (message) => messages.push(message),
+        last: (type) => messages.filter(message => message.type === type).pop(),
+        all: (type) => messages.filter(message => message.type === type)
+    };
+};
+
+// Lets the hub finish its asynchronous store calls
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const anchor = { iteration: 2, role: 'evaluator', start: 10, end: 42, quote: 'supplier lock-in is the main risk' };
+
+describe('MemoryCommentStore', () => {
+    test('should keep threads per session and filter them', async () => {
+        const store = new MemoryCommentStore();
+        const author = { id: 'u1', name: 'Olga' };
+
+        const thread = await store.createThread('session-1', anchor, { author, text: 'Is this really the main risk?' });
+        await store.createThread('session-1', { ...anchor, iteration: 1, role: 'architect' }, { author, text: 'Nice' });
+        await store.createThread('session-2', anchor, { author, text: 'Elsewhere' });
+
+        expect(thread).toMatchObject({ sessionId: 'session-1', anchor: { ...anchor, runId: null }, status: 'open', createdBy: 'Olga' });
+        expect(await store.addComment('session-2', thread.id, { author, text: 'Wrong session' })).toBeNull();
+
+        await store.addComment('session-1', thread.id, { author, text: 'Yes', mentions: ['Cora'] });
+        const resolved = await store.setStatus('session-1', thread.id, 'resolved', 'Cora');
+        expect(resolved).toMatchObject({ status: 'resolved', resolvedBy: 'Cora' });
+        expect(resolved.comments.map(comment => comment.text)).toEqual(['Is this really the main risk?', 'Yes']);
+        expect(resolved.comments[1].mentions).toEqual(['Cora']);
+
+        expect((await store.listThreads('session-1')).map(t => t.anchor.iteration)).toEqual([1, 2]);
+        expect(await store.listThreads('session-1', { status: 'open' })).toHaveLength(1);
+        expect(await store.listThreads('session-1', { role: 'evaluator', iteration: 2 })).toHaveLength(1);
+    });
+});
+
+// DatabaseSessionManager over a stubbed db: statements run inside a transaction are
+// logged between BEGIN and COMMIT/ROLLBACK; thread rows are kept for reads
+const createDatabaseStore = ({ failOn = null } = {}) => {
+    const log = [];
+    const threads = new Map();
+    const comments = [];
+
+    const run = async (sql, params = []) => {
+        log.push({ sql, params });
+        if (failOn && failOn.test(sql)) throw new Error('insert failed');
+        if (sql.includes('INSERT INTO comment_threads')) {
+            const [id, session_id, run_id, iteration_number, role_key, range_start, range_end, quote, created_by, created_at] = params;
+            const row = { id, session_id, run_id, iteration_number, role_key, range_start, range_end, quote, status: 'open', created_by, resolved_by: null, resolved_at: null, created_at: String(created_at) };
+            threads.set(id, row);
+            return { rows: [row] };
+        }
+        if (sql.includes('INSERT INTO thread_comments')) {
+            const [id, thread_id, author_id, author_name, body, created_at] = params;
+            const row = { id, thread_id, author_id, author_name, body, created_at: String(created_at), mentions: [] };
+            comments.push(row);
+            return { rows: [row] };
+        }
+        if (sql.includes('INSERT INTO comment_mentions')) {
+            comments.find(comment => comment.id === params[0]).mentions.push(params[1]);
+            return { rows: [] };
+        }
+        if (sql.includes('UPDATE comment_threads')) {
+            Object.assign(threads.get(params[3]), { status: params[0], resolved_by: params[1], resolved_at: params[2] });
+            return { rows: [threads.get(params[3])] };
+        }
+        if (sql.includes('FROM comment_threads')) {
+            const rows = Array.from(threads.values())
+                .filter(row => row.session_id === params[0] && (params[1] === null || row.id === params[1]))
+                .map(row => ({ ...row, comments: comments.filter(comment => comment.thread_id === row.id) }));
+            return { rows };
+        }
+        return { rows: [] };
+    };
+
+    const manager = new DatabaseSessionManager();
+    manager.db = {
+        query: jest.fn(run),
+        transaction: jest.fn(async (callback) => {
+            log.push({ sql: 'BEGIN' });
+            try {
+                const result = await callback({ query: run });
+                log.push({ sql: 'COMMIT' });
+                return result;
+            } catch (error) {
+                log.push({ sql: 'ROLLBACK' });
+                throw error;
+            }
+        })
+    };
+
+    const statements = () => log.map(entry => entry.sql.trim().split(/\s+/).slice(0, 3).join(' '));
+    return { store: new DatabaseCommentStore(manager), manager, log, statements };
+};
+
+describe('DatabaseCommentStore', () => {
+    const author = { id: 'u1', name: 'Olga' };
+    let consoleError;
+
+    beforeEach(() => {
+        consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        consoleError.mockRestore();
+    });
+
+    test('should insert the thread, first comment and mentions in one transaction', async () => {
+        const { store, log, statements } = createDatabaseStore();
+
+        const thread = await store.createThread('session-1', anchor, { author, text: 'Is this the main risk, @Cora?', mentions: ['Cora'] });
+
+        expect(statements().slice(0, 5)).toEqual([
+            'BEGIN',
+            'INSERT INTO comment_threads',
+            'INSERT INTO thread_comments',
+            'INSERT INTO comment_mentions',
+            'COMMIT'
+        ]);
+        expect(log[1].params).toEqual([thread.id, 'session-1', null, 2, 'evaluator', 10, 42, anchor.quote, 'Olga', expect.any(Number)]);
+        expect(log[2].params).toEqual([thread.comments[0].id, thread.id, 'u1', 'Olga', 'Is this the main risk, @Cora?', expect.any(Number)]);
+        expect(thread).toMatchObject({ sessionId: 'session-1', anchor: { ...anchor, runId: null }, status: 'open', createdBy: 'Olga' });
+        expect(thread.comments).toEqual([expect.objectContaining({ author, text: 'Is this the main risk, @Cora?', mentions: ['Cora'] })]);
+    });
+
+    test('should roll back the thread when its first comment cannot be stored', async () => {
+        const { store, statements } = createDatabaseStore({ failOn: /INSERT INTO comment_mentions/ });
+
+        await expect(store.createThread('session-1', anchor, { author, text: 'Hi @Cora', mentions: ['Cora'] }))
+            .rejects.toThrow('insert failed');
+
+        expect(statements()).toEqual([
+            'BEGIN',
+            'INSERT INTO comment_threads',
+            'INSERT INTO thread_comments',
+            'INSERT INTO comment_mentions',
+            'ROLLBACK'
+        ]);
+    });
+
+    test('should add comments, resolve threads and filter them within the session', async () => {
+        const { store, log } = createDatabaseStore();
+        const thread = await store.createThread('session-1', anchor, { author, text: 'First' });
+        await store.createThread('session-1', { ...anchor, iteration: 1 }, { author, text: 'Other' });
+
+        expect(await store.addComment('session-2', thread.id, { author, text: 'Wrong session' })).toBeNull();
+        const reply = await store.addComment('session-1', thread.id, { author: { name: 'Cora' }, text: 'Yes' });
+        expect(reply).toMatchObject({ author: { id: null, name: 'Cora' }, text: 'Yes', mentions: [] });
+
+        const resolved = await store.setStatus('session-1', thread.id, 'resolved', 'Cora');
+        const update = log.find(entry => entry.sql.includes('UPDATE comment_threads'));
+        expect(update.params).toEqual(['resolved', 'Cora', expect.any(Number), thread.id]);
+        expect(resolved).toMatchObject({ status: 'resolved', resolvedBy: 'Cora', resolvedAt: expect.any(Number) });
+        expect(resolved.comments.map(comment => comment.text)).toEqual(['First', 'Yes']);
+
+        expect(await store.listThreads('session-1', { iteration: 2 })).toHaveLength(1);
+        expect(await store.listThreads('session-1', { status: 'open' })).toHaveLength(1);
+        expect(await store.listThreads('session-2')).toEqual([]);
+    });
+
+    test('should default to the database store when DB_HOST is configured', () => {
+        const { COMMENT_STORE, DB_HOST } = process.env;
+        delete process.env.COMMENT_STORE;
+        try {
+            process.env.DB_HOST = 'localhost';
+            expect(createCommentStore()).toBeInstanceOf(DatabaseCommentStore);
+            delete process.env.DB_HOST;
+            expect(createCommentStore()).toBeInstanceOf(MemoryCommentStore);
+        } finally {
+            if (COMMENT_STORE !== undefined) process.env.COMMENT_STORE = COMMENT_STORE;
+            if (DB_HOST !== undefined) process.env.DB_HOST = DB_HOST;
+        }
+    });
+});
+
+describe('CollaborationHub comment threads', () => {
+    let hub;
+    let olga;
+    let cora;
+    let vic;
+    let ids;
+
+    beforeEach(() => {
+        hub = new CollaborationHub({ secret: 'test-secret', commentStore: new MemoryCommentStore() });
+        olga = createClient();
+        cora = createClient();
+        vic = createClient();
+        ids = {
+            olga: hub.join('session-1', { name: 'Olga' }, olga).id,
+            cora: hub.join('session-1', { name: 'Cora Lee' }, cora, { role: 'contributor' }).id,
+            vic: hub.join('session-1', { name: 'Vic' }, vic).id
+        };
+    });
+
+    test('should open, reply to and resolve anchored threads with mentions', async () => {
+        hub.handleMessage('session-1', ids.olga, { type: 'thread_create', anchor, text: '@cora lee can you back this up?' });
+        await settle();
+
+        const { thread } = vic.last('thread_created');
+        expect(thread).toMatchObject({ anchor, status: 'open', comments: [{ author: { name: 'Olga' }, mentions: ['Cora Lee'] }] });
+        expect(cora.last('mention')).toMatchObject({ threadId: thread.id, anchor: { role: 'evaluator' } });
+        expect(vic.last('mention')).toBeUndefined();
+
+        hub.handleMessage('session-1', ids.cora, { type: 'thread_reply', threadId: thread.id, text: 'See the 2023 audit, @Olga' });
+        await settle();
+        expect(olga.last('thread_comment')).toMatchObject({ threadId: thread.id, comment: { text: 'See the 2023 audit, @Olga', mentions: ['Olga'] } });
+        expect(olga.last('mention').comment.author.name).toBe('Cora Lee');
+
+        hub.handleMessage('session-1', ids.cora, { type: 'thread_status', threadId: thread.id, resolved: true });
+        await settle();
+        expect(olga.last('thread_status')).toMatchObject({ threadId: thread.id, status: 'resolved', resolvedBy: 'Cora Lee' });
+
+        // Late joiners receive the threads after the welcome
+        const late = createClient();
+        hub.join('session-1', { name: 'Lou' }, late);
+        await settle();
+        expect(late.last('threads').threads[0]).toMatchObject({ id: thread.id, status: 'resolved', comments: [{}, {}] });
+    });
+
+    test('should refuse thread messages from viewers, unknown threads and bad anchors', async () => {
+        hub.handleMessage('session-1', ids.vic, { type: 'thread_create', anchor, text: 'I only watch' });
+        expect(vic.last('error')).toMatchObject({ code: 'forbidden' });
+
+        hub.handleMessage('session-1', ids.olga, { type: 'thread_create', anchor: { ...anchor, end: 5 }, text: 'Backwards' });
+        expect(olga.last('error').message).toContain('anchor.end');
+
+        hub.handleMessage('session-1', ids.olga, { type: 'thread_reply', threadId: '00000000-0000-4000-8000-000000000000', text: 'Anyone?' });
+        await settle();
+        expect(olga.last('error').message).toContain('does not exist in session session-1');
+        expect(await hub.listThreads('session-1')).toEqual([]);
+    });
+});
+
+describe('Comment threads in the API', () => {
+    let app;
+    let hub;
+    let owner;
+    let viewer;
+
+    beforeEach(async () => {
+        hub = new CollaborationHub({ secret: 'test-secret', commentStore: new MemoryCommentStore() });
+        app = express();
+        app.use(express.json());
+        addCollaborationRoutes(app, hub);
+
+        owner = createClient();
+        viewer = createClient();
+        const ownerId = hub.join('session-1', { name: 'Olga' }, owner).id;
+        hub.join('session-1', { name: 'Vic' }, viewer);
+        await hub.createThread('session-1', ownerId, anchor, 'Is this really the main risk?');
+        await hub.createThread('session-1', ownerId, { ...anchor, role: 'architect' }, 'Good start');
+    });
+
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should list threads for participants and include them in the export', async () => {
+        const listed = await request(app)
+            .get('/api/collaboration/sessions/session-1/threads?role=evaluator&iteration=2')
+            .set('X-Collaboration-Credential', viewer.last('welcome').credential)
+            .expect(200);
+        expect(listed.body.count).toBe(1);
+        expect(listed.body.threads[0].comments[0].text).toBe('Is this really the main risk?');
+
+        await request(app).get('/api/collaboration/sessions/session-1/threads').expect(401);
+        await request(app)
+            .get('/api/collaboration/sessions/session-1/threads?status=closed')
+            .set('X-Collaboration-Credential', viewer.last('welcome').credential)
+            .expect(400);
+
+        const exported = await request(app)
+            .get('/api/collaboration/sessions/session-1/export')
+            .set('X-Collaboration-Credential', owner.last('welcome').credential)
+            .expect(200);
+        expect(exported.body.threads).toHaveLength(2);
+    });
+});
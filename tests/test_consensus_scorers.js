@@ -0,0 +1,157 @@
+import { TFIDFScorer, SmoothedTFIDFScorer, EmbeddingScorer, HybridScorer, createConsensusScorer } from '../src/consensus_scorers.js';
+import { AdvancedAIEngine } from '../src/advanced_engine.js';
+import { EmbeddingSimilarity } from '../EmbeddingSimilarity.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy wymiennych scorerów konsensusu
+ */
+
+// Embeddings looked up from a fixed table instead of a remote provider
+class FixedEmbeddingSimilarity extends EmbeddingSimilarity {
+    constructor(vectors) {
+        super({ provider: 'local' });
+        this.vectors = vectors;
+    }
+
+    async getEmbedding(text) {
+        return this.vectors[text];
+    }
+}
+
+const constantScorer = (name, value) => ({ name, score: async () => value });
+
+describe('Consensus scorers', () => {
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('TF-IDF scorer should not drop domain terms as stopwords', async () => {
+        const scorer = new TFIDFScorer();
+        const score = await scorer.score([
+            'carbon emission',
+            'carbon emission',
+            'plant drought resistant crops'
+        ]);
+
+        // pairs: 1-2 = 1 (only the domain terms are left), 1-3 = 0, 2-3 = 0
+        expect(score).toBeCloseTo(1 / 3, 5);
+    });
+
+    test('TF-IDF scorer should give terms shared by every text no weight', async () => {
+        const texts = [
+            'introduce a carbon tax on emission heavy industry',
+            'introduce a carbon tax on emission heavy industry'
+        ];
+
+        expect(await new TFIDFScorer().score(texts)).toBe(0);
+        expect(await new SmoothedTFIDFScorer().score(texts)).toBeCloseTo(1.0, 5);
+        expect(createConsensusScorer('tfidf_smoothed')).toBeInstanceOf(SmoothedTFIDFScorer);
+    });
+
+    test('TF-IDF scorer should ignore Polish function words', async () => {
+        const scorer = new SmoothedTFIDFScorer();
+        const score = await scorer.score([
+            'podatek węglowy jest także dla przemysłu',
+            'dotacje rolne oraz tylko dla przemysłu'
+        ]);
+        const withoutStopwords = await scorer.score([
+            'podatek węglowy przemysłu',
+            'dotacje rolne przemysłu'
+        ]);
+
+        expect(score).toBeCloseTo(withoutStopwords, 5);
+    });
+
+    test('TF-IDF scorer should separate unrelated texts', async () => {
+        const scorer = new TFIDFScorer();
+        const score = await scorer.score([
+            'migrate the billing service to a message queue',
+            'plant drought resistant crops in northern farms'
+        ]);
+
+        expect(score).toBe(0);
+    });
+
+    test('TF-IDF scorer should accept extra stopwords', async () => {
+        const scorer = new TFIDFScorer({ config: { STOPWORDS: ['queue'] } });
+        expect(scorer.config.STOPWORDS).toContain('queue');
+        expect(scorer.config.STOPWORDS).toContain('the');
+    });
+
+    test('embedding scorer should average pairwise cosine similarity', async () => {
+        const similarity = new FixedEmbeddingSimilarity({
+            a: [1, 0],
+            b: [1, 0],
+            c: [0, 1]
+        });
+        const scorer = new EmbeddingScorer({ similarity });
+
+        // pairs: a-b = 1, a-c = 0, b-c = 0
+        expect(await scorer.score(['a', 'b', 'c'])).toBeCloseTo(1 / 3, 5);
+    });
+
+    test('embedding scorer should treat opposing vectors as no agreement', async () => {
+        const similarity = new FixedEmbeddingSimilarity({ a: [1, 0], b: [-1, 0] });
+        const scorer = new EmbeddingScorer({ similarity });
+
+        expect(await scorer.score(['a', 'b'])).toBe(0);
+    });
+
+    test('hybrid scorer should blend component scores by weight', async () => {
+        const scorer = new HybridScorer({
+            scorers: [
+                { scorer: constantScorer('low', 0.2), weight: 1 },
+                { scorer: constantScorer('high', 0.8), weight: 3 }
+            ]
+        });
+
+        expect(await scorer.score(['x', 'y'])).toBeCloseTo(0.65, 5);
+    });
+
+    test('hybrid scorer should reject weights that are not positive', () => {
+        const zero = [{ scorer: constantScorer('a', 0.5), weight: 0 }, { scorer: constantScorer('b', 0.5), weight: 0 }];
+
+        expect(() => new HybridScorer({ scorers: zero })).toThrow('a has weight 0; b has weight 0');
+        expect(() => new HybridScorer({ scorers: [{ scorer: constantScorer('a', 0.5), weight: -1 }] })).toThrow('must be positive');
+        expect(() => new HybridScorer({ scorers: [{ scorer: constantScorer('a', 0.5) }] })).toThrow('a has weight undefined');
+    });
+
+    test('factory should resolve names and pass through custom scorers', () => {
+        const custom = constantScorer('custom', 0.5);
+
+        expect(createConsensusScorer('tfidf')).toBeInstanceOf(TFIDFScorer);
+        expect(createConsensusScorer(custom)).toBe(custom);
+        expect(() => createConsensusScorer('unknown')).toThrow('Unknown consensus scorer');
+    });
+
+    test('engine should record the active scorer in iteration metrics', async () => {
+        const engine = new AdvancedAIEngine({ consensusScorer: constantScorer('constant', 0.42) });
+        const metrics = await engine.calculateIterationMetrics({
+            contributions: {
+                architect: { content: 'first idea', quality: 8 },
+                catalyst: { content: 'second idea', quality: 7 }
+            }
+        });
+
+        expect(metrics.consensus).toBe(0.42);
+        expect(metrics.consensusScorer).toBe('constant');
+    });
+
+    test('engine should fall back to TF-IDF when the scorer fails', async () => {
+        const failing = { name: 'broken', score: async () => { throw new Error('provider down'); } };
+        const engine = new AdvancedAIEngine({ consensusScorer: failing });
+        const metrics = await engine.calculateIterationMetrics({
+            contributions: {
+                architect: { content: 'shared plan for rollout', quality: 8 },
+                catalyst: { content: 'shared plan for rollout', quality: 8 },
+                evaluator: { content: 'drought resistant crops', quality: 8 }
+            }
+        });
+
+        expect(metrics.consensusScorer).toBe('tfidf');
+        expect(metrics.consensus).toBeCloseTo(1 / 3, 5);
+    });
+});
@@ -0,0 +1,123 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { register } from 'prom-client';
+import { SQLiteEmbeddingCache } from '../src/embedding_cache.js';
+import { EmbeddingSimilarity } from '../EmbeddingSimilarity.js';
+
+/**
+ * Testy trwałego cache embeddingów (SQLite)
+ */
+
+describe('Persistent embedding cache', () => {
+    let tmpDir;
+
+    beforeAll(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-cache-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should store and return embeddings keyed by provider and model', async () => {
+        const cache = new SQLiteEmbeddingCache({ filename: ':memory:' });
+
+        await cache.set('hashed', 'v1', 'some text', [0.1, 0.2]);
+
+        expect(await cache.get('hashed', 'v1', 'some text')).toEqual([0.1, 0.2]);
+        expect(await cache.get('hashed', 'v2', 'some text')).toBeNull();
+        expect(await cache.get('openai', 'v1', 'some text')).toBeNull();
+        expect(cache.getStats()).toMatchObject({ entries: 1, hits: 1, misses: 2 });
+
+        await cache.close();
+    });
+
+    test('should survive a restart', async () => {
+        const filename = path.join(tmpDir, 'restart.sqlite');
+        const first = new SQLiteEmbeddingCache({ filename });
+        await first.set('hashed', 'v1', 'persisted text', [1, 0, 0]);
+        await first.close();
+
+        const second = new SQLiteEmbeddingCache({ filename });
+        expect(await second.get('hashed', 'v1', 'persisted text')).toEqual([1, 0, 0]);
+        await second.close();
+    });
+
+    test('should expire entries after the TTL', async () => {
+        const cache = new SQLiteEmbeddingCache({ filename: ':memory:', ttl: 50 });
+        await cache.set('hashed', 'v1', 'short lived', [1]);
+
+        await new Promise(resolve => setTimeout(resolve, 80));
+
+        expect(await cache.get('hashed', 'v1', 'short lived')).toBeNull();
+        expect(cache.getStats()).toMatchObject({ entries: 0, evictions: 1 });
+        await cache.close();
+    });
+
+    test('should evict least recently used entries over the size limit', async () => {
+        const cache = new SQLiteEmbeddingCache({ filename: ':memory:', maxEntries: 2 });
+
+        await cache.set('hashed', 'v1', 'a', [1]);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await cache.set('hashed', 'v1', 'b', [2]);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await cache.get('hashed', 'v1', 'a');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await cache.set('hashed', 'v1', 'c', [3]);
+
+        expect(await cache.get('hashed', 'v1', 'b')).toBeNull();
+        expect(await cache.get('hashed', 'v1', 'a')).toEqual([1]);
+        expect(await cache.get('hashed', 'v1', 'c')).toEqual([3]);
+        expect(cache.getStats().entries).toBe(2);
+        await cache.close();
+    });
+
+    test('should export hit and miss counters to prometheus', async () => {
+        const cache = new SQLiteEmbeddingCache({ filename: ':memory:' });
+        await cache.set('hashed', 'v1', 'metric text', [1]);
+        await cache.get('hashed', 'v1', 'metric text');
+        await cache.get('hashed', 'v1', 'missing text');
+
+        const output = await register.metrics();
+        expect(output).toContain('embedding_cache_hits_total{provider="hashed"}');
+        expect(output).toContain('embedding_cache_misses_total{provider="hashed"}');
+        expect(output).toContain('embedding_cache_entries');
+        await cache.close();
+    });
+
+    test('should disable itself when the database cannot be opened', async () => {
+        const blocker = path.join(tmpDir, 'not-a-directory');
+        fs.writeFileSync(blocker, '');
+        const cache = new SQLiteEmbeddingCache({ filename: path.join(blocker, 'embeddings.sqlite') });
+
+        await cache.set('hashed', 'v1', 'text', [1]);
+        expect(await cache.get('hashed', 'v1', 'text')).toBeNull();
+        expect(cache.getStats()).toMatchObject({ disabled: true, entries: 0 });
+        await cache.close();
+    });
+
+    test('should keep hashed embeddings of different sizes apart', async () => {
+        const persistentCache = new SQLiteEmbeddingCache({ filename: ':memory:' });
+        const small = new EmbeddingSimilarity({ provider: 'hashed', dimensions: 64, persistentCache });
+        const large = new EmbeddingSimilarity({ provider: 'hashed', dimensions: 256, persistentCache });
+
+        expect(await small.getEmbedding('same text')).toHaveLength(64);
+        expect(await large.getEmbedding('same text')).toHaveLength(256);
+        await persistentCache.close();
+    });
+
+    test('should serve EmbeddingSimilarity lookups after a restart', async () => {
+        const filename = path.join(tmpDir, 'similarity.sqlite');
+        const first = new EmbeddingSimilarity({ provider: 'hashed', persistentCache: filename });
+        const embedding = await first.getEmbedding('knowledge base article');
+        await first.persistentCache.close();
+
+        const second = new EmbeddingSimilarity({ provider: 'hashed', persistentCache: filename });
+        second._getHashedEmbedding = () => { throw new Error('should be cached'); };
+
+        expect(await second.getEmbedding('knowledge base article')).toEqual(embedding);
+        expect(second.getCacheStats().persistent.hits).toBe(1);
+        await second.persistentCache.close();
+    });
+});
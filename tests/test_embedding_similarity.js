@@ -0,0 +1,60 @@
+import { EmbeddingSimilarity } from '../EmbeddingSimilarity.js';
+
+/**
+ * Testy lokalnego, deterministycznego dostawcy embeddingów
+ */
+
+describe('Hashed embedding provider', () => {
+    let similarity;
+
+    beforeEach(() => {
+        similarity = new EmbeddingSimilarity({ provider: 'hashed', dimensions: 256 });
+    });
+
+    test('should produce normalized vectors of the configured size', async () => {
+        const embedding = await similarity.getEmbedding('Reduce energy use in office buildings');
+        const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0));
+
+        expect(embedding).toHaveLength(256);
+        expect(norm).toBeCloseTo(1.0, 10);
+    });
+
+    test('should be deterministic across instances', async () => {
+        const other = new EmbeddingSimilarity({ provider: 'hashed', dimensions: 256 });
+        const text = 'Deterministic embeddings for air-gapped deployments';
+
+        expect(await similarity.getEmbedding(text)).toEqual(await other.getEmbedding(text));
+    });
+
+    test('should not call the network', async () => {
+        const originalFetch = global.fetch;
+        global.fetch = () => { throw new Error('network used'); };
+
+        try {
+            await expect(similarity.getEmbedding('offline text')).resolves.toHaveLength(256);
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+
+    test('should rank related texts above unrelated ones', async () => {
+        const results = await similarity.findMostSimilar('solar panels on school roofs', [
+            'quarterly revenue forecast for retail stores',
+            'installing solar panels on the roofs of schools',
+            'migrating the database to a new cluster'
+        ], 3);
+
+        expect(results[0].index).toBe(1);
+        expect(results[0].similarity).toBeGreaterThan(results[1].similarity);
+    });
+
+    test('should support batch similarity', async () => {
+        const matrix = await similarity.batchSimilarity(
+            ['carbon tax policy', 'team offsite planning'],
+            ['carbon tax policy']
+        );
+
+        expect(matrix[0][0]).toBeCloseTo(1.0, 10);
+        expect(matrix[1][0]).toBeLessThan(matrix[0][0]);
+    });
+});
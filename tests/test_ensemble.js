@@ -0,0 +1,175 @@
+import { jest } from '@jest/globals';
+import { callEnsemble, createSelectionStrategy, JudgeSelection, MedoidSelection, MergeSelection } from '../src/ensemble.js';
+import { registerProvider } from '../src/api.js';
+import { providerRegistry, classifyHttpError } from '../src/providers/index.js';
+import { AdvancedAIEngine } from '../src/advanced_engine.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy trybu zespołowego (kilku dostawców dla jednej roli)
+ */
+
+const problem = 'Reduce office energy consumption for lighting and heating';
+
+const answers = {
+    alpha: 'Install occupancy sensors for office lighting and lower the heating setpoint by one degree to reduce energy consumption.',
+    beta: 'Reduce energy consumption with occupancy sensors for lighting and a lower heating setpoint in the office.',
+    gamma: 'Buy a boat.'
+};
+
+const createTestAdapter = (name) => ({
+    name,
+    displayName: `Test ${name}`,
+    priority: 90,
+    config: { model: `${name}-model`, maxTokens: 100 },
+    authError: () => null,
+    buildRequest: ({ userContent, model }) => ({
+        url: `https://${name}.invalid/generate`,
+        init: { method: 'POST', body: JSON.stringify({ model, input: userContent }) }
+    }),
+    parseResponse: (data, { model }) => ({
+        content: data.output,
+        model,
+        usage: { prompt_tokens: 100, completion_tokens: 100, total_tokens: 200 },
+        finishReason: 'stop'
+    }),
+    classifyError: (status, body) => classifyHttpError(`Test ${name} API`, status, body),
+    pricing: { [`${name}-model`]: { input: 1, output: 2 } }
+});
+
+const jsonResponse = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+});
+
+// Routes each provider to its canned answer; providers in `failing` return HTTP 500
+const mockFetch = (failing = []) => jest.fn(async (url, init) => {
+    const name = new URL(url).hostname.split('.')[0];
+    if (failing.includes(name)) {
+        return jsonResponse(500, { error: 'down' });
+    }
+    const { input } = JSON.parse(init.body);
+    return jsonResponse(200, { output: input.includes('Several models answered') ? `merged: ${input.length}` : answers[name] });
+});
+
+describe('Ensemble calls', () => {
+    const originalFetch = global.fetch;
+
+    beforeAll(() => {
+        Object.keys(answers).forEach(name => registerProvider(createTestAdapter(name)));
+    });
+
+    beforeEach(() => {
+        responseCache.clear();
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        Object.keys(answers).forEach(name => providerRegistry.unregister(name));
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should pick the medoid and report agreement, cost and the winner', async () => {
+        global.fetch = mockFetch();
+        const before = metricsCollector.metrics.session.ensembleStats.runs;
+
+        const result = await callEnsemble('synthesizer', problem, 'Plan it', {
+            members: ['alpha', 'beta', 'gamma'],
+            strategy: 'medoid'
+        });
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(['alpha', 'beta']).toContain(result.provider);
+        expect(result.response).toBe(answers[result.provider]);
+        expect(result.usage.total_tokens).toBe(600);
+        expect(result.ensemble.strategy).toBe('medoid');
+        expect(result.ensemble.winner).toBe(`${result.provider}/${result.provider}-model`);
+        expect(result.ensemble.candidates.find(c => c.provider === 'gamma').score)
+            .toBeLessThan(result.ensemble.candidates.find(c => c.winner).score);
+        expect(result.ensemble.cost).toBeCloseTo(3 * (0.1 + 0.2), 5);
+        expect(result.ensemble.agreement).toBeGreaterThan(0);
+        expect(result.ensemble.agreement).toBeLessThan(1);
+        expect(metricsCollector.metrics.session.ensembleStats.runs).toBe(before + 1);
+        expect(metricsCollector.metrics.daily.ensembles.wins[result.ensemble.winner]).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should pick the best judged answer and tolerate failed members', async () => {
+        global.fetch = mockFetch(['beta']);
+
+        const result = await callEnsemble('architect', problem, 'Plan it', {
+            members: ['gamma', 'beta', 'alpha'],
+            strategy: 'judge'
+        });
+
+        expect(result.provider).toBe('alpha');
+        expect(result.ensemble.candidates[1]).toMatchObject({ provider: 'beta', category: 'server' });
+        expect(result.ensemble.candidates[2].winner).toBe(true);
+    });
+
+    test('should fail when fewer members than required answer', async () => {
+        global.fetch = mockFetch(['alpha', 'beta']);
+
+        await expect(callEnsemble('architect', problem, 'Plan it', {
+            members: ['alpha', 'beta', 'gamma'],
+            minMembers: 2
+        })).rejects.toThrow('got 1/3 answers (need 2)');
+    });
+
+    test('should merge candidates with a synthesis call', async () => {
+        global.fetch = mockFetch();
+
+        const result = await callEnsemble('synthesizer', problem, 'Plan it', {
+            members: ['alpha', 'beta'],
+            strategy: 'merge',
+            strategyOptions: { provider: 'gamma' }
+        });
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(result.response).toMatch(/^merged: /);
+        expect(result.provider).toBe('gamma');
+        expect(result.ensemble.winner).toBe('merge:gamma/gamma-model');
+        expect(result.usage.total_tokens).toBe(600);
+    });
+
+    test('factory should resolve names and pass through custom strategies', () => {
+        const custom = { name: 'first', select: async () => ({ index: 0 }) };
+
+        expect(createSelectionStrategy('judge')).toBeInstanceOf(JudgeSelection);
+        expect(createSelectionStrategy('medoid')).toBeInstanceOf(MedoidSelection);
+        expect(createSelectionStrategy('merge')).toBeInstanceOf(MergeSelection);
+        expect(createSelectionStrategy(custom)).toBe(custom);
+        expect(() => createSelectionStrategy('vote')).toThrow('Unknown ensemble strategy');
+    });
+});
+
+describe('Ensemble in the engine', () => {
+    const ensemble = { members: ['openai', 'anthropic'], strategy: 'medoid' };
+
+    test('should apply the engine ensemble to the final role by default', () => {
+        const engine = new AdvancedAIEngine({ ensemble });
+
+        expect(engine.roles.synthesizer.ensemble).toEqual(ensemble);
+        expect(engine.roles.architect.ensemble).toBeUndefined();
+        expect(engine.getEnsembleForRole('synthesizer', { realAIEnabled: true, mockMode: false })).toEqual(ensemble);
+        expect(engine.getEnsembleForRole('synthesizer', { realAIEnabled: true, mockMode: true })).toBeNull();
+    });
+
+    test('should keep the ensemble report on the contribution', () => {
+        const engine = new AdvancedAIEngine({ ensemble: { ...ensemble, roles: ['architect', 'evaluator'] } });
+        const report = { strategy: 'medoid', winner: 'openai/gpt-4', agreement: 0.8, candidates: [] };
+
+        const contribution = engine.processAIResult({ response: answers.alpha, provider: 'openai', ensemble: report }, 'architect', 10);
+
+        expect(engine.roles.evaluator.ensemble).toEqual({ members: ensemble.members, strategy: 'medoid' });
+        expect(engine.roles.synthesizer.ensemble).toBeUndefined();
+        expect(contribution.ensemble).toBe(report);
+    });
+});
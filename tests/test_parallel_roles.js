@@ -0,0 +1,106 @@
+import { AdvancedAIEngine } from '../src/advanced_engine.js';
+import { CircuitBreaker, apiCircuitBreaker } from '../src/circuit_breaker.js';
+import { getProviderConcurrency } from '../src/api.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy równoległego wykonywania ról w iteracji
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createEngine = (options = {}) => {
+    const engine = new AdvancedAIEngine({
+        consensusScorer: { name: 'constant', score: async () => 0.5 },
+        ...options
+    });
+    engine.delay = async () => {};
+    return engine;
+};
+
+// Fake contributions: architect answers slowest, so completion order differs from pipeline order
+const instrument = (engine, latencies = { architect: 60, catalyst: 10 }) => {
+    const stats = { inFlight: 0, maxInFlight: 0, order: [], contexts: {} };
+
+    engine.getAIContribution = async (roleKey, problem, existing) => {
+        stats.inFlight++;
+        stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+        stats.contexts[roleKey] = Object.keys(existing);
+
+        await sleep(latencies[roleKey] || 5);
+
+        stats.inFlight--;
+        stats.order.push(roleKey);
+        return { content: `${roleKey} output`, quality: 8, confidence: 0.8 };
+    };
+    return stats;
+};
+
+describe('Parallel role execution', () => {
+    afterEach(() => {
+        apiCircuitBreaker.reset();
+    });
+
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should fan out independent roles and merge them in pipeline order', async () => {
+        const engine = createEngine();
+        const stats = instrument(engine);
+
+        const iteration = await engine.runIteration('Plan a product launch', null);
+
+        expect(stats.maxInFlight).toBe(2);
+        expect(stats.order.slice(0, 2)).toEqual(['catalyst', 'architect']);
+        expect(Object.keys(iteration.contributions)).toEqual(['architect', 'catalyst', 'synthesizer', 'evaluator']);
+        expect(stats.contexts.catalyst).toEqual([]);
+        expect(stats.contexts.synthesizer).toEqual(['architect', 'catalyst']);
+    });
+
+    test('should respect maxParallelRoles', async () => {
+        const engine = createEngine({ maxParallelRoles: 1 });
+        const stats = instrument(engine);
+
+        await engine.runIteration('Plan a product launch', null);
+
+        expect(stats.maxInFlight).toBe(1);
+        expect(stats.order.slice(0, 2)).toEqual(['architect', 'catalyst']);
+    });
+
+    test('should run roles one at a time while the circuit breaker is not closed', async () => {
+        const engine = createEngine();
+        const stats = instrument(engine);
+        apiCircuitBreaker.setState('HALF_OPEN');
+
+        await engine.runIteration('Plan a product launch', null);
+
+        expect(stats.maxInFlight).toBe(1);
+    });
+
+    test('should propagate cancellation from a parallel stage', async () => {
+        const engine = createEngine();
+        const controller = new AbortController();
+        engine.getAIContribution = async (roleKey) => {
+            if (roleKey === 'catalyst') controller.abort();
+            await sleep(5);
+            engine.throwIfAborted(controller.signal);
+            return { content: roleKey, quality: 8, confidence: 0.8 };
+        };
+
+        await expect(engine.runIteration('Plan a product launch', null, controller.signal))
+            .rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('circuit breaker should cap concurrency outside the closed state', () => {
+        const breaker = new CircuitBreaker({ recoveryTimeout: 60000 });
+
+        expect(breaker.getConcurrencyLimit(4)).toBe(4);
+        breaker.setState('OPEN');
+        breaker.lastFailureTime = Date.now();
+        expect(breaker.getConcurrencyLimit(4)).toBe(1);
+        expect(getProviderConcurrency()).toBeGreaterThanOrEqual(1);
+    });
+});
@@ -0,0 +1,202 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import { PriceSheet, PricingError, priceSheet, getModelPricing, calculateUsageCost } from '../src/pricing.js';
+import { addManagementRoutes } from '../src/management_routes.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy arkusza cen z datami obowiązywania
+ */
+
+const sheet = () => ({
+    version: '2024-01-25',
+    currency: 'USD',
+    unit: '1K tokens',
+    models: {
+        openai: {
+            'gpt-3.5-turbo': [
+                { effectiveFrom: '2024-01-25', input: 0.0005, output: 0.0015 },
+                { effectiveFrom: '2023-11-06', input: 0.0015, output: 0.002 }
+            ],
+            'gpt-4o': [{ effectiveFrom: '2024-08-06', input: 0.0025, output: 0.01, cachedInput: 0.00125 }],
+            '*': [{ effectiveFrom: '2023-01-01', input: 0.03, output: 0.06 }]
+        }
+    }
+});
+
+const legacyDay = (date) => ({
+    date,
+    requests: 3,
+    tokens: 4000,
+    cost: 0.5,
+    errors: 0,
+    providers: { openai: { requests: 3, tokens: 4000, cost: 0.5 } },
+    models: {
+        'gpt-3.5-turbo': { provider: 'openai', requests: 2, tokens: 3000, promptTokens: 2000, completionTokens: 1000, cachedTokens: 0, cost: 0.4 },
+        'gpt-4': { requests: 1, tokens: 1000, cost: 0.1 }
+    },
+    builders: {}
+});
+
+afterAll(() => {
+    clearInterval(responseCache.cleanupInterval);
+    clearInterval(metricsCollector.saveInterval);
+});
+
+describe('Price sheet', () => {
+    const prices = new PriceSheet({ sheet: sheet() });
+
+    test('should pick the rate effective on the call date', () => {
+        expect(prices.getRate('openai', 'gpt-3.5-turbo', '2024-01-24')).toMatchObject({ input: 0.0015, output: 0.002 });
+        expect(prices.getRate('openai', 'gpt-3.5-turbo', '2024-01-25')).toMatchObject({ input: 0.0005, version: '2024-01-25' });
+        expect(prices.getRate('openai', 'gpt-4o', '2024-01-01')).toMatchObject({ input: 0.03, effectiveFrom: '2023-01-01' });
+        expect(prices.getRate('anthropic', 'claude-3-haiku-20240307')).toBeNull();
+    });
+
+    test('should fall back to adapter prices for models the sheet does not list', () => {
+        expect(getModelPricing('local', 'llama3', Date.now(), prices)).toEqual({ input: 0, output: 0 });
+        expect(Object.keys(prices.getTable('2024-09-01').openai)).toEqual(['gpt-3.5-turbo', 'gpt-4o']);
+    });
+
+    test('should charge cached prompt tokens at the cached input rate', () => {
+        const rate = prices.getRate('openai', 'gpt-4o', '2024-09-01');
+
+        expect(calculateUsageCost(rate, { prompt_tokens: 2000, completion_tokens: 1000, cached_tokens: 1000 }))
+            .toBeCloseTo(0.0025 + 0.00125 + 0.01, 10);
+        expect(calculateUsageCost(rate, { prompt_tokens: 2000, completion_tokens: 0, prompt_tokens_details: { cached_tokens: 2000 } }))
+            .toBeCloseTo(0.0025, 10);
+        expect(calculateUsageCost({ input: 1, output: 2 }, { prompt_tokens: 1000, cached_tokens: 1000 })).toBe(1);
+    });
+
+    test('should reject invalid sheets', () => {
+        const duplicate = sheet();
+        duplicate.models.openai['gpt-4o'].push({ effectiveFrom: '2024-08-06', input: 1, output: 1 });
+        const badDate = sheet();
+        badDate.models.openai['gpt-4o'][0].effectiveFrom = 'August 2024';
+
+        expect(() => new PriceSheet({ sheet: duplicate })).toThrow('two rates effective from the same date');
+        expect(() => new PriceSheet({ sheet: badDate })).toThrow(PricingError);
+    });
+
+    test('should add rates and persist the new version', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-')), 'pricing.json');
+        const stored = new PriceSheet({ file, sheet: sheet() });
+
+        stored.setRate('openai', 'gpt-4o', { effectiveFrom: '2024-10-01', input: 0.002, output: 0.008 }, '2024-10-01');
+
+        const reloaded = new PriceSheet({ file });
+        expect(reloaded.sheet.version).toBe('2024-10-01');
+        expect(reloaded.getRate('openai', 'gpt-4o', '2024-09-30').input).toBe(0.0025);
+        expect(reloaded.getRate('openai', 'gpt-4o', '2024-10-01').input).toBe(0.002);
+    });
+});
+
+describe('Recomputing daily metrics', () => {
+    const prices = new PriceSheet({ sheet: sheet() });
+
+    test('should reprice models with a stored token split and keep older entries', () => {
+        const { report, daily } = metricsCollector.recomputeDailyCosts(legacyDay('2024-02-01'), prices);
+
+        // 2000 prompt + 1000 completion tokens at the January 2024 rate
+        expect(daily.models['gpt-3.5-turbo'].cost).toBeCloseTo(0.0025, 10);
+        expect(daily.models['gpt-4'].cost).toBe(0.1);
+        expect(daily.cost).toBeCloseTo(0.1025, 10);
+        expect(daily.providers.openai.cost).toBeCloseTo(0.1025, 10);
+        expect(daily.pricingVersion).toBe('2024-01-25');
+        expect(report).toMatchObject({ date: '2024-02-01', previousCost: 0.5, skipped: ['gpt-4'] });
+        expect(report.difference).toBeCloseTo(-0.3975, 10);
+    });
+
+    test('should report stored days in range and write them back only when applied', () => {
+        const file = path.join(metricsCollector.getMetricsPath(), '2023-12-01.json');
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(legacyDay('2023-12-01')));
+
+        try {
+            const preview = metricsCollector.recomputeCosts({ from: '2023-12-01', to: '2023-12-01', sheet: prices });
+            expect(preview.days).toHaveLength(1);
+            expect(preview.applied).toBe(false);
+            // The price cut of 2024-01-25 does not apply to December 2023
+            expect(preview.cost).toBeCloseTo(2000 / 1000 * 0.0015 + 1000 / 1000 * 0.002 + 0.1, 10);
+            expect(JSON.parse(fs.readFileSync(file, 'utf8')).cost).toBe(0.5);
+
+            metricsCollector.recomputeCosts({ from: '2023-12-01', to: '2023-12-01', sheet: prices, apply: true });
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toMatchObject({ cost: preview.cost, pricingVersion: '2024-01-25' });
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+});
+
+describe('Pricing admin API', () => {
+    const adminKey = process.env.ADMIN_API_KEY || 'admin-key-change-me';
+    let app;
+    let originalFile;
+    let originalSheet;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        addManagementRoutes(app);
+
+        // Updates go to a temporary copy instead of config/pricing.json
+        originalFile = priceSheet.file;
+        originalSheet = priceSheet.sheet;
+        priceSheet.file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-')), 'pricing.json');
+    });
+
+    afterAll(() => {
+        priceSheet.file = originalFile;
+        priceSheet.sheet = originalSheet;
+    });
+
+    test('should require the admin key', async () => {
+        await request(app).get('/api/pricing').expect(401);
+    });
+
+    test('should show the rates effective on a date', async () => {
+        const response = await request(app)
+            .get('/api/pricing?date=2024-01-01')
+            .set('X-Admin-Key', adminKey)
+            .expect(200);
+
+        expect(response.body.rates.openai['gpt-3.5-turbo']).toMatchObject({ input: 0.0015, effectiveFrom: '2023-11-06' });
+        expect(response.body.rates.openai['gpt-4o']).toBeUndefined();
+        expect(response.body.version).toBe(priceSheet.sheet.version);
+    });
+
+    test('should add a rate used by new calls from its effective date', async () => {
+        await request(app)
+            .put('/api/pricing/openai/gpt-4')
+            .set('X-Admin-Key', adminKey)
+            .send({ effectiveFrom: '2030-01-01', input: 0.02, output: 0.04, version: 'test-2030' })
+            .expect(200);
+
+        expect(priceSheet.sheet.version).toBe('test-2030');
+        expect(metricsCollector.calculateCost('openai', 'gpt-4', { prompt_tokens: 1000, completion_tokens: 1000 }, '2030-01-02'))
+            .toBeCloseTo(0.06, 10);
+        expect(metricsCollector.calculateCost('openai', 'gpt-4', { prompt_tokens: 1000, completion_tokens: 1000 }, '2029-12-31'))
+            .toBeCloseTo(0.09, 10);
+        expect(JSON.parse(fs.readFileSync(priceSheet.file, 'utf8')).version).toBe('test-2030');
+
+        await request(app)
+            .put('/api/pricing/openai/gpt-4')
+            .set('X-Admin-Key', adminKey)
+            .send({ effectiveFrom: '2030-01-01', input: -1, output: 0.04 })
+            .expect(400);
+    });
+
+    test('should preview recomputed costs under a submitted sheet', async () => {
+        const response = await request(app)
+            .post('/api/pricing/recompute')
+            .set('X-Admin-Key', adminKey)
+            .send({ from: '1999-01-01', to: '1999-01-01', sheet: sheet() })
+            .expect(200);
+
+        expect(response.body).toMatchObject({ version: '2024-01-25', applied: false, days: [] });
+    });
+});
@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+import { ProviderRegistry, providerRegistry, classifyHttpError, createLocalAdapter } from '../src/providers/index.js';
+import { callAIProvider, getAvailableProviders, getAPIStatus, registerProvider } from '../src/api.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy rejestru dostawców AI
+ */
+
+const createTestAdapter = (overrides = {}) => ({
+    name: 'test-provider',
+    displayName: 'Test Provider',
+    priority: 5,
+    config: { model: 'test-model', maxTokens: 100 },
+    authError: () => null,
+    buildRequest: ({ systemPrompt, userContent, model }) => ({
+        url: 'https://test-provider.invalid/generate',
+        init: {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model, input: `${systemPrompt}\n${userContent}` })
+        }
+    }),
+    parseResponse: (data, { model }) => ({
+        content: data.output,
+        model,
+        usage: { prompt_tokens: 1000, completion_tokens: 1000, total_tokens: 2000 },
+        finishReason: 'stop'
+    }),
+    classifyError: (status, body) => classifyHttpError('Test Provider API', status, body),
+    pricing: { 'test-model': { input: 0.5, output: 1.5 } },
+    ...overrides
+});
+
+const jsonResponse = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+});
+
+describe('Provider registry', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        providerRegistry.unregister('test-provider');
+    });
+
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should register the built-in providers', () => {
+        expect(providerRegistry.list().map(adapter => adapter.name)).toEqual(['openai', 'anthropic', 'google', 'local']);
+    });
+
+    test('should reject adapters missing required hooks', () => {
+        const registry = new ProviderRegistry();
+        expect(() => registry.register({ name: 'broken' })).toThrow('missing');
+    });
+
+    test('should order configured providers by priority', () => {
+        const registry = new ProviderRegistry()
+            .register(createTestAdapter({ name: 'late', priority: 50 }))
+            .register(createTestAdapter({ name: 'early', priority: 1 }))
+            .register(createTestAdapter({ name: 'offline', authError: () => 'no key' }));
+
+        expect(registry.getConfigured().map(adapter => adapter.name)).toEqual(['early', 'late']);
+    });
+
+    test('should route calls through a registered adapter', async () => {
+        registerProvider(createTestAdapter());
+        global.fetch = jest.fn(async () => jsonResponse(200, { output: 'Odpowiedź testowa z rejestru' }));
+
+        const result = await callAIProvider('test-provider', 'builder1', 'Registry', 'Route through adapter');
+
+        expect(global.fetch).toHaveBeenCalledWith('https://test-provider.invalid/generate', expect.objectContaining({ method: 'POST' }));
+        expect(result.provider).toBe('test-provider');
+        expect(result.response).toBe('Odpowiedź testowa z rejestru');
+        expect(getAvailableProviders()[0]).toBe('test-provider');
+        expect(getAPIStatus().providerConfigs['test-provider']).toEqual({ configured: true, model: 'test-model', maxTokens: 100 });
+    });
+
+    test('should tag HTTP failures with the adapter error category', async () => {
+        registerProvider(createTestAdapter());
+        global.fetch = jest.fn(async () => jsonResponse(429, { error: 'slow down' }));
+
+        const error = await callAIProvider('test-provider', 'builder1', 'Registry', 'Rate limited call').catch(err => err);
+
+        expect(error.category).toBe('rate_limit');
+        expect(error.provider).toBe('test-provider');
+        expect(error.message).toBe('Test Provider API: Rate limit exceeded - Try again later');
+    });
+
+    test('should report unconfigured providers as auth errors without calling fetch', async () => {
+        registerProvider(createTestAdapter({ authError: () => 'Test key missing' }));
+        global.fetch = jest.fn();
+
+        const error = await callAIProvider('test-provider', 'builder1', 'Registry', 'No key').catch(err => err);
+
+        expect(error.category).toBe('auth');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown providers', async () => {
+        await expect(callAIProvider('nope', 'builder1', 'Registry', 'Unknown')).rejects.toThrow('Unsupported AI provider: nope');
+    });
+
+    test('should price calls from adapter pricing', () => {
+        registerProvider(createTestAdapter());
+
+        const cost = metricsCollector.calculateCost('test-provider', 'test-model', { prompt_tokens: 1000, completion_tokens: 1000 });
+
+        expect(cost).toBeCloseTo(2.0, 10);
+        expect(metricsCollector.loadCostDatabase()['test-provider']['test-model']).toEqual({ input: 0.5, output: 1.5 });
+    });
+});
+
+describe('Local OpenAI-compatible provider', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('should be unavailable until a base URL is configured', () => {
+        expect(createLocalAdapter({ baseURL: null }).authError()).toContain('LOCAL_AI_BASE_URL');
+        expect(createLocalAdapter({ baseURL: 'http://localhost:11434/v1' }).authError()).toBeNull();
+    });
+
+    test('should send OpenAI-format requests without a key', () => {
+        const adapter = createLocalAdapter({ baseURL: 'http://localhost:11434/v1', apiKey: null });
+        const request = adapter.buildRequest({ systemPrompt: 'sys', userContent: 'user', model: 'llama3', options: {} });
+
+        expect(request.url).toBe('http://localhost:11434/v1/chat/completions');
+        expect(request.init.headers['Authorization']).toBeUndefined();
+        expect(JSON.parse(request.init.body).messages).toHaveLength(2);
+    });
+
+    test('should discover models from the endpoint', async () => {
+        const adapter = createLocalAdapter({ baseURL: 'http://localhost:11434/v1' });
+        global.fetch = jest.fn(async () => jsonResponse(200, { data: [{ id: 'llama3' }, { id: 'mistral' }] }));
+
+        expect(await adapter.listModels()).toEqual(['llama3', 'mistral']);
+        expect(global.fetch).toHaveBeenCalledWith('http://localhost:11434/v1/models', expect.any(Object));
+    });
+
+    test('should account local calls at zero cost', () => {
+        const cost = metricsCollector.calculateCost('local', 'any-model', { prompt_tokens: 5000, completion_tokens: 5000 });
+        expect(cost).toBe(0);
+        expect(providerRegistry.getPricing('local', 'any-model')).toEqual({ input: 0, output: 0 });
+    });
+});
@@ -0,0 +1,156 @@
+import { RubricJudge, LLMJudge, DEFAULT_RUBRIC, createQualityJudge } from '../src/quality_judges.js';
+import { AdvancedAIEngine } from '../src/advanced_engine.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy sędziów jakości wkładów
+ */
+
+const problem = 'Reduce office energy consumption for lighting and heating';
+
+const crisp = `1. Install occupancy sensors for lighting in 40 rooms (budget 12000 PLN).
+2. Lower heating setpoint by 1 degree, monitor energy use weekly.
+Risk: staff comfort complaints; mitigation: pilot on one floor first.`;
+
+const rambling = Array(12).fill('It is important to think about many things and consider the situation from all perspectives, maybe.').join(' ');
+
+describe('Rubric judge', () => {
+    const judge = new RubricJudge();
+
+    test('should not reward a long rambling answer over a crisp one', async () => {
+        const crispResult = await judge.evaluate(crisp, { problem });
+        const ramblingResult = await judge.evaluate(rambling, { problem });
+
+        expect(crispResult.score).toBeGreaterThan(ramblingResult.score);
+        expect(crispResult.criteria.relevance).toBeGreaterThan(ramblingResult.criteria.relevance);
+        expect(crispResult.criteria.specificity).toBeGreaterThan(ramblingResult.criteria.specificity);
+        expect(crispResult.criteria.feasibility).toBeGreaterThan(ramblingResult.criteria.feasibility);
+    });
+
+    test('should score novelty against the other contributions', async () => {
+        const repeated = await judge.evaluate(crisp, { problem, others: [crisp] });
+        const fresh = await judge.evaluate(crisp, { problem, others: ['Switch the supplier to a green energy tariff'] });
+
+        expect(repeated.criteria.novelty).toBe(0);
+        expect(fresh.criteria.novelty).toBeGreaterThan(7);
+    });
+
+    test('should be deterministic and explain its score', async () => {
+        const first = await judge.evaluate(crisp, { problem });
+        const second = await judge.evaluate(crisp, { problem });
+
+        expect(second).toEqual(first);
+        expect(first.judge).toBe('rubric');
+        expect(first.rationale).toMatch(/problem terms/);
+    });
+});
+
+describe('LLM judge', () => {
+    test('should parse rubric scores from the model answer', async () => {
+        const prompts = [];
+        const judge = new LLMJudge({
+            call: async (prompt) => {
+                prompts.push(prompt);
+                return '```json\n{"scores":{"relevance":9,"specificity":8,"feasibility":7,"novelty":4},"rationale":"Konkretny plan"}\n```';
+            }
+        });
+
+        const result = await judge.evaluate(crisp, { problem, role: 'Idea Architect' });
+
+        expect(prompts[0]).toContain('Do not reward length');
+        expect(prompts[0]).toContain(problem);
+        expect(result.criteria).toEqual({ relevance: 9, specificity: 8, feasibility: 7, novelty: 4 });
+        expect(result.score).toBeCloseTo(0.3 * 9 + 0.25 * 8 + 0.25 * 7 + 0.2 * 4, 5);
+        expect(result.rationale).toBe('Konkretny plan');
+    });
+
+    test('factory should resolve names and pass through custom judges', () => {
+        const custom = { name: 'custom', rubric: DEFAULT_RUBRIC, evaluate: async () => ({}) };
+
+        expect(createQualityJudge('rubric')).toBeInstanceOf(RubricJudge);
+        expect(createQualityJudge('llm')).toBeInstanceOf(LLMJudge);
+        expect(createQualityJudge(custom)).toBe(custom);
+        expect(() => createQualityJudge('unknown')).toThrow('Unknown quality judge');
+    });
+});
+
+describe('Judge in the engine', () => {
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    const fixedJudge = (criteria) => ({
+        name: 'fixed',
+        rubric: DEFAULT_RUBRIC,
+        evaluate: async () => ({ score: 9, criteria, judge: 'fixed', rationale: 'stała ocena' })
+    });
+
+    const constantScorer = { name: 'constant', score: async () => 0.95 };
+
+    test('should store the rubric and per-criterion scores with the iteration', async () => {
+        const engine = new AdvancedAIEngine({
+            consensusScorer: constantScorer,
+            qualityJudge: fixedJudge({ relevance: 8, specificity: 7, feasibility: 9, novelty: 6 })
+        });
+        const iteration = {
+            contributions: {
+                architect: { content: 'plan A', quality: 3 },
+                catalyst: { content: 'plan B', quality: 3 }
+            }
+        };
+
+        const metrics = await engine.calculateIterationMetrics(iteration, problem);
+
+        expect(metrics.quality).toBeCloseTo(9, 5);
+        expect(metrics.criteria).toEqual({ relevance: 8, specificity: 7, feasibility: 9, novelty: 6 });
+        expect(metrics.qualityJudge).toBe('fixed');
+        expect(iteration.evaluation.rubric).toBe(DEFAULT_RUBRIC);
+        expect(iteration.evaluation.contributions.architect.rationale).toBe('stała ocena');
+    });
+
+    test('should block convergence when a rubric threshold is missed', async () => {
+        const engine = new AdvancedAIEngine({
+            consensusScorer: constantScorer,
+            qualityJudge: fixedJudge({ relevance: 3, specificity: 9, feasibility: 9, novelty: 9 })
+        });
+        const iteration = { contributions: { architect: { content: 'off-topic' } } };
+        iteration.metrics = await engine.calculateIterationMetrics(iteration, problem);
+
+        expect(engine.hasConverged(iteration)).toBe(false);
+        expect(iteration.convergence.failedCriteria).toEqual(['relevance']);
+        expect(iteration.convergence.quality).toBeCloseTo(9, 5);
+    });
+
+    test('should pass the session budget to the judge', async () => {
+        const contexts = [];
+        const engine = new AdvancedAIEngine({
+            consensusScorer: constantScorer,
+            budget: { sessionLimit: 1 },
+            qualityJudge: {
+                ...fixedJudge({ relevance: 8, specificity: 8, feasibility: 8, novelty: 8 }),
+                evaluate: async (content, context) => {
+                    contexts.push(context);
+                    return { score: 8, criteria: {}, judge: 'fixed', rationale: '' };
+                }
+            }
+        });
+
+        await engine.calculateIterationMetrics({ contributions: { architect: { content: crisp } } }, problem);
+
+        expect(contexts[0].budget).toBe(engine.budget);
+    });
+
+    test('should fall back to the rubric when the judge fails', async () => {
+        const engine = new AdvancedAIEngine({
+            consensusScorer: constantScorer,
+            qualityJudge: { name: 'broken', rubric: DEFAULT_RUBRIC, evaluate: async () => { throw new Error('judge down'); } }
+        });
+        const iteration = { contributions: { architect: { content: crisp } } };
+
+        await engine.calculateIterationMetrics(iteration, problem);
+
+        expect(iteration.evaluation.contributions.architect.judge).toBe('rubric');
+    });
+});
@@ -0,0 +1,205 @@
+import express from 'express';
+import request from 'supertest';
+import { AdvancedAIEngine } from '../src/advanced_engine.js';
+import { SolveJobManager } from '../src/solve_jobs.js';
+import { addSolveRoutes } from '../src/solve_routes.js';
+import { CollaborationHub } from '../src/collaboration_hub.js';
+import { DEFAULT_RUBRIC } from '../src/quality_judges.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy recenzji iteracji przez człowieka (bramki recenzji)
+ */
+
+const problem = 'Reduce office energy consumption';
+
+// Engine with offline scoring; prompts of every role call are recorded
+const createEngine = (options = {}) => {
+    const score = options.score ?? 5;
+    const engine = new AdvancedAIEngine({
+        consensusScorer: { name: 'constant', score: async () => options.consensus ?? 0.5 },
+        qualityJudge: {
+            name: 'fixed',
+            rubric: DEFAULT_RUBRIC,
+            evaluate: async () => ({
+                score,
+                criteria: Object.fromEntries(DEFAULT_RUBRIC.criteria.map(({ key }) => [key, score])),
+                judge: 'fixed',
+                rationale: ''
+            })
+        },
+        maxIterations: 3,
+        ...options
+    });
+    const prompts = [];
+    engine.getAIContribution = async (roleKey, problemStatement, existingContributions) => {
+        prompts.push({ iteration: engine.sessionState.iteration + 1, roleKey, prompt: engine.buildContextualPrompt(engine.roles[roleKey], problemStatement, existingContributions) });
+        return { content: `${roleKey} output`, quality: score, confidence: 0.5 };
+    };
+    engine.delay = async () => {};
+    return { engine, prompts };
+};
+
+const promptsOf = (prompts, iteration) => prompts.filter(entry => entry.iteration === iteration).map(entry => entry.prompt);
+
+describe('Review gates in the engine', () => {
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should apply edits, carry guidance into the next iteration only and keep vetoes', async () => {
+        const { engine, prompts } = createEngine();
+        const reviews = [];
+        const decisions = [
+            { reviewer: 'Olga', edits: { architect: 'Retrofit the HVAC controls' }, guidance: 'Focus on lighting', veto: 'Moving to a new building' },
+            {}
+        ];
+
+        const session = await engine.solveProblem(problem, null, {
+            reviewGate: async (review) => {
+                reviews.push(review);
+                return decisions[review.iteration - 1];
+            }
+        });
+
+        expect(reviews.map(review => review.iteration)).toEqual([1, 2, 3]);
+        expect(reviews[0].contributions.architect).toMatchObject({ role: 'Idea Architect', content: 'architect output' });
+
+        const [first, second] = session.iterations;
+        expect(first.contributions.architect).toMatchObject({ content: 'Retrofit the HVAC controls', originalContent: 'architect output', editedBy: 'Olga' });
+        expect(first.review).toMatchObject({ reviewer: 'Olga', actions: ['edit', 'guide', 'veto'], veto: 'Moving to a new building' });
+        expect(second.guidance).toEqual([{ author: 'Olga', text: 'Focus on lighting', iteration: 1 }]);
+        expect(second.review.actions).toEqual(['approve']);
+        expect(session.reviews).toHaveLength(3);
+
+        expect(promptsOf(prompts, 1).some(prompt => prompt.includes('Guidance from the human reviewers'))).toBe(false);
+        expect(promptsOf(prompts, 2).every(prompt => prompt.includes('- Olga: Focus on lighting'))).toBe(true);
+        expect(promptsOf(prompts, 3).some(prompt => prompt.includes('Focus on lighting'))).toBe(false);
+        expect(promptsOf(prompts, 3).every(prompt => prompt.includes('do not pursue them):\n- Moving to a new building'))).toBe(true);
+    });
+
+    test('should not end the run on a vetoed iteration', async () => {
+        const { engine } = createEngine({ score: 10, consensus: 1 });
+
+        const session = await engine.solveProblem(problem, null, {
+            reviewGate: async (review) => (review.iteration === 1 ? { veto: 'Skip the audit' } : {})
+        });
+
+        expect(session.iterations).toHaveLength(2);
+        expect(session.iterations[0].convergence.converged).toBe(true);
+        expect(session.finalSolution.terminationReason).toBe('converged');
+    });
+
+    test('should stop waiting for a review when the run is aborted', async () => {
+        const { engine } = createEngine();
+        const controller = new AbortController();
+
+        const run = engine.solveProblem(problem, null, {
+            signal: controller.signal,
+            reviewGate: () => {
+                controller.abort();
+                return new Promise(() => {});
+            }
+        });
+
+        await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
+
+describe('Review gates in the API', () => {
+    let app;
+    let hub;
+    let jobManager;
+
+    beforeEach(() => {
+        hub = new CollaborationHub({ secret: 'test-secret' });
+        jobManager = new SolveJobManager({
+            engineFactory: (options) => createEngine(options).engine,
+            engineOptions: { maxIterations: 2 }
+        });
+        hub.relayJobEvents(jobManager);
+
+        app = express();
+        app.use(express.json());
+        addSolveRoutes(app, jobManager, hub);
+    });
+
+    afterEach(async () => {
+        for (const job of jobManager.jobs.values()) {
+            jobManager.cancelJob(job.id);
+            await job.promise;
+        }
+    });
+
+    const nextEvent = (type) => new Promise(resolve => {
+        const listener = (event) => {
+            if (event.type !== type) return;
+            jobManager.off('event', listener);
+            resolve(event);
+        };
+        jobManager.on('event', listener);
+    });
+
+    test('should pause the job until a review is submitted', async () => {
+        const requested = nextEvent('review_requested');
+        const started = await request(app)
+            .post('/api/solve')
+            .send({ problem, options: { review: true } })
+            .expect(202);
+        const job = jobManager.getJob(started.body.jobId);
+
+        expect((await requested).payload).toMatchObject({ iteration: 1, wouldConverge: false });
+        const status = await request(app).get(`/api/solve/${job.id}`).expect(200);
+        expect(status.body).toMatchObject({ status: 'awaiting_review', pendingReview: { iteration: 1 } });
+        expect(status.body.pendingReview.resolve).toBeUndefined();
+
+        const second = nextEvent('review_requested');
+        await request(app).post(`/api/solve/${job.id}/review`).send({ guidance: '<b>Focus</b> on lighting' }).expect(202);
+        await second;
+        await request(app).post(`/api/solve/${job.id}/review`).send({ reviewer: 'Olga' }).expect(202);
+        await job.promise;
+        await request(app).post(`/api/solve/${job.id}/review`).send({}).expect(409);
+
+        expect(job.status).toBe('completed');
+        expect(job.reviews.map(review => review.iteration)).toEqual([1, 2]);
+        expect(job.result.iterations[1].guidance[0].text).toBe('Focus on lighting');
+    });
+
+    test('should require solve.review for session jobs and pass on new comments', async () => {
+        const owner = { messages: [], send(message) { this.messages.push(message); } };
+        const viewer = { messages: [], send(message) { this.messages.push(message); } };
+        hub.join('session-1', { name: 'Olga' }, owner);
+        hub.join('session-1', { name: 'Vic' }, viewer);
+        const credentialOf = (client) => client.messages.find(message => message.type === 'welcome').credential;
+
+        const requested = nextEvent('review_requested');
+        const job = jobManager.startJob(problem, { review: true, maxIterations: 1 }, { collaborationSessionId: 'session-1' });
+        await requested;
+        hub.addComment('session-1', owner.messages[0].participant.id, 'Ask facilities about the timers');
+        await hub.createThread('session-1', owner.messages[0].participant.id, { iteration: 1, role: 'evaluator', start: 0, end: 9, quote: 'evaluator' }, 'Which risk?');
+
+        await request(app).post(`/api/solve/${job.id}/review`).send({}).expect(401);
+        await request(app)
+            .post(`/api/solve/${job.id}/review`)
+            .set('X-Collaboration-Credential', credentialOf(viewer))
+            .send({})
+            .expect(403);
+        await request(app)
+            .post(`/api/solve/${job.id}/review`)
+            .set('X-Collaboration-Credential', credentialOf(owner))
+            .send({ reviewer: 'someone else' })
+            .expect(202);
+        await job.promise;
+
+        expect(job.reviews[0]).toMatchObject({
+            reviewer: 'Olga',
+            comments: [
+                { author: 'Olga', text: 'Ask facilities about the timers' },
+                { author: 'Olga', text: 'On the evaluator contribution of iteration 1 ("evaluator"): Which risk?' }
+            ]
+        });
+        expect(job.result.iterations[0].review.guidance[0]).toMatchObject({ source: 'comment', text: 'Ask facilities about the timers' });
+    });
+});
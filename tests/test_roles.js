@@ -0,0 +1,102 @@
+import { DEFAULT_ROLES, RoleConfigError, defineRoles, loadRoles, buildRolePipeline, getFinalRoleKey } from '../src/roles.js';
+import { AdvancedAIEngine } from '../src/advanced_engine.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy konfiguracji ról i potoku DAG
+ */
+
+const role = (overrides = {}) => ({ name: 'Role', prompt: 'Do the work.', ...overrides });
+
+describe('Role configuration', () => {
+    test('should build the default pipeline in dependency order', () => {
+        const roles = loadRoles(undefined);
+
+        expect(Object.keys(roles)).toEqual(['architect', 'catalyst', 'synthesizer', 'evaluator']);
+        expect(buildRolePipeline(roles)).toEqual([['architect', 'catalyst'], ['synthesizer'], ['evaluator']]);
+        expect(getFinalRoleKey(roles, buildRolePipeline(roles))).toBe('synthesizer');
+    });
+
+    test('should not share state with the default roles', () => {
+        const roles = loadRoles(undefined);
+        roles.architect.dependsOn.push('catalyst');
+
+        expect(DEFAULT_ROLES.architect.dependsOn).toEqual([]);
+    });
+
+    test('should group independent roles into one stage', () => {
+        const roles = defineRoles({
+            research: role({ name: 'Research' }),
+            legal: role({ name: 'Legal' }),
+            summary: role({ name: 'Summary', dependsOn: ['research', 'legal'] })
+        });
+
+        expect(buildRolePipeline(roles)).toEqual([['research', 'legal'], ['summary']]);
+        expect(roles.research.weight).toBe(1.0);
+        expect(roles.research.expertise).toEqual(['analysis']);
+    });
+
+    test('should extend the defaults from the example config', () => {
+        const roles = loadRoles('./config/roles.example.json');
+        const pipeline = buildRolePipeline(roles);
+
+        expect(pipeline[pipeline.length - 1]).toEqual(['evaluator', 'compliance', 'red_team']);
+        expect(roles.compliance.name).toBe('Compliance Reviewer');
+        expect(roles.red_team.systemPrompt).toContain('Red Team');
+    });
+
+    test('should remove default roles set to null', () => {
+        const roles = defineRoles({ extends: 'default', roles: { evaluator: null } });
+        expect(Object.keys(roles)).toEqual(['architect', 'catalyst', 'synthesizer']);
+    });
+
+    test('should reject unknown dependencies, cycles and invalid fields', () => {
+        expect(() => defineRoles({ a: role({ dependsOn: ['missing'] }) })).toThrow('unknown role');
+        expect(() => defineRoles({
+            a: role({ dependsOn: ['b'] }),
+            b: role({ dependsOn: ['a'] })
+        })).toThrow('dependency cycle between: a, b');
+        expect(() => defineRoles({ 'bad key': role() })).toThrow(RoleConfigError);
+        expect(() => defineRoles({ a: role({ temperature: 5 }) })).toThrow('temperature');
+        expect(() => loadRoles('./config/missing-roles.json')).toThrow('Cannot read role configuration');
+    });
+});
+
+describe('Role pipeline in the engine', () => {
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should run custom roles in stage order with only their dependencies as context', async () => {
+        const engine = new AdvancedAIEngine({
+            roles: {
+                research: role({ name: 'Research', temperature: 0.1, model: 'gpt-4-turbo' }),
+                red_team: role({ name: 'Red Team', dependsOn: ['summary'] }),
+                summary: role({ name: 'Summary', dependsOn: ['research'], final: true })
+            },
+            consensusScorer: { name: 'constant', score: async () => 0.5 }
+        });
+        const calls = [];
+        engine.getAIContribution = async (roleKey, problem, existing) => {
+            calls.push({ roleKey, context: Object.keys(existing) });
+            return { content: `${roleKey} output`, quality: 8, confidence: 0.8 };
+        };
+        engine.delay = async () => {};
+
+        const iteration = await engine.runIteration('Secure the payment flow', null);
+        const solution = await engine.generateFinalSolution([iteration]);
+
+        expect(calls).toEqual([
+            { roleKey: 'research', context: [] },
+            { roleKey: 'summary', context: ['research'] },
+            { roleKey: 'red_team', context: ['summary'] }
+        ]);
+        expect(engine.getTemperatureForRole('research')).toBe(0.1);
+        expect(engine.getModelForRole('research')).toBe('gpt-4-turbo');
+        expect(solution.primary).toBe('summary output');
+        expect(solution.primaryRole).toBe('summary');
+        expect(Object.keys(solution.contributions)).toEqual(['research', 'summary', 'red_team']);
+    });
+});
@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+import ResponseCache, { responseCache } from '../src/cache.js';
+import { callAIProvider, registerProvider } from '../src/api.js';
+import { providerRegistry, classifyHttpError } from '../src/providers/index.js';
+import { defineRoles } from '../src/roles.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy semantycznej warstwy cache odpowiedzi
+ */
+
+const topic = 'Office energy';
+const prompt = 'How can we reduce energy consumption in our office building?';
+const reworded = 'How do we reduce the energy consumption of our office building?';
+const unrelated = 'Plan a product launch for a new mobile app';
+
+const answer = (text) => ({
+    response: `${text} - install occupancy sensors, tune heating schedules and switch to LED lighting.`,
+    provider: 'test',
+    model: 'test-model'
+});
+
+describe('Semantic response cache', () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new ResponseCache({ semantic: { enabled: true, threshold: 0.75 } });
+    });
+
+    afterEach(async () => {
+        await cache.destroy();
+    });
+
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should answer a reworded prompt from the same builder', async () => {
+        await cache.set('builder1', topic, prompt, answer('Energy plan'));
+
+        expect(await cache.get('builder1', topic, reworded)).toBeNull();
+        const hit = await cache.getSemantic('builder1', topic, reworded);
+
+        expect(hit.response).toMatch(/^Energy plan/);
+        expect(hit).toMatchObject({ fromCache: true, semanticMatch: { prompt, threshold: 0.75 } });
+        expect(hit.semanticMatch.similarity).toBeGreaterThanOrEqual(0.75);
+    });
+
+    test('should not match other builders, models or unrelated prompts', async () => {
+        await cache.set('builder1', topic, prompt, answer('Energy plan'), { model: 'gpt-4' });
+
+        expect(await cache.getSemantic('builder2', topic, reworded, { model: 'gpt-4' })).toBeNull();
+        expect(await cache.getSemantic('builder1', topic, reworded, { model: 'gpt-4o' })).toBeNull();
+        expect(await cache.getSemantic('builder1', topic, unrelated, { model: 'gpt-4' })).toBeNull();
+        expect(await cache.getSemantic('builder1', topic, reworded, { model: 'gpt-4' })).not.toBeNull();
+    });
+
+    test('should honour per-call thresholds', async () => {
+        await cache.set('builder1', topic, prompt, answer('Energy plan'));
+
+        expect(await cache.getSemantic('builder1', topic, reworded, { semanticCacheThreshold: 0.99 })).toBeNull();
+        expect(await cache.getSemantic('builder1', topic, reworded, { semanticCacheThreshold: false })).toBeNull();
+        expect(await cache.getSemantic('builder1', topic, reworded, { semanticCacheThreshold: 0.5 })).not.toBeNull();
+    });
+
+    test('should report semantic hits separately', async () => {
+        await cache.set('builder1', topic, prompt, answer('Energy plan'));
+        await cache.get('builder1', topic, prompt);
+        await cache.get('builder1', topic, reworded);
+        await cache.getSemantic('builder1', topic, reworded);
+        await cache.get('builder1', topic, unrelated);
+        await cache.getSemantic('builder1', topic, unrelated);
+
+        const stats = await cache.getStats();
+        expect(stats).toMatchObject({ hitCount: 1, missCount: 2, hitRatio: 33, effectiveHitRatio: 67 });
+        expect(stats.semantic).toMatchObject({ enabled: true, hitCount: 1, missCount: 1, hitRatio: 50, indexedEntries: 1 });
+    });
+
+    test('should stay exact-only unless enabled', async () => {
+        const exact = new ResponseCache();
+        await exact.set('builder1', topic, prompt, answer('Energy plan'));
+
+        expect(await exact.getSemantic('builder1', topic, reworded)).toBeNull();
+        expect((await exact.getStats()).semantic).toMatchObject({ enabled: false, hitCount: 0, missCount: 0 });
+        await exact.destroy();
+    });
+
+    test('should accept semantic thresholds in role configuration', () => {
+        const roles = defineRoles({ extends: 'default', roles: { catalyst: { name: 'Catalyst', prompt: 'Be creative.', semanticCacheThreshold: false } } });
+
+        expect(roles.catalyst.semanticCacheThreshold).toBe(false);
+        expect(() => defineRoles({ a: { name: 'A', prompt: 'Work.', semanticCacheThreshold: 1.5 } })).toThrow('semanticCacheThreshold');
+    });
+});
+
+describe('Semantic cache in provider calls', () => {
+    const originalFetch = global.fetch;
+    const originalState = {};
+
+    beforeAll(() => {
+        registerProvider({
+            name: 'semantic-test',
+            displayName: 'Semantic Test',
+            priority: 90,
+            config: { model: 'semantic-model', maxTokens: 100 },
+            authError: () => null,
+            buildRequest: ({ model }) => ({
+                url: 'https://semantic-test.invalid/generate',
+                init: { method: 'POST', body: JSON.stringify({ model }) }
+            }),
+            parseResponse: (data, { model }) => ({
+                content: data.output,
+                model,
+                usage: { prompt_tokens: 50, completion_tokens: 20, total_tokens: 70 },
+                finishReason: 'stop'
+            }),
+            classifyError: (status, body) => classifyHttpError('Semantic Test API', status, body),
+            pricing: {}
+        });
+
+        originalState.enabled = responseCache.semanticEnabled;
+        originalState.threshold = responseCache.semanticThreshold;
+        responseCache.semanticEnabled = true;
+        responseCache.semanticThreshold = 0.75;
+    });
+
+    beforeEach(async () => {
+        await responseCache.clear();
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    afterAll(() => {
+        responseCache.semanticEnabled = originalState.enabled;
+        responseCache.semanticThreshold = originalState.threshold;
+        providerRegistry.unregister('semantic-test');
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should reuse the answer to a reworded prompt without calling the provider', async () => {
+        global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ output: answer('Energy plan').response }) }));
+
+        await callAIProvider('semantic-test', 'builder1', topic, prompt);
+        const second = await callAIProvider('semantic-test', 'builder1', topic, reworded);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(second.semanticMatch.prompt).toBe(prompt);
+        expect((await responseCache.getStats()).semantic.hitCount).toBe(1);
+    });
+});
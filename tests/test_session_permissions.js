@@ -0,0 +1,295 @@
+import express from 'express';
+import request from 'supertest';
+import { CollaborationHub } from '../src/collaboration_hub.js';
+import { addCollaborationRoutes } from '../src/collaboration_routes.js';
+import { addSolveRoutes, streamSolveEvents } from '../src/solve_routes.js';
+import { SolveJobManager } from '../src/solve_jobs.js';
+import {
+    hasPermission,
+    canGrantRole,
+    createInviteToken,
+    verifyInviteToken,
+    signToken,
+    verifyToken
+} from '../src/session_permissions.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy ról sesji, podpisanych zaproszeń i egzekwowania uprawnień w API
+ */
+
+const secret = 'test-secret';
+
+// Records hub messages of an in-process participant
+const createClient = () => {
+    const messages = [];
+    return {
+        send: (message) => messages.push(message),
+        last: (type) => messages.filter(message => message.type === type).pop(),
+        all: (type) => messages.filter(message => message.type === type)
+    };
+};
+
+// Engine that runs until aborted
+class SlowEngine {
+    async solveProblem(problem, progressCallback, runOptions = {}) {
+        while (!runOptions.signal?.aborted) {
+            progressCallback({ stage: 'Idea Architect', progress: 10, iteration: 1 });
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const error = new Error('Problem solving aborted');
+        error.name = 'AbortError';
+        throw error;
+    }
+
+    async resumeProblem(sessionId, progressCallback, runOptions = {}) {
+        return this.solveProblem(null, progressCallback, runOptions);
+    }
+}
+
+describe('Session permission tokens', () => {
+    test('should map roles to permissions and only grant lower roles', () => {
+        expect(hasPermission('facilitator', 'solve.cancel')).toBe(true);
+        expect(hasPermission('contributor', 'solve.start')).toBe(false);
+        expect(hasPermission('viewer', 'comment')).toBe(false);
+        expect(hasPermission('nobody', 'comment')).toBe(false);
+
+        expect(canGrantRole('owner', 'facilitator')).toBe(true);
+        expect(canGrantRole('owner', 'owner')).toBe(false);
+        expect(canGrantRole('facilitator', 'facilitator')).toBe(false);
+        expect(canGrantRole('contributor', 'viewer')).toBe(false);
+    });
+
+    test('should reject tampered, foreign and expired invites', () => {
+        const { token } = createInviteToken({ sessionId: 'session-1', role: 'viewer' }, secret);
+        expect(verifyInviteToken(token, secret)).toMatchObject({ sessionId: 'session-1', role: 'viewer' });
+
+        const [, signature] = token.split('.');
+        const upgraded = Buffer.from(JSON.stringify({ typ: 'invite', sid: 'session-1', role: 'owner' })).toString('base64url');
+        expect(verifyInviteToken(`${upgraded}.${signature}`, secret)).toBeNull();
+        expect(verifyInviteToken(token, 'other-secret')).toBeNull();
+
+        const expired = createInviteToken({ sessionId: 'session-1', role: 'viewer', expiresIn: -1 }, secret);
+        expect(verifyInviteToken(expired.token, secret)).toBeNull();
+
+        // Participant credentials are not invites
+        expect(verifyInviteToken(signToken({ typ: 'participant', sid: 'session-1', pid: 'x' }, secret), secret)).toBeNull();
+        expect(verifyToken('not-a-token', secret)).toBeNull();
+    });
+});
+
+describe('Session permissions in the API', () => {
+    let app;
+    let hub;
+    let jobManager;
+    let owner;
+    let contributor;
+    let viewer;
+
+    beforeEach(() => {
+        hub = new CollaborationHub({ secret });
+        jobManager = new SolveJobManager({ engineFactory: () => new SlowEngine() });
+        hub.relayJobEvents(jobManager);
+
+        app = express();
+        app.use(express.json());
+        addCollaborationRoutes(app, hub);
+        addSolveRoutes(app, jobManager, hub);
+
+        owner = createClient();
+        contributor = createClient();
+        viewer = createClient();
+        hub.join('session-1', { name: 'Olga' }, owner);
+        hub.join('session-1', { name: 'Cora' }, contributor, { role: 'contributor' });
+        hub.join('session-1', { name: 'Vic' }, viewer);
+    });
+
+    afterEach(async () => {
+        for (const job of jobManager.jobs.values()) {
+            jobManager.cancelJob(job.id);
+            await job.promise;
+        }
+    });
+
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    const credentialOf = (client) => client.last('welcome').credential;
+
+    test('should create invite links only for roles below the caller', async () => {
+        const response = await request(app)
+            .post('/api/collaboration/sessions/session-1/invites')
+            .set('X-Collaboration-Credential', credentialOf(owner))
+            .send({ role: 'facilitator' })
+            .expect(201);
+        expect(verifyInviteToken(response.body.token, secret)).toMatchObject({ sessionId: 'session-1', role: 'facilitator' });
+
+        await request(app).post('/api/collaboration/sessions/session-1/invites').send({ role: 'viewer' }).expect(401);
+        await request(app)
+            .post('/api/collaboration/sessions/session-1/invites')
+            .set('X-Collaboration-Credential', credentialOf(contributor))
+            .send({ role: 'viewer' })
+            .expect(403);
+        await request(app)
+            .post('/api/collaboration/sessions/session-1/invites')
+            .set('X-Collaboration-Credential', credentialOf(owner))
+            .send({ role: 'owner' })
+            .expect(400);
+        await request(app)
+            .post('/api/collaboration/sessions/session-2/invites')
+            .set('X-Collaboration-Credential', credentialOf(owner))
+            .send({ role: 'viewer' })
+            .expect(403);
+    });
+
+    test('should show room state only to participants and not list session IDs', async () => {
+        const room = await request(app)
+            .get('/api/collaboration/sessions/session-1')
+            .set('X-Collaboration-Credential', credentialOf(viewer))
+            .expect(200);
+        expect(room.body.participants).toHaveLength(3);
+
+        await request(app).get('/api/collaboration/sessions/session-1').expect(401);
+        const sessions = await request(app).get('/api/collaboration/sessions').expect(200);
+        expect(sessions.body).toEqual({ count: 1, participants: 3 });
+    });
+
+    test('should export the session for roles with the export permission', async () => {
+        hub.handleMessage('session-1', contributor.last('welcome').participant.id, { type: 'comment', text: 'Start with the lighting' });
+
+        const response = await request(app)
+            .get('/api/collaboration/sessions/session-1/export')
+            .set('X-Collaboration-Credential', credentialOf(contributor))
+            .expect(200);
+        expect(response.body).toMatchObject({ sessionId: 'session-1', exportedBy: 'Cora', comments: [{ text: 'Start with the lighting' }] });
+        expect(response.body.participants.map(p => p.role)).toEqual(['owner', 'contributor', 'viewer']);
+
+        await request(app)
+            .get('/api/collaboration/sessions/session-1/export')
+            .set('X-Collaboration-Credential', credentialOf(viewer))
+            .expect(403);
+    });
+
+    test('should let only permitted roles start and cancel session runs', async () => {
+        await request(app)
+            .post('/api/solve')
+            .set('X-Collaboration-Credential', credentialOf(contributor))
+            .send({ problem: 'Reduce office energy use' })
+            .expect(403);
+
+        const started = await request(app)
+            .post('/api/solve')
+            .set('X-Collaboration-Credential', credentialOf(owner))
+            .send({ problem: 'Reduce office energy use' })
+            .expect(202);
+        const job = jobManager.getJob(started.body.jobId);
+        expect(job.collaborationSessionId).toBe('session-1');
+        expect(viewer.all('solve_event')[0].event.type).toBe('solve_started');
+        expect(hub.getRoom('session-1').locks.statement).not.toBeNull();
+
+        await request(app).post(`/api/solve/${job.id}/cancel`).expect(401);
+        await request(app)
+            .post(`/api/solve/${job.id}/cancel`)
+            .set('X-Collaboration-Credential', credentialOf(viewer))
+            .expect(403);
+        await request(app)
+            .post(`/api/solve/${job.id}/cancel`)
+            .set('X-Collaboration-Credential', credentialOf(owner))
+            .expect(202);
+
+        await job.promise;
+        expect(job.status).toBe('cancelled');
+        expect(hub.getRoom('session-1').locks.statement).toBeNull();
+    });
+    test('should list session jobs without session IDs and only to their participants', async () => {
+        const started = await request(app)
+            .post('/api/solve')
+            .set('X-Collaboration-Credential', credentialOf(owner))
+            .send({ problem: 'Reduce office energy use' })
+            .expect(202);
+        const job = jobManager.getJob(started.body.jobId);
+
+        const anonymous = await request(app).get('/api/solve').expect(200);
+        expect(anonymous.body.jobs.map(listed => listed.id)).not.toContain(job.id);
+
+        const member = await request(app)
+            .get('/api/solve')
+            .set('X-Collaboration-Credential', credentialOf(viewer))
+            .expect(200);
+        const listed = member.body.jobs.find(entry => entry.id === job.id);
+        expect(listed).toMatchObject({ problem: 'Reduce office energy use' });
+        expect(listed).not.toHaveProperty('sessionId');
+        expect(listed).not.toHaveProperty('collaborationSessionId');
+
+        jobManager.cancelJob(job.id);
+        await job.promise;
+    });
+
+    test('should let only participants read session jobs and only exporters fetch results', async () => {
+        const started = await request(app)
+            .post('/api/solve')
+            .set('X-Collaboration-Credential', credentialOf(owner))
+            .send({ problem: 'Reduce office energy use' })
+            .expect(202);
+        const job = jobManager.getJob(started.body.jobId);
+
+        await request(app).get(`/api/solve/${job.id}`).expect(401);
+        await request(app).get(`/api/solve/${job.id}/events`).expect(401);
+        await request(app).get(`/api/solve/${job.id}/result`).expect(401);
+        const status = await request(app)
+            .get(`/api/solve/${job.id}`)
+            .set('X-Collaboration-Credential', credentialOf(viewer))
+            .expect(200);
+        expect(status.body.collaborationSessionId).toBe('session-1');
+        await request(app)
+            .get(`/api/solve/${job.id}/result`)
+            .set('X-Collaboration-Credential', credentialOf(viewer))
+            .expect(403);
+        await request(app)
+            .get(`/api/solve/${job.id}/result`)
+            .set('X-Collaboration-Credential', credentialOf(contributor))
+            .expect(409);
+
+        // The stream of all jobs does not carry session jobs
+        const written = [];
+        const res = { setHeader: () => {}, write: (chunk) => written.push(chunk), end: () => {} };
+        const req = { on: () => {} };
+        const cleanup = streamSolveEvents(req, res, jobManager);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        cleanup();
+        expect(written).toEqual([]);
+
+        jobManager.cancelJob(job.id);
+        await job.promise;
+    });
+
+    test('should resume session runs only with solve.start in the same session', async () => {
+        const started = await request(app)
+            .post('/api/solve')
+            .set('X-Collaboration-Credential', credentialOf(owner))
+            .send({ problem: 'Reduce office energy use' })
+            .expect(202);
+        const job = jobManager.getJob(started.body.jobId);
+        jobManager.cancelJob(job.id);
+        await job.promise;
+
+        const outsider = createClient();
+        hub.join('session-2', { name: 'Mallory' }, outsider);
+        const resume = () => request(app).post(`/api/solve/sessions/${job.sessionId}/resume`).send({});
+
+        await resume().expect(401);
+        await resume().set('X-Collaboration-Credential', credentialOf(viewer)).expect(403);
+        await resume().set('X-Collaboration-Credential', credentialOf(outsider)).expect(403);
+        const resumed = await resume().set('X-Collaboration-Credential', credentialOf(owner)).expect(202);
+
+        const resumedJob = jobManager.getJob(resumed.body.jobId);
+        expect(resumedJob.collaborationSessionId).toBe('session-1');
+        await request(app)
+            .post(`/api/solve/${resumedJob.id}/cancel`)
+            .set('X-Collaboration-Credential', credentialOf(viewer))
+            .expect(403);
+    });
+});
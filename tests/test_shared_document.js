@@ -0,0 +1,108 @@
+import { SharedDocument } from '../src/shared_document.js';
+
+/**
+ * Testy współdzielonego dokumentu CRDT: zbieżność, atrybucja i cofanie
+ */
+
+// Delivers ops to every other replica in a given order
+const deliver = (ops, ...replicas) => replicas.forEach(replica => replica.apply(ops));
+
+describe('SharedDocument', () => {
+    test('should converge when replicas type at the same place concurrently', () => {
+        const alice = new SharedDocument({ siteId: 'alice' });
+        const bob = new SharedDocument({ siteId: 'bob' });
+        const carol = new SharedDocument({ siteId: 'carol' });
+
+        const base = alice.insert(0, 'Reduce costs');
+        deliver(base, bob, carol);
+
+        const fromAlice = alice.insert(6, ' energy');
+        const fromBob = bob.insert(6, ' office');
+        const fromCarol = carol.delete(0, 6);
+
+        // Different delivery orders end in the same text
+        deliver(fromBob, alice); deliver(fromCarol, alice);
+        deliver(fromCarol, bob); deliver(fromAlice, bob);
+        deliver(fromAlice, carol); deliver(fromBob, carol);
+
+        expect(bob.text).toBe(alice.text);
+        expect(carol.text).toBe(alice.text);
+        expect(alice.text).toMatch(/^ (energy office|office energy) costs$/);
+    });
+
+    test('should hold operations until the characters they depend on arrive', () => {
+        const alice = new SharedDocument({ siteId: 'alice' });
+        const bob = new SharedDocument({ siteId: 'bob' });
+
+        const first = alice.insert(0, 'ab');
+        const second = alice.insert(2, 'c');
+        const removal = alice.delete(0, 1);
+
+        expect(bob.apply([...removal, ...second])).toMatchObject({ applied: [], pending: 2 });
+        expect(bob.apply(first)).toMatchObject({ pending: 0 });
+        expect(bob.text).toBe('bc');
+    });
+
+    test('should drop the oldest waiting operations and ignore malformed ids', () => {
+        const doc = new SharedDocument({ siteId: 'bob', maxPending: 2 });
+        const orphan = (n) => ({ type: 'delete', id: `${n}@ghost`, author: 'mallory' });
+
+        expect(doc.apply([orphan(1), orphan(2), orphan(3)])).toMatchObject({ pending: 2 });
+        expect(doc.apply([{ type: 'delete', id: 'nonsense', author: 'mallory' }])).toMatchObject({ pending: 2 });
+        expect(doc.waiting.has('1@ghost')).toBe(false);
+
+        const ghost = new SharedDocument({ siteId: 'ghost' });
+        const typed = ghost.insert(0, 'abc');
+        expect(doc.apply(typed).applied).toHaveLength(5);
+        expect(doc.text).toBe('a');
+        expect(doc.pending.size).toBe(0);
+    });
+
+    test('should attribute characters to their authors', () => {
+        const alice = new SharedDocument({ siteId: 'a', author: 'alice' });
+        const bob = new SharedDocument({ siteId: 'b', author: 'bob' });
+
+        deliver(alice.insert(0, 'Plan the launch'), bob);
+        deliver(bob.replace('Plan the product launch'), alice);
+
+        expect(alice.getAttribution()).toEqual([
+            { author: 'alice', text: 'Plan the ' },
+            { author: 'bob', text: 'product ' },
+            { author: 'alice', text: 'launch' }
+        ]);
+        expect(alice.getContributors()).toEqual({ alice: 15, bob: 8 });
+    });
+
+    test('should undo only the local author\'s edits', () => {
+        const alice = new SharedDocument({ siteId: 'a', author: 'alice' });
+        const bob = new SharedDocument({ siteId: 'b', author: 'bob' });
+
+        deliver(alice.insert(0, 'Cut heating costs'), bob);
+        deliver(bob.insert(17, ' by 20%'), alice);
+        deliver(alice.replace('Cut costs by 20%'), bob);
+
+        expect(alice.canUndo()).toBe(true);
+        deliver(alice.undo(), bob);
+        expect(bob.text).toBe('Cut heating costs by 20%');
+
+        deliver(alice.undo(), bob);
+        expect(bob.text).toBe(' by 20%');
+        expect(alice.text).toBe(' by 20%');
+        expect(alice.undo()).toEqual([]);
+    });
+
+    test('should hand its state to a new replica and keep unicode characters whole', () => {
+        const alice = new SharedDocument({ siteId: 'alice' });
+        alice.insert(0, 'Zażółć 🚀');
+        alice.delete(0, 1);
+
+        const late = new SharedDocument({ siteId: 'late', snapshot: JSON.parse(JSON.stringify(alice)) });
+        expect(late.text).toBe('ażółć 🚀');
+        expect(late.length).toBe(7);
+
+        // New ids continue past the snapshot's clock
+        deliver(late.insert(7, '!'), alice);
+        expect(alice.text).toBe('ażółć 🚀!');
+        expect(alice.indexAfter(alice.idAt(3))).toBe(3);
+    });
+});
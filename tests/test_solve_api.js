@@ -0,0 +1,198 @@
+import request from 'supertest';
+import express from 'express';
+import { SolveJobManager } from '../src/solve_jobs.js';
+import { addSolveRoutes } from '../src/solve_routes.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy API rozwiązywania problemów po stronie serwera
+ */
+
+class FakeEngine {
+    constructor(options) {
+        this.options = options;
+    }
+
+    async solveProblem(problem, progressCallback, runOptions = {}) {
+        const iterations = [];
+        for (let i = 1; i <= this.options.maxIterations; i++) {
+            if (runOptions.signal?.aborted) {
+                const error = new Error('Problem solving aborted');
+                error.name = 'AbortError';
+                throw error;
+            }
+            progressCallback({ stage: 'Idea Architect', progress: 50, iteration: i });
+            progressCallback({ type: 'contribution_delta', role: 'architect', stage: 'Idea Architect', iteration: i, provider: 'mock', delta: 'Part' });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            progressCallback({ stage: 'Iteration complete', progress: 100, iteration: i, quality: 8, consensus: 0.8 });
+            iterations.push({ number: i, metrics: { quality: 8, consensus: 0.8 }, contributions: {} });
+        }
+
+        return {
+            problem,
+            iterations,
+            finalSolution: { primary: `Solution for ${problem}`, iterationsUsed: iterations.length },
+            metrics: { avgQuality: 8, finalConsensus: 0.8 }
+        };
+    }
+
+    async resumeProblem(sessionId, progressCallback, runOptions = {}) {
+        const checkpoint = await this.options.checkpointStore.loadCheckpoint(sessionId);
+        return this.solveProblem(checkpoint.problem, progressCallback, runOptions);
+    }
+}
+
+const waitForJob = async (jobManager, jobId) => {
+    await jobManager.getJob(jobId).promise;
+};
+
+describe('Solve API', () => {
+    let app;
+    let jobManager;
+
+    beforeEach(() => {
+        jobManager = new SolveJobManager({
+            engineFactory: (options) => new FakeEngine(options),
+            engineOptions: { maxIterations: 2 }
+        });
+        app = express();
+        app.use(express.json());
+        addSolveRoutes(app, jobManager);
+    });
+
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should start a job and return the final solution', async () => {
+        const started = await request(app)
+            .post('/api/solve')
+            .set('User-Agent', 'jest')
+            .send({ problem: 'Reduce office energy use' })
+            .expect(202);
+
+        expect(started.body.jobId).toBeDefined();
+        await waitForJob(jobManager, started.body.jobId);
+
+        const status = await request(app).get(`/api/solve/${started.body.jobId}`).expect(200);
+        expect(status.body.status).toBe('completed');
+        expect(status.body.iterationsCompleted).toBe(2);
+
+        const result = await request(app).get(`/api/solve/${started.body.jobId}/result`).expect(200);
+        expect(result.body.finalSolution.primary).toBe('Solution for Reduce office energy use');
+    });
+
+    test('should pass validated engine options to the engine', async () => {
+        const started = await request(app)
+            .post('/api/solve')
+            .send({ problem: 'Test', options: { maxIterations: 3 } })
+            .expect(202);
+
+        await waitForJob(jobManager, started.body.jobId);
+        const job = jobManager.getJob(started.body.jobId);
+        expect(job.result.iterations).toHaveLength(3);
+    });
+
+    test('should accept every built-in consensus scorer', async () => {
+        const started = await request(app)
+            .post('/api/solve')
+            .send({ problem: 'Test', options: { consensusScorer: 'tfidf_smoothed' } })
+            .expect(202);
+
+        await waitForJob(jobManager, started.body.jobId);
+        expect(jobManager.getJob(started.body.jobId).options.consensusScorer).toBe('tfidf_smoothed');
+
+        await request(app)
+            .post('/api/solve')
+            .send({ problem: 'Test', options: { consensusScorer: 'bm25' } })
+            .expect(400);
+    });
+
+    test('should reject invalid solve requests', async () => {
+        await request(app)
+            .post('/api/solve')
+            .send({ problem: '', options: { maxIterations: 100 } })
+            .expect(400);
+    });
+
+    test('should cancel a running job', async () => {
+        const started = await request(app)
+            .post('/api/solve')
+            .send({ problem: 'Long problem', options: { maxIterations: 5 } })
+            .expect(202);
+
+        await request(app).post(`/api/solve/${started.body.jobId}/cancel`).expect(202);
+        await waitForJob(jobManager, started.body.jobId);
+
+        const status = await request(app).get(`/api/solve/${started.body.jobId}`).expect(200);
+        expect(status.body.status).toBe('cancelled');
+
+        await request(app).get(`/api/solve/${started.body.jobId}/result`).expect(409);
+        await request(app).post(`/api/solve/${started.body.jobId}/cancel`).expect(409);
+    });
+
+    test('should resume a checkpointed session as a new job', async () => {
+        const sessionId = await jobManager.checkpointStore.createSession('Paused problem');
+
+        const resumed = await request(app)
+            .post(`/api/solve/sessions/${sessionId}/resume`)
+            .send({})
+            .expect(202);
+
+        expect(resumed.body.sessionId).toBe(sessionId);
+        await waitForJob(jobManager, resumed.body.jobId);
+
+        const job = jobManager.getJob(resumed.body.jobId);
+        expect(job.resumed).toBe(true);
+        expect(job.status).toBe('completed');
+        expect(job.result.problem).toBe('Paused problem');
+    });
+
+    test('should return 404 when resuming an unknown session', async () => {
+        await request(app).post('/api/solve/sessions/unknown-session/resume').send({}).expect(404);
+    });
+
+    test('should return 404 for unknown jobs', async () => {
+        await request(app).get('/api/solve/unknown-job').expect(404);
+        await request(app).get('/api/solve/unknown-job/result').expect(404);
+    });
+
+    test('should relay engine progress as job events', async () => {
+        const events = [];
+        jobManager.on('event', event => events.push(event.type));
+
+        const job = jobManager.startJob('Event problem');
+        await job.promise;
+
+        expect(events[0]).toBe('solve_started');
+        expect(events).toContain('evolution_progress');
+        expect(events).toContain('consensus_update');
+        expect(events[events.length - 1]).toBe('solve_completed');
+    });
+
+    test('should publish contribution deltas without replacing job progress', async () => {
+        const deltas = [];
+        jobManager.on('event', event => {
+            if (event.type === 'contribution_delta') deltas.push(event.payload);
+        });
+
+        const job = jobManager.startJob('Delta problem');
+        await job.promise;
+
+        expect(deltas).toHaveLength(2);
+        expect(deltas[0]).toEqual(expect.objectContaining({ role: 'architect', iteration: 1, delta: 'Part' }));
+        expect(jobManager.getJob(job.id).progress.stage).toBe('Iteration complete');
+    });
+
+    test('should stream events of a finished job over SSE', async () => {
+        const job = jobManager.startJob('SSE problem');
+        await job.promise;
+
+        const response = await request(app).get(`/api/solve/${job.id}/events`).expect(200);
+        expect(response.headers['content-type']).toContain('text/event-stream');
+        expect(response.text).toContain('"type":"solve_status"');
+        expect(response.text).toContain('"status":"completed"');
+    });
+});
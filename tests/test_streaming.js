@@ -0,0 +1,194 @@
+import { jest } from '@jest/globals';
+import { readSSEData } from '../src/providers/stream.js';
+import { callAIProvider } from '../src/api.js';
+import { providerRegistry, createOpenAIAdapter, createAnthropicAdapter, createGoogleAdapter } from '../src/providers/index.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy strumieniowania odpowiedzi dostawców AI
+ */
+
+const encoder = new TextEncoder();
+
+// Async iterable body, split at arbitrary points like real network chunks
+const sseBody = (events, chunkSize = 7) => {
+    const text = events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+    return (async function* () {
+        for (let i = 0; i < text.length; i += chunkSize) {
+            yield encoder.encode(text.slice(i, i + chunkSize));
+        }
+    })();
+};
+
+const streamResponse = (events) => ({
+    ok: true,
+    status: 200,
+    body: sseBody(events)
+});
+
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+};
+
+describe('SSE reader', () => {
+    test('should reassemble events split across chunks', async () => {
+        const events = await collect(sseBody([{ a: 1 }, { b: 'dwa' }, '[DONE]'], 3));
+        expect(await collect(readSSEData(events))).toEqual([{ a: 1 }, { b: 'dwa' }]);
+    });
+
+    test('should skip event lines and read a trailing event without a blank line', async () => {
+        const body = [encoder.encode('event: message_start\r\ndata: {"x":1}\r\n\r\n: ping\n\ndata: {"y":2}')];
+        expect(await collect(readSSEData(body))).toEqual([{ x: 1 }, { y: 2 }]);
+    });
+});
+
+describe('Provider streaming', () => {
+    const originalFetch = global.fetch;
+    const adapters = {
+        openai: createOpenAIAdapter({ apiKey: 'sk-test-key' }),
+        anthropic: createAnthropicAdapter({ apiKey: 'sk-ant-test-key' }),
+        google: createGoogleAdapter({ apiKey: 'google-test-key' })
+    };
+    const builtIns = {};
+
+    beforeAll(() => {
+        for (const [name, adapter] of Object.entries(adapters)) {
+            builtIns[name] = providerRegistry.get(name);
+            providerRegistry.register(adapter);
+        }
+    });
+
+    beforeEach(() => {
+        responseCache.clear();
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        for (const adapter of Object.values(builtIns)) {
+            providerRegistry.register(adapter);
+        }
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    const streamFrom = async (provider, events) => {
+        global.fetch = jest.fn(async () => streamResponse(events));
+        const recordSpy = jest.spyOn(metricsCollector, 'recordAPICall');
+        const deltas = [];
+
+        const result = await callAIProvider(provider, 'builder1', `Stream ${provider}`, 'Opisz rozwiązanie', {
+            onDelta: delta => deltas.push(delta)
+        });
+
+        return { result, deltas, recordSpy, init: global.fetch.mock.calls[0] };
+    };
+
+    test('should stream OpenAI chat completion chunks', async () => {
+        const { result, deltas, recordSpy, init } = await streamFrom('openai', [
+            { model: 'gpt-4', choices: [{ delta: { role: 'assistant' } }] },
+            { model: 'gpt-4', choices: [{ delta: { content: 'Analiza ' } }] },
+            { model: 'gpt-4', choices: [{ delta: { content: 'problemu' }, finish_reason: 'stop' }] },
+            { model: 'gpt-4', choices: [], usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 } },
+            '[DONE]'
+        ]);
+
+        const body = JSON.parse(init[1].body);
+        expect(body.stream).toBe(true);
+        expect(body.stream_options).toEqual({ include_usage: true });
+
+        expect(deltas.map(d => d.delta)).toEqual(['Analiza ', 'problemu']);
+        expect(deltas[1]).toEqual({ delta: 'problemu', text: 'Analiza problemu', provider: 'openai' });
+        expect(result.response).toBe('Analiza problemu');
+        expect(result.streamed).toBe(true);
+        expect(result.finishReason).toBe('stop');
+        expect(recordSpy).toHaveBeenCalledWith('openai', 'gpt-4', 'builder1', result.usage, expect.any(Number));
+        expect(result.usage.total_tokens).toBe(16);
+    });
+
+    test('should stream Anthropic message events and combine usage', async () => {
+        const { result, deltas, recordSpy } = await streamFrom('anthropic', [
+            { type: 'message_start', message: { model: 'claude-3-sonnet-20240229', usage: { input_tokens: 20, output_tokens: 1 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Synteza ' } },
+            { type: 'ping' },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'pomysłów' } },
+            { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 9 } },
+            { type: 'message_stop' }
+        ]);
+
+        expect(deltas.map(d => d.text)).toEqual(['Synteza ', 'Synteza pomysłów']);
+        expect(result.model).toBe('claude-3-sonnet-20240229');
+        expect(result.finishReason).toBe('end_turn');
+        expect(result.usage).toEqual({ prompt_tokens: 20, completion_tokens: 9, total_tokens: 29 });
+        expect(recordSpy).toHaveBeenCalledWith('anthropic', 'claude-3-sonnet-20240229', 'builder1', result.usage, expect.any(Number));
+    });
+
+    test('should surface Anthropic stream errors with a category', async () => {
+        global.fetch = jest.fn(async () => streamResponse([
+            { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+        ]));
+
+        await expect(callAIProvider('anthropic', 'builder1', 'Overload', 'Test', { onDelta: () => {} }))
+            .rejects.toMatchObject({ category: 'server' });
+    });
+
+    test('should stream Gemini streamGenerateContent responses', async () => {
+        const { result, deltas, init } = await streamFrom('google', [
+            { candidates: [{ content: { parts: [{ text: 'Ryzyka ' }] } }], usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 2, totalTokenCount: 10 } },
+            { candidates: [{ content: { parts: [{ text: 'i wpływ' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 5, totalTokenCount: 13 } }
+        ]);
+
+        expect(init[0]).toContain(':streamGenerateContent?alt=sse');
+        expect(deltas.map(d => d.delta)).toEqual(['Ryzyka ', 'i wpływ']);
+        expect(result.response).toBe('Ryzyka i wpływ');
+        expect(result.usage).toEqual({ prompt_tokens: 8, completion_tokens: 5, total_tokens: 13 });
+    });
+
+    test('should reject Gemini streams blocked by safety filters', async () => {
+        global.fetch = jest.fn(async () => streamResponse([
+            { candidates: [{ finishReason: 'SAFETY' }] }
+        ]));
+
+        await expect(callAIProvider('google', 'builder1', 'Safety', 'Test', { onDelta: () => {} }))
+            .rejects.toMatchObject({ category: 'safety' });
+    });
+
+    test('should mark cache hits of streamed responses as not streamed', async () => {
+        const answer = 'Analiza problemu wystarczająco długa, by trafić do pamięci podręcznej';
+        const { result } = await streamFrom('openai', [
+            { model: 'gpt-4', choices: [{ delta: { content: answer }, finish_reason: 'stop' }] },
+            '[DONE]'
+        ]);
+        expect(result.streamed).toBe(true);
+
+        const deltas = [];
+        const hit = await callAIProvider('openai', 'builder1', 'Stream openai', 'Opisz rozwiązanie', {
+            onDelta: delta => deltas.push(delta)
+        });
+
+        expect(hit).toMatchObject({ fromCache: true, streamed: false, response: answer });
+        expect(deltas).toEqual([]);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should use the non-streaming request without onDelta', async () => {
+        global.fetch = jest.fn(async () => ({
+            ok: true,
+            status: 200,
+            json: async () => ({ model: 'gpt-4', choices: [{ message: { content: 'Cała odpowiedź' }, finish_reason: 'stop' }], usage: { total_tokens: 5 } })
+        }));
+
+        const result = await callAIProvider('openai', 'builder1', 'Whole', 'Bez strumienia');
+
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(false);
+        expect(result.response).toBe('Cała odpowiedź');
+        expect(result.streamed).toBe(false);
+    });
+});
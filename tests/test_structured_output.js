@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import {
+    StructuredOutputError,
+    buildRepairPrompt,
+    parseStructuredContribution,
+    renderStructuredContribution,
+    assessStructuredQuality
+} from '../src/structured_output.js';
+import { AdvancedAIEngine } from '../src/advanced_engine.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+
+/**
+ * Testy ustrukturyzowanych wkładów ról
+ */
+
+const validContribution = {
+    summary: 'Wdrożyć czujniki obecności w biurze',
+    claims: [{ statement: 'Oświetlenie zużywa 30% energii', evidence: 'Audyt 2023' }],
+    risks: [{ description: 'Koszt początkowy', severity: 'high', mitigation: 'Etapowe wdrożenie' }],
+    actions: [{ description: 'Zamówić pilotaż', owner: 'Facility', priority: 'high' }],
+    confidence: 0.8,
+    citations: [{ source: 'Raport IEA', url: 'https://www.iea.org/reports' }]
+};
+
+describe('Structured output parsing', () => {
+    test('should parse JSON wrapped in a markdown fence', () => {
+        const raw = `Oto odpowiedź:\n\`\`\`json\n${JSON.stringify(validContribution)}\n\`\`\``;
+        expect(parseStructuredContribution(raw)).toEqual(validContribution);
+    });
+
+    test('should fill optional lists with defaults', () => {
+        const parsed = parseStructuredContribution('{"summary": "Krótko", "confidence": 0.4}');
+        expect(parsed).toEqual({ summary: 'Krótko', claims: [], risks: [], actions: [], confidence: 0.4, citations: [] });
+    });
+
+    test('should reject responses without a JSON object', () => {
+        expect(() => parseStructuredContribution('Zdecydowanie warto to zrobić.')).toThrow(StructuredOutputError);
+    });
+
+    test('should report schema issues with field paths', () => {
+        const invalid = { ...validContribution, confidence: 7, risks: [{ description: 'X', severity: 'extreme' }] };
+
+        try {
+            parseStructuredContribution(JSON.stringify(invalid));
+            throw new Error('expected failure');
+        } catch (error) {
+            expect(error).toBeInstanceOf(StructuredOutputError);
+            expect(error.issues.some(issue => issue.startsWith('confidence:'))).toBe(true);
+            expect(error.issues.some(issue => issue.startsWith('risks.0.severity:'))).toBe(true);
+        }
+    });
+
+    test('should include the issues and previous answer in the repair prompt', () => {
+        const error = new StructuredOutputError('Response does not match the contribution schema', ['confidence: Required']);
+        const prompt = buildRepairPrompt('Analyze the problem', '{"summary":"x"}', error);
+
+        expect(prompt).toContain('Analyze the problem');
+        expect(prompt).toContain('confidence: Required');
+        expect(prompt).toContain('{"summary":"x"}');
+    });
+
+    test('should render text and score completeness', () => {
+        const rendered = renderStructuredContribution(validContribution);
+
+        expect(rendered).toContain('Wdrożyć czujniki obecności w biurze');
+        expect(rendered).toContain('[high] Koszt początkowy → Etapowe wdrożenie');
+        expect(assessStructuredQuality(validContribution)).toBe(10);
+        expect(assessStructuredQuality({ ...validContribution, claims: [], risks: [], actions: [], citations: [] })).toBe(5);
+    });
+});
+
+describe('Structured mode in the engine', () => {
+    const originalFetch = global.fetch;
+
+    const mockResponse = (response) => ({
+        ok: true,
+        status: 200,
+        json: async () => ({ response, quality: 8, confidence: 0.9 })
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        responseCache.clear();
+    });
+
+    afterAll(() => {
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should repair an invalid response and use the self-rated confidence', async () => {
+        const engine = new AdvancedAIEngine({ structuredOutput: true });
+        global.fetch = jest.fn(async () => mockResponse(JSON.stringify(validContribution)));
+
+        const structured = await engine.resolveStructuredResult(
+            'synthesizer', 'Energia w biurze', 'Combine insights', { response: 'To nie jest JSON', provider: 'mock' }, { responseFormat: 'json' }
+        );
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        const repairBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(repairBody.prompt).toContain('Your previous answer was not valid');
+        expect(repairBody.responseFormat).toBe('json');
+
+        const processed = engine.processAIResult(structured.result, 'synthesizer', 10, structured);
+        expect(processed.structured).toEqual(validContribution);
+        expect(processed.structuredRepairs).toBe(1);
+        expect(processed.confidence).toBe(0.8);
+        expect(processed.content).toContain('Zamówić pilotaż (Facility)');
+    });
+
+    test('should keep free text after the repair budget is spent', async () => {
+        const engine = new AdvancedAIEngine({ structuredOutput: true, structuredMaxRepairs: 1 });
+        global.fetch = jest.fn(async () => mockResponse('Nadal tekst'));
+
+        const structured = await engine.resolveStructuredResult(
+            'evaluator', 'Energia w biurze', 'Assess feasibility', { response: 'Tekst', provider: 'mock' }, {}
+        );
+        const processed = engine.processAIResult(structured.result, 'evaluator', 10, structured);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(processed.structured).toBeNull();
+        expect(processed.structuredError).toMatch(/JSON object/);
+        expect(processed.content).toBe('Nadal tekst');
+    });
+});
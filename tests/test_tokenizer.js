@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { getTokenizerFamily, countTokens, countChatTokens, fillUsage } from '../src/tokenizer.js';
+import { callAIProvider, registerProvider } from '../src/api.js';
+import { providerRegistry, classifyHttpError } from '../src/providers/index.js';
+import { addManagementRoutes } from '../src/management_routes.js';
+import { responseCache } from '../src/cache.js';
+import { metricsCollector } from '../src/metrics.js';
+import { BudgetGuard } from '../src/budget.js';
+
+/**
+ * Testy lokalnego liczenia tokenów i szacowania kosztu rozwiązania
+ */
+
+describe('Tokenizer', () => {
+    test('should pick the tokenizer family from the model name', () => {
+        expect(getTokenizerFamily('gpt-4-turbo')).toBe('openai');
+        expect(getTokenizerFamily('claude-3-sonnet-20240229')).toBe('anthropic');
+        expect(getTokenizerFamily('gemini-pro')).toBe('google');
+        expect(getTokenizerFamily('meta-llama/llama3')).toBe('llama');
+        expect(getTokenizerFamily('unknown-model')).toBe('openai');
+        expect(getTokenizerFamily(null)).toBe('openai');
+    });
+
+    test('should count common words as single tokens and charge more for diacritics', () => {
+        expect(countTokens('The quick brown fox', 'gpt-4')).toBe(4);
+        expect(countTokens('', 'gpt-4')).toBe(0);
+        expect(countTokens('Zażółć gęślą jaźń', 'gpt-4')).toBeGreaterThan(countTokens('Zazolc gesla jazn', 'gpt-4'));
+    });
+
+    test('should group digits the way each family does', () => {
+        expect(countTokens('123456789', 'gpt-4')).toBe(3);
+        expect(countTokens('123456789', 'gemini-pro')).toBe(9);
+    });
+
+    test('should add per-message overhead to chat prompts', () => {
+        const content = countTokens('Hello there', 'gpt-4');
+        expect(countChatTokens(['Hello there'], 'gpt-4')).toBe(content + 4 + 3);
+        expect(countChatTokens(['Hello', 'there'], 'llama3')).toBe(2 + 2 * 6 + 4);
+    });
+
+    test('should keep reported usage and fill in what is missing', () => {
+        const reported = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+        expect(fillUsage(reported, { promptTokens: 99, completion: 'ignored' })).toEqual(reported);
+
+        expect(fillUsage(undefined, { model: 'gpt-4', promptTokens: 20, completion: 'The quick brown fox' })).toEqual({
+            prompt_tokens: 20,
+            completion_tokens: 4,
+            total_tokens: 24,
+            estimated: true
+        });
+
+        // Only a total reported: the completion share is derived from it
+        expect(fillUsage({ prompt_tokens: 0, total_tokens: 50 }, { promptTokens: 20, completion: 'text' })).toMatchObject({
+            prompt_tokens: 20,
+            completion_tokens: 30,
+            total_tokens: 50,
+            estimated: true
+        });
+    });
+});
+
+describe('Usage backfill in provider calls', () => {
+    const originalFetch = global.fetch;
+
+    beforeAll(() => {
+        registerProvider({
+            name: 'no-usage',
+            displayName: 'No Usage',
+            priority: 90,
+            config: { model: 'llama3', maxTokens: 100 },
+            authError: () => null,
+            buildRequest: ({ model }) => ({
+                url: 'https://no-usage.invalid/generate',
+                init: { method: 'POST', body: JSON.stringify({ model }) }
+            }),
+            parseResponse: (data, { model }) => ({ content: data.output, model, finishReason: 'stop' }),
+            classifyError: (status, body) => classifyHttpError('No Usage API', status, body),
+            pricing: { llama3: { input: 1, output: 2 } }
+        });
+    });
+
+    beforeEach(() => {
+        responseCache.clear();
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    afterAll(() => {
+        providerRegistry.unregister('no-usage');
+        clearInterval(responseCache.cleanupInterval);
+        clearInterval(metricsCollector.saveInterval);
+    });
+
+    test('should estimate usage and cost when the provider reports none', async () => {
+        global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ output: 'Install occupancy sensors' }) }));
+
+        const budget = new BudgetGuard({ sessionLimit: 100, dailyLimit: 1e9, mode: 'halt' });
+
+        const result = await callAIProvider('no-usage', 'builder1', 'Energy', 'Reduce office energy use', { budget });
+
+        expect(result.usage.estimated).toBe(true);
+        expect(result.usage.prompt_tokens).toBeGreaterThan(countTokens('Reduce office energy use', 'llama3'));
+        expect(result.usage.completion_tokens).toBe(countTokens('Install occupancy sensors', 'llama3'));
+        expect(result.usage.total_tokens).toBe(result.usage.prompt_tokens + result.usage.completion_tokens);
+        // The budget is charged for the estimated tokens instead of nothing
+        expect(budget.spent).toBeCloseTo(result.usage.prompt_tokens / 1000 + result.usage.completion_tokens / 1000 * 2, 10);
+    });
+});
+
+describe('POST /api/budget/estimate', () => {
+    let app;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        addManagementRoutes(app);
+    });
+
+    test('should break the solve cost down per role and iteration', async () => {
+        const response = await request(app)
+            .post('/api/budget/estimate')
+            .send({ problem: 'Reduce office energy consumption', options: { maxIterations: 4 } })
+            .expect(200);
+
+        const { roles, perIteration, iterations, cost } = response.body;
+        expect(roles.map(role => role.role)).toEqual(['architect', 'catalyst', 'synthesizer', 'evaluator']);
+        expect(roles[0].calls[0]).toEqual(expect.objectContaining({ completionTokens: 400 }));
+        // Dependent roles read earlier answers, so their prompts are longer
+        expect(roles[2].promptTokens).toBeGreaterThan(roles[0].promptTokens);
+        expect(perIteration.cost).toBeCloseTo(roles.reduce((sum, role) => sum + role.cost, 0), 10);
+        expect(iterations).toEqual({ min: 1, max: 4 });
+        expect(cost.max).toBeCloseTo(perIteration.cost * 4, 10);
+        expect(response.body.budget).toEqual(expect.objectContaining({ affordableIterations: expect.any(Number) }));
+    });
+
+    test('should count every ensemble member', async () => {
+        const response = await request(app)
+            .post('/api/budget/estimate')
+            .send({
+                problem: 'Reduce office energy consumption',
+                options: { ensemble: { members: ['openai', 'anthropic'], strategy: 'merge' } }
+            })
+            .expect(200);
+
+        const synthesizer = response.body.roles.find(role => role.role === 'synthesizer');
+        expect(synthesizer.calls.map(call => call.provider)).toEqual(['openai', 'anthropic', 'openai']);
+    });
+
+    test('should reject invalid role configurations', async () => {
+        const response = await request(app)
+            .post('/api/budget/estimate')
+            .send({
+                problem: 'Reduce office energy consumption',
+                roles: {
+                    a: { name: 'A', prompt: 'Do the work.', dependsOn: ['b'] },
+                    b: { name: 'B', prompt: 'Do the work.', dependsOn: ['a'] }
+                }
+            })
+            .expect(400);
+
+        expect(response.body.message).toContain('dependency cycle');
+    });
+});